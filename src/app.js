@@ -20,6 +20,11 @@ import callDetailsRoutes from "./routes/callDetailsRoutes.js";
 import voiceOutboundRoutes from "./routes/voiceOutboundRoutes.js";
 import internalCleanupRoutes from "./routes/internalCleanupRoutes.js";
 import internalIvrRoutes from "./routes/internalIvrRoutes.js";
+import businessHoursRoutes from "./routes/businessHoursRoutes.js";
+import customerDirectoryRoutes from "./routes/customerDirectoryRoutes.js";
+import verificationRoutes from "./routes/verificationRoutes.js";
+import voicemailRoutes from "./routes/voicemailRoutes.js";
+import agentRoutes from "./routes/agentRoutes.js";
 
 
 import path from 'path';
@@ -30,6 +35,8 @@ app.set('trust proxy', 1);
 
 // Middleware
 app.use(cors());
+// Workflow bundles embed audio as base64, so imports get a larger body limit
+app.use(['/api/workflow/import', '/workflow/import'], express.json({ limit: process.env.WORKFLOW_IMPORT_BODY_LIMIT || '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined', { stream: { write: msg => logger.info(msg.trim()) } }));
@@ -64,6 +71,11 @@ app.use('/api/leads', LeadRoutes); // Lead management (semi-automated bookings)
 app.use('/api/analytics', analyticsRoutes); // Analytics endpoints
 app.use('/api/calls', callDetailsRoutes); // Call details endpoints
 app.use('/api/voice', voiceOutboundRoutes); // Exotel outbound local endpoints
+app.use('/api/business-hours', businessHoursRoutes); // Business-hours calendars
+app.use('/api/customer-directory', customerDirectoryRoutes); // Imported customer directory for lookup nodes
+app.use('/api/verification', verificationRoutes); // Verify-node credentials and lockouts
+app.use('/api/voicemails', voicemailRoutes); // Voicemail inbox
+app.use('/api/agents', agentRoutes); // Agents and their skills for queue routing
 app.use('/internal/cleanup', internalCleanupRoutes);
 app.use('/internal/ivr', internalIvrRoutes);
 
@@ -10,6 +10,11 @@ export const NODE_TYPES = {
   MENU: 'menu',
   USER_INPUT: 'input',
   SPEECH_INPUT: 'speech_input',
+  LANGUAGE_SELECT: 'language_select',
+  VERIFY: 'verify',
+  SURVEY: 'survey',
+  RESUME: 'resume',
+  RECORD_CONTROL: 'record_control',
   CONDITIONAL: 'conditional',
   VOICEMAIL: 'voicemail',
   TRANSFER: 'transfer',
@@ -20,12 +25,15 @@ export const NODE_TYPES = {
   SMS: 'sms',
   SET_VARIABLE: 'set_variable',
   API_CALL: 'api_call',
+  LOOKUP: 'lookup',
   AVAILABILITY_CHECK: 'availability_check',
   SLOT_OFFER: 'slot_offer',
   BOOKING_CREATE: 'booking_create',
   BOOKING_CONFIRM: 'booking_confirm',
   WHATSAPP_NOTIFY: 'whatsapp_notify',
-  HANDOFF: 'handoff'
+  HANDOFF: 'handoff',
+  SUBFLOW: 'subflow',
+  SPLIT: 'split'
 };
 
 // Node Categories
@@ -85,6 +93,7 @@ export const NODE_CONFIGS = {
       timeoutSeconds: { type: 'number', default: 10, min: 1, max: 60, label: 'Timeout (seconds)' },
       maxRetries: { type: 'number', default: 3, min: 1, max: 10, label: 'Max Retries' },
       fallbackAudioNodeId: { type: 'string', label: 'Fallback Audio Node' },
+      translations: { type: 'object', label: 'Translations', placeholder: '{"ta-IN": {"messageText": "வணக்கம்"}}' },
       // Backend-mapped field names (for compatibility)
       text: { type: 'string', label: 'Text (mapped from messageText)' },
       timeout: { type: 'number', default: 10, min: 1, max: 60, label: 'Timeout' },
@@ -131,6 +140,258 @@ export const NODE_CONFIGS = {
     }
   },
 
+  [NODE_TYPES.MENU]: {
+    name: 'Menu',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '☰',
+    description: 'Read out keypad options and route on the digit pressed',
+    color: '#2196F3',
+    inputs: 1,
+    // One output per option digit, plus the max-attempts exits
+    outputs: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '*', '#', 'no_match', 'timeout'],
+    dataSchema: {
+      text: { type: 'string', label: 'Intro Text', placeholder: 'Thanks for calling. Please listen to the following options.' },
+      audioUrl: { type: 'url', label: 'Intro Audio URL' },
+      menuOptions: {
+        type: 'array',
+        required: true,
+        label: 'Menu Options',
+        itemSchema: {
+          digit: { type: 'string', label: 'Digit' },
+          label: { type: 'string', label: 'Label', placeholder: 'Sales' },
+          text: { type: 'string', label: 'Spoken Text', placeholder: 'For sales, press 1.' },
+          audioUrl: { type: 'url', label: 'Option Audio URL' }
+        },
+        default: [
+          { digit: '1', label: 'Sales', text: 'For sales, press 1.' },
+          { digit: '2', label: 'Support', text: 'For support, press 2.' }
+        ]
+      },
+      invalidInputMessage: { type: 'string', default: 'Invalid selection. Please try again.', label: 'Invalid Input Message' },
+      timeoutMessage: { type: 'string', default: 'We did not receive your selection.', label: 'No Input Message' },
+      invalidAudioNodeId: { type: 'string', label: 'Invalid Input Audio Node ID' },
+      timeoutAudioNodeId: { type: 'string', label: 'No Input Audio Node ID' },
+      timeoutSeconds: { type: 'number', default: 10, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 3, min: 1, max: 10, label: 'Max Attempts' }
+    },
+    validation: {
+      rules: {
+        timeoutSeconds: { min: 1, max: 60 },
+        maxAttempts: { min: 1, max: 10 }
+      }
+    }
+  },
+
+  [NODE_TYPES.LANGUAGE_SELECT]: {
+    name: 'Language Select',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '🌐',
+    description: 'Let the caller pick a language by keypad; later prompts use its translations',
+    color: '#14B8A6',
+    inputs: 1,
+    // Optionally one output per language code (e.g. "ta-IN")
+    outputs: ['selected', 'no_match'],
+    dataSchema: {
+      options: {
+        type: 'array',
+        required: true,
+        label: 'Languages',
+        itemSchema: {
+          digit: { type: 'string', label: 'Digit' },
+          language: { type: 'string', label: 'Language Code', placeholder: 'ta-IN' },
+          label: { type: 'string', label: 'Spoken Option', placeholder: 'தமிழுக்கு இரண்டை அழுத்தவும்' }
+        },
+        default: [
+          { digit: '1', language: 'en-GB', label: 'For English, press 1.' },
+          { digit: '2', language: 'ta-IN', label: 'தமிழுக்கு இரண்டை அழுத்தவும்.' }
+        ]
+      },
+      promptText: { type: 'string', label: 'Prompt Text (instead of reading each option)' },
+      promptAudioNodeId: { type: 'string', label: 'Prompt Audio Node ID' },
+      rememberChoice: { type: 'boolean', default: true, label: 'Remember For Next Call' },
+      skipIfKnown: { type: 'boolean', default: true, label: 'Skip When Language Is Known' },
+      timeoutSeconds: { type: 'number', default: 10, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 3, min: 1, max: 10, label: 'Max Attempts' }
+    }
+  },
+
+  [NODE_TYPES.VERIFY]: {
+    name: 'Verify Caller',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '🔐',
+    description: 'Collect an account number and PIN and check them against stored credentials',
+    color: '#2196F3',
+    inputs: 1,
+    outputs: ['verified', 'failed', 'locked'],
+    dataSchema: {
+      accountPromptText: { type: 'string', label: 'Account Prompt', placeholder: 'Please enter your account number, followed by the hash key.' },
+      pinPromptText: { type: 'string', label: 'PIN Prompt', placeholder: 'Please enter your PIN, followed by the hash key.' },
+      invalidInputMessage: { type: 'string', default: 'That account number and PIN did not match. Please try again.', label: 'Failed Attempt Message' },
+      timeoutMessage: { type: 'string', label: 'No Input Message' },
+      lockedMessage: { type: 'string', default: 'Too many unsuccessful attempts. Please try again later.', label: 'Locked Out Message' },
+      timeoutSeconds: { type: 'number', default: 10, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 3, min: 1, max: 10, label: 'Attempts per Call' },
+      lockoutThreshold: { type: 'number', default: 5, min: 1, max: 50, label: 'Failures Before Lockout' },
+      lockoutMinutes: { type: 'number', default: 30, min: 1, max: 1440, label: 'Lockout (minutes)' }
+    },
+    validation: {
+      rules: {
+        timeoutSeconds: { min: 1, max: 60 },
+        maxAttempts: { min: 1, max: 10 },
+        lockoutThreshold: { min: 1, max: 50 },
+        lockoutMinutes: { min: 1, max: 1440 }
+      }
+    }
+  },
+
+  [NODE_TYPES.SURVEY]: {
+    name: 'Survey',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '⭐',
+    description: 'Ask rating or yes/no questions and store the answers for survey reporting',
+    color: '#F59E0B',
+    inputs: 1,
+    outputs: ['completed', 'incomplete'],
+    dataSchema: {
+      surveyName: { type: 'string', label: 'Survey Name', placeholder: 'Post-call CSAT' },
+      introText: { type: 'string', label: 'Intro Text', placeholder: 'Before you go, please answer a quick question about your call.' },
+      questions: {
+        type: 'array',
+        required: true,
+        label: 'Questions',
+        itemSchema: {
+          id: { type: 'string', label: 'Question ID', placeholder: 'csat' },
+          text: { type: 'string', label: 'Question', placeholder: 'Please rate your call from 1 to 5.' },
+          type: { type: 'select', options: ['rating', 'yes_no'], default: 'rating', label: 'Answer Type' },
+          scale: { type: 'number', default: 5, min: 2, max: 9, label: 'Highest Rating' }
+        },
+        default: [
+          { id: 'csat', text: 'How satisfied were you with your call today? Press a number from 1 for very unsatisfied to 5 for very satisfied.', type: 'rating', scale: 5 }
+        ]
+      },
+      thankYouText: { type: 'string', default: 'Thank you for your feedback.', label: 'Thank You Message' },
+      invalidInputMessage: { type: 'string', default: 'Sorry, that is not one of the choices.', label: 'Invalid Input Message' },
+      timeoutMessage: { type: 'string', default: 'We did not receive your answer.', label: 'No Input Message' },
+      timeoutSeconds: { type: 'number', default: 8, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 2, min: 1, max: 5, label: 'Attempts per Question' },
+      agentVariable: { type: 'string', default: 'transfer.agent', label: 'Agent Variable' }
+    },
+    validation: {
+      rules: {
+        timeoutSeconds: { min: 1, max: 60 },
+        maxAttempts: { min: 1, max: 5 }
+      }
+    }
+  },
+
+  [NODE_TYPES.RESUME]: {
+    name: 'Resume',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '⏯️',
+    description: 'Offer returning callers to continue from where their last unfinished call stopped, with its variables restored',
+    color: '#14B8A6',
+    inputs: 1,
+    outputs: ['new'],
+    dataSchema: {
+      promptText: {
+        type: 'string',
+        default: 'Welcome back. Press 1 to continue where you left off, or 2 to start over.',
+        label: 'Prompt Text'
+      },
+      resumeDigit: { type: 'string', default: '1', label: 'Continue Digit' },
+      restartDigit: { type: 'string', default: '2', label: 'Start Over Digit' },
+      maxAgeHours: { type: 'number', default: 24, min: 1, max: 168, label: 'Offer Calls From the Last (hours)' },
+      invalidInputMessage: { type: 'string', default: 'Sorry, that is not one of the choices.', label: 'Invalid Input Message' },
+      timeoutMessage: { type: 'string', default: 'We did not receive your choice.', label: 'No Input Message' },
+      timeoutSeconds: { type: 'number', default: 8, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 2, min: 1, max: 5, label: 'Max Attempts' }
+    },
+    validation: {
+      rules: {
+        timeoutSeconds: { min: 1, max: 60 },
+        maxAgeHours: { min: 1, max: 168 },
+        maxAttempts: { min: 1, max: 5 }
+      }
+    }
+  },
+
+  [NODE_TYPES.RECORD_CONTROL]: {
+    name: 'Record Control',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '⏺️',
+    description: 'Ask the caller for recording consent, or start, pause or resume recording of the live call',
+    color: '#DC2626',
+    inputs: 1,
+    // consent: accepted / declined / no_response; start, pause, resume: success / failure / no_consent
+    outputs: ['accepted', 'declined'],
+    dataSchema: {
+      action: { type: 'select', options: ['consent', 'start', 'pause', 'resume'], default: 'consent', label: 'Action' },
+      promptText: {
+        type: 'string',
+        default: 'This call may be recorded for quality and training purposes. Press 1 to allow recording, or 2 to continue without recording.',
+        label: 'Consent Prompt'
+      },
+      acceptDigit: { type: 'string', default: '1', label: 'Accept Digit' },
+      declineDigit: { type: 'string', default: '2', label: 'Decline Digit' },
+      acceptedText: { type: 'string', label: 'Accepted Message', placeholder: 'Thank you, this call will be recorded.' },
+      declinedText: { type: 'string', label: 'Declined Message', placeholder: 'This call will not be recorded.' },
+      startOnAccept: { type: 'boolean', default: true, label: 'Start Recording On Accept' },
+      invalidInputMessage: { type: 'string', default: 'Sorry, that is not one of the choices.', label: 'Invalid Input Message' },
+      timeoutMessage: { type: 'string', default: 'We did not receive your choice.', label: 'No Input Message' },
+      timeoutSeconds: { type: 'number', default: 8, min: 1, max: 60, label: 'Timeout (seconds)' },
+      maxAttempts: { type: 'number', default: 2, min: 1, max: 5, label: 'Max Attempts' }
+    },
+    validation: {
+      rules: {
+        timeoutSeconds: { min: 1, max: 60 },
+        maxAttempts: { min: 1, max: 5 }
+      }
+    }
+  },
+
+  [NODE_TYPES.SPEECH_INPUT]: {
+    name: 'Speech Input',
+    category: NODE_CATEGORIES.INTERACTION,
+    icon: '🗣️',
+    description: 'Ask a question and route on what the caller says',
+    color: '#0EA5E9',
+    inputs: 1,
+    // One extra output per configured intent handle
+    outputs: ['no_match', 'timeout'],
+    dataSchema: {
+      promptText: { type: 'string', required: true, label: 'Prompt Text', placeholder: 'How can we help you today?' },
+      language: { type: 'string', default: 'en-US', label: 'Speech Language' },
+      hints: { type: 'string', label: 'Hints (comma separated)', placeholder: 'billing, sales, support' },
+      speechTimeout: { type: 'string', default: 'auto', label: 'Speech Timeout (seconds or auto)' },
+      speechModel: { type: 'select', options: ['default', 'numbers_and_commands', 'phone_call', 'experimental_conversations'], default: 'default', label: 'Speech Model' },
+      timeoutSeconds: { type: 'number', default: 5, min: 1, max: 60, label: 'Timeout (seconds)' },
+      confidenceThreshold: { type: 'number', default: 0.5, min: 0, max: 1, label: 'Confidence Threshold' },
+      intents: {
+        type: 'array',
+        label: 'Intents',
+        itemSchema: {
+          handle: { type: 'string', label: 'Output Handle' },
+          keywords: { type: 'array', label: 'Keywords' },
+          synonyms: { type: 'array', label: 'Synonyms' }
+        }
+      },
+      resultVariable: { type: 'string', default: 'speech.result', label: 'Transcript Variable' },
+      intentVariable: { type: 'string', default: 'speech.intent', label: 'Intent Variable' },
+      maxAttempts: { type: 'number', default: 3, min: 1, max: 10, label: 'Max Attempts' },
+      promptAudioNodeId: { type: 'string', label: 'Prompt Audio Node ID' },
+      invalidAudioNodeId: { type: 'string', label: 'No Match Audio Node ID' },
+      timeoutAudioNodeId: { type: 'string', label: 'Timeout Audio Node ID' }
+    },
+    validation: {
+      required: ['promptText'],
+      rules: {
+        promptText: { minLength: 1, maxLength: 500 },
+        confidenceThreshold: { min: 0, max: 1 },
+        maxAttempts: { min: 1, max: 10 }
+      }
+    }
+  },
+
   [NODE_TYPES.CONDITIONAL]: {
     name: 'Conditional',
     category: NODE_CATEGORIES.LOGIC,
@@ -140,7 +401,9 @@ export const NODE_CONFIGS = {
     inputs: 1,
     outputs: ['true', 'false'],
     dataSchema: {
-      condition: { type: 'select', options: ['business_hours', 'caller_id', 'custom'], default: 'business_hours', label: 'Condition Type' },
+      condition: { type: 'select', options: ['business_hours', 'caller_id', 'custom', 'expression'], default: 'business_hours', label: 'Condition Type' },
+      expression: { type: 'string', label: 'Expression', placeholder: "callerNumber starts_with '+91' and hour >= 9" },
+      businessHoursCalendarId: { type: 'string', label: 'Business Hours Calendar ID', condition: { condition: 'business_hours' } },
       variable: { type: 'string', label: 'Variable Name' },
       operator: { type: 'select', options: ['equals', 'not_equals', 'contains', 'greater_than', 'less_than', 'exists', 'regex'], default: 'equals', label: 'Operator' },
       value: { type: 'string', label: 'Value' },
@@ -154,7 +417,8 @@ export const NODE_CONFIGS = {
       required: ['condition'],
       rules: {
         variable: { minLength: 1, maxLength: 100, condition: { condition: 'custom' } },
-        value: { maxLength: 200 }
+        value: { maxLength: 200 },
+        expression: { maxLength: 2000 }
       }
     }
   },
@@ -196,22 +460,64 @@ export const NODE_CONFIGS = {
     inputs: 1,
     outputs: ['answered', 'busy', 'no_answer', 'failed'],
     dataSchema: {
-      destination: { type: 'string', required: true, label: 'Destination Number', placeholder: '+1234567890' },
+      destination: { type: 'string', label: 'Destination Number', placeholder: '+1234567890 or {{agent.phone}}' },
+      // Ring group; takes precedence over destination when set
+      targets: {
+        type: 'array',
+        label: 'Ring Group',
+        itemSchema: {
+          type: { type: 'select', options: ['number', 'sip', 'client'], default: 'number', label: 'Type' },
+          value: { type: 'string', label: 'Number / SIP URI / Client', placeholder: '+1234567890' },
+          timeout: { type: 'number', min: 5, max: 600, label: 'Ring Timeout (seconds)' }
+        },
+        default: []
+      },
+      ringStrategy: { type: 'select', options: ['sequential', 'simultaneous'], default: 'sequential', label: 'Ring Strategy' },
+      callerId: { type: 'string', label: 'Caller ID', placeholder: '+1234567890' },
       label: { type: 'string', label: 'Label' },
       announceText: { type: 'string', label: 'Announcement Text', placeholder: 'Transferring you now...' },
+      failureText: { type: 'string', label: 'Failure Message', placeholder: 'Used when no outcome handle is connected' },
       timeout: { type: 'number', default: 30, min: 10, max: 120, label: 'Ring Timeout (seconds)' },
       // Backend-mapped fields
-      announce_text: { type: 'string', label: 'Announcement Text' }
+      announce_text: { type: 'string', label: 'Announcement Text' },
+      ring_strategy: { type: 'string', label: 'Ring Strategy' }
     },
     validation: {
-      required: ['destination'],
       rules: {
-        destination: { pattern: /^\+?[1-9]\d{1,14}$/ },
         timeout: { min: 10, max: 120 }
       }
     }
   },
 
+  [NODE_TYPES.QUEUE]: {
+    name: 'Queue',
+    category: NODE_CATEGORIES.ACTION,
+    icon: '👥',
+    description: 'Connect the caller to the longest-idle agent with the required skills, or hold them in a queue',
+    color: '#6366F1',
+    inputs: 1,
+    outputs: ['answered'],
+    dataSchema: {
+      queueName: { type: 'string', default: 'General', label: 'Queue Name' },
+      requiredSkills: {
+        type: 'array',
+        label: 'Required Skills',
+        itemSchema: {
+          name: { type: 'string', label: 'Skill', placeholder: 'billing' },
+          minProficiency: { type: 'number', default: 1, min: 1, max: 10, label: 'Minimum Proficiency' }
+        },
+        default: []
+      },
+      agentTimeout: { type: 'number', default: 20, min: 5, max: 120, label: 'Agent Ring Timeout (seconds)' },
+      workflowSid: { type: 'string', label: 'TaskRouter Workflow SID' }
+    },
+    validation: {
+      rules: {
+        agentTimeout: { min: 5, max: 120 }
+      }
+    }
+  },
+
   [NODE_TYPES.REPEAT]: {
     name: 'Repeat',
     category: NODE_CATEGORIES.LOGIC,
@@ -248,7 +554,8 @@ export const NODE_CONFIGS = {
     outputs: [],
     dataSchema: {
       text: { type: 'string', label: 'Goodbye Message', placeholder: 'Thank you for calling. Goodbye!' },
-      terminationType: { type: 'select', options: ['hangup', 'transfer', 'voicemail', 'callback'], default: 'hangup', label: 'Termination Type' },
+      terminationType: { type: 'select', options: ['hangup', 'transfer', 'voicemail', 'callback', 'return'], default: 'hangup', label: 'Termination Type' },
+      returnHandle: { type: 'string', default: 'done', label: 'Return Handle', placeholder: 'verified', condition: { terminationType: 'return' } },
       transferNumber: { type: 'string', label: 'Transfer Number', placeholder: '+1234567890', condition: { terminationType: 'transfer' } },
       voicemailBox: { type: 'string', label: 'Voicemail Box', condition: { terminationType: 'voicemail' } },
       callbackDelay: { type: 'number', default: 15, min: 1, max: 60, label: 'Callback Delay (minutes)', condition: { terminationType: 'callback' } },
@@ -302,6 +609,59 @@ export const NODE_CONFIGS = {
     }
   },
 
+  [NODE_TYPES.API_CALL]: {
+    name: 'API Call',
+    category: NODE_CATEGORIES.SERVICE,
+    icon: '🌐',
+    description: 'Call an external HTTP API and store parts of the response in variables',
+    color: '#607D8B',
+    inputs: 1,
+    // Status handles ("404", "5xx") may be added alongside these
+    outputs: ['success', 'error', 'timeout', 'blocked'],
+    dataSchema: {
+      url: { type: 'string', required: true, label: 'URL', placeholder: 'https://api.example.com/customers/{{callerNumber}}' },
+      method: { type: 'select', options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], default: 'GET', label: 'Method' },
+      headers: { type: 'object', label: 'Headers', placeholder: '{"Authorization": "Bearer {{apiToken}}"}' },
+      body: { type: 'object', label: 'Body', placeholder: '{"phone": "{{callerNumber}}"}' },
+      outputVariable: { type: 'string', label: 'Output Variable', placeholder: 'crm' },
+      responseMappings: {
+        type: 'array',
+        label: 'Response Mappings',
+        itemSchema: {
+          variable: { type: 'string', label: 'Variable' },
+          path: { type: 'string', label: 'JSON Path', placeholder: '$.data.customer.name' }
+        },
+        default: []
+      },
+      timeoutMs: { type: 'number', default: 5000, min: 500, max: 10000, label: 'Timeout (ms)' },
+      retries: { type: 'number', default: 0, min: 0, max: 3, label: 'Retries' },
+      retryDelayMs: { type: 'number', default: 500, min: 0, max: 5000, label: 'Retry Delay (ms)' }
+    },
+    validation: {
+      required: ['url'],
+      rules: {
+        timeoutMs: { min: 500, max: 10000 },
+        retries: { min: 0, max: 3 }
+      }
+    }
+  },
+
+  [NODE_TYPES.LOOKUP]: {
+    name: 'Customer Lookup',
+    category: NODE_CATEGORIES.DATA,
+    icon: '🔎',
+    description: 'Find the caller in the imported customer directory and load their details into variables',
+    color: '#795548',
+    inputs: 1,
+    outputs: ['found', 'not_found', 'error'],
+    dataSchema: {
+      matchBy: { type: 'select', options: ['caller', 'variable'], default: 'caller', label: 'Match By' },
+      matchVariable: { type: 'string', label: 'Phone Variable', placeholder: 'accountPhone', condition: { matchBy: 'variable' } },
+      variablePrefix: { type: 'string', label: 'Variable Prefix', placeholder: 'customer' },
+      fields: { type: 'array', label: 'Columns to Load', placeholder: 'name, plan', default: [] }
+    }
+  },
+
   [NODE_TYPES.AVAILABILITY_CHECK]: {
     name: 'Availability Check',
     category: NODE_CATEGORIES.ACTION,
@@ -414,6 +774,52 @@ export const NODE_CONFIGS = {
     }
   },
 
+  [NODE_TYPES.SUBFLOW]: {
+    name: 'Subflow',
+    category: NODE_CATEGORIES.LOGIC,
+    icon: '🧩',
+    description: 'Run another workflow and continue here when it returns',
+    color: '#795548',
+    inputs: 1,
+    // Plus one output per return handle used by the child's return nodes
+    outputs: ['done', 'error'],
+    dataSchema: {
+      targetWorkflowId: { type: 'string', label: 'Target Workflow ID' },
+      targetPromptKey: { type: 'string', label: 'Target Prompt Key', placeholder: 'verify_caller' },
+      inputVariables: { type: 'string', label: 'Variables Passed In', placeholder: 'customerId, phone:callbackNumber' },
+      outputVariables: { type: 'string', label: 'Variables Returned', placeholder: 'verified, callbackNumber' }
+    }
+  },
+
+  [NODE_TYPES.SPLIT]: {
+    name: 'Traffic Split',
+    category: NODE_CATEGORIES.LOGIC,
+    icon: '🔀',
+    description: 'Send a weighted share of callers down each arm for A/B tests',
+    color: '#0EA5E9',
+    inputs: 1,
+    // One output per configured arm handle
+    outputs: ['a', 'b'],
+    dataSchema: {
+      arms: {
+        type: 'array',
+        required: true,
+        label: 'Arms',
+        itemSchema: {
+          handle: { type: 'string', label: 'Output Handle' },
+          weight: { type: 'number', min: 0, label: 'Weight' },
+          label: { type: 'string', label: 'Label' }
+        },
+        default: [
+          { handle: 'a', weight: 50, label: 'Variant A' },
+          { handle: 'b', weight: 50, label: 'Variant B' }
+        ]
+      },
+      experimentKey: { type: 'string', label: 'Experiment Key', placeholder: 'greeting_test' },
+      deterministic: { type: 'boolean', default: true, label: 'Same Arm For Repeat Callers' }
+    }
+  },
+
 };
 
 // Execution Configuration - Consolidated
@@ -0,0 +1,207 @@
+/**
+ * Built-in workflow templates, copied into the WorkflowTemplate collection
+ * on first use. Node data may contain [[parameter]] placeholders that are
+ * filled in when a template is instantiated; a value that is exactly one
+ * placeholder takes the parameter's raw value (e.g. a slot list).
+ * Bump `version` when a template changes so stored copies are refreshed.
+ */
+
+const DEFAULT_CLINIC_SLOTS = [
+  { key: 'morning', label: '10 AM', startTime: '10:00', endTime: '10:30', capacity: 4, digit: '1' },
+  { key: 'afternoon', label: '2 PM', startTime: '14:00', endTime: '14:30', capacity: 4, digit: '2' },
+  { key: 'evening', label: '5 PM', startTime: '17:00', endTime: '17:30', capacity: 4, digit: '3' }
+];
+
+export const SYSTEM_WORKFLOW_TEMPLATES = [
+  {
+    key: 'clinic_booking',
+    version: 1,
+    name: 'Clinic Appointment Booking',
+    description: 'Let callers pick an appointment slot, offer the next free slot when one is full and hand off to the front desk when needed.',
+    category: 'booking',
+    parameters: [
+      { key: 'business_name', label: 'Clinic name', type: 'text', required: true },
+      { key: 'transfer_number', label: 'Front desk number', type: 'phone', required: true },
+      { key: 'slots', label: 'Appointment slots', type: 'slots', required: false, default: DEFAULT_CLINIC_SLOTS },
+      { key: 'timezone', label: 'Timezone', type: 'text', required: false, default: 'Asia/Kolkata' }
+    ],
+    workflow: {
+      nodes: [
+        { id: 'greeting', type: 'greeting', position: { x: 0, y: 0 }, data: { text: 'Thank you for calling [[business_name]]. Let us book your appointment.' } },
+        {
+          id: 'choose_slot',
+          type: 'availability_check',
+          position: { x: 0, y: 150 },
+          data: {
+            promptText: 'Press 1 for 10 AM, 2 for 2 PM or 3 for 5 PM.',
+            slotDefinitions: '[[slots]]',
+            timezone: '[[timezone]]'
+          }
+        },
+        {
+          id: 'offer_slot',
+          type: 'slot_offer',
+          position: { x: 300, y: 300 },
+          // The engine appends the chosen (or next free) slot and asks to book it
+          data: { promptText: 'Please answer 1 for yes or 2 for no.' }
+        },
+        {
+          id: 'confirm',
+          type: 'booking_confirm',
+          position: { x: 0, y: 450 },
+          data: { promptText: 'Press 1 to confirm your appointment, or 2 to speak to our front desk.' }
+        },
+        { id: 'create_booking', type: 'booking_create', position: { x: 0, y: 600 }, data: { bookingReferencePrefix: 'APT' } },
+        {
+          id: 'booked',
+          type: 'audio',
+          position: { x: 0, y: 750 },
+          data: { mode: 'tts', messageText: 'Your appointment is booked. We look forward to seeing you at [[business_name]].' }
+        },
+        {
+          id: 'front_desk',
+          type: 'transfer',
+          position: { x: 600, y: 600 },
+          data: { destination: '[[transfer_number]]', announceText: 'Connecting you to our front desk.' }
+        },
+        { id: 'goodbye', type: 'end', position: { x: 0, y: 900 }, data: { text: 'Thank you for calling. Goodbye.' } }
+      ],
+      edges: [
+        { id: 'e_greeting', source: 'greeting', target: 'choose_slot' },
+        { id: 'e_available', source: 'choose_slot', target: 'offer_slot', sourceHandle: 'available' },
+        { id: 'e_full', source: 'choose_slot', target: 'offer_slot', sourceHandle: 'full' },
+        { id: 'e_invalid', source: 'choose_slot', target: 'front_desk', sourceHandle: 'invalid' },
+        { id: 'e_offer_yes', source: 'offer_slot', target: 'confirm', sourceHandle: 'yes' },
+        { id: 'e_offer_no', source: 'offer_slot', target: 'front_desk', sourceHandle: 'no' },
+        { id: 'e_confirm_yes', source: 'confirm', target: 'create_booking', sourceHandle: 'yes' },
+        { id: 'e_confirm_no', source: 'confirm', target: 'front_desk', sourceHandle: 'no' },
+        { id: 'e_created', source: 'create_booking', target: 'booked', sourceHandle: 'success' },
+        { id: 'e_create_failed', source: 'create_booking', target: 'front_desk', sourceHandle: 'failure' },
+        { id: 'e_booked', source: 'booked', target: 'goodbye' }
+      ],
+      config: {},
+      tags: ['booking', 'clinic']
+    }
+  },
+  {
+    key: 'customer_service',
+    version: 1,
+    name: 'Customer Service',
+    description: 'Route callers to sales or support, take a message when nobody answers and ask for a rating after the call.',
+    category: 'support',
+    parameters: [
+      { key: 'business_name', label: 'Business name', type: 'text', required: true },
+      { key: 'sales_number', label: 'Sales number', type: 'phone', required: true },
+      { key: 'support_number', label: 'Support number', type: 'phone', required: true },
+      { key: 'mailbox', label: 'Voicemail mailbox', type: 'text', required: false, default: 'support' }
+    ],
+    workflow: {
+      nodes: [
+        { id: 'greeting', type: 'greeting', position: { x: 0, y: 0 }, data: { text: 'Welcome to [[business_name]].' } },
+        {
+          id: 'main_menu',
+          type: 'menu',
+          position: { x: 0, y: 150 },
+          data: {
+            menuOptions: [
+              { digit: '1', label: 'Sales', text: 'For sales, press 1.' },
+              { digit: '2', label: 'Support', text: 'For support, press 2.' },
+              { digit: '3', label: 'Message', text: 'To leave a message, press 3.' }
+            ]
+          }
+        },
+        {
+          id: 'sales',
+          type: 'transfer',
+          position: { x: -300, y: 300 },
+          data: { destination: '[[sales_number]]', announceText: 'Connecting you to our sales team.' }
+        },
+        {
+          id: 'support',
+          type: 'transfer',
+          position: { x: 0, y: 300 },
+          data: { destination: '[[support_number]]', announceText: 'Connecting you to our support team.' }
+        },
+        {
+          id: 'message',
+          type: 'voicemail',
+          position: { x: 300, y: 300 },
+          data: {
+            text: 'Please leave your name, number and a short message after the beep.',
+            mailbox: '[[mailbox]]',
+            transcribe: true,
+            fallbackNodeId: 'goodbye'
+          }
+        },
+        {
+          id: 'rating',
+          type: 'survey',
+          position: { x: -150, y: 450 },
+          data: {
+            surveyName: 'Customer service CSAT',
+            introText: 'Before you go, please rate the help you received.',
+            questions: [
+              { id: 'csat', type: 'rating', scale: 5, text: 'Press a number from 1 for very unsatisfied to 5 for very satisfied.' }
+            ]
+          }
+        },
+        { id: 'goodbye', type: 'end', position: { x: 0, y: 600 }, data: { text: 'Thank you for calling [[business_name]]. Goodbye.' } }
+      ],
+      edges: [
+        { id: 'e_greeting', source: 'greeting', target: 'main_menu' },
+        { id: 'e_sales', source: 'main_menu', target: 'sales', sourceHandle: '1' },
+        { id: 'e_support', source: 'main_menu', target: 'support', sourceHandle: '2' },
+        { id: 'e_message', source: 'main_menu', target: 'message', sourceHandle: '3' },
+        { id: 'e_no_match', source: 'main_menu', target: 'message', sourceHandle: 'no_match' },
+        { id: 'e_sales_answered', source: 'sales', target: 'rating', sourceHandle: 'answered' },
+        { id: 'e_sales_failed', source: 'sales', target: 'message', sourceHandle: 'failed' },
+        { id: 'e_support_answered', source: 'support', target: 'rating', sourceHandle: 'answered' },
+        { id: 'e_support_failed', source: 'support', target: 'message', sourceHandle: 'failed' },
+        { id: 'e_recorded', source: 'message', target: 'goodbye', sourceHandle: 'recorded' },
+        { id: 'e_rated', source: 'rating', target: 'goodbye', sourceHandle: 'completed' }
+      ],
+      config: {},
+      tags: ['support']
+    }
+  },
+  {
+    key: 'after_hours_voicemail',
+    version: 1,
+    name: 'After-hours Voicemail',
+    description: 'Tell callers the office is closed, give the opening hours and take a transcribed message.',
+    category: 'voicemail',
+    parameters: [
+      { key: 'business_name', label: 'Business name', type: 'text', required: true },
+      { key: 'opening_hours', label: 'Opening hours', type: 'text', required: false, default: 'Monday to Friday, 9 AM to 6 PM' },
+      { key: 'mailbox', label: 'Voicemail mailbox', type: 'text', required: false, default: 'after_hours' }
+    ],
+    workflow: {
+      nodes: [
+        {
+          id: 'closed',
+          type: 'greeting',
+          position: { x: 0, y: 0 },
+          data: { text: 'You have reached [[business_name]]. Our office is currently closed. Our opening hours are [[opening_hours]].' }
+        },
+        {
+          id: 'message',
+          type: 'voicemail',
+          position: { x: 0, y: 150 },
+          data: {
+            text: 'Please leave your name, number and a short message after the beep.',
+            mailbox: '[[mailbox]]',
+            transcribe: true,
+            fallbackNodeId: 'goodbye'
+          }
+        },
+        { id: 'goodbye', type: 'end', position: { x: 0, y: 300 }, data: { text: 'Thank you. We will call you back on the next business day. Goodbye.' } }
+      ],
+      edges: [
+        { id: 'e_closed', source: 'closed', target: 'message' },
+        { id: 'e_recorded', source: 'message', target: 'goodbye', sourceHandle: 'recorded' }
+      ],
+      config: {},
+      tags: ['voicemail', 'after-hours']
+    }
+  }
+];
@@ -2,12 +2,13 @@ import Call from '../models/call.js';
 import BroadcastCall from '../models/BroadcastCall.js';
 import ExecutionLog from '../models/ExecutionLog.js';
 import Workflow from '../models/Workflow.js';
-import User from '../models/user.js';
+import Agent from '../models/Agent.js';
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 import { getIO } from '../sockets/unifiedSocket.js';
 import { getRawUserId, getUserObjectId } from '../utils/authContext.js';
-import { getDateRangeInTimezone } from '../utils/timezoneDate.js';
+import { getDateRangeInTimezone, parseDateOnlyInTimezone } from '../utils/timezoneDate.js';
+import surveyService from '../services/surveyService.js';
 
 const VOICE_TIME_ZONE = 'Asia/Kolkata';
 
@@ -57,6 +58,43 @@ class AnalyticsController {
     }
   }
 
+  /**
+   * Survey report. Query: period (default month) or from/to dates
+   * (YYYY-MM-DD), workflowId, interval (day, week or month).
+   */
+  async getSurveyAnalytics(req, res) {
+    try {
+      const userId = getUserObjectId(req);
+      if (!userId) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+      const { period = 'month', from, to, workflowId, interval = 'day' } = req.query;
+      const range = this.getDateRange(period);
+      const start = from ? parseDateOnlyInTimezone(from, VOICE_TIME_ZONE) : range.start;
+      const end = to ? parseDateOnlyInTimezone(to, VOICE_TIME_ZONE, true) : range.end;
+      if (!start || !end) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+      }
+
+      const report = await surveyService.getReport(userId, { start, end, workflowId, interval, timezone: VOICE_TIME_ZONE });
+      res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('[Analytics] Failed to get survey analytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate survey analytics',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get unified voice dashboard stats for today
    * Includes inbound/ivr/outbound (Call model) + broadcast outbound (BroadcastCall model)
@@ -307,7 +345,7 @@ class AnalyticsController {
       this.getUnifiedHourlyDistribution(dateRange, callType, status, ownerFilter, userId),
       this.getIVRBreakdown(dateRange, userId),
       this.getAIMetrics(dateRange, ownerFilter),
-      this.getUsersStats(),
+      this.getUsersStats(userObjectId),
       this.getIVRStats(dateRange, userId),
       this.getQueueStats(dateRange, ownerFilter),
       this.getUnifiedRecentCalls(this.getRecentCallLimit(), dateRange, callType, status, ownerFilter, userId),
@@ -996,14 +1034,15 @@ class AnalyticsController {
   }
 
   /**
-   * Get users/agents stats
+   * Get agent stats. Agents away from their desk are not active.
    */
-  async getUsersStats() {
+  async getUsersStats(userId = null) {
+    const agentFilter = userId ? { userId } : {};
     const [totalAgents, activeAgents, avgHandleTime, utilization] = await Promise.all([
-      User.countDocuments({ role: 'agent' }),
-      User.countDocuments({ role: 'agent', status: 'online' }),
-      this.getAvgHandleTime(),
-      this.getAgentUtilization()
+      Agent.countDocuments(agentFilter),
+      Agent.countDocuments({ ...agentFilter, state: { $ne: 'away' } }),
+      this.getAvgHandleTime(userId),
+      this.getAgentUtilization(userId)
     ]);
 
     return {
@@ -1816,18 +1855,20 @@ class AnalyticsController {
     return getDateRangeInTimezone(period, VOICE_TIME_ZONE);
   }
 
-  async getAvgHandleTime() {
+  async getAvgHandleTime(userId = null) {
     const result = await Call.aggregate([
-      { $match: { status: 'completed', agentId: { $exists: true } } },
+      { $match: { ...(userId ? { user: userId } : {}), status: 'completed', agentId: { $ne: null } } },
       { $group: { _id: null, avg: { $avg: '$duration' } } }
     ]);
     return result[0]?.avg || 0;
   }
 
-  async getAgentUtilization() {
+  // Share of logged-in agents who are on a call
+  async getAgentUtilization(userId = null) {
+    const agentFilter = { ...(userId ? { userId } : {}), state: { $ne: 'away' } };
     const [active, total] = await Promise.all([
-      User.countDocuments({ role: 'agent', status: 'online' }),
-      User.countDocuments({ role: 'agent' })
+      Agent.countDocuments({ ...agentFilter, 'activeCalls.0': { $exists: true } }),
+      Agent.countDocuments(agentFilter)
     ]);
     return total > 0 ? Math.round((active / total) * 100) : 0;
   }
@@ -5,6 +5,7 @@ import ExecutionLog from '../models/ExecutionLog.js';
 import logger from '../utils/logger.js';
 import inboundCallService from '../services/inboundCallService.js';
 import broadcastService from '../services/broadcastService.js';
+import voicemailService from '../services/voicemailService.js';
 import analyticsController from './analyticsController.js';
 import {
   emitCallDetailsUpdate, 
@@ -73,6 +74,7 @@ class CallDetailsController {
 
       // Enrich call data with additional details
       const enrichedDetails = await this.enrichCallData(callDetails);
+      enrichedDetails.voicemails = await voicemailService.listForCall(userId, callId);
 
       res.json({
         success: true,
@@ -214,6 +216,8 @@ class CallDetailsController {
       // Get execution logs if available
       const executionLog = await ExecutionLog.findOne({ callSid: callId, userId }).lean();
 
+      const voicemails = await voicemailService.listForCall(userId, callId);
+
       // Get workflow details
       let workflowDetails = null;
       if (call.routing && call.routing !== 'default') {
@@ -266,6 +270,7 @@ class CallDetailsController {
             errors: executionLog.errors || []
           } : null,
           conversationFlow,
+          voicemails,
           createdAt: call.createdAt,
           updatedAt: call.updatedAt
         }
@@ -382,6 +387,7 @@ class CallDetailsController {
         transcribed: call.voicemail.transcribed || false,
         transcription: call.voicemail.transcription
       } : null;
+      const voicemails = await voicemailService.listForCall(userId, callId);
 
       res.json({
         success: true,
@@ -396,6 +402,7 @@ class CallDetailsController {
           queue: queueInfo,
           callback: callbackInfo,
           voicemail: voicemailInfo,
+          voicemails,
           aiMetrics: call.aiMetrics || null,
           conversation: call.conversation || [],
           createdAt: call.createdAt,
@@ -13,6 +13,9 @@ import { getUserRoom } from '../sockets/unifiedSocket.js';
 import { deleteFromCloudinary } from '../utils/cloudinaryUtils.js';
 import { buildIVRMenuListPayload } from '../services/ivrMenuSnapshotService.js';
 import ivrCascadeDeleteService from '../services/ivrCascadeDeleteService.js';
+import voicemailService from '../services/voicemailService.js';
+import agentService from '../services/agentService.js';
+import workflowVersionService from '../services/workflowVersionService.js';
 
 // Import Socket.IO instance for real-time events
 let io = null;
@@ -244,6 +247,29 @@ class InboundCallController {
   /**
    * Ã°Å¸Å½â€ºÃ¯Â¸Â Handle IVR menu selection
    */
+  async handleAgentDialStatus(req, res) {
+    const { callSid } = req.params;
+    try {
+      const { DialCallStatus } = req.body || {};
+      logger.info(`[${callSid}] Agent dial status: ${DialCallStatus}`);
+
+      const result = await inboundCallService.handleAgentDialOutcome(callSid, {
+        dialStatus: DialCallStatus,
+        queueName: String(req.query?.queueName || '').trim() || 'general',
+        userId: req.tenantContext?.adminId || null
+      });
+
+      res.type('text/xml');
+      res.send(result.twiml);
+    } catch (error) {
+      logger.error(`[${callSid}] Agent dial status error:`, error);
+      const VoiceResponse = twilio.twiml.VoiceResponse;
+      const response = new VoiceResponse();
+      response.hangup();
+      res.type('text/xml').status(500).send(response.toString());
+    }
+  }
+
   async handleIVRSelection(req, res) {
     try {
       const { callSid } = req.params;
@@ -309,6 +335,12 @@ class InboundCallController {
         }
       });
 
+      // A caller who hangs up while talking to an agent frees them too
+      if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+        const ownerId = req.tenantContext?.adminId || callStateService.getCallState(CallSid)?.user?._id || null;
+        await inboundCallService.releaseAgent(ownerId, CallSid);
+      }
+
       // If call completed, clean up
       if (CallStatus === 'completed') {
         await callStateService.endCall(CallSid);
@@ -349,12 +381,12 @@ class InboundCallController {
   async handleVoicemail(req, res) {
     try {
       const { callSid } = req.params;
-      const { RecordingUrl, RecordingDuration } = req.body;
+      const { RecordingUrl, RecordingDuration, RecordingSid } = req.body;
 
       logger.info(`[${callSid}] Voicemail received: ${RecordingDuration}s`);
 
       // Update call with voicemail info
-      await callStateService.updateCallStatus(callSid, 'completed', {
+      const call = await callStateService.updateCallStatus(callSid, 'completed', {
         voicemail: {
           url: RecordingUrl,
           duration: RecordingDuration,
@@ -363,6 +395,21 @@ class InboundCallController {
         endTime: new Date()
       });
 
+      try {
+        await voicemailService.recordMessage({
+          userId: call?.user,
+          callSid,
+          recordingSid: RecordingSid,
+          recordingUrl: RecordingUrl,
+          duration: RecordingDuration,
+          callerNumber: call?.phoneNumber || req.body.From,
+          destinationNumber: req.body.To,
+          source: 'inbound'
+        });
+      } catch (voicemailError) {
+        logger.error(`[${callSid}] Failed to save voicemail:`, voicemailError);
+      }
+
       const VoiceResponse = twilio.twiml.VoiceResponse;
       const response = new VoiceResponse();
       response.say({
@@ -1036,7 +1083,11 @@ class InboundCallController {
         try {
           const existingNodeAudioIds = this.collectNodeAudioAssetIds(menu.nodes || []);
           const incomingNodeAudioIds = this.collectNodeAudioAssetIds(config.nodes || []);
-          const removedNodeAudioIds = [...existingNodeAudioIds].filter((id) => !incomingNodeAudioIds.has(id));
+          // Published versions may still play audio the draft dropped
+          const versionGraphs = await workflowVersionService.listSnapshotGraphs(menu._id);
+          const versionAudioIds = this.collectNodeAudioAssetIds(versionGraphs.flatMap((graph) => graph.nodes || []));
+          const removedNodeAudioIds = [...existingNodeAudioIds]
+            .filter((id) => !incomingNodeAudioIds.has(id) && !versionAudioIds.has(id));
 
           if (removedNodeAudioIds.length > 0) {
             const { deleteFromCloudinary } = await import('../utils/cloudinaryUtils.js');
@@ -1294,12 +1345,7 @@ class InboundCallController {
       }
 
       // Also update in-memory service for runtime use
-      inboundCallService.ivrMenus.set(menuName, {
-        ...config,
-        timeout: config.timeout || 10,
-        maxAttempts: config.maxAttempts || 3,
-        invalidInputMessage: config.invalidInputMessage || 'Invalid selection. Please try again.'
-      });
+      inboundCallService.setMenu(menuName, config);
 
       logger.info(`IVR menu updated: ${menuName}`);
 
@@ -1815,7 +1861,12 @@ class InboundCallController {
    */
   async getAgentStats(req, res) {
     try {
-      const stats = inboundCallService.getAgentStats();
+      const userId = getAuthenticatedUserId(req);
+      if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized: invalid user identity' });
+      }
+
+      const stats = await agentService.getAgentStats(userId);
 
       res.json(stats);
 
@@ -1827,14 +1878,18 @@ class InboundCallController {
 
   /**
    * Ã°Å¸â€˜Â¥ Add agent to system
-   * NOTE: Agents are stored in memory only. Consider DB persistence for production use.
+   * Kept for older clients; /api/agents manages agents in full.
    */
   async addAgent(req, res) {
     try {
-      const { agentId, capabilities } = req.body;
+      const { agentId, name, capabilities, skills } = req.body;
+      const userId = getAuthenticatedUserId(req);
+      if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized: invalid user identity' });
+      }
 
       // Strict validation for required fields
-      const validation = this.validateRequiredFields(req.body, ['agentId']);
+      const validation = this.validateRequiredFields({ name: name || agentId }, ['name']);
       if (!validation.isValid) {
         return res.status(400).json({
           error: validation.error,
@@ -1842,31 +1897,36 @@ class InboundCallController {
         });
       }
 
-      inboundCallService.addAgent(agentId, capabilities || []);
+      const agent = await agentService.createAgent(userId, {
+        ...req.body,
+        name: name || agentId,
+        skills: skills ?? capabilities ?? [],
+        state: req.body.state || 'available'
+      });
 
       res.json({
         success: true,
-        message: `Agent ${agentId} added successfully`,
-        agent: {
-          id: agentId,
-          capabilities: capabilities || [],
-          note: 'Agent stored in memory only - will be lost on server restart'
-        }
+        message: `Agent ${agent.name} added successfully`,
+        agent
       });
 
     } catch (error) {
       logger.error('Add agent error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
   /**
    * Ã°Å¸â€˜Â¥ Remove agent from system
-   * NOTE: Agents are stored in memory only. Consider DB persistence for production use.
+   * Accepts the agent's id or the name it was added under.
    */
   async removeAgent(req, res) {
     try {
       const { agentId } = req.params;
+      const userId = getAuthenticatedUserId(req);
+      if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized: invalid user identity' });
+      }
 
       // Strict validation for required fields
       const validation = this.validateRequiredFields(req.params, ['agentId']);
@@ -1877,17 +1937,16 @@ class InboundCallController {
         });
       }
 
-      inboundCallService.removeAgent(agentId);
+      const agent = await agentService.deleteAgent(userId, agentId);
 
       res.json({
         success: true,
-        message: `Agent ${agentId} removed successfully`,
-        note: 'Agent was stored in memory only'
+        message: `Agent ${agent.name} removed successfully`
       });
 
     } catch (error) {
       logger.error('Remove agent error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 }
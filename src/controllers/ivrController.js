@@ -4,6 +4,8 @@ import Workflow from "../models/Workflow.js";
 import logger from "../utils/logger.js";
 import TwiMLHelper from "../utils/twimlHelper.js";
 import ivrWorkflowEngine from "../services/ivrWorkflowEngine.js";
+import voicemailService from "../services/voicemailService.js";
+import agentService from "../services/agentService.js";
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
@@ -16,6 +18,8 @@ class IVRController {
     this.selectLanguage = this.selectLanguage.bind(this);
     this.handleInput = this.handleInput.bind(this);
     this.nextStep = this.nextStep.bind(this);
+    this.dialStatus = this.dialStatus.bind(this);
+    this.voicemailTranscription = this.voicemailTranscription.bind(this);
   }
 
   /* =========================
@@ -64,12 +68,7 @@ class IVRController {
         return this.sendDefaultWelcome(res);
       }
 
-      // Start from the first node (usually greeting/audio)
-      const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
-      const startNode = nodes.find((node) => node.type === 'greeting' || node.type === 'audio') || nodes[0];
-      if (!startNode) throw new Error('Workflow has no nodes');
-
-      // Initialize execution tracking
+      // Initialize execution tracking (pins the call to the published version)
       await ivrWorkflowEngine.startExecution(
         workflow._id,
         CallSid,
@@ -78,6 +77,12 @@ class IVRController {
         req.tenantContext?.adminId || workflow.createdBy || null
       );
 
+      // Start from the first node (usually greeting/audio) of the pinned graph
+      const runtimeWorkflow = await ivrWorkflowEngine.loadRuntimeWorkflow(workflow._id, CallSid);
+      const nodes = Array.isArray(runtimeWorkflow.nodes) ? runtimeWorkflow.nodes : [];
+      const startNode = nodes.find((node) => node.type === 'greeting' || node.type === 'audio') || nodes[0];
+      if (!startNode) throw new Error('Workflow has no nodes');
+
       const twiml = await ivrWorkflowEngine.generateTwiML(workflow._id, startNode.id, null, CallSid);
       this.send(res, twiml);
     } catch (err) {
@@ -95,7 +100,12 @@ class IVRController {
 
     try {
       if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
-        await ivrWorkflowEngine.endExecution(CallSid, CallStatus);
+        // The call ended while the workflow was still running (an end node would
+        // already have closed it). CallStatus is not a valid log reason, and an
+        // unsaved log loses the variables a returning caller resumes with.
+        await ivrWorkflowEngine.endExecution(CallSid, 'user_hangup');
+        // Frees an agent the caller was put through to if the dial callback never came
+        await agentService.releaseCall(req.tenantContext?.adminId, CallSid);
       }
       res.sendStatus(200);
     } catch (err) {
@@ -105,10 +115,11 @@ class IVRController {
   }
 
   /**
-   * Handles user input (DTMF) from Gather
+   * Handles user input (DTMF or speech) from Gather
    */
   async handleInput(req, res) {
-    const { CallSid, Digits, workflowId, currentNodeId } = { ...req.body, ...req.query };
+    const { CallSid, Digits, SpeechResult, Confidence, workflowId, currentNodeId } = { ...req.body, ...req.query };
+    const userInput = Digits ?? SpeechResult;
 
     try {
       if (!workflowId || !currentNodeId) {
@@ -116,10 +127,12 @@ class IVRController {
         return this.send(res, TwiMLHelper.createErrorResponse());
       }
 
-      const nextNodeId = await ivrWorkflowEngine.handleUserInput(workflowId, currentNodeId, Digits, CallSid);
+      const nextNodeId = await ivrWorkflowEngine.handleUserInput(workflowId, currentNodeId, userInput, CallSid, {
+        confidence: SpeechResult !== undefined ? Confidence : undefined
+      });
 
       if (!nextNodeId) {
-        logger.warn(`No matching path for input ${Digits} at node ${currentNodeId}`);
+        logger.warn(`No matching path for input at node ${currentNodeId}`);
         try {
           const retryTwiml = await ivrWorkflowEngine.generateTwiML(workflowId, currentNodeId, null, CallSid);
           return this.send(res, retryTwiml);
@@ -131,7 +144,7 @@ class IVRController {
       }
 
       try {
-        const twiml = await ivrWorkflowEngine.generateTwiML(workflowId, nextNodeId, Digits, CallSid);
+        const twiml = await ivrWorkflowEngine.generateTwiML(workflowId, nextNodeId, userInput, CallSid);
         this.send(res, twiml);
         return;
       } catch (nextErr) {
@@ -185,8 +198,12 @@ class IVRController {
     const { CallSid, workflowId, currentNodeId, status, fallbackNodeId } = { ...req.body, ...req.query };
 
     try {
+      if (status === 'recorded' && req.body?.RecordingUrl) {
+        await this.saveVoicemail(req, { CallSid, workflowId, currentNodeId });
+      }
+
       if (status) {
-        const nextNodeId = await ivrWorkflowEngine.getNextNodeByHandle(workflowId, currentNodeId, status);
+        const nextNodeId = await ivrWorkflowEngine.getNextNodeByHandle(workflowId, currentNodeId, status, CallSid);
         if (nextNodeId) {
           const twiml = await ivrWorkflowEngine.generateTwiML(workflowId, nextNodeId, null, CallSid);
           return this.send(res, twiml);
@@ -210,6 +227,69 @@ class IVRController {
     }
   }
 
+  /**
+   * Store the message left at a voicemail node. A failure is logged so the
+   * caller still moves on to the next node.
+   */
+  async saveVoicemail(req, { CallSid, workflowId, currentNodeId }) {
+    if (ivrWorkflowEngine.getSandbox(CallSid)) return;
+    try {
+      const state = await ivrWorkflowEngine.loadExecutionState(CallSid);
+      await voicemailService.recordMessage({
+        userId: state?.userId,
+        callSid: CallSid,
+        recordingSid: req.body.RecordingSid,
+        recordingUrl: req.body.RecordingUrl,
+        duration: req.body.RecordingDuration,
+        callerNumber: state?.callerNumber || req.body.From,
+        destinationNumber: state?.destinationNumber || req.body.To,
+        workflowId,
+        nodeId: currentNodeId,
+        mailbox: req.query.mailbox,
+        transcribe: req.query.transcribe === 'true'
+      });
+    } catch (err) {
+      logger.error(`Failed to save voicemail for call ${CallSid}:`, err);
+    }
+  }
+
+  /**
+   * transcribeCallback for voicemail node recordings
+   */
+  async voicemailTranscription(req, res) {
+    const { RecordingSid, TranscriptionText, TranscriptionStatus } = req.body || {};
+    try {
+      await voicemailService.updateTranscription(RecordingSid, {
+        text: TranscriptionText,
+        status: TranscriptionStatus
+      });
+      res.sendStatus(200);
+    } catch (err) {
+      logger.error("Voicemail transcription error:", err);
+      res.sendStatus(500);
+    }
+  }
+
+  /**
+   * <Dial action> callback for transfer nodes
+   */
+  async dialStatus(req, res) {
+    const { CallSid, DialCallStatus, workflowId, currentNodeId, leg } = { ...req.body, ...req.query };
+
+    try {
+      const twiml = await ivrWorkflowEngine.handleDialStatus(
+        workflowId,
+        currentNodeId,
+        { leg: Number(leg) || 0, dialStatus: DialCallStatus },
+        CallSid
+      );
+      this.send(res, twiml);
+    } catch (err) {
+      logger.error("Dial status error:", err);
+      this.send(res, TwiMLHelper.createErrorResponse());
+    }
+  }
+
   /* =========================
      FALLBACK / LEGACY
   ========================== */
@@ -226,7 +306,7 @@ class IVRController {
 
   // Keeping these for potential migration or testing
   async selectLanguage(req, res) {
-    // Legacy selection logic...
+    // Superseded by the language_select workflow node
     this.send(res, TwiMLHelper.createErrorResponse("This endpoint is deprecated. Using dynamic workflow instead."));
   }
 }
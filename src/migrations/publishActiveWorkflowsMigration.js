@@ -0,0 +1,27 @@
+import Workflow from '../models/Workflow.js';
+import workflowVersionService from '../services/workflowVersionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Publish every active workflow that has no published version yet, so live
+ * calls run a snapshot instead of the draft. Safe to run more than once.
+ */
+export const migratePublishActiveWorkflows = async () => {
+  const workflows = await Workflow.find({ status: 'active', isActive: true, publishedVersion: null })
+    .select('_id status publishedVersion');
+
+  let published = 0;
+  const failed = [];
+  for (const workflow of workflows) {
+    try {
+      const version = await workflowVersionService.ensurePublished(workflow, { note: 'Published by migration' });
+      if (version) published += 1;
+      logger.info(`Workflow ${workflow._id} published as version ${version}`);
+    } catch (error) {
+      failed.push(String(workflow._id));
+      logger.error(`Failed to publish workflow ${workflow._id}:`, error);
+    }
+  }
+
+  return { candidates: workflows.length, published, failed };
+};
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+const agentSkillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    proficiency: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * A person who takes queued calls for a tenant. Calls are routed to the
+ * longest-idle available agent with the queue's required skills; an agent
+ * stays available until `maxConcurrentCalls` calls are active.
+ */
+const agentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: ''
+    },
+    skills: {
+      type: [agentSkillSchema],
+      default: []
+    },
+    state: {
+      type: String,
+      enum: ['available', 'busy', 'wrap_up', 'away'],
+      default: 'away'
+    },
+    stateChangedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // When the agent last took a call or became free; routing prefers the oldest
+    idleSince: {
+      type: Date,
+      default: Date.now
+    },
+    maxConcurrentCalls: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    },
+    activeCalls: {
+      type: [String],
+      default: []
+    },
+    // Seconds in wrap_up after each call before the agent is offered calls again
+    wrapUpSeconds: {
+      type: Number,
+      min: 0,
+      max: 600,
+      default: 0
+    },
+    wrapUpUntil: {
+      type: Date,
+      default: null
+    },
+    endpoint: {
+      type: {
+        type: String,
+        enum: ['phone', 'client'],
+        default: 'phone'
+      },
+      value: {
+        type: String,
+        trim: true,
+        default: ''
+      }
+    },
+    totalCalls: {
+      type: Number,
+      default: 0
+    },
+    lastCallAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+agentSchema.index({ userId: 1, name: 1 }, { unique: true });
+agentSchema.index({ userId: 1, state: 1, idleSince: 1 });
+agentSchema.index({ userId: 1, activeCalls: 1 });
+
+const Agent = mongoose.model('Agent', agentSchema);
+
+export default Agent;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Hosts a tenant's api_call nodes may reach even though they resolve to a
+ * private or loopback network (e.g. an on-premise CRM).
+ */
+const apiCallAllowlistSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true
+    },
+    // Hostnames, "*.example.com" wildcards, IP literals or IPv4 CIDR ranges
+    hosts: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const ApiCallAllowlist = mongoose.model('ApiCallAllowlist', apiCallAllowlistSchema);
+
+export default ApiCallAllowlist;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const timeRangeSchema = new mongoose.Schema(
+  {
+    // Local wall-clock times in the calendar's timezone, "HH:MM" (end may be "24:00")
+    start: { type: String, required: true, trim: true },
+    end: { type: String, required: true, trim: true }
+  },
+  { _id: false }
+);
+
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, trim: true }, // YYYY-MM-DD
+    name: { type: String, trim: true, default: '' }
+  },
+  { _id: false }
+);
+
+const overrideSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, trim: true }, // YYYY-MM-DD
+    // Empty ranges mean closed all day
+    ranges: { type: [timeRangeSchema], default: [] },
+    note: { type: String, trim: true, default: '' }
+  },
+  { _id: false }
+);
+
+const businessHoursCalendarSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    timezone: {
+      type: String,
+      required: true,
+      trim: true,
+      default: 'Asia/Kolkata'
+    },
+    weeklySchedule: {
+      sunday: { type: [timeRangeSchema], default: [] },
+      monday: { type: [timeRangeSchema], default: [] },
+      tuesday: { type: [timeRangeSchema], default: [] },
+      wednesday: { type: [timeRangeSchema], default: [] },
+      thursday: { type: [timeRangeSchema], default: [] },
+      friday: { type: [timeRangeSchema], default: [] },
+      saturday: { type: [timeRangeSchema], default: [] }
+    },
+    holidays: {
+      type: [holidaySchema],
+      default: []
+    },
+    overrides: {
+      type: [overrideSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+businessHoursCalendarSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const BusinessHoursCalendar = mongoose.model('BusinessHoursCalendar', businessHoursCalendarSchema);
+
+export default BusinessHoursCalendar;
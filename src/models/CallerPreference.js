@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * What a tenant's IVR remembers about a caller between calls, keyed by the
+ * caller's E.164 number.
+ */
+const callerPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Locale picked at a language_select node, e.g. "ta-IN"
+    language: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    languageWorkflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+callerPreferenceSchema.index({ userId: 1, phoneNumber: 1 }, { unique: true });
+
+const CallerPreference = mongoose.model('CallerPreference', callerPreferenceSchema);
+
+export default CallerPreference;
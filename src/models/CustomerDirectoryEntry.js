@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * One row of a tenant's imported customer directory, keyed by the
+ * customer's E.164 number. `fields` holds the other CSV columns as strings
+ * so lookup nodes can load them into call variables.
+ */
+const customerDirectoryEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+customerDirectoryEntrySchema.index({ userId: 1, phone: 1 }, { unique: true });
+
+const CustomerDirectoryEntry = mongoose.model('CustomerDirectoryEntry', customerDirectoryEntrySchema);
+
+export default CustomerDirectoryEntry;
@@ -30,6 +30,12 @@ const ExecutionLogSchema = new mongoose.Schema({
         description: 'Workflow name for quick reference'
     },
 
+    workflowVersion: {
+        type: Number,
+        default: null,
+        description: 'Published workflow version the execution is pinned to'
+    },
+
     // Execution timing
     startTime: {
         type: Date,
@@ -74,7 +80,21 @@ const ExecutionLogSchema = new mongoose.Schema({
         nodeType: String,
         timestamp: Date,
         userInput: String,
-        duration: Number
+        duration: Number,
+        // Set for nodes visited inside a subflow
+        workflowId: String,
+        depth: Number
+    }],
+
+    // Traffic-split (A/B) arms the caller was assigned to
+    splitAssignments: [{
+        nodeId: String,
+        workflowId: String,
+        experimentKey: String,
+        arm: String,
+        label: String,
+        deterministic: Boolean,
+        assignedAt: Date
     }],
 
     // Execution context
@@ -155,14 +175,19 @@ const ExecutionLogSchema = new mongoose.Schema({
     ]
 });
 
+ExecutionLogSchema.index({ 'splitAssignments.workflowId': 1, 'splitAssignments.nodeId': 1 });
+// Returning-caller lookup: latest call from a number to a workflow
+ExecutionLogSchema.index({ workflowId: 1, callerNumber: 1, startTime: -1 });
+
 // Methods
-ExecutionLogSchema.methods.recordNodeVisit = function (nodeId, nodeType, userInput = null) {
+ExecutionLogSchema.methods.recordNodeVisit = function (nodeId, nodeType, userInput = null, { workflowId = null, depth = 0 } = {}) {
     this.visitedNodes.push({
         nodeId,
         nodeType,
         timestamp: new Date(),
         userInput,
-        duration: 0
+        duration: 0,
+        ...(depth > 0 ? { workflowId, depth } : {})
     });
     this.nodeExecutionCount += 1;
     return this.save();
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * Durable snapshot of a live IVR execution, keyed by Twilio CallSid.
+ * Lets any instance behind the load balancer resume a call mid-flow.
+ */
+const executionStateSchema = new mongoose.Schema(
+  {
+    callSid: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      index: true
+    },
+    state: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Optimistic concurrency token, bumped on every successful write
+    version: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+executionStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ExecutionState = mongoose.model('ExecutionState', executionStateSchema);
+
+export default ExecutionState;
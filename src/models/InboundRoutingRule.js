@@ -42,6 +42,26 @@ const inboundRoutingRuleSchema = new mongoose.Schema(
       trim: true,
       default: ''
     },
+    // Calendar behind business_hours / after_hours conditions; server hours when unset
+    businessHoursCalendarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessHoursCalendar',
+      default: null
+    },
+    // Queue actions: queue name and the skills an agent needs to take the call
+    queueName: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    requiredSkills: {
+      type: [{
+        _id: false,
+        name: { type: String, trim: true, lowercase: true, required: true },
+        minProficiency: { type: Number, min: 1, max: 10, default: 1 }
+      }],
+      default: []
+    },
     enabled: {
       type: Boolean,
       default: true
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const surveyAnswerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: String,
+      required: true
+    },
+    question: {
+      type: String,
+      default: ''
+    },
+    type: {
+      type: String,
+      enum: ['rating', 'yes_no'],
+      default: 'rating'
+    },
+    scale: {
+      type: Number,
+      default: 5
+    },
+    // Rating questions store the score; yes/no questions store 1 or 0
+    value: {
+      type: Number,
+      required: true
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Answers one caller gave at one survey node. Saved after every answer, so
+ * callers who hang up part way leave an `incomplete` (or `in_progress`)
+ * response rather than nothing.
+ */
+const surveyResponseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    callSid: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      default: null
+    },
+    workflowName: {
+      type: String,
+      default: ''
+    },
+    nodeId: {
+      type: String,
+      required: true
+    },
+    surveyName: {
+      type: String,
+      default: ''
+    },
+    callerNumber: {
+      type: String,
+      default: ''
+    },
+    agent: {
+      type: String,
+      default: ''
+    },
+    answers: {
+      type: [surveyAnswerSchema],
+      default: []
+    },
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed', 'incomplete'],
+      default: 'in_progress'
+    },
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+surveyResponseSchema.index({ callSid: 1, nodeId: 1 }, { unique: true });
+surveyResponseSchema.index({ userId: 1, createdAt: -1 });
+surveyResponseSchema.index({ userId: 1, workflowId: 1, createdAt: -1 });
+
+const SurveyResponse = mongoose.model('SurveyResponse', surveyResponseSchema);
+
+export default SurveyResponse;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+/**
+ * Account number and PIN a tenant's verify nodes check callers against.
+ * The PIN is stored only as a bcrypt hash.
+ */
+const verificationCredentialSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    accountNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^\d{3,20}$/
+    },
+    pin: {
+      type: String,
+      required: true,
+      select: false
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+verificationCredentialSchema.index({ userId: 1, accountNumber: 1 }, { unique: true });
+
+// Hash PIN before saving
+verificationCredentialSchema.pre('save', async function (next) {
+  if (!this.isModified('pin')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.pin = await bcrypt.hash(this.pin, salt);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+verificationCredentialSchema.methods.comparePin = async function (candidatePin) {
+  return bcrypt.compare(String(candidatePin || ''), this.pin);
+};
+
+const VerificationCredential = mongoose.model('VerificationCredential', verificationCredentialSchema);
+
+export default VerificationCredential;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * Failed verify-node attempts against one tenant, counted across calls,
+ * either from one caller number or against one account's credential (so
+ * guessing a PIN from many numbers still locks the account). Reaching the
+ * node's threshold sets `lockedUntil`; records expire a day after the last
+ * failure.
+ */
+const verificationLockoutSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+      default: undefined
+    },
+    credentialId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VerificationCredential',
+      default: undefined
+    },
+    failures: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lastFailureAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+verificationLockoutSchema.index(
+  { userId: 1, phoneNumber: 1 },
+  { unique: true, partialFilterExpression: { phoneNumber: { $type: 'string' } } }
+);
+verificationLockoutSchema.index(
+  { userId: 1, credentialId: 1 },
+  { unique: true, partialFilterExpression: { credentialId: { $type: 'objectId' } } }
+);
+verificationLockoutSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const VerificationLockout = mongoose.model('VerificationLockout', verificationLockoutSchema);
+
+export default VerificationLockout;
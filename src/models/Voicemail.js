@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+/**
+ * A recorded voicemail message. Messages left at a workflow voicemail node
+ * carry the workflow and node they came from; `recordingSid` identifies the
+ * Twilio recording so repeated callbacks update the same message.
+ */
+const voicemailSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    callSid: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    recordingSid: {
+      type: String,
+      trim: true
+    },
+    callerNumber: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    destinationNumber: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      default: null
+    },
+    nodeId: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    mailbox: {
+      type: String,
+      trim: true,
+      default: 'general'
+    },
+    source: {
+      type: String,
+      enum: ['workflow', 'inbound', 'twilio'],
+      default: 'workflow'
+    },
+    recordingUrl: {
+      type: String,
+      required: true
+    },
+    duration: {
+      type: Number,
+      default: 0
+    },
+    transcriptionText: {
+      type: String,
+      default: ''
+    },
+    transcriptionStatus: {
+      type: String,
+      enum: ['none', 'pending', 'completed', 'failed'],
+      default: 'none'
+    },
+    heard: {
+      type: Boolean,
+      default: false
+    },
+    heardAt: Date,
+    heardBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    assignedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+voicemailSchema.index({ recordingSid: 1 }, { unique: true, sparse: true });
+voicemailSchema.index({ userId: 1, createdAt: -1 });
+voicemailSchema.index({ userId: 1, mailbox: 1, heard: 1, createdAt: -1 });
+voicemailSchema.index({ userId: 1, assignedTo: 1, createdAt: -1 });
+voicemailSchema.index({ userId: 1, callSid: 1 });
+
+const Voicemail = mongoose.model('Voicemail', voicemailSchema);
+
+export default Voicemail;
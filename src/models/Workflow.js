@@ -43,6 +43,16 @@ const WorkflowSchema = new mongoose.Schema({
       type: String,
       default: 'en-GB'
     },
+    // Extra locales callers can pick with a language_select node. Nodes carry
+    // their text for these in data.translations.
+    languages: {
+      type: [{
+        _id: false,
+        code: { type: String, trim: true },
+        voiceId: { type: String, trim: true, default: null }
+      }],
+      default: []
+    },
     provider: {
       type: String,
       default: 'edge'
@@ -58,6 +68,22 @@ const WorkflowSchema = new mongoose.Schema({
     invalidInputMessage: {
       type: String,
       default: 'Invalid selection. Please try again.'
+    },
+    // Business-hours calendar used by business_hours conditions
+    businessHoursCalendarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessHoursCalendar',
+      default: null
+    },
+    // Digits that work at every node waiting for a key press (see utils/hotkeys.js)
+    hotkeys: {
+      type: [{
+        _id: false,
+        digit: { type: String, trim: true },
+        action: { type: String, enum: ['goto', 'back', 'repeat', 'operator', 'main_menu'] },
+        nodeId: { type: String, trim: true, default: null }
+      }],
+      default: []
     }
   },
 
@@ -91,6 +117,23 @@ const WorkflowSchema = new mongoose.Schema({
     min: 1
   },
 
+  // Version snapshot (WorkflowVersion) that live calls execute.
+  // Null until the first publish; nodes/edges/config above are the draft.
+  publishedVersion: {
+    type: Number,
+    default: null
+  },
+
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: true
+  },
+
   // Metadata
   tags: [{
     type: String,
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * One edit to a workflow draft: who made it, when, and a structured diff
+ * (utils/workflowDiff) of the nodes, edges and config it touched. Records
+ * are numbered per workflow by `seq` and are append-only.
+ */
+const workflowChangeSchema = new mongoose.Schema(
+  {
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      required: true,
+      index: true
+    },
+    seq: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    action: {
+      type: String,
+      enum: [
+        'node_add',
+        'node_move',
+        'node_update',
+        'node_delete',
+        'edge_connect',
+        'edge_update',
+        'edge_delete',
+        'workflow_update',
+        'rollback'
+      ],
+      required: true
+    },
+    // Node or edge the action targeted, when there is one
+    targetId: {
+      type: String,
+      default: null
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    diff: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+  }
+);
+
+workflowChangeSchema.index({ workflowId: 1, seq: -1 }, { unique: true });
+
+workflowChangeSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Workflow change records are immutable'));
+  }
+  next();
+});
+
+const WorkflowChange = mongoose.model('WorkflowChange', workflowChangeSchema);
+
+export default WorkflowChange;
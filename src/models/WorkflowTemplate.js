@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const templateParameterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      default: ''
+    },
+    type: {
+      type: String,
+      enum: ['text', 'phone', 'number', 'slots'],
+      default: 'text'
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    default: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    description: {
+      type: String,
+      default: ''
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * A reusable workflow graph. System templates ship with the app (see
+ * config/workflowTemplates.js); tenant templates are saved from one of the
+ * tenant's workflows. Node data holds [[parameter]] placeholders that are
+ * filled in when the template is instantiated.
+ */
+const workflowTemplateSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['system', 'tenant'],
+      required: true
+    },
+    // Stable id of a system template; unused for tenant templates
+    key: {
+      type: String,
+      trim: true
+    },
+    version: {
+      type: Number,
+      default: 1
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    category: {
+      type: String,
+      trim: true,
+      default: 'general'
+    },
+    parameters: {
+      type: [templateParameterSchema],
+      default: []
+    },
+    workflow: {
+      nodes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      edges: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      config: { type: mongoose.Schema.Types.Mixed, default: {} },
+      tags: { type: [String], default: [] }
+    },
+    sourceWorkflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+workflowTemplateSchema.index({ scope: 1, key: 1 }, { unique: true, partialFilterExpression: { scope: 'system' } });
+workflowTemplateSchema.index({ userId: 1, createdAt: -1 });
+
+const WorkflowTemplate = mongoose.model('WorkflowTemplate', workflowTemplateSchema);
+
+export default WorkflowTemplate;
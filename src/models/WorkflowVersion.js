@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * Immutable snapshot of a workflow graph taken at publish time.
+ * Live calls execute these snapshots; the Workflow document holds the draft.
+ */
+const workflowVersionSchema = new mongoose.Schema(
+  {
+    workflowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workflow',
+      required: true,
+      index: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    promptKey: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    displayName: {
+      type: String,
+      trim: true
+    },
+    nodes: {
+      type: Array,
+      default: []
+    },
+    edges: {
+      type: Array,
+      default: []
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    note: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    // Set when this version was created by rolling back to an older one
+    rolledBackFrom: {
+      type: Number,
+      default: null
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false
+    },
+    publishedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+workflowVersionSchema.index({ workflowId: 1, version: -1 }, { unique: true });
+
+// Snapshots are append-only.
+workflowVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Published workflow versions are immutable'));
+  }
+  next();
+});
+
+const WorkflowVersion = mongoose.model('WorkflowVersion', workflowVersionSchema);
+
+export default WorkflowVersion;
@@ -55,7 +55,36 @@ const callSchema = new mongoose.Schema(
         default: false
       },
       url: String,
-      duration: Number
+      duration: Number,
+      recordingSid: String,
+      status: {
+        type: String,
+        enum: ['recording', 'paused']
+      },
+      // Set by a record_control node that asked the caller
+      consent: {
+        status: {
+          type: String,
+          enum: ['accepted', 'declined', 'no_response']
+        },
+        capturedAt: Date,
+        nodeId: String,
+        workflowId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Workflow'
+        }
+      },
+      segments: [
+        {
+          _id: false,
+          action: {
+            type: String,
+            enum: ['start', 'pause', 'resume']
+          },
+          at: Date,
+          nodeId: String
+        }
+      ]
     },
     conversation: [
       {
@@ -145,6 +174,12 @@ const callSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Agent the call was routed to from a queue
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      default: null
+    },
     tags: [String],
     notes: String,
     deletedAt: {
@@ -0,0 +1,137 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import agentService from '../services/agentService.js';
+import { getUserObjectId } from '../utils/authContext.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.status) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * GET /api/agents?state=&skill=
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agents = await agentService.listAgents(userId, req.query || {});
+    res.json({ success: true, data: agents });
+  } catch (error) {
+    sendError(res, error, 'Failed to list agents');
+  }
+});
+
+/**
+ * GET /api/agents/stats
+ * Agent counts by state, plus every agent
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const stats = await agentService.getAgentStats(userId);
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    sendError(res, error, 'Failed to load agent stats');
+  }
+});
+
+/**
+ * POST /api/agents
+ * Body: { name, email?, skills, maxConcurrentCalls?, wrapUpSeconds?, endpoint: { type: 'phone'|'client', value }, state? }
+ * Skills are [{ name, proficiency 1-10 }] or "billing:8, spanish"
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agent = await agentService.createAgent(userId, req.body || {});
+    res.status(201).json({ success: true, data: agent });
+  } catch (error) {
+    sendError(res, error, 'Failed to create agent');
+  }
+});
+
+/**
+ * GET /api/agents/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agent = await agentService.getAgent(userId, req.params.id);
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    sendError(res, error, 'Failed to load agent');
+  }
+});
+
+/**
+ * PATCH /api/agents/:id
+ * Body: any of the POST fields except state
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agent = await agentService.updateAgent(userId, req.params.id, req.body || {});
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    sendError(res, error, 'Failed to update agent');
+  }
+});
+
+/**
+ * PUT /api/agents/:id/state
+ * Body: { state: 'available' | 'wrap_up' | 'away' }
+ */
+router.put('/:id/state', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agent = await agentService.setState(userId, req.params.id, String(req.body?.state || '').trim().toLowerCase());
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    sendError(res, error, 'Failed to change agent state');
+  }
+});
+
+/**
+ * DELETE /api/agents/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const agent = await agentService.deleteAgent(userId, req.params.id);
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete agent');
+  }
+});
+
+export default router;
@@ -18,6 +18,13 @@ router.get('/inbound', authenticate, analyticsController.getInboundAnalytics.bin
  */
 router.get('/voice/today', authenticate, analyticsController.getVoiceTodayStats.bind(analyticsController));
 
+/**
+ * @route   GET /api/analytics/surveys
+ * @desc    Survey score distributions, averages over time and per-workflow breakdowns
+ * @access  Private
+ */
+router.get('/surveys', authenticate, analyticsController.getSurveyAnalytics.bind(analyticsController));
+
 /**
  * @route   GET /api/analytics/export
  * @desc    Export analytics data as CSV
@@ -0,0 +1,136 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import businessHoursService from '../services/businessHoursService.js';
+import { getUserObjectId } from '../utils/authContext.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.status) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * GET /api/business-hours
+ * List the user's business-hours calendars
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const calendars = await businessHoursService.listCalendars(userId);
+    res.json({ success: true, data: calendars });
+  } catch (error) {
+    sendError(res, error, 'Failed to list business-hours calendars');
+  }
+});
+
+/**
+ * POST /api/business-hours
+ * Create a calendar: { name, timezone, weeklySchedule, holidays, overrides }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const calendar = await businessHoursService.createCalendar(userId, req.body || {});
+    res.status(201).json({ success: true, data: calendar });
+  } catch (error) {
+    sendError(res, error, 'Failed to create business-hours calendar');
+  }
+});
+
+/**
+ * POST /api/business-hours/preview
+ * Evaluate an unsaved calendar: { calendar, at }
+ */
+router.post('/preview', (req, res) => {
+  try {
+    const { calendar = {}, at } = req.body || {};
+    const status = businessHoursService.previewStatus(calendar, at);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview business-hours calendar');
+  }
+});
+
+/**
+ * GET /api/business-hours/:calendarId
+ */
+router.get('/:calendarId', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const calendar = await businessHoursService.getCalendar(req.params.calendarId, userId);
+    res.json({ success: true, data: calendar });
+  } catch (error) {
+    sendError(res, error, 'Failed to get business-hours calendar');
+  }
+});
+
+/**
+ * PUT /api/business-hours/:calendarId
+ * Update any of name, timezone, weeklySchedule, holidays, overrides
+ */
+router.put('/:calendarId', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const calendar = await businessHoursService.updateCalendar(req.params.calendarId, userId, req.body || {});
+    res.json({ success: true, data: calendar });
+  } catch (error) {
+    sendError(res, error, 'Failed to update business-hours calendar');
+  }
+});
+
+/**
+ * DELETE /api/business-hours/:calendarId
+ * Refused with 409 while workflows or routing rules reference the calendar
+ */
+router.delete('/:calendarId', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await businessHoursService.deleteCalendar(req.params.calendarId, userId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete business-hours calendar');
+  }
+});
+
+/**
+ * GET /api/business-hours/:calendarId/status?at=2026-12-25T10:30
+ * Is the calendar open at the given time (default now). A time without an
+ * offset is read in the calendar's timezone.
+ */
+router.get('/:calendarId/status', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const status = await businessHoursService.getStatus(req.params.calendarId, userId, req.query.at);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    sendError(res, error, 'Failed to check business-hours calendar');
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate } from '../middleware/auth.js';
+import customerDirectoryService from '../services/customerDirectoryService.js';
+import { getUserObjectId } from '../utils/authContext.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.status) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * GET /api/customer-directory?search=&page=&limit=
+ * Page through the user's customer directory
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await customerDirectoryService.listEntries(userId, req.query || {});
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to list customer directory');
+  }
+});
+
+/**
+ * POST /api/customer-directory/import
+ * Import customers from a CSV, sent as a `file` upload or as `csvData` text.
+ * Options: phoneColumn, replace (drop numbers missing from the file)
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const body = req.body || {};
+    const csvData = req.file ? req.file.buffer.toString('utf8') : body.csvData;
+    if (!String(csvData || '').trim()) {
+      return res.status(400).json({ success: false, error: 'csvData or a CSV file is required' });
+    }
+    const result = await customerDirectoryService.importCsv(userId, csvData, {
+      phoneColumn: body.phoneColumn,
+      replace: body.replace === true || body.replace === 'true'
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to import customer directory');
+  }
+});
+
+/**
+ * DELETE /api/customer-directory
+ * Remove every customer from the user's directory
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await customerDirectoryService.clear(userId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to clear customer directory');
+  }
+});
+
+/**
+ * DELETE /api/customer-directory/:phone
+ */
+router.delete('/:phone', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await customerDirectoryService.deleteEntry(userId, req.params.phone);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete customer');
+  }
+});
+
+export default router;
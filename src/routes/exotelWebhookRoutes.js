@@ -98,13 +98,15 @@ router.post('/outbound-local/workflow/start/:workflowId', verifyTwilioRequest, a
       return res.status(404).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Workflow not found.</Say><Hangup/></Response>');
     }
 
-    const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+    await ivrWorkflowEngine.startExecution(workflow._id, CallSid, From, To, workflow.createdBy || null);
+    const runtimeWorkflow = await ivrWorkflowEngine.loadRuntimeWorkflow(workflow._id, CallSid);
+    const nodes = Array.isArray(runtimeWorkflow.nodes) ? runtimeWorkflow.nodes : [];
     const startNode = nodes.find((node) => node.type === 'greeting' || node.type === 'audio') || nodes[0];
     if (!startNode?.id) {
+      await ivrWorkflowEngine.endExecution(CallSid, 'error', 'Workflow start node missing');
       return res.status(400).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Workflow start node missing.</Say><Hangup/></Response>');
     }
 
-    await ivrWorkflowEngine.startExecution(workflow._id, CallSid, From, To, workflow.createdBy || null);
     // For outbound/test IVR calls, Twilio sends From as the voice number and
     // To as the customer. Keep the execution caller as From for monitoring,
     // but let IVR placeholders such as {{callerNumber}} target the customer.
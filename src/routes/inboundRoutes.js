@@ -10,6 +10,8 @@ import mongoose from 'mongoose';
 import twilio from 'twilio';
 import { getUserObjectId } from '../utils/authContext.js';
 import { emitRoutingRulesSnapshot } from '../sockets/unifiedSocket.js';
+import businessHoursService from '../services/businessHoursService.js';
+import { normalizeRequiredSkills } from '../services/agentService.js';
 
 const router = express.Router();
 
@@ -35,6 +37,9 @@ const mapRuleResponse = (rule) => ({
   actionType: rule.actionType || 'custom',
   ivrMenuId: rule.ivrMenuId || '',
   ivrPromptKey: rule.ivrPromptKey || '',
+  businessHoursCalendarId: rule.businessHoursCalendarId ? String(rule.businessHoursCalendarId) : null,
+  queueName: rule.queueName || '',
+  requiredSkills: rule.requiredSkills || [],
   enabled: Boolean(rule.enabled),
   createdAt: rule.createdAt || null,
   updatedAt: rule.updatedAt || null
@@ -55,6 +60,7 @@ router.post('/call/transfer', requireWebhookContextOrAuth, verifyTwilioRequest,
 router.post('/call/park', requireWebhookContextOrAuth, verifyTwilioRequest, inboundWebhooks.handlePark.bind(inboundWebhooks));
 
 // 🎛️ IVR menu handling
+router.post('/agent/dial-status/:callSid', requireWebhookContextOrAuth, verifyTwilioRequest, inboundCallController.handleAgentDialStatus.bind(inboundCallController));
 router.post('/ivr/selection/:callSid', requireWebhookContextOrAuth, verifyTwilioRequest, inboundCallController.handleIVRSelection.bind(inboundCallController));
 
 // 📬 Voicemail handling
@@ -143,6 +149,9 @@ router.post('/routing/rules', async (req, res) => {
       actionType: incomingRule.actionType === 'ivr' ? 'ivr' : 'custom',
       ivrMenuId: String(incomingRule.ivrMenuId || '').trim(),
       ivrPromptKey: String(incomingRule.ivrPromptKey || '').trim(),
+      businessHoursCalendarId: String(incomingRule.businessHoursCalendarId || '').trim() || null,
+      queueName: String(incomingRule.queueName || '').trim(),
+      requiredSkills: normalizeRequiredSkills(incomingRule.requiredSkills),
       enabled: typeof incomingRule.enabled === 'boolean' ? incomingRule.enabled : true
     };
 
@@ -150,6 +159,14 @@ router.post('/routing/rules', async (req, res) => {
       return res.status(400).json({ success: false, error: 'name and condition are required' });
     }
 
+    if (payload.businessHoursCalendarId) {
+      try {
+        await businessHoursService.assertCalendarOwned(payload.businessHoursCalendarId, userId);
+      } catch (calendarError) {
+        return res.status(calendarError.status || 400).json({ success: false, error: calendarError.message });
+      }
+    }
+
     if (payload.actionType === 'ivr') {
       if (!payload.ivrPromptKey) {
         return res.status(400).json({ success: false, error: 'ivrPromptKey is required for IVR actions' });
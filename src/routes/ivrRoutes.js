@@ -35,6 +35,8 @@ router.post('/welcome', verifyTwilioRequest, (req, res) => ivrController.welcome
 router.post('/select-language', verifyTwilioRequest, (req, res) => ivrController.selectLanguage(req, res));
 router.post('/handle-input', verifyTwilioRequest, (req, res) => ivrController.handleInput(req, res));
 router.post('/next-step', verifyTwilioRequest, (req, res) => ivrController.nextStep(req, res));
+router.post('/dial-status', verifyTwilioRequest, (req, res) => ivrController.dialStatus(req, res));
+router.post('/voicemail-transcription', verifyTwilioRequest, (req, res) => ivrController.voicemailTranscription(req, res));
 router.post('/call-status', verifyTwilioRequest, (req, res) => ivrController.handleCallStatus(req, res));
 
 // Multer configuration for audio uploads
@@ -1253,6 +1255,37 @@ router.get('/analytics/nodes/:workflowId', async (req, res) => {
   }
 });
 
+/**
+ * GET /ivr/analytics/workflow/:workflowId/splits
+ * Compare traffic-split arms (containment, transfer, abandon, booking conversion)
+ */
+router.get('/analytics/workflow/:workflowId/splits', async (req, res) => {
+  try {
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { workflowId } = req.params;
+    const { nodeId, experimentKey, startDate, endDate } = req.query;
+    const ownedWorkflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!ownedWorkflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const comparison = await ivrAnalyticsService.getSplitComparison(
+      workflowId,
+      { nodeId, experimentKey, startDate, endDate },
+      userId
+    );
+
+    res.json({ success: true, data: comparison });
+  } catch (error) {
+    logger.error('Failed to get split comparison:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /ivr/executions/:workflowId
  * Get recent executions
@@ -132,7 +132,7 @@ router.post('/migrate', async (req, res) => {
     logger.info(`Migrating call ${CallSid} to ${targetSystem} system`);
     
     // Get current execution state
-    const executionState = ivrWorkflowEngine.getExecutionState(CallSid);
+    const executionState = await ivrWorkflowEngine.loadExecutionState(CallSid);
     
     if (!executionState) {
       return res.status(404).json({
@@ -17,6 +17,7 @@ import twilio from 'twilio';
 import { verifyTwilioRequest } from '../middleware/twilioAuth.js';
 import adminCredentialsService from '../services/adminCredentialsService.js';
 import outboundCampaignService from '../services/outboundCampaignService.js';
+import voicemailService from '../services/voicemailService.js';
 import { emitOutboundCallUpdate, emitQueueUpdate } from '../sockets/unifiedSocket.js';
 
 const router = express.Router();
@@ -315,7 +316,7 @@ router.post('/workflow/:workflowId', async (req, res) => {
     // Use existing workflow engine first
     try {
       // Get execution state from existing system
-      const executionState = ivrWorkflowEngine.getExecutionState(CallSid);
+      const executionState = await ivrWorkflowEngine.loadExecutionState(CallSid);
       
       if (executionState) {
         logger.info('Using existing workflow engine state');
@@ -458,6 +459,23 @@ router.post('/voicemail/complete', async (req, res) => {
     
     // Handle voicemail completion
     await twilioIntegrationService.handleVoicemailComplete(recordingData);
+    try {
+      await voicemailService.recordMessage({
+        userId: webhookUserId,
+        callSid,
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl,
+        duration: Duration,
+        callerNumber: recordingData.From,
+        destinationNumber: recordingData.To,
+        workflowId,
+        nodeId,
+        mailbox: recordingData.mailbox,
+        source: 'twilio'
+      });
+    } catch (voicemailError) {
+      logger.error(`Failed to save voicemail for call ${callSid}:`, voicemailError);
+    }
     
     // Generate continuation TwiML
     const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -503,6 +521,12 @@ router.post('/voicemail/status', async (req, res) => {
     }
     
     logger.info(`Voicemail transcription update: ${RecordingSid} -> ${TranscriptionStatus}`);
+
+    await voicemailService.updateTranscription(RecordingSid, {
+      text: TranscriptionText,
+      status: TranscriptionStatus,
+      userId: webhookUserId
+    });
     
     // Update transcription in database
     const execution = await WorkflowExecution.findOne({
@@ -0,0 +1,104 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import callerVerificationService from '../services/callerVerificationService.js';
+import { getUserObjectId } from '../utils/authContext.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.status) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * GET /api/verification/credentials
+ * List the accounts verify nodes can check (PINs are never returned)
+ */
+router.get('/credentials', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const credentials = await callerVerificationService.listCredentials(userId);
+    res.json({ success: true, data: credentials });
+  } catch (error) {
+    sendError(res, error, 'Failed to list verification credentials');
+  }
+});
+
+/**
+ * PUT /api/verification/credentials/:accountNumber
+ * Set the PIN for an account: { pin, label }
+ */
+router.put('/credentials/:accountNumber', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const credential = await callerVerificationService.saveCredential(userId, req.params.accountNumber, req.body || {});
+    res.json({ success: true, data: credential });
+  } catch (error) {
+    sendError(res, error, 'Failed to save verification credential');
+  }
+});
+
+/**
+ * DELETE /api/verification/credentials/:accountNumber
+ */
+router.delete('/credentials/:accountNumber', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await callerVerificationService.deleteCredential(userId, req.params.accountNumber);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete verification credential');
+  }
+});
+
+/**
+ * DELETE /api/verification/credentials/:accountNumber/lockout
+ * Lift an account's lockout and reset its failure count
+ */
+router.delete('/credentials/:accountNumber/lockout', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const cleared = await callerVerificationService.clearCredentialFailures(userId, req.params.accountNumber);
+    res.json({ success: true, data: { cleared } });
+  } catch (error) {
+    sendError(res, error, 'Failed to clear verification lockout');
+  }
+});
+
+/**
+ * DELETE /api/verification/lockouts/:phone
+ * Lift a caller's lockout and reset their failure count
+ */
+router.delete('/lockouts/:phone', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const cleared = await callerVerificationService.clearFailures(userId, req.params.phone);
+    res.json({ success: true, data: { cleared } });
+  } catch (error) {
+    sendError(res, error, 'Failed to clear verification lockout');
+  }
+});
+
+export default router;
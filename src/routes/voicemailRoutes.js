@@ -0,0 +1,104 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import voicemailService from '../services/voicemailService.js';
+import { getUserObjectId } from '../utils/authContext.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.status) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * GET /api/voicemails?mailbox=&heard=&assignedTo=&workflowId=&from=&to=&search=&page=&limit=
+ * Page through the voicemail inbox, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await voicemailService.listVoicemails(userId, req.query || {}, userId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to list voicemails');
+  }
+});
+
+/**
+ * GET /api/voicemails/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const voicemail = await voicemailService.getVoicemail(userId, req.params.id);
+    res.json({ success: true, data: voicemail });
+  } catch (error) {
+    sendError(res, error, 'Failed to load voicemail');
+  }
+});
+
+/**
+ * PATCH /api/voicemails/:id/heard
+ * Body: { heard } (defaults to true; false marks the message unheard again)
+ */
+router.patch('/:id/heard', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const heard = req.body?.heard !== false && req.body?.heard !== 'false';
+    const voicemail = await voicemailService.markHeard(userId, req.params.id, { heard, actorId: userId });
+    res.json({ success: true, data: voicemail });
+  } catch (error) {
+    sendError(res, error, 'Failed to update voicemail');
+  }
+});
+
+/**
+ * PATCH /api/voicemails/:id/assign
+ * Body: { assignedTo } (a user id, or null to unassign)
+ */
+router.patch('/:id/assign', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const voicemail = await voicemailService.assign(userId, req.params.id, req.body?.assignedTo || null, userId);
+    res.json({ success: true, data: voicemail });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign voicemail');
+  }
+});
+
+/**
+ * DELETE /api/voicemails/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = getUserObjectId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const result = await voicemailService.deleteVoicemail(userId, req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete voicemail');
+  }
+});
+
+export default router;
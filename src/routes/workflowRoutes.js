@@ -11,10 +11,19 @@ import mongoose from 'mongoose';
 import IVRExecutionEngine from '../services/ivrExecutionEngine.js';
 import workflowNodeService from '../services/workflowNodeService.js';
 import ivrCascadeDeleteService from '../services/ivrCascadeDeleteService.js';
+import workflowVersionService from '../services/workflowVersionService.js';
+import workflowSimulatorService from '../services/workflowSimulatorService.js';
+import workflowBundleService from '../services/workflowBundleService.js';
+import workflowTemplateService from '../services/workflowTemplateService.js';
+import apiCallService from '../services/apiCallService.js';
+import workflowLintService from '../services/workflowLintService.js';
+import workflowCollaborationService from '../services/workflowCollaborationService.js';
+import workflowHistoryService from '../services/workflowHistoryService.js';
 import { NODE_TYPES, NODE_CONFIGS } from '../config/workflowNodeConfig.js';
 import { authenticate } from '../middleware/auth.js';
 import twilio from 'twilio';
 import { getSocketIO, getUserRoom } from '../sockets/unifiedSocket.js';
+import { workflowRoom } from '../sockets/ivrWorkflowSocket.js';
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
@@ -184,111 +193,212 @@ router.post('/nodes/:nodeId/execute', [
   }
 });
 
+const sendTemplateError = (res, error, fallback) => {
+  logger.error(`${fallback}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+  });
+};
+
 /**
  * GET /api/workflow/templates
- * Get available node templates
+ * System templates plus the templates this account has saved
  */
-router.get('/templates', (req, res) => {
+router.get('/templates', async (req, res) => {
   try {
-    const templates = {
-      basicWelcome: {
-        name: 'Basic Welcome',
-        description: 'Simple welcome message with menu options',
-        node: {
-          type: NODE_TYPES.GREETING,
-          data: {
-            text: 'Welcome to our company. Press 1 for Sales, 2 for Support, or 3 for Billing.',
-            menuOptions: [
-              { digit: '1', text: 'Sales' },
-              { digit: '2', text: 'Support' },
-              { digit: '3', text: 'Billing' }
-            ]
-          }
-        }
-      },
-      customerService: {
-        name: 'Customer Service Flow',
-        description: 'Complete customer service workflow',
-        nodes: [
-          {
-            type: NODE_TYPES.GREETING,
-            data: {
-              text: 'Welcome to Customer Service. Press 1 for Account, 2 for Technical Support, or 3 to speak with an agent.',
-              menuOptions: [
-                { digit: '1', text: 'Account' },
-                { digit: '2', text: 'Technical Support' },
-                { digit: '3', text: 'Speak with Agent' }
-              ]
-            }
-          },
-          {
-            type: NODE_TYPES.USER_INPUT,
-            data: {
-              text: 'Please enter your account number.',
-              inputType: 'digits',
-              numDigits: 8
-            }
-          },
-          {
-            type: NODE_TYPES.CONDITIONAL,
-            data: {
-              variable: 'caller_input',
-              operator: 'equals',
-              value: '3'
-            }
-          },
-          {
-            type: NODE_TYPES.TRANSFER,
-            data: {
-              destination: '+1234567890',
-              announceText: 'Transferring you to an agent now.'
-            }
-          }
-        ]
-      },
-      aiAssistant: {
-        name: 'AI Assistant Flow',
-        description: 'Workflow with AI assistant integration',
-        nodes: [
-          {
-            type: NODE_TYPES.GREETING,
-            data: {
-              text: 'Welcome! Press 1 to speak with our AI assistant or 2 for traditional support.',
-              menuOptions: [
-                { digit: '1', text: 'AI Assistant' },
-                { digit: '2', text: 'Traditional Support' }
-              ]
-            }
-          },
-          {
-            type: NODE_TYPES.CONDITIONAL,
-            data: {
-              variable: 'caller_input',
-              operator: 'equals',
-              value: '1'
-            }
-          },
-          {
-            type: NODE_TYPES.AI_ASSISTANT,
-            data: {
-              streamUrl: 'ws://localhost:4000/ws',
-              welcomeMessage: 'Connecting you to our AI assistant...',
-              maxDuration: 300
-            }
-          }
-        ]
-      }
-    };
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
 
+    const templates = await workflowTemplateService.listTemplates(userId, {
+      category: req.query.category,
+      scope: req.query.scope
+    });
     res.json({
       success: true,
       data: templates
     });
   } catch (error) {
-    logger.error('Error getting templates:', error);
-    res.status(500).json({
+    sendTemplateError(res, error, 'Failed to get templates');
+  }
+});
+
+/**
+ * GET /api/workflow/templates/:templateId
+ * Full template graph and its parameters
+ */
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const template = await workflowTemplateService.getTemplate(userId, req.params.templateId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to get template');
+  }
+});
+
+/**
+ * POST /api/workflow/templates
+ * Save one of the account's workflows as a template. Parameters that carry a
+ * `value` have that text replaced by a placeholder throughout the workflow.
+ */
+router.post('/templates', [
+  body('workflowId').isMongoId().withMessage('workflowId is required'),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('name is required'),
+  body('description').optional().isString().isLength({ max: 1000 }),
+  body('category').optional().isString().trim().isLength({ max: 50 }),
+  body('parameters').optional().isArray({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const result = await workflowTemplateService.createFromWorkflow(userId, {
+      workflowId: req.body.workflowId,
+      name: req.body.name,
+      description: req.body.description,
+      category: req.body.category,
+      parameters: req.body.parameters
+    });
+    res.status(201).json({ success: true, data: result.template, warnings: result.warnings });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to save template');
+  }
+});
+
+/**
+ * DELETE /api/workflow/templates/:templateId
+ * Delete a saved template; system templates cannot be deleted
+ */
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const result = await workflowTemplateService.deleteTemplate(userId, req.params.templateId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to delete template');
+  }
+});
+
+/**
+ * POST /api/workflow/templates/:templateId/instantiate
+ * Fill in the template's parameters and create a validated draft workflow
+ */
+router.post('/templates/:templateId/instantiate', [
+  body('parameters').optional().isObject(),
+  body('promptKey').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('displayName').optional().isString().trim().isLength({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const result = await workflowTemplateService.instantiate(userId, req.params.templateId, {
+      parameters: req.body.parameters,
+      promptKey: req.body.promptKey,
+      displayName: req.body.displayName
+    }, {
+      userContext: {
+        userId: String(userId),
+        username: req.user?.username || ''
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        workflowId: result.workflow._id,
+        templateId: result.templateId,
+        promptKey: result.promptKey,
+        remappedNodeIds: result.remappedNodeIds,
+        warnings: result.warnings,
+        ttsJobId: result.workflow.ttsJobId || null
+      }
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to create workflow from template');
+  }
+});
+
+/**
+ * GET /api/workflow/api-allowlist
+ * Private hosts this account's api_call nodes may reach
+ */
+router.get('/api-allowlist', async (req, res) => {
+  try {
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const hosts = await apiCallService.getAllowlist(userId);
+    res.json({ success: true, data: { hosts } });
+  } catch (error) {
+    logger.error('Error getting API allowlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to get API allowlist' });
+  }
+});
+
+/**
+ * PUT /api/workflow/api-allowlist
+ * Replace the allowlist: { hosts: ["crm.internal", "*.corp.example", "10.20.0.0/16"] }
+ */
+router.put('/api-allowlist', [
+  body('hosts').isArray().withMessage('hosts must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const result = await apiCallService.updateAllowlist(userId, req.body.hosts);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (!error.status) logger.error('Error updating API allowlist:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to get templates'
+      error: error.status ? error.message : 'Failed to update API allowlist'
     });
   }
 });
@@ -401,7 +511,10 @@ router.get('/:workflowId', authenticate, async (req, res) => {
         nodes: nodes,
         edges: edges,
         config: workflow.config || {},
-        tags: workflow.tags || []
+        tags: workflow.tags || [],
+        publishedVersion: workflow.publishedVersion || null,
+        publishedAt: workflow.publishedAt || null,
+        hasUnpublishedChanges: workflow.hasUnpublishedChanges !== false
       }
     });
   } catch (error) {
@@ -537,7 +650,7 @@ router.put('/:workflowId', authenticate, [
       nodes,
       edges,
       settings: req.body.settings || req.body.config || {}
-    });
+    }, { userId });
 
     // Get the TTS job ID if one was created
     const ttsJobId = updateResult.ttsJobId || null;
@@ -563,6 +676,19 @@ router.put('/:workflowId', authenticate, [
         timestamp: new Date().toISOString()
       });
       logger.info(`📡 Socket.IO emitted: workflow_updated for workflow ${workflowId}`);
+
+      // Live editors must reload: the whole draft was replaced
+      const seq = workflowCollaborationService.recordExternalSave(workflowId, String(userId));
+      if (seq !== null) {
+        io.to(workflowRoom(workflowId)).emit('workflow_replaced', {
+          workflowId,
+          seq,
+          nodes: updateResult.nodes,
+          edges: updateResult.edges,
+          savedBy: String(userId),
+          timestamp: new Date().toISOString()
+        });
+      }
     }
 
     res.json({
@@ -589,9 +715,10 @@ router.put('/:workflowId', authenticate, [
     });
 
     logger.error('Error updating workflow:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to update workflow'
+      error: error.message || 'Failed to update workflow',
+      ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
     });
   }
 });
@@ -791,16 +918,27 @@ router.put('/:workflowId/status', authenticate, [
     }
 
     if (status === 'active') {
-      const validationErrors = ivrWorkflowEngine.validateWorkflowGraph(workflow);
-      if (validationErrors.length > 0) {
+      const lint = workflowLintService.lint(workflow);
+      if (!lint.valid) {
         return res.status(400).json({
           success: false,
           error: 'Workflow validation failed. Fix configuration issues before activation.',
-          validationErrors
+          validationErrors: lint.errors,
+          warnings: lint.warnings
         });
       }
     }
 
+    // A workflow that was never published has nothing for live calls to run
+    let publishedVersion = workflow.publishedVersion || null;
+    if (status === 'active' && !publishedVersion) {
+      const snapshot = await workflowVersionService.publish(workflow._id, {
+        userId,
+        note: 'Published on activation'
+      });
+      publishedVersion = snapshot.version;
+    }
+
     // Update workflow status
     workflow.status = status;
 
@@ -813,6 +951,7 @@ router.put('/:workflowId/status', authenticate, [
       data: {
         workflowId,
         status,
+        publishedVersion,
         updatedAt: workflow.updatedAt
       }
     });
@@ -862,6 +1001,485 @@ router.get('/:workflowId/status', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/workflow/:workflowId/lint
+ * Static analysis of the draft graph: { valid, summary, errors, warnings, info, issues }.
+ * Errors block activation and publishing; warnings and info do not.
+ */
+router.get('/:workflowId/lint', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('nodes edges config promptKey');
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        workflowId,
+        ...workflowLintService.lint(workflow)
+      }
+    });
+  } catch (error) {
+    logger.error('Error linting workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lint workflow'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/versions
+ * List published versions, newest first
+ */
+router.get('/:workflowId/versions', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId })
+      .select('_id publishedVersion publishedAt hasUnpublishedChanges');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const versions = await workflowVersionService.listVersions(workflow._id, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: {
+        workflowId,
+        publishedVersion: workflow.publishedVersion || null,
+        publishedAt: workflow.publishedAt || null,
+        hasUnpublishedChanges: workflow.hasUnpublishedChanges !== false,
+        versions
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing workflow versions:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to list workflow versions'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/versions/diff?from=1&to=draft
+ * Structured diff between two versions ("draft", "published" or a number)
+ */
+router.get('/:workflowId/versions/diff', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id publishedVersion');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const from = req.query.from || 'published';
+    const to = req.query.to || 'draft';
+    const result = await workflowVersionService.diffVersions(workflow._id, from, to);
+
+    res.json({ success: true, data: { workflowId, ...result } });
+  } catch (error) {
+    logger.error('Error diffing workflow versions:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to diff workflow versions'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/versions/:version
+ * Get one published snapshot
+ */
+router.get('/:workflowId/versions/:version', authenticate, async (req, res) => {
+  try {
+    const { workflowId, version } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const snapshot = await workflowVersionService.getSnapshot(workflow._id, version);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: `Version ${version} not found` });
+    }
+
+    res.json({ success: true, data: snapshot });
+  } catch (error) {
+    logger.error('Error getting workflow version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get workflow version'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/history?limit=50&before=120
+ * Draft change records, newest first
+ */
+router.get('/:workflowId/history', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const changes = await workflowHistoryService.listChanges(workflow._id, {
+      limit: req.query.limit,
+      beforeSeq: req.query.before ?? null
+    });
+
+    res.json({ success: true, data: { workflowId, changes } });
+  } catch (error) {
+    logger.error('Error listing workflow history:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to list workflow history'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/history/diff?from=3&to=draft
+ * Structured diff between two points in the history (a change number, 0 for
+ * the start of the history, or "draft")
+ */
+router.get('/:workflowId/history/diff', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const from = req.query.from ?? '0';
+    const to = req.query.to || 'draft';
+    const result = await workflowHistoryService.diffChanges(workflow._id, from, to);
+
+    res.json({ success: true, data: { workflowId, ...result } });
+  } catch (error) {
+    logger.error('Error diffing workflow history:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to diff workflow history'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/history/:seq
+ * One change record with its full diff
+ */
+router.get('/:workflowId/history/:seq', authenticate, async (req, res) => {
+  try {
+    const { workflowId, seq } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const change = await workflowHistoryService.getChange(workflow._id, seq);
+    res.json({ success: true, data: change });
+  } catch (error) {
+    logger.error('Error getting workflow change:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to get workflow change'
+    });
+  }
+});
+
+/**
+ * POST /api/workflow/:workflowId/publish
+ * Snapshot the current draft as a new version; new calls use it immediately
+ */
+router.post('/:workflowId/publish', authenticate, [
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const snapshot = await workflowVersionService.publish(workflow._id, {
+      userId,
+      note: req.body?.note,
+      validate: (draft) => workflowLintService.lint(draft).errors
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        workflowId,
+        version: snapshot.version,
+        note: snapshot.note,
+        publishedAt: snapshot.publishedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error publishing workflow:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to publish workflow',
+      ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+    });
+  }
+});
+
+/**
+ * POST /api/workflow/:workflowId/versions/:version/rollback
+ * Restore an older version and publish it as the newest version.
+ * Body: { note?, discardDraft? } — discardDraft confirms dropping unpublished edits
+ */
+router.post('/:workflowId/versions/:version/rollback', authenticate, async (req, res) => {
+  try {
+    const { workflowId, version } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const snapshot = await workflowVersionService.rollback(workflow._id, version, {
+      userId,
+      note: req.body?.note,
+      discardDraft: req.body?.discardDraft === true
+    });
+
+    logger.info(`Workflow ${workflowId} rolled back to version ${version} as version ${snapshot.version}`);
+
+    // Live editors must reload: the draft now holds the restored version
+    const seq = workflowCollaborationService.recordExternalSave(workflowId, String(userId));
+    const io = getSocketIO();
+    if (io && seq !== null) {
+      io.to(workflowRoom(workflowId)).emit('workflow_replaced', {
+        workflowId,
+        seq,
+        nodes: snapshot.nodes,
+        edges: snapshot.edges,
+        savedBy: String(userId),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        workflowId,
+        version: snapshot.version,
+        rolledBackFrom: snapshot.rolledBackFrom,
+        publishedAt: snapshot.publishedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error rolling back workflow:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to roll back workflow',
+      ...(error.code === 'UNPUBLISHED_CHANGES' ? { code: error.code } : {}),
+      ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+    });
+  }
+});
+
+/**
+ * POST /api/workflow/:workflowId/simulate
+ * Run a scripted test call (dtmf/speech/timeout/hangup events) without Twilio.
+ * Bookings, notifications and API calls are recorded, never performed.
+ */
+router.post('/:workflowId/simulate', authenticate, [
+  body('callerNumber').isString().trim().notEmpty().withMessage('callerNumber is required'),
+  body('destinationNumber').optional().isString(),
+  body('events').optional().isArray({ max: 100 }).withMessage('events must be an array of at most 100 items'),
+  body('version').optional().custom((value) => value === 'draft' || value === 'published' || Number.isInteger(Number(value)))
+    .withMessage('version must be "draft", "published" or a version number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).select('_id');
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const result = await workflowSimulatorService.simulate(workflow._id, {
+      callerNumber: req.body.callerNumber,
+      destinationNumber: req.body.destinationNumber || '',
+      events: req.body.events || [],
+      version: req.body.version ?? 'draft',
+      userId
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error simulating workflow:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to simulate workflow'
+    });
+  }
+});
+
+/**
+ * GET /api/workflow/:workflowId/export
+ * Download the draft as a portable bundle. Audio is embedded as base64
+ * unless ?embedAudio=false, in which case only a URL manifest is included.
+ */
+router.get('/:workflowId/export', authenticate, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(workflowId)) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+
+    const bundle = await workflowBundleService.exportWorkflow(workflowId, {
+      userId,
+      embedAudio: String(req.query.embedAudio ?? 'true').toLowerCase() !== 'false'
+    });
+
+    res.json({ success: true, data: bundle });
+  } catch (error) {
+    logger.error('Error exporting workflow:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to export workflow'
+    });
+  }
+});
+
+/**
+ * POST /api/workflow/import
+ * Create a new draft workflow from an export bundle. Audio is re-hosted,
+ * clashing node ids are remapped and the promptKey is made unique.
+ */
+router.post('/import', authenticate, [
+  body('bundle').isObject().withMessage('bundle is required'),
+  body('promptKey').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('displayName').optional().isString().trim().isLength({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = getAuthenticatedUserId(req);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const result = await workflowBundleService.importWorkflow(req.body.bundle, {
+      userId,
+      userContext: {
+        userId: String(userId),
+        username: req.user?.username || ''
+      },
+      promptKey: req.body.promptKey,
+      displayName: req.body.displayName
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        workflowId: result.workflow._id,
+        promptKey: result.promptKey,
+        remappedNodeIds: result.remappedNodeIds,
+        rehostedAssets: result.rehostedAssets,
+        warnings: result.warnings,
+        ttsJobId: result.workflow.ttsJobId || null
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing workflow bundle:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to import workflow',
+      ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+    });
+  }
+});
+
 /**
  * DELETE /api/workflow/:workflowId
  * Delete workflow and all associated audio files
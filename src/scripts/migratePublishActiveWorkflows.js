@@ -0,0 +1,35 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { migratePublishActiveWorkflows } from '../migrations/publishActiveWorkflowsMigration.js';
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  logger.info('Starting active workflow publish migration...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  logger.info('Connected to MongoDB for active workflow publish migration');
+
+  const result = await migratePublishActiveWorkflows();
+  logger.info('Active workflow publish migration completed', result);
+  if (result.failed.length > 0) {
+    throw new Error(`${result.failed.length} workflow(s) could not be published`);
+  }
+};
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logger.error('Active workflow publish migration failed:', error);
+    try {
+      await mongoose.disconnect();
+    } catch {
+      // Ignore disconnect failures during migration shutdown.
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import Agent from '../models/Agent.js';
+import Call from '../models/call.js';
+import logger from '../utils/logger.js';
+import { validateRingTarget } from '../utils/ringGroup.js';
+
+export const AGENT_STATES = ['available', 'busy', 'wrap_up', 'away'];
+
+// Agents set these themselves; "busy" follows from the calls they are on
+const SETTABLE_STATES = ['available', 'wrap_up', 'away'];
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isObjectId = (value) => Boolean(value) && mongoose.Types.ObjectId.isValid(String(value));
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+};
+
+/**
+ * Parse skills given as [{ name, proficiency }], ['billing', ...] or
+ * "billing:8, spanish". Names are lower-cased; repeats keep the first.
+ */
+const parseSkillEntries = (raw) => {
+  const source = typeof raw === 'string' ? raw.split(',') : (Array.isArray(raw) ? raw : []);
+  const seen = new Set();
+  return source
+    .map((entry) => {
+      if (entry && typeof entry === 'object') {
+        return { name: entry.name ?? entry.skill, level: entry.proficiency ?? entry.minProficiency ?? entry.level };
+      }
+      const [name, level] = String(entry ?? '').split(':');
+      return { name, level };
+    })
+    .map(({ name, level }) => ({ name: String(name || '').trim().toLowerCase(), level }))
+    .filter(({ name }) => {
+      if (!name || seen.has(name)) return false;
+      seen.add(name);
+      return true;
+    });
+};
+
+export const normalizeSkills = (raw) => parseSkillEntries(raw)
+  .map(({ name, level }) => ({ name, proficiency: clampInt(level, 5, 1, 10) }));
+
+/**
+ * A queue's required skills as [{ name, minProficiency }]; an agent must
+ * have every one of them at or above the given level.
+ */
+export const normalizeRequiredSkills = (raw) => parseSkillEntries(raw)
+  .map(({ name, level }) => ({ name, minProficiency: clampInt(level, 1, 1, 10) }));
+
+// Agents who can take another call right now: available, or with wrap-up time over
+const eligibleFilter = (userId, now = new Date()) => ({
+  userId,
+  $or: [{ state: 'available' }, { state: 'wrap_up', wrapUpUntil: { $lte: now } }],
+  $expr: { $lt: [{ $size: '$activeCalls' }, '$maxConcurrentCalls'] },
+  'endpoint.value': { $ne: '' }
+});
+
+const toAgentResponse = (agent) => ({
+  id: String(agent._id),
+  name: agent.name,
+  email: agent.email || '',
+  skills: agent.skills || [],
+  state: agent.state,
+  stateChangedAt: agent.stateChangedAt,
+  idleSince: agent.idleSince,
+  maxConcurrentCalls: agent.maxConcurrentCalls,
+  activeCalls: agent.activeCalls || [],
+  wrapUpSeconds: agent.wrapUpSeconds,
+  wrapUpUntil: agent.wrapUpUntil,
+  endpoint: agent.endpoint,
+  totalCalls: agent.totalCalls,
+  lastCallAt: agent.lastCallAt,
+  createdAt: agent.createdAt,
+  updatedAt: agent.updatedAt
+});
+
+class AgentService {
+  /**
+   * Agents are addressed by id; the legacy /inbound/agents endpoints still
+   * pass the name they were registered under.
+   */
+  _agentFilter(userId, agentId) {
+    return isObjectId(agentId) ? { _id: agentId, userId } : { name: String(agentId || '').trim(), userId };
+  }
+
+  _buildFields(input = {}, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+      const name = String(input.name || '').trim();
+      if (!name) throw createError('Agent name is required');
+      fields.name = name;
+    }
+    if (input.email !== undefined) fields.email = String(input.email || '').trim();
+    if (!partial || input.skills !== undefined) fields.skills = normalizeSkills(input.skills);
+    if (!partial || input.maxConcurrentCalls !== undefined) {
+      fields.maxConcurrentCalls = clampInt(input.maxConcurrentCalls, 1, 1, 10);
+    }
+    if (!partial || input.wrapUpSeconds !== undefined) {
+      fields.wrapUpSeconds = clampInt(input.wrapUpSeconds, 0, 0, 600);
+    }
+    if (!partial || input.endpoint !== undefined) {
+      const raw = typeof input.endpoint === 'string' ? { value: input.endpoint } : (input.endpoint || {});
+      const value = String(raw.value || '').trim();
+      const type = raw.type === 'client' || /^client:/i.test(value) ? 'client' : 'phone';
+      if (value) {
+        const problem = validateRingTarget({ type: type === 'client' ? 'client' : 'number', value });
+        if (problem) throw createError(`Agent endpoint ${problem}`);
+      }
+      fields.endpoint = { type, value: type === 'client' ? value.replace(/^client:/i, '') : value };
+    }
+    return fields;
+  }
+
+  async listAgents(userId, { state, skill } = {}) {
+    const filter = { userId };
+    if (state) {
+      if (!AGENT_STATES.includes(state)) throw createError(`state must be one of: ${AGENT_STATES.join(', ')}`);
+      filter.state = state;
+    }
+    if (skill) filter['skills.name'] = String(skill).trim().toLowerCase();
+    const agents = await Agent.find(filter).sort({ name: 1 }).lean();
+    return agents.map(toAgentResponse);
+  }
+
+  async getAgent(userId, agentId) {
+    const agent = await Agent.findOne(this._agentFilter(userId, agentId)).lean();
+    if (!agent) throw createError('Agent not found', 404);
+    return toAgentResponse(agent);
+  }
+
+  async createAgent(userId, input = {}) {
+    const fields = this._buildFields(input);
+    const state = SETTABLE_STATES.includes(input.state) ? input.state : 'away';
+    try {
+      const agent = await Agent.create({ ...fields, userId, state, stateChangedAt: new Date(), idleSince: new Date() });
+      logger.info(`Agent ${agent.name} added for user ${userId}`);
+      return toAgentResponse(agent.toObject());
+    } catch (error) {
+      if (error?.code === 11000) throw createError(`An agent named "${fields.name}" already exists`, 409);
+      throw error;
+    }
+  }
+
+  async updateAgent(userId, agentId, input = {}) {
+    const fields = this._buildFields(input, { partial: true });
+    try {
+      const agent = await Agent.findOneAndUpdate(this._agentFilter(userId, agentId), { $set: fields }, { new: true, runValidators: true }).lean();
+      if (!agent) throw createError('Agent not found', 404);
+      return toAgentResponse(agent);
+    } catch (error) {
+      if (error?.code === 11000) throw createError(`An agent named "${fields.name}" already exists`, 409);
+      throw error;
+    }
+  }
+
+  async deleteAgent(userId, agentId) {
+    const agent = await Agent.findOneAndDelete(this._agentFilter(userId, agentId)).lean();
+    if (!agent) throw createError('Agent not found', 404);
+    if (agent.activeCalls?.length) {
+      logger.warn(`Agent ${agent.name} removed during active calls ${agent.activeCalls.join(', ')}`);
+    }
+    return toAgentResponse(agent);
+  }
+
+  /**
+   * Change an agent's state. Becoming available restarts the idle clock
+   * unless the agent was already available; a manual wrap_up lasts until
+   * the agent sets another state.
+   */
+  async setState(userId, agentId, state) {
+    if (!SETTABLE_STATES.includes(state)) {
+      throw createError(`state must be one of: ${SETTABLE_STATES.join(', ')}`);
+    }
+    const agent = await Agent.findOne(this._agentFilter(userId, agentId));
+    if (!agent) throw createError('Agent not found', 404);
+
+    const now = new Date();
+    if (state === 'available') {
+      if (agent.state !== 'available') agent.idleSince = now;
+      // An agent already at capacity stays busy until a call ends
+      agent.state = agent.activeCalls.length >= agent.maxConcurrentCalls ? 'busy' : 'available';
+      agent.wrapUpUntil = null;
+    } else {
+      agent.state = state;
+      agent.wrapUpUntil = null;
+    }
+    agent.stateChangedAt = now;
+    await agent.save();
+    return toAgentResponse(agent.toObject());
+  }
+
+  /**
+   * Give a call to the longest-idle agent who can take it and has every
+   * required skill. The claim is a single conditional update, so two calls
+   * never take an agent's last free slot. Returns null when nobody matches.
+   */
+  async assignAgent(userId, { callSid, requiredSkills = [] } = {}) {
+    if (!isObjectId(userId) || !callSid) return null;
+    const now = new Date();
+    const skills = normalizeRequiredSkills(requiredSkills);
+    const filter = {
+      ...eligibleFilter(userId, now),
+      activeCalls: { $ne: callSid },
+      ...(skills.length ? {
+        $and: skills.map(({ name, minProficiency }) => ({
+          skills: { $elemMatch: { name, proficiency: { $gte: minProficiency } } }
+        }))
+      } : {})
+    };
+
+    const agent = await Agent.findOneAndUpdate(
+      filter,
+      {
+        $push: { activeCalls: callSid },
+        $inc: { totalCalls: 1 },
+        // Taking a call restarts the idle clock, so agents with spare slots
+        // go behind those who have been waiting longer
+        $set: { state: 'available', wrapUpUntil: null, lastCallAt: now, idleSince: now }
+      },
+      { sort: { idleSince: 1 }, new: true }
+    ).lean();
+    if (!agent) return null;
+
+    if (agent.activeCalls.length >= agent.maxConcurrentCalls) {
+      await Agent.updateOne(
+        { _id: agent._id, $expr: { $gte: [{ $size: '$activeCalls' }, '$maxConcurrentCalls'] } },
+        { $set: { state: 'busy', stateChangedAt: now } }
+      );
+    }
+    await Call.updateOne({ callSid }, { $set: { agentId: agent._id } });
+
+    logger.info(`Agent ${agent.name} assigned to call ${callSid}`);
+    return toAgentResponse(agent);
+  }
+
+  /**
+   * Free the agent handling a call. Agents with wrap-up time go to wrap_up
+   * and count as idle from when it ends; away agents stay away.
+   */
+  async releaseCall(userId, callSid) {
+    if (!isObjectId(userId) || !callSid) return null;
+    const agent = await Agent.findOneAndUpdate(
+      { userId, activeCalls: callSid },
+      { $pull: { activeCalls: callSid } },
+      { new: true }
+    ).lean();
+    if (!agent) return null;
+    if (agent.state === 'away') return toAgentResponse(agent);
+
+    const now = new Date();
+    const wrapUpUntil = agent.wrapUpSeconds > 0 ? new Date(now.getTime() + agent.wrapUpSeconds * 1000) : null;
+    const update = wrapUpUntil
+      ? { state: 'wrap_up', wrapUpUntil, idleSince: wrapUpUntil, stateChangedAt: now }
+      : { state: 'available', idleSince: now, stateChangedAt: now };
+    await Agent.updateOne({ _id: agent._id, state: { $ne: 'away' } }, { $set: update });
+
+    logger.info(`Agent ${agent.name} released from call ${callSid}`);
+    return toAgentResponse({ ...agent, ...update });
+  }
+
+  async countAvailable(userId) {
+    if (!isObjectId(userId)) return 0;
+    return Agent.countDocuments(eligibleFilter(userId));
+  }
+
+  async getAgentStats(userId) {
+    const agents = await Agent.find({ userId }).sort({ name: 1 }).lean();
+    const now = Date.now();
+    const canTakeCall = (agent) => Boolean(agent.endpoint?.value) &&
+      (agent.activeCalls || []).length < agent.maxConcurrentCalls &&
+      (agent.state === 'available' || (agent.state === 'wrap_up' && agent.wrapUpUntil && new Date(agent.wrapUpUntil).getTime() <= now));
+    return {
+      totalAgents: agents.length,
+      availableAgents: agents.filter(canTakeCall).length,
+      busyAgents: agents.filter((agent) => (agent.activeCalls || []).length > 0).length,
+      wrapUpAgents: agents.filter((agent) => agent.state === 'wrap_up').length,
+      awayAgents: agents.filter((agent) => agent.state === 'away').length,
+      agents: agents.map(toAgentResponse)
+    };
+  }
+}
+
+export default new AgentService();
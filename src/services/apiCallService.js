@@ -0,0 +1,271 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import ApiCallAllowlist from '../models/ApiCallAllowlist.js';
+import logger from '../utils/logger.js';
+import { parseJsonPath, evaluateJsonPath } from '../utils/jsonPath.js';
+import { assertOutboundUrl, createGuardedLookup, findUnsafeAllowlistEntry, normalizeAllowlist } from '../utils/outboundUrlGuard.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MIN_TIMEOUT_MS = 500;
+const MAX_TIMEOUT_MS = 10000;
+const MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+// Twilio gives up on a webhook after 15s; leave room for the rest of the node
+const TOTAL_BUDGET_MS = 12000;
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const MAX_VARIABLE_LENGTH = 4000;
+const MAX_ALLOWLIST_ENTRIES = 100;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const SENSITIVE_HEADER_PATTERN = /authorization|api[-_]?key|token|secret|cookie|password/i;
+const ALLOWLIST_CACHE_TTL_MS = Number(process.env.API_CALL_ALLOWLIST_CACHE_TTL_MS || 60 * 1000);
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+};
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!trimmed || !/^[[{]/.test(trimmed)) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+};
+
+const lookupVariable = (variables, rawKey) => {
+  const key = String(rawKey || '').trim();
+  const value = key ? variables[key] : undefined;
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export const renderTemplate = (text, variables = {}) =>
+  String(text ?? '').replace(/\{\{([^}]+)\}\}/g, (_match, key) => lookupVariable(variables, key));
+
+/**
+ * Substitute variables into a URL. Values are percent-encoded so a caller's
+ * input cannot add path segments or query parameters, except a placeholder
+ * at the very start, which is taken to be a base URL.
+ */
+export const renderUrlTemplate = (text, variables = {}) =>
+  String(text ?? '').trim().replace(/\{\{([^}]+)\}\}/g, (_match, key, offset) => {
+    const value = lookupVariable(variables, key);
+    return offset === 0 ? value : encodeURIComponent(value);
+  });
+
+/**
+ * Substitute variables into every string of a JSON-like body, keeping its
+ * structure intact (a quote in a variable cannot break out of a field).
+ */
+export const renderDeep = (value, variables = {}) => {
+  if (typeof value === 'string') return renderTemplate(value, variables);
+  if (Array.isArray(value)) return value.map((item) => renderDeep(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderDeep(item, variables)]));
+  }
+  return value;
+};
+
+/**
+ * Normalise response mappings into [{ variable, path }]. Accepts an array of
+ * { variable, path }, a { variable: path } map or either as a JSON string.
+ */
+export const normalizeResponseMappings = (raw) => {
+  const source = parseMaybeJson(raw);
+  const entries = Array.isArray(source)
+    ? source.map((item) => [item?.variable ?? item?.name, item?.path ?? item?.jsonPath])
+    : (source && typeof source === 'object' ? Object.entries(source) : []);
+  return entries
+    .map(([variable, path]) => ({ variable: String(variable || '').trim(), path: String(path || '').trim() }))
+    .filter((mapping) => mapping.variable && mapping.path);
+};
+
+export const getResponseMappingErrors = (raw) => {
+  const errors = [];
+  normalizeResponseMappings(raw).forEach(({ variable, path }) => {
+    try {
+      parseJsonPath(path);
+    } catch (error) {
+      errors.push(`${variable}: ${error.message}`);
+    }
+  });
+  return errors;
+};
+
+export const normalizeApiCallSettings = (data = {}) => ({
+  method: METHODS.includes(String(data.method || 'GET').toUpperCase()) ? String(data.method || 'GET').toUpperCase() : 'GET',
+  timeoutMs: clampNumber(data.timeoutMs ?? data.timeout_ms, MIN_TIMEOUT_MS, MAX_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+  retries: clampNumber(data.retries, 0, MAX_RETRIES, 0),
+  retryDelayMs: clampNumber(data.retryDelayMs ?? data.retry_delay_ms, 0, 5000, DEFAULT_RETRY_DELAY_MS)
+});
+
+/**
+ * Build the outgoing request from node data with variables substituted.
+ */
+export const buildApiRequest = (data = {}, variables = {}) => {
+  const { method } = normalizeApiCallSettings(data);
+  const rawHeaders = parseMaybeJson(data.headers);
+  const headers = {};
+  if (rawHeaders && typeof rawHeaders === 'object' && !Array.isArray(rawHeaders)) {
+    Object.entries(rawHeaders).forEach(([name, value]) => {
+      const headerName = String(name || '').trim();
+      if (headerName) headers[headerName] = renderTemplate(value, variables).replace(/[\r\n]+/g, ' ');
+    });
+  }
+
+  const request = { method, url: renderUrlTemplate(data.url, variables), headers };
+  const body = parseMaybeJson(data.body);
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(method) && body !== undefined && body !== null && body !== '') {
+    request.data = renderDeep(body, variables);
+  }
+  return request;
+};
+
+export const redactHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, SENSITIVE_HEADER_PATTERN.test(name) ? '[redacted]' : value])
+  );
+
+/**
+ * Flatten a mapped value into something safe to keep in execution state.
+ */
+export const toVariableValue = (value) => {
+  if (value === undefined) return null;
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return typeof value === 'string' ? value.slice(0, MAX_VARIABLE_LENGTH) : value;
+  }
+  return JSON.stringify(value).slice(0, MAX_VARIABLE_LENGTH);
+};
+
+export const extractResponseMappings = (responseData, mappings = []) => {
+  const data = parseMaybeJson(responseData);
+  const values = {};
+  mappings.forEach(({ variable, path }) => {
+    try {
+      values[variable] = toVariableValue(evaluateJsonPath(data, path));
+    } catch (error) {
+      logger.warn(`Skipping response mapping ${variable}: ${error.message}`);
+      values[variable] = null;
+    }
+  });
+  return values;
+};
+
+export const isTimeoutError = (error) =>
+  error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || /timeout/i.test(String(error?.message || ''));
+
+class ApiCallService {
+  constructor() {
+    this.allowlistCache = new Map(); // userId -> { hosts, expiresAt }
+  }
+
+  async getAllowlist(userId) {
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return [];
+    const key = String(userId);
+    const cached = this.allowlistCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.hosts;
+
+    try {
+      const doc = await ApiCallAllowlist.findOne({ userId: key }).lean();
+      // Entries saved before the safety checks existed are ignored, not trusted
+      const hosts = normalizeAllowlist(doc?.hosts || []).filter((entry) => !findUnsafeAllowlistEntry(entry));
+      this.allowlistCache.set(key, { hosts, expiresAt: Date.now() + ALLOWLIST_CACHE_TTL_MS });
+      return hosts;
+    } catch (error) {
+      // Fail closed: without the allowlist only public hosts are reachable
+      logger.error(`Failed to load API allowlist for ${key}:`, error);
+      return [];
+    }
+  }
+
+  async updateAllowlist(userId, hosts) {
+    const rawEntries = Array.isArray(hosts) ? hosts : String(hosts ?? '').split(/[\s,]+/).filter(Boolean);
+    const invalid = rawEntries.filter((entry) => normalizeAllowlist([entry]).length === 0);
+    if (invalid.length > 0) {
+      throw createError(`Invalid allowlist entries: ${invalid.join(', ')}`);
+    }
+    const normalized = normalizeAllowlist(rawEntries);
+    const unsafe = normalized
+      .map((entry) => ({ entry, reason: findUnsafeAllowlistEntry(entry) }))
+      .filter(({ reason }) => reason);
+    if (unsafe.length > 0) {
+      throw createError(`Unsafe allowlist entries: ${unsafe.map(({ entry, reason }) => `${entry} (${reason})`).join(', ')}`);
+    }
+    if (normalized.length > MAX_ALLOWLIST_ENTRIES) {
+      throw createError(`At most ${MAX_ALLOWLIST_ENTRIES} allowlist entries are supported`);
+    }
+
+    const doc = await ApiCallAllowlist.findOneAndUpdate(
+      { userId },
+      { $set: { hosts: normalized } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    this.allowlistCache.delete(String(userId));
+    return { hosts: doc.hosts, updatedAt: doc.updatedAt || null };
+  }
+
+  /**
+   * Send a request built by buildApiRequest. Non-2xx responses are returned,
+   * not thrown, so the node can route on the status code. Network errors,
+   * timeouts and 429/502/503/504 are retried up to `retries` times within an
+   * overall time budget. Blocked destinations throw ERR_OUTBOUND_BLOCKED.
+   */
+  async execute(request, { allowlist = [], timeoutMs = DEFAULT_TIMEOUT_MS, retries = 0, retryDelayMs = DEFAULT_RETRY_DELAY_MS } = {}) {
+    assertOutboundUrl(request.url, allowlist);
+
+    const startedAt = Date.now();
+    let attempt = 0;
+    for (;;) {
+      attempt += 1;
+      const remaining = TOTAL_BUDGET_MS - (Date.now() - startedAt);
+      try {
+        const result = await axios({
+          ...request,
+          timeout: Math.max(MIN_TIMEOUT_MS, Math.min(timeoutMs, remaining)),
+          lookup: createGuardedLookup(allowlist),
+          // A redirect could point anywhere, including the internal network
+          maxRedirects: 0,
+          maxContentLength: MAX_RESPONSE_BYTES,
+          validateStatus: () => true
+        });
+        const retryable = RETRYABLE_STATUSES.includes(result.status);
+        if (!retryable || attempt > retries || !this._hasBudget(startedAt, retryDelayMs * attempt + MIN_TIMEOUT_MS)) {
+          return { status: result.status, data: result.data, attempts: attempt, durationMs: Date.now() - startedAt };
+        }
+        logger.warn(`API call to ${request.url} returned ${result.status}; retrying (attempt ${attempt + 1})`);
+      } catch (error) {
+        const blocked = error?.code === 'ERR_OUTBOUND_BLOCKED' || error?.cause?.code === 'ERR_OUTBOUND_BLOCKED';
+        if (blocked) {
+          error.code = 'ERR_OUTBOUND_BLOCKED';
+          throw error;
+        }
+        if (isTimeoutError(error)) error.code = 'ETIMEDOUT';
+        if (attempt > retries || !this._hasBudget(startedAt, retryDelayMs * attempt + MIN_TIMEOUT_MS)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        logger.warn(`API call to ${request.url} failed (${error.code || error.message}); retrying (attempt ${attempt + 1})`);
+      }
+      await sleep(retryDelayMs * attempt);
+    }
+  }
+
+  _hasBudget(startedAt, neededMs) {
+    return Date.now() - startedAt + neededMs <= TOTAL_BUDGET_MS;
+  }
+}
+
+export default new ApiCallService();
@@ -190,7 +190,7 @@ class AppointmentBookingService {
     }));
   }
 
-  async syncSlotInventory(node = {}, workflow = {}, context = {}) {
+  async syncSlotInventory(node = {}, workflow = {}, context = {}, { dryRun = false } = {}) {
     const slots = this.buildSlotInventoryPayload(node, workflow, context);
     if (!workflow?._id || !node?.id || slots.length === 0) return [];
 
@@ -206,6 +206,22 @@ class AppointmentBookingService {
 
       const bookedCount = Number.isFinite(existingBookingsCount) ? existingBookingsCount : 0;
       const nextStatus = !slot.capacity || bookedCount >= slot.capacity ? 'full' : (slot.status || 'available');
+      if (dryRun) {
+        // Simulations read the inventory as it would be without upserting it.
+        const existing = await BookingSlot.findOne({
+          workflowId: workflow._id,
+          nodeId: node.id,
+          slotKey: slot.slotKey,
+          slotDate: slot.slotDate
+        }).select('_id bookedCount').lean();
+        synced.push({
+          ...slot,
+          _id: existing?._id || `dry-run:${slot.slotKey}:${slot.slotDate}`,
+          bookedCount: existing ? existing.bookedCount : bookedCount,
+          status: slot.status === 'disabled' ? 'disabled' : nextStatus
+        });
+        continue;
+      }
       const updated = await BookingSlot.findOneAndUpdate(
         {
           workflowId: workflow._id,
@@ -237,8 +253,8 @@ class AppointmentBookingService {
     return synced;
   }
 
-  async getSlotSnapshot(node = {}, workflow = {}, context = {}) {
-    const slots = await this.syncSlotInventory(node, workflow, context);
+  async getSlotSnapshot(node = {}, workflow = {}, context = {}, options = {}) {
+    const slots = await this.syncSlotInventory(node, workflow, context, options);
     const orderedSlots = slots
       .map((slot) => {
         const capacity = toPositiveInt(slot.capacity, 1);
@@ -0,0 +1,398 @@
+import mongoose from 'mongoose';
+import BusinessHoursCalendar from '../models/BusinessHoursCalendar.js';
+import Workflow from '../models/Workflow.js';
+import WorkflowVersion from '../models/WorkflowVersion.js';
+import InboundRoutingRule from '../models/InboundRoutingRule.js';
+import logger from '../utils/logger.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SHORT_WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const CLOCK_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const CALENDAR_CACHE_TTL_MS = Number(process.env.BUSINESS_HOURS_CACHE_TTL_MS || 60 * 1000);
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const parseClock = (value) => {
+  const match = CLOCK_PATTERN.exec(String(value || '').trim());
+  if (!match) return NaN;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes > 24 * 60 ? NaN : minutes;
+};
+
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in an IANA timezone.
+ */
+export const getZonedParts = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(at).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const hour = Number(parts.hour) % 24;
+  const minute = Number(parts.minute);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${String(hour).padStart(2, '0')}:${parts.minute}`,
+    weekday: SHORT_WEEKDAYS[parts.weekday],
+    minutes: hour * 60 + minute,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour,
+    minute,
+    second: Number(parts.second)
+  };
+};
+
+/**
+ * Parse an "is open at" time. Strings with an offset or Z are absolute;
+ * a bare "YYYY-MM-DDTHH:MM" is read as wall-clock time in the calendar's zone.
+ */
+export const parseCalendarInstant = (value, timezone) => {
+  if (value === undefined || value === null || value === '') return new Date();
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  const local = LOCAL_DATETIME_PATTERN.exec(text);
+  if (local) {
+    const [, year, month, day, hour, minute, second = '0'] = local;
+    const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    // Two passes settle the offset across DST transitions
+    let guess = wallClock;
+    for (let i = 0; i < 2; i += 1) {
+      const parts = getZonedParts(new Date(guess), timezone);
+      const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      guess = wallClock - (zoned - guess);
+    }
+    return new Date(guess);
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const normalizeRanges = (rawRanges, label) => {
+  if (rawRanges === undefined || rawRanges === null) return [];
+  if (!Array.isArray(rawRanges)) {
+    throw createError(`${label} must be an array of { start, end } ranges`);
+  }
+
+  const ranges = rawRanges.map((range) => {
+    const start = String(range?.start || '').trim();
+    const end = String(range?.end || '').trim();
+    const startMinutes = parseClock(start);
+    const endMinutes = parseClock(end);
+    if (!Number.isFinite(startMinutes) || !Number.isFinite(endMinutes)) {
+      throw createError(`${label} has an invalid time; use HH:MM (24-hour)`);
+    }
+    if (endMinutes <= startMinutes) {
+      throw createError(`${label} range ${start}-${end} must end after it starts; split overnight hours across two days`);
+    }
+    return { start, end, startMinutes, endMinutes };
+  }).sort((a, b) => a.startMinutes - b.startMinutes);
+
+  ranges.forEach((range, index) => {
+    if (index > 0 && range.startMinutes < ranges[index - 1].endMinutes) {
+      throw createError(`${label} has overlapping ranges`);
+    }
+  });
+
+  return ranges.map(({ start, end }) => ({ start, end }));
+};
+
+const normalizeDate = (value, label) => {
+  const date = String(value || '').trim();
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (!DATE_PATTERN.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    throw createError(`${label} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+};
+
+/**
+ * Validate and normalise a calendar create/update payload. With `partial`
+ * only the fields present are returned.
+ */
+export const normalizeCalendarPayload = (payload = {}, { partial = false } = {}) => {
+  const source = payload && typeof payload === 'object' ? payload : {};
+  const normalized = {};
+
+  if (!partial || source.name !== undefined) {
+    const name = String(source.name || '').trim();
+    if (!name) throw createError('name is required');
+    normalized.name = name;
+  }
+
+  if (!partial || source.timezone !== undefined) {
+    const timezone = String(source.timezone || 'Asia/Kolkata').trim();
+    if (!isValidTimezone(timezone)) throw createError(`Unknown timezone "${timezone}"; use an IANA name such as Europe/London`);
+    normalized.timezone = timezone;
+  }
+
+  if (!partial || source.weeklySchedule !== undefined) {
+    const schedule = source.weeklySchedule && typeof source.weeklySchedule === 'object' ? source.weeklySchedule : {};
+    normalized.weeklySchedule = WEEKDAYS.reduce((acc, day) => {
+      acc[day] = normalizeRanges(schedule[day], `weeklySchedule.${day}`);
+      return acc;
+    }, {});
+  }
+
+  if (!partial || source.holidays !== undefined) {
+    const holidays = Array.isArray(source.holidays) ? source.holidays : [];
+    const seen = new Set();
+    normalized.holidays = holidays.map((holiday, index) => {
+      const date = normalizeDate(holiday?.date, `holidays[${index}].date`);
+      if (seen.has(date)) throw createError(`Holiday ${date} is listed more than once`);
+      seen.add(date);
+      return { date, name: String(holiday?.name || '').trim() };
+    });
+  }
+
+  if (!partial || source.overrides !== undefined) {
+    const overrides = Array.isArray(source.overrides) ? source.overrides : [];
+    const seen = new Set();
+    normalized.overrides = overrides.map((override, index) => {
+      const date = normalizeDate(override?.date, `overrides[${index}].date`);
+      if (seen.has(date)) throw createError(`Override ${date} is listed more than once`);
+      seen.add(date);
+      return {
+        date,
+        ranges: normalizeRanges(override?.closed ? [] : override?.ranges, `overrides[${index}]`),
+        note: String(override?.note || '').trim()
+      };
+    });
+  }
+
+  return normalized;
+};
+
+const findOpenRange = (ranges = [], minutes) =>
+  ranges.find((range) => minutes >= parseClock(range.start) && minutes < parseClock(range.end)) || null;
+
+/**
+ * Decide whether a calendar is open at an instant. One-off overrides win over
+ * holidays, which win over the weekly schedule.
+ */
+export const evaluateCalendar = (calendar, at = new Date()) => {
+  const timezone = calendar?.timezone || 'Asia/Kolkata';
+  const local = getZonedParts(at, timezone);
+  const result = {
+    at: at.toISOString(),
+    timezone,
+    localDate: local.date,
+    localTime: local.time,
+    weekday: WEEKDAYS[local.weekday]
+  };
+
+  const override = (calendar?.overrides || []).find((entry) => entry.date === local.date);
+  if (override) {
+    const range = findOpenRange(override.ranges, local.minutes);
+    return { ...result, open: Boolean(range), reason: 'override', range, note: override.note || '' };
+  }
+
+  const holiday = (calendar?.holidays || []).find((entry) => entry.date === local.date);
+  if (holiday) {
+    return { ...result, open: false, reason: 'holiday', holiday: holiday.name || '' };
+  }
+
+  const ranges = calendar?.weeklySchedule?.[WEEKDAYS[local.weekday]] || [];
+  if (ranges.length === 0) {
+    return { ...result, open: false, reason: 'closed_day' };
+  }
+  const range = findOpenRange(ranges, local.minutes);
+  return { ...result, open: Boolean(range), reason: range ? 'open' : 'outside_hours', range };
+};
+
+const mapCalendarResponse = (calendar) => ({
+  id: String(calendar._id),
+  _id: String(calendar._id),
+  name: calendar.name,
+  timezone: calendar.timezone,
+  weeklySchedule: WEEKDAYS.reduce((acc, day) => {
+    acc[day] = (calendar.weeklySchedule?.[day] || []).map(({ start, end }) => ({ start, end }));
+    return acc;
+  }, {}),
+  holidays: (calendar.holidays || []).map(({ date, name }) => ({ date, name: name || '' })),
+  overrides: (calendar.overrides || []).map(({ date, ranges, note }) => ({
+    date,
+    ranges: (ranges || []).map(({ start, end }) => ({ start, end })),
+    note: note || ''
+  })),
+  createdAt: calendar.createdAt || null,
+  updatedAt: calendar.updatedAt || null
+});
+
+class BusinessHoursService {
+  constructor() {
+    // Runtime lookups happen on every call that hits a business-hours check.
+    this.calendarCache = new Map(); // calendarId -> { calendar, expiresAt }
+  }
+
+  _invalidate(calendarId) {
+    this.calendarCache.delete(String(calendarId));
+  }
+
+  _assertId(calendarId) {
+    if (!mongoose.Types.ObjectId.isValid(String(calendarId || ''))) {
+      throw createError('Invalid business-hours calendar id');
+    }
+  }
+
+  async listCalendars(userId) {
+    const calendars = await BusinessHoursCalendar.find({ userId }).sort({ name: 1 }).lean();
+    return calendars.map(mapCalendarResponse);
+  }
+
+  async getCalendar(calendarId, userId) {
+    this._assertId(calendarId);
+    const calendar = await BusinessHoursCalendar.findOne({ _id: calendarId, userId }).lean();
+    if (!calendar) throw createError('Business-hours calendar not found', 404);
+    return mapCalendarResponse(calendar);
+  }
+
+  async createCalendar(userId, payload) {
+    const normalized = normalizeCalendarPayload(payload);
+    try {
+      const calendar = await BusinessHoursCalendar.create({ ...normalized, userId });
+      return mapCalendarResponse(calendar);
+    } catch (error) {
+      if (error?.code === 11000) throw createError(`A calendar named "${normalized.name}" already exists`, 409);
+      throw error;
+    }
+  }
+
+  async updateCalendar(calendarId, userId, payload) {
+    this._assertId(calendarId);
+    const normalized = normalizeCalendarPayload(payload, { partial: true });
+    try {
+      const calendar = await BusinessHoursCalendar.findOneAndUpdate(
+        { _id: calendarId, userId },
+        { $set: normalized },
+        { new: true, runValidators: true }
+      ).lean();
+      if (!calendar) throw createError('Business-hours calendar not found', 404);
+      this._invalidate(calendarId);
+      return mapCalendarResponse(calendar);
+    } catch (error) {
+      if (error?.code === 11000) throw createError(`A calendar named "${normalized.name}" already exists`, 409);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a calendar unless something still points at it: a workflow draft
+   * (any status, in settings or on a node), a published version live calls
+   * may be pinned to, or an inbound routing rule.
+   */
+  async deleteCalendar(calendarId, userId) {
+    this._assertId(calendarId);
+    const id = String(calendarId);
+    const referencesCalendar = { $or: [{ 'config.businessHoursCalendarId': id }, { 'nodes.data.businessHoursCalendarId': id }] };
+    const workflowIds = await Workflow.find({ createdBy: userId }).distinct('_id');
+    const [workflowCount, versionCount, ruleCount] = await Promise.all([
+      Workflow.countDocuments({ createdBy: userId, ...referencesCalendar }),
+      WorkflowVersion.countDocuments({ workflowId: { $in: workflowIds }, ...referencesCalendar }),
+      InboundRoutingRule.countDocuments({ userId, businessHoursCalendarId: calendarId })
+    ]);
+    if (workflowCount > 0 || versionCount > 0 || ruleCount > 0) {
+      throw createError(
+        `Calendar is still used by ${workflowCount} workflow(s), ${versionCount} published version(s) and ${ruleCount} routing rule(s)`,
+        409
+      );
+    }
+
+    const deleted = await BusinessHoursCalendar.findOneAndDelete({ _id: calendarId, userId });
+    if (!deleted) throw createError('Business-hours calendar not found', 404);
+    this._invalidate(calendarId);
+    return { id: String(calendarId), deleted: true };
+  }
+
+  /**
+   * Throw a 400 unless the calendar exists and belongs to the user. Used when
+   * a workflow or routing rule is saved with a calendar reference.
+   */
+  async assertCalendarOwned(calendarId, userId) {
+    this._assertId(calendarId);
+    const exists = await BusinessHoursCalendar.exists({ _id: calendarId, userId });
+    if (!exists) throw createError('Business-hours calendar not found for this account');
+  }
+
+  /**
+   * Answer "is the calendar open at X" for the preview endpoint.
+   */
+  async getStatus(calendarId, userId, at) {
+    this._assertId(calendarId);
+    const calendar = await BusinessHoursCalendar.findOne({ _id: calendarId, userId }).lean();
+    if (!calendar) throw createError('Business-hours calendar not found', 404);
+    const instant = parseCalendarInstant(at, calendar.timezone);
+    if (!instant) throw createError('at must be an ISO date-time');
+    return { calendarId: String(calendar._id), name: calendar.name, ...evaluateCalendar(calendar, instant) };
+  }
+
+  /**
+   * Same answer for an unsaved calendar, so the editor can preview changes.
+   */
+  previewStatus(payload, at) {
+    const calendar = normalizeCalendarPayload({ name: 'preview', ...payload });
+    const instant = parseCalendarInstant(at, calendar.timezone);
+    if (!instant) throw createError('at must be an ISO date-time');
+    return evaluateCalendar(calendar, instant);
+  }
+
+  async _loadCached(calendarId) {
+    const key = String(calendarId);
+    const cached = this.calendarCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.calendar;
+
+    const calendar = await BusinessHoursCalendar.findById(key).lean();
+    this.calendarCache.set(key, { calendar, expiresAt: Date.now() + CALENDAR_CACHE_TTL_MS });
+    return calendar;
+  }
+
+  /**
+   * Runtime check used by conditions and inbound routing. Returns null when
+   * the calendar cannot be loaded so callers can fall back to their default.
+   */
+  async isOpen(calendarId, at = new Date()) {
+    if (!calendarId || !mongoose.Types.ObjectId.isValid(String(calendarId))) return null;
+    try {
+      const calendar = await this._loadCached(calendarId);
+      if (!calendar) {
+        logger.warn(`Business-hours calendar ${calendarId} not found; using default hours`);
+        return null;
+      }
+      return evaluateCalendar(calendar, at).open;
+    } catch (error) {
+      logger.error(`Failed to evaluate business-hours calendar ${calendarId}:`, error);
+      return null;
+    }
+  }
+}
+
+export default new BusinessHoursService();
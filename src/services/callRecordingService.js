@@ -0,0 +1,113 @@
+import Call from '../models/call.js';
+import adminCredentialsService from './adminCredentialsService.js';
+import telephonyService from './telephonyService.js';
+import logger from '../utils/logger.js';
+
+export const RECORD_CONTROL_ACTIONS = ['consent', 'start', 'pause', 'resume'];
+
+// Twilio's alias for whichever recording is running on the call
+const CURRENT_RECORDING = 'Twilio.CURRENT';
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+};
+
+/**
+ * record_control node settings. In `consent` mode the caller presses
+ * `acceptDigit` or `declineDigit`; accepting starts the recording unless
+ * `startOnAccept` is off. The other actions act on the live recording
+ * straight away.
+ */
+export const normalizeRecordControlSettings = (data = {}) => {
+  const action = String(data.action || '').trim().toLowerCase();
+  return {
+    action: RECORD_CONTROL_ACTIONS.includes(action) ? action : 'consent',
+    promptText: String(data.promptText || data.prompt_text || '').trim() ||
+      'This call may be recorded for quality and training purposes. Press 1 to allow recording, or 2 to continue without recording.',
+    acceptDigit: String(data.acceptDigit ?? data.accept_digit ?? '').trim().slice(0, 1) || '1',
+    declineDigit: String(data.declineDigit ?? data.decline_digit ?? '').trim().slice(0, 1) || '2',
+    acceptedText: String(data.acceptedText || data.accepted_text || '').trim(),
+    declinedText: String(data.declinedText || data.declined_text || '').trim(),
+    startOnAccept: ![false, 'false'].includes(data.startOnAccept ?? data.start_on_accept),
+    maxAttempts: clampInt(data.maxAttempts ?? data.max_attempts, 2, 1, 5)
+  };
+};
+
+class CallRecordingService {
+  /**
+   * Start, pause or resume the recording of a live call with the workflow
+   * owner's Twilio account, and note it on the call record. Failures are
+   * logged and returned rather than thrown so the workflow can route on them.
+   */
+  async applyAction({ userId, callSid, action, nodeId = null }) {
+    try {
+      const credentials = await adminCredentialsService.getTwilioCredentialsByUserId(userId ? String(userId) : null);
+      if (!credentials?.twilioAccountSid || !credentials?.twilioAuthToken) {
+        throw new Error('Twilio credentials missing for workflow owner');
+      }
+      const twilioContext = {
+        twilioAccountSid: credentials.twilioAccountSid,
+        twilioAuthToken: credentials.twilioAuthToken,
+        twilioPhoneNumber: credentials.twilioPhoneNumber
+      };
+
+      const recording = action === 'start'
+        ? await telephonyService.startRecording(callSid, twilioContext)
+        : await telephonyService.updateRecording(callSid, CURRENT_RECORDING, action === 'pause' ? 'paused' : 'in-progress', twilioContext);
+      const status = action === 'pause' ? 'paused' : 'recording';
+
+      await Call.updateOne(
+        { callSid },
+        {
+          $set: {
+            'recording.enabled': true,
+            'recording.status': status,
+            ...(action === 'start' ? { 'recording.recordingSid': recording.sid } : {})
+          },
+          $push: { 'recording.segments': { action, at: new Date(), nodeId } }
+        }
+      );
+      return { success: true, status, recordingSid: recording.sid };
+    } catch (error) {
+      logger.warn(`Failed to ${action} recording for call ${callSid}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Whether a call may be recording without a record_control node having
+   * started it: calls dialled with RECORD_CALLS on record from answer, and
+   * the call record notes recordings started elsewhere. Unknown counts as
+   * recording so a declined caller is never left on tape.
+   */
+  async mayBeRecording(callSid) {
+    if (process.env.RECORD_CALLS === 'true') return true;
+    try {
+      const call = await Call.findOne({ callSid }).select('recording').lean();
+      const recording = call?.recording || {};
+      return recording.status === 'recording' || (Boolean(recording.enabled) && recording.status !== 'paused');
+    } catch (error) {
+      logger.warn(`Failed to check recording state for call ${callSid}: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Tag the call record with the caller's answer to a consent prompt. Calls
+   * without a Call document (IVR-only calls) keep it in the execution
+   * variables alone.
+   */
+  async recordConsent({ callSid, status, nodeId = null, workflowId = null }) {
+    try {
+      await Call.updateOne(
+        { callSid },
+        { $set: { 'recording.consent': { status, capturedAt: new Date(), nodeId, workflowId } } }
+      );
+    } catch (error) {
+      logger.warn(`Failed to store recording consent for call ${callSid}: ${error.message}`);
+    }
+  }
+}
+
+export default new CallRecordingService();
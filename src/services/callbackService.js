@@ -29,7 +29,7 @@ class CallbackService {
   startCallbackProcessor() {
     setInterval(async () => {
       await this.processPendingCallbacks();
-    }, this.CHECK_INTERVAL);
+    }, this.CHECK_INTERVAL).unref();
   }
 
   /**
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import ExecutionLog from '../models/ExecutionLog.js';
+import logger from '../utils/logger.js';
+
+// How far back a caller counts as returning
+const RETURNING_CALLER_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Nodes a call can be resumed at: each asks the caller something, so
+// resuming replays the question rather than an action with side effects
+const CHECKPOINT_NODE_TYPES = new Set([
+  'input',
+  'speech_input',
+  'menu',
+  'verify',
+  'availability_check',
+  'slot_offer',
+  'booking_confirm'
+]);
+
+// Call-specific values that must not carry over into the new call
+const NON_RESUMABLE_VARIABLES = new Set(['callerNumber', 'destinationNumber', 'callSid', 'lastInputValue', 'lastInputNodeId']);
+const NON_RESUMABLE_PREFIXES = ['caller.', 'verify.', 'transfer.', 'survey.'];
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+};
+
+const isValidId = (value) => Boolean(value) && mongoose.Types.ObjectId.isValid(String(value));
+
+/**
+ * Resume node settings. The caller presses `resumeDigit` to continue from
+ * the checkpoint or `restartDigit` to start over; calls older than
+ * `maxAgeHours` are not offered.
+ */
+export const normalizeResumeSettings = (data = {}) => ({
+  promptText: String(data.promptText || data.prompt_text || '').trim() ||
+    'Welcome back. Press 1 to continue where you left off, or 2 to start over.',
+  resumeDigit: String(data.resumeDigit ?? data.resume_digit ?? '').trim().slice(0, 1) || '1',
+  restartDigit: String(data.restartDigit ?? data.restart_digit ?? '').trim().slice(0, 1) || '2',
+  maxAgeHours: clampInt(data.maxAgeHours ?? data.max_age_hours, 24, 1, 168),
+  maxAttempts: clampInt(data.maxAttempts ?? data.max_attempts, 2, 1, 5)
+});
+
+/**
+ * Where an unfinished call should pick up: the last checkpoint node it
+ * reached, but never past a verify node, so resumed callers prove who
+ * they are again.
+ */
+const findCheckpoint = (visitedNodes = []) => {
+  // Nodes visited inside a subflow belong to another workflow
+  const visits = visitedNodes.filter((visit) => !visit?.depth);
+  const verifyVisit = visits.find((visit) => String(visit?.nodeType || '').toLowerCase() === 'verify');
+  if (verifyVisit) return verifyVisit.nodeId;
+  const checkpoint = [...visits].reverse()
+    .find((visit) => CHECKPOINT_NODE_TYPES.has(String(visit?.nodeType || '').toLowerCase()));
+  return checkpoint?.nodeId || null;
+};
+
+const isIncomplete = (log) => {
+  if (log.reason === 'transfer_complete' || log.voicemailRecorded) return false;
+  return !(log.visitedNodes || []).some((visit) => !visit?.depth && String(visit?.nodeType || '').toLowerCase() === 'end');
+};
+
+class CallerHistoryService {
+  /**
+   * The caller's most recent earlier call to this workflow, or null. The
+   * checkpoint is only set when that call ended before reaching an end
+   * node, a completed transfer or a voicemail. Lookup failures are logged
+   * and treated as a first-time caller.
+   */
+  async findPreviousCall({ userId, workflowId, callerNumber, callSid = null } = {}) {
+    if (!isValidId(userId) || !isValidId(workflowId) || !callerNumber) return null;
+    try {
+      const log = await ExecutionLog.findOne({
+        userId,
+        workflowId,
+        callerNumber,
+        callSid: { $ne: callSid },
+        startTime: { $gte: new Date(Date.now() - RETURNING_CALLER_LOOKBACK_MS) }
+      })
+        .sort({ startTime: -1 })
+        .select('startTime reason voicemailRecorded visitedNodes.nodeId visitedNodes.nodeType visitedNodes.depth')
+        .lean();
+      if (!log) return null;
+      return {
+        executionLogId: String(log._id),
+        startTime: new Date(log.startTime).toISOString(),
+        lastNodeId: isIncomplete(log) ? findCheckpoint(log.visitedNodes) : null
+      };
+    } catch (error) {
+      logger.warn(`Failed to look up previous calls from ${callerNumber}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Variables for the start of a call, from findPreviousCall's result.
+   */
+  toCallerVariables(previousCall = null) {
+    return {
+      'caller.isReturning': Boolean(previousCall),
+      'caller.lastNodeId': previousCall?.lastNodeId || '',
+      'caller.lastCallAt': previousCall?.startTime || ''
+    };
+  }
+
+  /**
+   * Whether a resume node may offer the previous call's checkpoint: it must
+   * be recent enough and still exist in the workflow being run.
+   */
+  canResume(previousCall, settings, nodes = []) {
+    if (!previousCall?.lastNodeId || !previousCall.startTime) return false;
+    const ageMs = Date.now() - new Date(previousCall.startTime).getTime();
+    if (!Number.isFinite(ageMs) || ageMs > settings.maxAgeHours * 60 * 60 * 1000) return false;
+    return nodes.some((node) => node?.id === previousCall.lastNodeId);
+  }
+
+  /**
+   * Variables saved when the previous call ended, minus call-specific ones,
+   * verification results and per-node progress. Nothing is restored when
+   * the checkpoint is a verify node: the log cannot tell which values were
+   * read before verification, and none may reach an unverified caller.
+   */
+  async loadResumableVariables(userId, executionLogId, { checkpointType = '' } = {}) {
+    if (!isValidId(userId) || !isValidId(executionLogId)) return {};
+    if (String(checkpointType).toLowerCase() === 'verify') return {};
+    try {
+      const log = await ExecutionLog.findOne({ _id: executionLogId, userId }).select('variables').lean();
+      const variables = log?.variables && typeof log.variables === 'object' ? log.variables : {};
+      return Object.fromEntries(Object.entries(variables).filter(([key]) => (
+        !NON_RESUMABLE_VARIABLES.has(key) &&
+        !key.includes(':') &&
+        !NON_RESUMABLE_PREFIXES.some((prefix) => key.startsWith(prefix))
+      )));
+    } catch (error) {
+      logger.warn(`Failed to load variables of execution ${executionLogId}: ${error.message}`);
+      return {};
+    }
+  }
+}
+
+export default new CallerHistoryService();
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import CallerPreference from '../models/CallerPreference.js';
+import logger from '../utils/logger.js';
+import { normalizeLocale } from '../utils/localization.js';
+
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/[^\d+]/g, '');
+  if (!digits) return '';
+  if (digits.startsWith('+')) return digits;
+  return `+${digits}`;
+};
+
+const isValidOwner = (userId) => Boolean(userId) && mongoose.Types.ObjectId.isValid(String(userId));
+
+class CallerPreferenceService {
+  /**
+   * Locale a caller chose on an earlier call to this tenant, or null.
+   * Lookup failures are logged and treated as "no preference".
+   */
+  async getLanguage(userId, phoneNumber) {
+    const phone = normalizePhone(phoneNumber);
+    if (!isValidOwner(userId) || !phone) return null;
+    try {
+      const preference = await CallerPreference.findOne({ userId, phoneNumber: phone }).select('language').lean();
+      return normalizeLocale(preference?.language) || null;
+    } catch (error) {
+      logger.warn(`Failed to load caller language for ${phone}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async rememberLanguage(userId, phoneNumber, language, workflowId = null) {
+    const phone = normalizePhone(phoneNumber);
+    const locale = normalizeLocale(language);
+    if (!isValidOwner(userId) || !phone || !locale) return null;
+    try {
+      return await CallerPreference.findOneAndUpdate(
+        { userId, phoneNumber: phone },
+        { $set: { language: locale, languageWorkflowId: workflowId || null } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      ).lean();
+    } catch (error) {
+      logger.warn(`Failed to remember caller language for ${phone}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default new CallerPreferenceService();
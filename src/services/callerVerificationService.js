@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import VerificationCredential from '../models/VerificationCredential.js';
+import VerificationLockout from '../models/VerificationLockout.js';
+import logger from '../utils/logger.js';
+import { normalizeDirectoryPhone } from './customerDirectoryService.js';
+
+const ACCOUNT_PATTERN = /^\d{3,20}$/;
+const PIN_PATTERN = /^\d{4,12}$/;
+// Compared against when the account does not exist, so unknown and known
+// accounts take the same time to reject
+let dummyPinHash = null;
+
+// Numbers carriers present for withheld, restricted or unknown caller ID;
+// every hidden caller shares them, so they identify no one
+const WITHHELD_CALLER_NUMBERS = new Set(['+266696687', '+86282452253', '+7378742833', '+2562533', '+8656696']);
+
+// Input recorded in place of the digits a verify node collects
+export const REDACTED_INPUT = '[redacted]';
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+};
+
+const isValidOwner = (userId) => Boolean(userId) && mongoose.Types.ObjectId.isValid(String(userId));
+
+// The caller number lockouts are counted against, or '' when there is none
+const toCallerKey = (phoneNumber) => {
+  const phone = normalizeDirectoryPhone(phoneNumber);
+  return WITHHELD_CALLER_NUMBERS.has(phone) ? '' : phone;
+};
+
+/**
+ * Verify node settings with defaults. `maxAttempts` limits tries within a
+ * call; `lockoutThreshold` failures from the same number, or against the
+ * same account, across calls lock it out for `lockoutMinutes`.
+ */
+export const normalizeVerifySettings = (data = {}) => ({
+  accountPromptText: String(data.accountPromptText || data.account_prompt_text || '').trim() ||
+    'Please enter your account number, followed by the hash key.',
+  pinPromptText: String(data.pinPromptText || data.pin_prompt_text || '').trim() ||
+    'Please enter your PIN, followed by the hash key.',
+  lockedMessage: String(data.lockedMessage || data.locked_message || '').trim() ||
+    'Too many unsuccessful attempts. Please try again later.',
+  maxAttempts: clampInt(data.maxAttempts ?? data.max_attempts, 3, 1, 10),
+  lockoutThreshold: clampInt(data.lockoutThreshold ?? data.lockout_threshold, 5, 1, 50),
+  lockoutMinutes: clampInt(data.lockoutMinutes ?? data.lockout_minutes, 30, 1, 24 * 60)
+});
+
+class CallerVerificationService {
+  async listCredentials(userId) {
+    return VerificationCredential.find({ userId })
+      .sort({ accountNumber: 1 })
+      .select('accountNumber label createdAt updatedAt')
+      .lean();
+  }
+
+  /**
+   * Create or replace the PIN for an account number.
+   */
+  async saveCredential(userId, accountNumber, { pin, label } = {}) {
+    const account = String(accountNumber || '').trim();
+    if (!ACCOUNT_PATTERN.test(account)) throw createError('Account number must be 3 to 20 digits');
+    if (!PIN_PATTERN.test(String(pin || ''))) throw createError('PIN must be 4 to 12 digits');
+
+    let credential = await VerificationCredential.findOne({ userId, accountNumber: account });
+    if (!credential) {
+      credential = new VerificationCredential({ userId, accountNumber: account });
+    }
+    credential.pin = String(pin);
+    if (label !== undefined) credential.label = String(label || '').trim();
+    await credential.save();
+    return { accountNumber: credential.accountNumber, label: credential.label, updatedAt: credential.updatedAt };
+  }
+
+  async deleteCredential(userId, accountNumber) {
+    const credential = await VerificationCredential.findOneAndDelete({ userId, accountNumber: String(accountNumber || '').trim() })
+      .select('_id')
+      .lean();
+    if (!credential) throw createError('Account not found', 404);
+    await VerificationLockout.deleteOne({ userId, credentialId: credential._id });
+    return { accountNumber };
+  }
+
+  /**
+   * Id of the credential for an account number, or null. Verify nodes keep
+   * this between the account and PIN prompts instead of the digits.
+   */
+  async findCredentialId(userId, accountNumber) {
+    const account = String(accountNumber || '').trim();
+    if (!isValidOwner(userId) || !ACCOUNT_PATTERN.test(account)) return null;
+    const credential = await VerificationCredential.findOne({ userId, accountNumber: account }).select('_id').lean();
+    return credential ? String(credential._id) : null;
+  }
+
+  /**
+   * The verified account, or null when the PIN does not match. A missing
+   * credential still costs one bcrypt comparison.
+   */
+  async checkPin(userId, credentialId, pin) {
+    const credential = isValidOwner(userId) && mongoose.Types.ObjectId.isValid(String(credentialId || ''))
+      ? await VerificationCredential.findOne({ _id: credentialId, userId }).select('+pin accountNumber label')
+      : null;
+    if (!credential) {
+      dummyPinHash = dummyPinHash || await bcrypt.hash('0000', 10);
+      await bcrypt.compare(String(pin || ''), dummyPinHash);
+      return null;
+    }
+    const matches = await credential.comparePin(pin);
+    return matches ? { accountNumber: credential.accountNumber, label: credential.label } : null;
+  }
+
+  /**
+   * The lockout records a verify attempt counts against: the caller's number
+   * and, once an account number is entered, that account's credential.
+   */
+  _lockoutSubjects(phone, credentialId) {
+    const subjects = [{ phoneNumber: phone }];
+    if (credentialId && mongoose.Types.ObjectId.isValid(String(credentialId))) {
+      subjects.push({ credentialId: new mongoose.Types.ObjectId(String(credentialId)) });
+    }
+    return subjects;
+  }
+
+  /**
+   * Lockout status for a caller number and, when given, the credential being
+   * tried. Callers who withhold their number can't be counted, so like a
+   * failed lookup the result is `unavailable` and the caller must not be
+   * verified: a lockout we cannot read may be in force.
+   */
+  async getLockout(userId, phoneNumber, { credentialId = null } = {}) {
+    const phone = toCallerKey(phoneNumber);
+    if (!isValidOwner(userId) || !phone) return { locked: false, lockedUntil: null, unavailable: true };
+    try {
+      const lockouts = await VerificationLockout.find({ userId, $or: this._lockoutSubjects(phone, credentialId) })
+        .select('lockedUntil')
+        .lean();
+      const now = new Date();
+      const lockedUntil = lockouts
+        .map((lockout) => lockout.lockedUntil)
+        .filter((until) => until && until > now)
+        .sort((a, b) => b - a)[0] || null;
+      return { locked: Boolean(lockedUntil), lockedUntil };
+    } catch (error) {
+      logger.warn(`Failed to load verification lockout for ${phone}: ${error.message}`);
+      return { locked: false, lockedUntil: null, unavailable: true };
+    }
+  }
+
+  /**
+   * Count a failed verification against the caller number and the
+   * credential tried. Reaching the threshold on either locks it and starts
+   * its count again for after the lockout. A failure that cannot be counted
+   * comes back `unavailable`, so the caller gets no more tries.
+   */
+  async recordFailure(userId, phoneNumber, { lockoutThreshold, lockoutMinutes } = normalizeVerifySettings(), { credentialId = null } = {}) {
+    const phone = toCallerKey(phoneNumber);
+    if (!isValidOwner(userId) || !phone) return { locked: false, failures: 0, lockedUntil: null, unavailable: true };
+    try {
+      const counted = await Promise.all(this._lockoutSubjects(phone, credentialId).map((subject) => (
+        VerificationLockout.findOneAndUpdate(
+          { userId, ...subject },
+          { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+          { new: true, upsert: true, setDefaultsOnInsert: true }
+        )
+      )));
+      const failures = Math.max(...counted.map((lockout) => lockout.failures));
+      const reached = counted.filter((lockout) => lockout.failures >= lockoutThreshold);
+      if (reached.length === 0) {
+        return { locked: false, failures, lockedUntil: null };
+      }
+
+      const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+      await VerificationLockout.updateMany(
+        { _id: { $in: reached.map((lockout) => lockout._id) } },
+        { $set: { failures: 0, lockedUntil } }
+      );
+      const locked = reached.map((lockout) => (lockout.credentialId ? `credential ${lockout.credentialId}` : phone));
+      logger.warn(`Verification locked for ${locked.join(' and ')} until ${lockedUntil.toISOString()}`);
+      return { locked: true, failures, lockedUntil };
+    } catch (error) {
+      logger.warn(`Failed to record verification failure for ${phone}: ${error.message}`);
+      return { locked: false, failures: 0, lockedUntil: null, unavailable: true };
+    }
+  }
+
+  /**
+   * Reset the failure counts for a caller number and, after a successful
+   * verification, the credential it proved.
+   */
+  async clearFailures(userId, phoneNumber, { credentialId = null } = {}) {
+    const phone = toCallerKey(phoneNumber);
+    if (!isValidOwner(userId) || !phone) return false;
+    try {
+      const result = await VerificationLockout.deleteMany({ userId, $or: this._lockoutSubjects(phone, credentialId) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.warn(`Failed to clear verification failures for ${phone}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Lift an account's lockout and reset its failure count.
+   */
+  async clearCredentialFailures(userId, accountNumber) {
+    const credentialId = await this.findCredentialId(userId, accountNumber);
+    if (!credentialId) throw createError('Account not found', 404);
+    const result = await VerificationLockout.deleteOne({ userId, credentialId });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new CallerVerificationService();
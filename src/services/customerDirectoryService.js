@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import CustomerDirectoryEntry from '../models/CustomerDirectoryEntry.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_COUNTRY_CODE = String(process.env.CUSTOMER_DIRECTORY_DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '') || '91';
+const MAX_IMPORT_ROWS = Number(process.env.CUSTOMER_DIRECTORY_MAX_ROWS || 50000);
+const MAX_REPORTED_SKIPS = 50;
+const BULK_CHUNK_SIZE = 1000;
+const E164_REGEX = /^\+[1-9][0-9]{7,14}$/;
+const PHONE_COLUMNS = ['phone', 'phone_number', 'mobile', 'number', 'caller_number', 'callernumber'];
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegExp = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * E.164 form of a directory or caller number, or '' when it is not one.
+ * Ten-digit numbers (with or without a leading trunk 0) get the default
+ * country code, so "098765 43210" and "+91 98765-43210" match the same row.
+ */
+export const normalizeDirectoryPhone = (value) => {
+  const raw = String(value ?? '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+
+  let phone;
+  if (raw.startsWith('+')) {
+    phone = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    phone = `+${digits.slice(2)}`;
+  } else {
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    phone = digits.length === 10 ? `+${DEFAULT_COUNTRY_CODE}${digits}` : `+${digits}`;
+  }
+  return E164_REGEX.test(phone) ? phone : '';
+};
+
+/**
+ * Column header as a variable name: "First Name" -> "first_name".
+ */
+export const normalizeColumnName = (value) => String(value ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9_]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain commas,
+ * newlines and doubled quotes; blank lines are dropped.
+ */
+export const parseCsvRows = (csvText = '') => {
+  const text = String(csvText || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Lookup node settings. The caller is matched by their own number unless
+ * `matchBy` is "variable", in which case `matchVariable` holds the number
+ * (e.g. one collected at an input node). Matched fields are loaded as
+ * `<variablePrefix>.<column>`, or as bare column names without a prefix;
+ * `fields` limits which columns are loaded.
+ */
+export const normalizeLookupSettings = (data = {}) => {
+  const rawFields = data.fields ?? [];
+  const fields = (Array.isArray(rawFields) ? rawFields : String(rawFields).split(','))
+    .map(normalizeColumnName)
+    .filter(Boolean);
+  return {
+    matchBy: String(data.matchBy || data.match_by || '').trim().toLowerCase() === 'variable' ? 'variable' : 'caller',
+    matchVariable: String(data.matchVariable || data.match_variable || '').trim(),
+    variablePrefix: String(data.variablePrefix || data.variable_prefix || '').trim().replace(/\.+$/, ''),
+    fields: Array.from(new Set(fields))
+  };
+};
+
+class CustomerDirectoryService {
+  /**
+   * Import a CSV whose header row names the columns. One column holds the
+   * phone number (`phoneColumn`, else the first of phone/mobile/number/...);
+   * every other non-empty column is stored as a field. Rows for numbers
+   * already in the directory are replaced. With `replace`, numbers missing
+   * from the file are removed.
+   */
+  async importCsv(userId, csvData, { phoneColumn = '', replace = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(String(userId || ''))) {
+      throw createError('Unauthorized', 401);
+    }
+    const [headerRow, ...dataRows] = parseCsvRows(csvData);
+    if (!headerRow) throw createError('csvData must include a header row and at least one customer');
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      throw createError(`A directory import is limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const headers = headerRow.map(normalizeColumnName);
+    const requestedColumn = normalizeColumnName(phoneColumn);
+    const phoneIndex = requestedColumn
+      ? headers.indexOf(requestedColumn)
+      : headers.findIndex((header) => PHONE_COLUMNS.includes(header));
+    if (phoneIndex === -1) {
+      throw createError(requestedColumn
+        ? `Column "${phoneColumn}" not found in the CSV header`
+        : `CSV header needs a phone column (${PHONE_COLUMNS.join(', ')})`);
+    }
+
+    const entries = new Map();
+    const skipped = [];
+    let skippedCount = 0;
+    dataRows.forEach((values, index) => {
+      const phone = normalizeDirectoryPhone(values[phoneIndex]);
+      if (!phone) {
+        skippedCount += 1;
+        if (skipped.length < MAX_REPORTED_SKIPS) {
+          skipped.push({ row: index + 2, value: values[phoneIndex] || '', reason: 'invalid_phone' });
+        }
+        return;
+      }
+      const fields = {};
+      headers.forEach((header, position) => {
+        if (position === phoneIndex || !header || !values[position]) return;
+        fields[header] = values[position];
+      });
+      // Later rows for the same number win
+      entries.set(phone, fields);
+    });
+
+    if (entries.size === 0) throw createError('No rows with a valid phone number were found');
+
+    const owner = new mongoose.Types.ObjectId(String(userId));
+    const operations = Array.from(entries, ([phone, fields]) => ({
+      updateOne: {
+        filter: { userId: owner, phone },
+        update: { $set: { fields } },
+        upsert: true
+      }
+    }));
+
+    let inserted = 0;
+    let updated = 0;
+    for (let start = 0; start < operations.length; start += BULK_CHUNK_SIZE) {
+      const result = await CustomerDirectoryEntry.bulkWrite(operations.slice(start, start + BULK_CHUNK_SIZE), { ordered: false });
+      inserted += result.upsertedCount || 0;
+      updated += result.matchedCount || 0;
+    }
+
+    let removed = 0;
+    if (replace) {
+      const result = await CustomerDirectoryEntry.deleteMany({ userId: owner, phone: { $nin: Array.from(entries.keys()) } });
+      removed = result.deletedCount || 0;
+    }
+
+    logger.info(`Customer directory import for ${owner}: ${inserted} added, ${updated} updated, ${removed} removed`);
+    return {
+      columns: headers.filter((header, position) => header && position !== phoneIndex),
+      phoneColumn: headers[phoneIndex],
+      totalRows: dataRows.length,
+      imported: entries.size,
+      inserted,
+      updated,
+      removed,
+      skippedCount,
+      skipped
+    };
+  }
+
+  async listEntries(userId, { search = '', page = 1, limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const safePage = Math.max(Number(page) || 1, 1);
+    const filter = { userId };
+    const term = String(search || '').trim();
+    if (term) {
+      const digits = term.replace(/\D/g, '');
+      filter.$or = [
+        ...(digits ? [{ phone: { $regex: escapeRegExp(digits) } }] : []),
+        { 'fields.name': { $regex: escapeRegExp(term), $options: 'i' } }
+      ];
+    }
+
+    const [entries, total] = await Promise.all([
+      CustomerDirectoryEntry.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select('phone fields updatedAt')
+        .lean(),
+      CustomerDirectoryEntry.countDocuments(filter)
+    ]);
+    return { entries, total, page: safePage, limit: safeLimit };
+  }
+
+  async deleteEntry(userId, phoneNumber) {
+    const phone = normalizeDirectoryPhone(phoneNumber);
+    if (!phone) throw createError('A valid phone number is required');
+    const result = await CustomerDirectoryEntry.deleteOne({ userId, phone });
+    if (!result.deletedCount) throw createError('Customer not found', 404);
+    return { phone };
+  }
+
+  async clear(userId) {
+    const result = await CustomerDirectoryEntry.deleteMany({ userId });
+    return { removed: result.deletedCount || 0 };
+  }
+
+  /**
+   * Directory fields for a number, or null when the tenant has no row for
+   * it. Unlike the import, a failed query throws so the lookup node can take
+   * its error branch.
+   */
+  async findByPhone(userId, phoneNumber) {
+    const phone = normalizeDirectoryPhone(phoneNumber);
+    if (!phone || !mongoose.Types.ObjectId.isValid(String(userId || ''))) return null;
+    const entry = await CustomerDirectoryEntry.findOne({ userId, phone }).select('phone fields').lean();
+    return entry ? { phone: entry.phone, fields: entry.fields || {} } : null;
+  }
+}
+
+export default new CustomerDirectoryService();
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import ExecutionState from '../models/ExecutionState.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_TTL_MS = Number(process.env.IVR_STATE_TTL_MS || 2 * 60 * 60 * 1000); // 2 hours
+
+export class ExecutionStateConflictError extends Error {
+  constructor(callSid, expectedVersion) {
+    super(`Execution state for ${callSid} changed since version ${expectedVersion}`);
+    this.name = 'ExecutionStateConflictError';
+    this.code = 'EXECUTION_STATE_CONFLICT';
+    this.callSid = callSid;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+const cloneState = (state) => (
+  typeof structuredClone === 'function'
+    ? structuredClone(state)
+    : JSON.parse(JSON.stringify(state))
+);
+
+const toObjectIdOrNull = (value) => {
+  const normalized = String(value || '').trim();
+  return mongoose.Types.ObjectId.isValid(normalized) ? new mongoose.Types.ObjectId(normalized) : null;
+};
+
+/**
+ * Process-local store. Good enough for single-node development; state is lost
+ * on restart and is not visible to other instances.
+ */
+export class InMemoryExecutionStateStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.records = new Map(); // callSid -> { state, version, expiresAt }
+    this.isDurable = false;
+  }
+
+  async get(callSid) {
+    const record = this.records.get(callSid);
+    if (!record) return null;
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(callSid);
+      return null;
+    }
+    return { state: cloneState(record.state), version: record.version };
+  }
+
+  async save(callSid, state, expectedVersion = 0) {
+    const current = this.records.get(callSid);
+    const currentVersion = current ? current.version : 0;
+    if (currentVersion !== expectedVersion) {
+      throw new ExecutionStateConflictError(callSid, expectedVersion);
+    }
+
+    const version = currentVersion + 1;
+    this.records.set(callSid, {
+      state: cloneState(state),
+      version,
+      expiresAt: Date.now() + this.ttlMs
+    });
+    return version;
+  }
+
+  async delete(callSid) {
+    this.records.delete(callSid);
+  }
+
+  async findCallSidsByWorkflow(workflowId) {
+    const normalizedWorkflowId = String(workflowId || '');
+    return Array.from(this.records.entries())
+      .filter(([, record]) => String(record.state?.workflowId || '') === normalizedWorkflowId)
+      .map(([callSid]) => callSid);
+  }
+}
+
+/**
+ * MongoDB-backed store shared by every instance. Writes are guarded by a
+ * version number so two instances cannot silently overwrite each other.
+ */
+export class MongoExecutionStateStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.isDurable = true;
+  }
+
+  async get(callSid) {
+    // The TTL monitor only sweeps once a minute; expired records are already gone
+    const record = await ExecutionState.findOne({ callSid, expiresAt: { $gt: new Date() } }).lean();
+    if (!record) return null;
+    return { state: record.state || {}, version: record.version || 0 };
+  }
+
+  async save(callSid, state, expectedVersion = 0) {
+    try {
+      const record = await ExecutionState.findOneAndUpdate(
+        { callSid, version: expectedVersion },
+        {
+          $set: {
+            state,
+            workflowId: toObjectIdOrNull(state?.workflowId),
+            expiresAt: new Date(Date.now() + this.ttlMs)
+          },
+          $inc: { version: 1 }
+        },
+        {
+          new: true,
+          upsert: expectedVersion === 0,
+          projection: { version: 1 }
+        }
+      ).lean();
+
+      if (!record) {
+        throw new ExecutionStateConflictError(callSid, expectedVersion);
+      }
+      return record.version;
+    } catch (error) {
+      // A concurrent first write wins the unique callSid index; treat as conflict.
+      if (error?.code === 11000) {
+        throw new ExecutionStateConflictError(callSid, expectedVersion);
+      }
+      throw error;
+    }
+  }
+
+  async delete(callSid) {
+    await ExecutionState.deleteOne({ callSid });
+  }
+
+  async findCallSidsByWorkflow(workflowId) {
+    const objectId = toObjectIdOrNull(workflowId);
+    if (!objectId) return [];
+    const records = await ExecutionState.find({ workflowId: objectId }).select('callSid').lean();
+    return records.map((record) => record.callSid);
+  }
+}
+
+/**
+ * Pick the store from IVR_STATE_STORE ("mongo" by default, "memory" for
+ * single-node development).
+ */
+export const createExecutionStateStore = (kind = process.env.IVR_STATE_STORE) => {
+  const normalized = String(kind || 'mongo').trim().toLowerCase();
+  if (normalized === 'memory') {
+    logger.info('IVR execution state store: in-memory');
+    return new InMemoryExecutionStateStore();
+  }
+  logger.info('IVR execution state store: mongo');
+  return new MongoExecutionStateStore();
+};
+
+export default createExecutionStateStore;
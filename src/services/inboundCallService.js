@@ -9,8 +9,13 @@ import User from '../models/user.js';
 import InboundRoutingRule from '../models/InboundRoutingRule.js';
 import Workflow from '../models/Workflow.js';
 import ivrWorkflowEngine from './ivrWorkflowEngine.js';
+import ivrExecutionEngine from './ivrExecutionEngine.js';
+import businessHoursService from './businessHoursService.js';
+import { buildExpressionScope, evaluateCondition } from '../utils/conditionExpression.js';
+import { normalizeMenuOptions, findMenuOption } from '../utils/menuOptions.js';
 import { emitQueueUpdate, emitIVRUpdate } from '../sockets/unifiedSocket.js';
 import callDetailsController from '../controllers/callDetailsController.js';
+import agentService from './agentService.js';
 
 
 class InboundCallService {
@@ -18,7 +23,6 @@ class InboundCallService {
     this.callQueues = new Map(); // Queue management
     this.ivrMenus = new Map(); // IVR configurations
     this.routingRules = new Map(); // Business routing rules
-    this.activeAgents = new Map(); // Available agents
 
     this.initializeDefaultIVR();
     this.initializeRoutingRules();
@@ -28,41 +32,19 @@ class InboundCallService {
 
   /* =========================
      Initialize Default IVR Menu
+     Fallback menus for calls with no workflow, kept in menu node shape and
+     rendered by the same code as workflow menu nodes. Option `action`s are
+     handled by executeIVRAction.
   ========================== */
   initializeDefaultIVR() {
-    this.ivrMenus.set('main', {
+    this.setMenu('main', {
       greeting: 'Welcome to our AI assistant. Please choose from the following options:',
       menu: [
-        {
-          digit: '1',
-          text: 'For sales and support, press 1',
-          action: 'route_to_sales',
-          next: 'sales'
-        },
-        {
-          digit: '2',
-          text: 'For technical support, press 2',
-          action: 'route_to_tech',
-          next: 'tech'
-        },
-        {
-          digit: '3',
-          text: 'For billing inquiries, press 3',
-          action: 'route_to_billing',
-          next: 'billing'
-        },
-        {
-          digit: '4',
-          text: 'To speak with our AI assistant, press 4',
-          action: 'route_to_ai',
-          next: null
-        },
-        {
-          digit: '0',
-          text: 'To repeat these options, press 0',
-          action: 'repeat',
-          next: 'main'
-        }
+        { digit: '1', text: 'For sales and support, press 1', action: 'route_to_sales', next: 'sales' },
+        { digit: '2', text: 'For technical support, press 2', action: 'route_to_tech', next: 'tech' },
+        { digit: '3', text: 'For billing inquiries, press 3', action: 'route_to_billing', next: 'billing' },
+        { digit: '4', text: 'To speak with our AI assistant, press 4', action: 'route_to_ai', next: null },
+        { digit: '0', text: 'To repeat these options, press 0', action: 'repeat', next: 'main' }
       ],
       timeout: 10, // seconds
       maxAttempts: 3,
@@ -70,33 +52,40 @@ class InboundCallService {
     });
 
     // Specialized IVR menus
-    this.ivrMenus.set('sales', {
+    this.setMenu('sales', {
       greeting: 'Sales department. How can we help you today?',
       menu: [
-        {
-          digit: '1',
-          text: 'Product information, press 1',
-          action: 'route_to_ai',
-          context: 'product_info'
-        },
-        {
-          digit: '2',
-          text: 'Pricing and plans, press 2',
-          action: 'route_to_ai',
-          context: 'pricing'
-        },
-        {
-          digit: '3',
-          text: 'Speak to a representative, press 3',
-          action: 'queue_for_agent',
-          queue: 'sales'
-        }
+        { digit: '1', text: 'Product information, press 1', action: 'route_to_ai', context: 'product_info' },
+        { digit: '2', text: 'Pricing and plans, press 2', action: 'route_to_ai', context: 'pricing' },
+        { digit: '3', text: 'Speak to a representative, press 3', action: 'queue_for_agent', queue: 'sales' }
       ],
       timeout: 8,
       maxAttempts: 3
     });
   }
 
+  /**
+   * Register a fallback menu from a legacy { greeting, menu, timeout, ... }
+   * config as a menu node.
+   */
+  setMenu(menuName, config = {}) {
+    const node = {
+      id: menuName,
+      type: 'menu',
+      data: {
+        text: config.greeting || config.text || '',
+        // Raw entries so option actions survive; rendering normalises them
+        menuOptions: Array.isArray(config.menu) ? config.menu : (config.menuOptions || []),
+        timeoutSeconds: config.timeout || config.timeoutSeconds || 10,
+        maxAttempts: config.maxAttempts || 3,
+        invalidInputMessage: config.invalidInputMessage || 'Invalid selection. Please try again.',
+        timeoutMessage: config.timeoutMessage || 'We did not receive your selection.'
+      }
+    };
+    this.ivrMenus.set(menuName, node);
+    return node;
+  }
+
   /* =========================
      Initialize Routing Rules
   ========================== */
@@ -165,6 +154,8 @@ class InboundCallService {
       // Determine routing based on rules
 
       const routing = await this.determineRouting(call, user);
+      // Later fallbacks on this call check the same calendar as its rule
+      callStateService.updateCallState(CallSid, { businessHoursCalendarId: routing.businessHoursCalendarId || null });
 
       // Check if AI fallback should be triggered
       const shouldFallbackToAI = await this.shouldTriggerAIFallback(routing, call, user);
@@ -172,7 +163,7 @@ class InboundCallService {
       let result;
       if (shouldFallbackToAI.trigger) {
         // Trigger AI fallback
-        result = await this.handleAIFallbackRouting(CallSid, shouldFallbackToAI.reason, callData);
+        result = await this.handleAIFallbackRouting(CallSid, shouldFallbackToAI.reason, callData, routing);
       } else {
         // Execute normal routing actions
         result = await this.executeRouting(CallSid, routing, callData);
@@ -201,12 +192,12 @@ class InboundCallService {
   async shouldTriggerAIFallback(routing, call, user) {
     try {
       // Check business hours
-      if (!this.isBusinessHours() && routing.name !== 'after_hours') {
+      if (!(await this.isBusinessHours(routing.businessHoursCalendarId)) && routing.name !== 'after_hours') {
         return { trigger: true, reason: 'after_hours' };
       }
 
       // Check agent availability
-      const availableAgents = this.activeAgents.size;
+      const availableAgents = await agentService.countAvailable(call?.user || user?._id);
       if (availableAgents === 0 && routing.actions.includes('queue_for_agent')) {
         return { trigger: true, reason: 'no_agent_available' };
       }
@@ -245,7 +236,7 @@ class InboundCallService {
    * Handle AI Fallback Routing
    * ==========================================
    */
-  async handleAIFallbackRouting(callSid, fallbackReason, callData) {
+  async handleAIFallbackRouting(callSid, fallbackReason, callData, routing = null) {
     try {
       logger.info(`ðŸ¤– Routing ${callSid} to AI fallback: ${fallbackReason}`);
 
@@ -253,8 +244,10 @@ class InboundCallService {
       await aiAssistantService.handleAIFallback(callSid, fallbackReason, {
         phoneNumber: callData.From,
         to: callData.To,
-        businessHours: this.isBusinessHours(),
-        availableAgents: this.activeAgents.size
+        businessHours: await this.isBusinessHours(
+          routing?.businessHoursCalendarId || callStateService.getCallState(callSid)?.businessHoursCalendarId || null
+        ),
+        availableAgents: await agentService.countAvailable(callStateService.getCallState(callSid)?.user?._id)
       });
 
       // Generate TwiML for AI connection
@@ -290,7 +283,9 @@ class InboundCallService {
         .lean();
 
       for (const rule of dbRules) {
-        const matched = await this.evaluateRoutingExpression(rule?.condition, call, user);
+        const matched = await this.evaluateRoutingExpression(rule?.condition, call, user, {
+          businessHoursCalendarId: rule?.businessHoursCalendarId || null
+        });
         if (!matched) continue;
 
         let action = String(rule?.action || '').trim();
@@ -307,7 +302,10 @@ class InboundCallService {
           actions: [action],
           actionType: actionType || 'custom',
           ivrMenuId: String(rule?.ivrMenuId || '').trim(),
-          ivrPromptKey
+          ivrPromptKey,
+          businessHoursCalendarId: rule?.businessHoursCalendarId || null,
+          queueName: String(rule?.queueName || '').trim(),
+          requiredSkills: rule?.requiredSkills || []
         };
       }
     }
@@ -328,44 +326,54 @@ class InboundCallService {
     return selectedRule;
   }
 
-  async evaluateRoutingExpression(condition, call, user) {
+  async evaluateRoutingExpression(condition, call, user, { businessHoursCalendarId = null } = {}) {
     const expr = String(condition || '').trim();
     if (!expr) return true;
 
     const normalized = expr.toLowerCase();
     if (['true', 'always', 'default'].includes(normalized)) return true;
-    if (normalized === 'business_hours') return this.isBusinessHours();
-    if (normalized === 'after_hours') return !this.isBusinessHours();
+    if (normalized === 'business_hours') return this.isBusinessHours(businessHoursCalendarId);
+    if (normalized === 'after_hours') return !(await this.isBusinessHours(businessHoursCalendarId));
 
+    const callerNumber = String(call?.phoneNumber || call?.callerNumber || '').trim();
+    const destinationNumber = String(call?.to || call?.destinationNumber || '').trim();
     const values = {
-      caller_number: String(call?.phoneNumber || call?.callerNumber || '').trim(),
-      from: String(call?.phoneNumber || call?.callerNumber || '').trim(),
-      destination_number: String(call?.to || call?.destinationNumber || '').trim(),
-      to: String(call?.to || call?.destinationNumber || '').trim(),
+      caller_number: callerNumber,
+      from: callerNumber,
+      destination_number: destinationNumber,
+      to: destinationNumber,
       user_vip: String(Boolean(user?.vip)).toLowerCase()
     };
 
-    const comparators = [
-      { op: ' starts_with ', fn: (a, b) => String(a).startsWith(String(b)) },
-      { op: ' ends_with ', fn: (a, b) => String(a).endsWith(String(b)) },
-      { op: ' contains ', fn: (a, b) => String(a).includes(String(b)) },
-      { op: '==', fn: (a, b) => String(a) === String(b) },
-      { op: '!=', fn: (a, b) => String(a) !== String(b) }
-    ];
-
-    for (const { op, fn } of comparators) {
-      const idx = expr.indexOf(op);
-      if (idx === -1) continue;
-
-      const leftRaw = expr.slice(0, idx).trim().toLowerCase();
-      const rightRaw = expr.slice(idx + op.length).trim();
-      const leftValue = values[leftRaw] ?? '';
-      const rightValue = rightRaw.replace(/^['"]|['"]$/g, '');
-      return fn(leftValue, rightValue);
+    // Rules saved before the expression language compare against unquoted
+    // literals (caller_number starts_with +91); keep their original meaning.
+    const legacy = /^([a-z_]+)\s*(==|!=|\s(?:starts_with|ends_with|contains)\s)\s*([^'"\s()[\]]\S*)$/i.exec(expr);
+    if (legacy && !/^(-?\d+(\.\d+)?|true|false|null)$/i.test(legacy[3])) {
+      const comparators = {
+        starts_with: (a, b) => a.startsWith(b),
+        ends_with: (a, b) => a.endsWith(b),
+        contains: (a, b) => a.includes(b),
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+      };
+      const leftValue = String(values[legacy[1].toLowerCase()] ?? '');
+      return comparators[legacy[2].trim().toLowerCase()](leftValue, legacy[3]);
     }
 
-    // Unknown expression syntax: avoid blocking by treating as not matched.
-    return false;
+    try {
+      const businessHours = await this.isBusinessHours(businessHoursCalendarId);
+      const scope = buildExpressionScope({
+        variables: values,
+        callerNumber,
+        destinationNumber,
+        extra: { business_hours: businessHours, after_hours: !businessHours }
+      });
+      return evaluateCondition(expr, scope);
+    } catch (error) {
+      // Unknown expression syntax: avoid blocking by treating as not matched.
+      logger.warn(`Routing condition "${expr}" could not be evaluated: ${error.message}`);
+      return false;
+    }
   }
 
   /* =========================
@@ -462,7 +470,11 @@ class InboundCallService {
       case 'queue_for_agent':
       case 'add_to_queue':
       case 'queue':
-        return this.addToQueue(callSid, 'general');
+        return this.queueForAgent(callSid, {
+          queueName: routing?.queueName || 'general',
+          requiredSkills: routing?.requiredSkills || [],
+          userId: callData?.userId || null
+        });
 
       case 'priority_queue':
         return this.addToPriorityQueue(callSid);
@@ -522,56 +534,42 @@ class InboundCallService {
   /* =========================
      Generate IVR TwiML
   ========================== */
-  generateIVRTwiML(menuName, callSid) {
+  generateIVRTwiML(menuName, callSid, { attempts = 0, reason = null } = {}) {
     const menu = this.ivrMenus.get(menuName);
     if (!menu) {
       throw new Error(`IVR menu not found: ${menuName}`);
     }
 
+    const data = menu.data || {};
+    const speech = { voice: 'alice', language: 'en-US' };
     const VoiceResponse = twilio.twiml.VoiceResponse;
     const response = new VoiceResponse();
 
-    // Greeting
-    response.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, menu.greeting);
+    // Re-prompt after an invalid digit or silence
+    if (attempts > 0) {
+      response.say(speech, (reason === 'timeout' && data.timeoutMessage) || data.invalidInputMessage);
+    }
 
-    // Gather user input
+    // Silence posts back too, so it counts as an attempt
     const gather = response.gather({
       numDigits: 1,
-      timeout: menu.timeout,
+      timeout: data.timeoutSeconds,
+      actionOnEmptyResult: true,
       action: `/webhook/ivr/selection/${callSid}`,
       method: 'POST'
     });
 
-    // Menu options
-    menu.menu.forEach(option => {
-      gather.say({
-        voice: 'alice',
-        language: 'en-US'
-      }, option.text);
-    });
-
-    // Handle timeout/no input
-    response.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, 'No input received. Connecting to AI assistant.');
-
-    // Fallback to AI
-    const connect = response.connect();
-    connect.stream({
-      url: `wss://${process.env.BASE_URL?.replace('https://', '').replace('http://', '')}/media/${callSid}`,
-      track: 'both_tracks'
-    });
+    if (data.text) {
+      gather.say(speech, data.text);
+    }
+    ivrExecutionEngine.appendMenuOptions(gather, normalizeMenuOptions(data.menuOptions), speech);
 
     // Store IVR state
     callStateService.updateCallState(callSid, {
       ivrState: {
         currentMenu: menuName,
-        attempts: 0,
-        maxAttempts: menu.maxAttempts
+        attempts,
+        maxAttempts: data.maxAttempts
       }
     });
 
@@ -618,39 +616,22 @@ class InboundCallService {
         throw new Error(`Menu not found: ${currentMenu}`);
       }
 
-      // Find matching option
-      const option = menu.menu.find(opt => opt.digit === digits);
+      const option = findMenuOption(menu.data?.menuOptions, digits);
 
       if (!option) {
-        // Invalid input
-        if (attempts >= maxAttempts) {
+        const reason = String(digits ?? '').trim() ? 'invalid' : 'timeout';
+        const failedAttempts = attempts + 1;
+        if (failedAttempts >= maxAttempts) {
           // Max attempts reached, route to AI fallback
           logger.warn(`[${callSid}] Max IVR attempts reached, routing to AI fallback`);
-          return await this.handleAIFallbackRouting(callSid, 'invalid_input_max_attempts', {
+          return await this.handleAIFallbackRouting(callSid, reason === 'timeout' ? 'no_input_max_attempts' : 'invalid_input_max_attempts', {
             From: state.call?.phoneNumber,
             To: state.call?.to
           });
-        } else {
-          // Retry
-          callStateService.updateCallState(callSid, {
-            ivrState: { ...state.ivrState, attempts: attempts + 1 }
-          });
-
-          const VoiceResponse = twilio.twiml.VoiceResponse;
-          const response = new VoiceResponse();
-
-          response.say({
-            voice: 'alice',
-            language: 'en-US'
-          }, menu.invalidInputMessage);
-
-          // Redirect back to same menu
-          response.redirect({
-            method: 'POST'
-          }, `/webhook/call/incoming`);
-
-          return { twiml: response.toString() };
         }
+
+        // Re-prompt the same menu
+        return this.generateIVRTwiML(currentMenu, callSid, { attempts: failedAttempts, reason });
       }
 
       // Execute action
@@ -675,7 +656,10 @@ class InboundCallService {
         return this.routeToAI(callSid, { context: option.context });
 
       case 'queue_for_agent':
-        return this.addToQueue(callSid, option.queue);
+        return this.queueForAgent(callSid, {
+          queueName: option.queue || 'general',
+          requiredSkills: option.requiredSkills || []
+        });
 
       case 'route_to_sales':
       case 'route_to_tech':
@@ -997,7 +981,16 @@ class InboundCallService {
   /* =========================
      Business Hours Detection
   ========================== */
-  isBusinessHours() {
+  /**
+   * Open/closed from the given business-hours calendar; without one (or when
+   * it cannot be loaded) fall back to server time, Monday-Friday 9-19.
+   */
+  async isBusinessHours(calendarId = null) {
+    if (calendarId) {
+      const open = await businessHoursService.isOpen(calendarId);
+      if (open !== null) return open;
+    }
+
     const now = new Date();
     const hour = now.getHours();
     const day = now.getDay();
@@ -1022,75 +1015,73 @@ class InboundCallService {
 
   /* =========================
      Queue Agent Management
+     Agents are stored per tenant (see agentService); a queued call goes to
+     the longest-idle available agent with the queue's required skills.
   ========================== */
-  addAgent(agentId, capabilities = []) {
-    this.activeAgents.set(agentId, {
-      id: agentId,
-      status: 'available',
-      capabilities,
-      joinedAt: new Date(),
-      currentCall: null,
-      totalCalls: 0
-    });
-
-    logger.info(`ðŸ‘¤ Agent ${agentId} joined with capabilities: ${capabilities.join(', ')}`);
-  }
-
-  removeAgent(agentId) {
-    const agent = this.activeAgents.get(agentId);
-    if (agent && agent.currentCall) {
-      // Handle agent leaving during active call
-      logger.warn(`ðŸ‘¤ Agent ${agentId} left during active call ${agent.currentCall}`);
+  async assignAgentToCall(userId, queueName, callSid, requiredSkills = []) {
+    const agent = await agentService.assignAgent(userId, { callSid, requiredSkills });
+    if (!agent) {
+      logger.info(`No agent available for ${callSid} in ${queueName} queue`);
     }
-
-    this.activeAgents.delete(agentId);
-    logger.info(`ðŸ‘¤ Agent ${agentId} left`);
+    return agent;
   }
 
-  assignAgentToCall(queueName, callSid) {
-    const availableAgents = Array.from(this.activeAgents.values())
-      .filter(agent => agent.status === 'available');
+  async releaseAgent(userId, callSid) {
+    return agentService.releaseCall(userId, callSid);
+  }
 
-    if (availableAgents.length === 0) {
-      return null;
+  /**
+   * Ring the agent picked for a queued call; the caller waits in the queue
+   * when nobody with the required skills is free or the agent doesn't answer.
+   */
+  async queueForAgent(callSid, { queueName = 'general', requiredSkills = [], userId = null } = {}) {
+    const state = callStateService.getCallState(callSid);
+    const ownerId = userId || state?.user?._id || state?.call?.user || null;
+    const agent = await this.assignAgentToCall(ownerId, queueName, callSid, requiredSkills);
+    if (!agent) {
+      return this.addToQueue(callSid, queueName);
     }
 
-    // Simple round-robin assignment (can be enhanced with skill-based routing)
-    const agent = availableAgents[0];
-
-    agent.status = 'busy';
-    agent.currentCall = callSid;
-    agent.totalCalls += 1;
+    const VoiceResponse = twilio.twiml.VoiceResponse;
+    const response = new VoiceResponse();
+    response.say({
+      voice: 'alice',
+      language: 'en-US'
+    }, 'Please hold while we connect you to an agent.');
 
-    logger.info(`ðŸ‘¤ Agent ${agent.id} assigned to call ${callSid}`);
+    const dial = response.dial({
+      timeout: 20,
+      action: `/webhook/agent/dial-status/${callSid}?queueName=${encodeURIComponent(queueName)}`,
+      method: 'POST'
+    });
+    if (agent.endpoint.type === 'client') dial.client(agent.endpoint.value);
+    else dial.number(agent.endpoint.value);
 
-    return agent;
+    return { twiml: response.toString(), agent };
   }
 
-  releaseAgent(agentId) {
-    const agent = this.activeAgents.get(agentId);
-    if (agent) {
-      agent.status = 'available';
-      agent.currentCall = null;
-      logger.info(`ðŸ‘¤ Agent ${agentId} released from call`);
+  /**
+   * The agent leg of a queued call ended: free the agent, then hang up after
+   * a conversation or put the caller back in the queue.
+   */
+  async handleAgentDialOutcome(callSid, { dialStatus = '', queueName = 'general', userId = null } = {}) {
+    const state = callStateService.getCallState(callSid);
+    const ownerId = userId || state?.user?._id || state?.call?.user || null;
+    await this.releaseAgent(ownerId, callSid);
+
+    if (String(dialStatus).toLowerCase() === 'completed') {
+      const VoiceResponse = twilio.twiml.VoiceResponse;
+      const response = new VoiceResponse();
+      response.hangup();
+      return { twiml: response.toString() };
     }
-  }
 
-  getAgentStats() {
-    const agents = Array.from(this.activeAgents.values());
+    logger.info(`[${callSid}] Agent leg ended with ${dialStatus || 'no status'}; returning caller to ${queueName} queue`);
+    return this.addToQueue(callSid, queueName);
+  }
 
-    return {
-      totalAgents: agents.length,
-      availableAgents: agents.filter(a => a.status === 'available').length,
-      busyAgents: agents.filter(a => a.status === 'busy').length,
-      agents: agents.map(agent => ({
-        id: agent.id,
-        status: agent.status,
-        capabilities: agent.capabilities,
-        totalCalls: agent.totalCalls,
-        joinedAt: agent.joinedAt
-      }))
-    };
+  async getAgentStats(userId) {
+    return agentService.getAgentStats(userId);
   }
 
   getPositionText(position) {
@@ -30,6 +30,8 @@ export const mapRoutingRuleResponse = (rule) => ({
   actionType: rule.actionType || 'custom',
   ivrMenuId: rule.ivrMenuId || '',
   ivrPromptKey: rule.ivrPromptKey || '',
+  queueName: rule.queueName || '',
+  requiredSkills: rule.requiredSkills || [],
   enabled: Boolean(rule.enabled),
   createdAt: rule.createdAt || null,
   updatedAt: rule.updatedAt || null
@@ -5,6 +5,7 @@ import AppointmentBooking from '../models/AppointmentBooking.js';
 import BookingNotificationLog from '../models/BookingNotificationLog.js';
 import logger from '../utils/logger.js';
 import { parseDateOnlyInTimezone } from '../utils/timezoneDate.js';
+import { normalizeSplitArms } from '../utils/trafficSplit.js';
 
 const VOICE_TIME_ZONE = 'Asia/Kolkata';
 const STALE_RUNNING_EXECUTION_MS = 30 * 60 * 1000;
@@ -19,7 +20,20 @@ const WORKFLOW_CAPABILITY_DEFS = [
     { key: 'voicemail', label: 'Voicemail', types: ['voicemail'] }
 ];
 
+const SPLIT_TRANSFER_NODE_TYPES = ['transfer', 'handoff', 'queue'];
+
 const normalizeType = (value) => String(value || '').trim().toLowerCase();
+const toRate = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : 0);
+const createArmStats = (arm = {}) => ({
+    arm: arm.handle,
+    label: arm.label || arm.handle,
+    weight: arm.weight ?? null,
+    calls: 0,
+    contained: 0,
+    transferred: 0,
+    abandoned: 0,
+    booked: 0
+});
 
 const resolveNodeLabel = (node = {}) => {
     const data = node.data || {};
@@ -656,6 +670,147 @@ class IVRAnalyticsService {
         }
     }
 
+    /**
+     * Compare traffic-split arms: containment, transfer, abandon and booking
+     * conversion per arm. A call counts as transferred when it reached a
+     * transfer, handoff or queue node; abandoned when it ended (or went stale)
+     * without reaching an end node; contained when it completed at an end node
+     * without a transfer.
+     */
+    async getSplitComparison(workflowId, { nodeId, experimentKey, startDate, endDate } = {}, userId = null) {
+        try {
+            const workflow = await Workflow.findOne({ _id: workflowId, ...(userId ? { createdBy: userId } : {}) }).lean();
+            if (!workflow) throw new Error('Workflow not found');
+
+            const assignmentMatch = {
+                workflowId: String(workflow._id),
+                ...(nodeId ? { nodeId: String(nodeId) } : {}),
+                ...(experimentKey ? { experimentKey: String(experimentKey) } : {})
+            };
+            const query = {
+                splitAssignments: { $elemMatch: assignmentMatch },
+                ...(userId ? { userId } : {})
+            };
+            if (startDate || endDate) {
+                query.startTime = {};
+                if (startDate) query.startTime.$gte = parseDateOnlyInTimezone(startDate, VOICE_TIME_ZONE, false);
+                if (endDate) query.startTime.$lte = parseDateOnlyInTimezone(endDate, VOICE_TIME_ZONE, true);
+            }
+
+            const executions = await ExecutionLog.find(query)
+                .select('callSid status startTime updatedAt visitedNodes transferAttempted transferDestination splitAssignments')
+                .lean();
+
+            const callSids = executions.map((execution) => String(execution.callSid || '').trim()).filter(Boolean);
+            const bookings = callSids.length > 0
+                ? await AppointmentBooking.find({
+                    callSid: { $in: callSids },
+                    status: { $in: ['reserved', 'confirmed'] }
+                }).select('callSid').lean()
+                : [];
+            const bookedCallSids = new Set(bookings.map((booking) => String(booking.callSid)));
+
+            const nodesById = new Map((Array.isArray(workflow.nodes) ? workflow.nodes : []).map((node) => [String(node.id), node]));
+            const experiments = new Map();
+
+            const getArmBucket = (assignment) => {
+                const key = `${assignment.nodeId}|${assignment.experimentKey || assignment.nodeId}`;
+                if (!experiments.has(key)) {
+                    const node = nodesById.get(String(assignment.nodeId)) || null;
+                    const configuredArms = normalizeSplitArms(node?.data?.arms);
+                    const arms = new Map(configuredArms.map((arm) => [arm.handle, createArmStats(arm)]));
+                    experiments.set(key, {
+                        nodeId: assignment.nodeId,
+                        experimentKey: assignment.experimentKey || assignment.nodeId,
+                        nodeLabel: node ? resolveNodeLabel(node) : assignment.nodeId,
+                        arms
+                    });
+                }
+                const experiment = experiments.get(key);
+                if (!experiment.arms.has(assignment.arm)) {
+                    // Arm removed from the node since the call; still report it
+                    experiment.arms.set(assignment.arm, createArmStats({
+                        handle: assignment.arm,
+                        label: assignment.label || assignment.arm,
+                        weight: null
+                    }));
+                }
+                return experiment.arms.get(assignment.arm);
+            };
+
+            executions.forEach((execution) => {
+                const visitedNodes = Array.isArray(execution.visitedNodes) ? execution.visitedNodes : [];
+                const visitedTypes = new Set(visitedNodes.map((visit) => normalizeType(visit.nodeType)));
+                const lastVisit = visitedNodes.length > 0 ? visitedNodes[visitedNodes.length - 1] : null;
+                const rawStatus = String(execution.status || 'running').toLowerCase();
+                const lastActivityAt = new Date(lastVisit?.timestamp || execution.updatedAt || execution.startTime || Date.now()).getTime();
+                const isStaleRunning = rawStatus === 'running' && Date.now() - lastActivityAt > STALE_RUNNING_EXECUTION_MS;
+                const reachedEnd = normalizeType(lastVisit?.nodeType) === 'end';
+
+                const transferred = Boolean(execution.transferAttempted || execution.transferDestination) ||
+                    SPLIT_TRANSFER_NODE_TYPES.some((type) => visitedTypes.has(type));
+                const abandoned = !transferred && (
+                    rawStatus === 'abandoned' ||
+                    isStaleRunning ||
+                    (rawStatus !== 'running' && !reachedEnd)
+                );
+                const contained = !transferred && !abandoned && reachedEnd && rawStatus !== 'failed';
+                const booked = bookedCallSids.has(String(execution.callSid || ''));
+
+                // A call that re-enters the same split is counted once per experiment
+                const seen = new Set();
+                (execution.splitAssignments || []).forEach((assignment) => {
+                    if (assignment.workflowId !== assignmentMatch.workflowId) return;
+                    if (assignmentMatch.nodeId && assignment.nodeId !== assignmentMatch.nodeId) return;
+                    if (assignmentMatch.experimentKey && assignment.experimentKey !== assignmentMatch.experimentKey) return;
+                    const seenKey = `${assignment.nodeId}|${assignment.experimentKey}`;
+                    if (seen.has(seenKey)) return;
+                    seen.add(seenKey);
+
+                    const bucket = getArmBucket(assignment);
+                    bucket.calls += 1;
+                    if (contained) bucket.contained += 1;
+                    if (transferred) bucket.transferred += 1;
+                    if (abandoned) bucket.abandoned += 1;
+                    if (booked) bucket.booked += 1;
+                });
+            });
+
+            return {
+                workflow: {
+                    _id: String(workflow._id),
+                    promptKey: workflow.promptKey || '',
+                    displayName: workflow.displayName || workflow.name || workflow.promptKey || ''
+                },
+                experiments: Array.from(experiments.values()).map((experiment) => {
+                    const arms = Array.from(experiment.arms.values());
+                    const totalCalls = arms.reduce((sum, arm) => sum + arm.calls, 0);
+                    return {
+                        nodeId: experiment.nodeId,
+                        experimentKey: experiment.experimentKey,
+                        nodeLabel: experiment.nodeLabel,
+                        totalCalls,
+                        arms: arms.map((arm) => ({
+                            ...arm,
+                            trafficShare: toRate(arm.calls, totalCalls),
+                            containmentRate: toRate(arm.contained, arm.calls),
+                            transferRate: toRate(arm.transferred, arm.calls),
+                            abandonRate: toRate(arm.abandoned, arm.calls),
+                            bookingConversionRate: toRate(arm.booked, arm.calls)
+                        }))
+                    };
+                }),
+                dateRange: {
+                    startDate: startDate || null,
+                    endDate: endDate || null
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting split comparison:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get Real-time active calls
      */
@@ -7,8 +7,10 @@ import BookingSlot from '../models/BookingSlot.js';
 import BookingNotificationLog from '../models/BookingNotificationLog.js';
 import Call from '../models/call.js';
 import OutboundCampaign from '../models/OutboundCampaign.js';
+import WorkflowChange from '../models/WorkflowChange.js';
 import ivrWorkflowEngine from './ivrWorkflowEngine.js';
 import callStateService from './callStateService.js';
+import workflowVersionService from './workflowVersionService.js';
 import inboundCallService from './inboundCallService.js';
 import { collectVoiceAudioAssets, deleteVoiceAudioAssets } from '../utils/voiceAssetCleanup.js';
 import logger from '../utils/logger.js';
@@ -39,15 +41,27 @@ class IVRCascadeDeleteService {
   async closeActiveExecutions(workflowId) {
     const closedCallSids = [];
     const normalizedWorkflowId = normalizeId(workflowId);
+    const callSids = new Set(
+      Array.from(ivrWorkflowEngine.activeExecutions.entries())
+        .filter(([, state]) => normalizeId(state?.workflowId) === normalizedWorkflowId)
+        .map(([callSid]) => callSid)
+    );
 
-    for (const [callSid, state] of ivrWorkflowEngine.activeExecutions.entries()) {
-      if (normalizeId(state?.workflowId) !== normalizedWorkflowId) continue;
+    // Executions owned by other instances only exist in the shared state store.
+    try {
+      const storedCallSids = await ivrWorkflowEngine.stateStore.findCallSidsByWorkflow(normalizedWorkflowId);
+      storedCallSids.forEach((callSid) => callSids.add(callSid));
+    } catch (error) {
+      logger.warn(`Failed to list stored IVR executions for workflow ${normalizedWorkflowId}: ${error.message}`);
+    }
 
+    for (const callSid of callSids) {
       try {
         await ivrWorkflowEngine.endExecution(callSid, 'user_hangup', 'Workflow deleted');
       } catch (error) {
         logger.warn(`Failed to end active IVR execution ${callSid} during workflow delete: ${error.message}`);
         ivrWorkflowEngine.activeExecutions.delete(callSid);
+        await ivrWorkflowEngine.stateStore.delete(callSid).catch(() => {});
       }
 
       callStateService.activeCalls.delete(callSid);
@@ -88,11 +102,13 @@ class IVRCascadeDeleteService {
       .filter(Boolean);
     const uniqueCallSids = [...new Set(callSids)];
 
-    const audioAssets = collectVoiceAudioAssets(workflow);
+    // Draft edits keep audio that published versions still play; it goes now
+    const versionGraphs = await workflowVersionService.listSnapshotGraphs(workflowObjectId);
+    const audioAssets = collectVoiceAudioAssets(workflow, ...versionGraphs);
     const deletedAudioAssetIds = audioAssets
       .map((asset) => asset.publicId || asset.url || '')
       .filter(Boolean);
-    const cloudinaryCleanup = await deleteVoiceAudioAssets([workflow], {
+    const cloudinaryCleanup = await deleteVoiceAudioAssets([workflow, ...versionGraphs], {
       type: 'ivr-workflow-cascade-delete',
       workflowId: normalizedWorkflowId,
       userId: normalizeId(workflow.createdBy || ownerId || '')
@@ -104,6 +120,8 @@ class IVRCascadeDeleteService {
     deletedCounts.bookingSlots = await deleteManyCount(BookingSlot, { workflowId: workflowObjectId });
     deletedCounts.executionLogs = await deleteManyCount(ExecutionLog, { workflowId: workflowObjectId });
     deletedCounts.workflowExecutions = await deleteManyCount(WorkflowExecution, { workflowId: workflowObjectId });
+    deletedCounts.workflowChanges = await deleteManyCount(WorkflowChange, { workflowId: workflowObjectId });
+    deletedCounts.workflowVersions = await workflowVersionService.deleteVersions(workflowObjectId);
 
     const callFilters = [
       { 'providerData.workflowId': workflowObjectId },
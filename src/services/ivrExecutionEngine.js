@@ -5,6 +5,40 @@ import ivrWorkflowEngine from './ivrWorkflowEngine.js';
 import emailService from './emailService.js';
 import appointmentBookingService from './appointmentBookingService.js';
 import whatsappNotificationBridge from './whatsappNotificationBridge.js';
+import businessHoursService from './businessHoursService.js';
+import customerDirectoryService, { normalizeLookupSettings } from './customerDirectoryService.js';
+import callerVerificationService, { normalizeVerifySettings } from './callerVerificationService.js';
+import { normalizeSurveySettings } from './surveyService.js';
+import callerHistoryService, { normalizeResumeSettings } from './callerHistoryService.js';
+import callRecordingService, { normalizeRecordControlSettings } from './callRecordingService.js';
+import agentService, { normalizeRequiredSkills } from './agentService.js';
+import apiCallService, {
+  buildApiRequest,
+  extractResponseMappings,
+  isTimeoutError,
+  normalizeApiCallSettings,
+  normalizeResponseMappings,
+  redactHeaders,
+  toVariableValue
+} from './apiCallService.js';
+import {
+  clampLegTimeout,
+  hasTemplate,
+  inferTargetType,
+  mapDialStatusToHandle,
+  normalizeRingStrategy,
+  normalizeRingTargets,
+  validateRingTarget
+} from '../utils/ringGroup.js';
+import { buildExpressionScope, evaluateCondition, testSafeRegex } from '../utils/conditionExpression.js';
+import {
+  CALL_LANGUAGE_VARIABLE,
+  getLanguageName,
+  normalizeLanguageOptions,
+  normalizeLocale,
+  resolveLanguageVoice
+} from '../utils/localization.js';
+import { normalizeMenuOptions, getMenuOptionText } from '../utils/menuOptions.js';
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
@@ -47,50 +81,64 @@ class IVRExecutionEngine {
     return Number.isFinite(n) ? n : fallback;
   }
 
-  _evaluatePresetCondition(condition, context = {}, settings = {}, nodeData = {}) {
+  /**
+   * Business hours from a referenced calendar when the node or workflow has
+   * one, otherwise from the inline start/end hour, day and timezone settings.
+   */
+  async _isBusinessHours(settings = {}, nodeData = {}) {
+    const calendarId = nodeData.businessHoursCalendarId || settings.businessHoursCalendarId;
+    if (calendarId) {
+      const open = await businessHoursService.isOpen(calendarId);
+      if (open !== null) return open;
+    }
+
+    const startHour = this._toNumber(
+      nodeData.businessStartHour ?? nodeData.business_start_hour ?? settings.businessStartHour,
+      9
+    );
+    const endHour = this._toNumber(
+      nodeData.businessEndHour ?? nodeData.business_end_hour ?? settings.businessEndHour,
+      19
+    );
+    const timezone = String(
+      nodeData.businessTimezone ?? nodeData.business_timezone ?? settings.businessTimezone ?? settings.timezone ?? ''
+    ).trim();
+    const allowedDaysRaw = nodeData.businessDays ?? nodeData.business_days ?? settings.businessDays;
+    const dayNameMap = {
+      sunday: 0, sun: 0,
+      monday: 1, mon: 1,
+      tuesday: 2, tue: 2, tues: 2,
+      wednesday: 3, wed: 3,
+      thursday: 4, thu: 4, thur: 4, thurs: 4,
+      friday: 5, fri: 5,
+      saturday: 6, sat: 6
+    };
+    const normalizeDay = (day) => {
+      if (typeof day === 'number') return day >= 0 && day <= 6 ? day : -1;
+      const str = String(day || '').trim().toLowerCase();
+      if (str in dayNameMap) return dayNameMap[str];
+      const n = this._toNumber(str, -1);
+      return n >= 0 && n <= 6 ? n : -1;
+    };
+    const allowedDays = Array.isArray(allowedDaysRaw)
+      ? new Set(allowedDaysRaw.map((day) => normalizeDay(day)).filter((day) => day >= 0 && day <= 6))
+      : new Set([1, 2, 3, 4, 5]); // Mon-Fri
+    const now = new Date();
+    const localDate = timezone
+      ? new Date(now.toLocaleString('en-US', { timeZone: timezone }))
+      : now;
+    const day = localDate.getDay();
+    const hour = localDate.getHours();
+    if (!allowedDays.has(day)) return false;
+    return hour >= startHour && hour < endHour;
+  }
+
+  async _evaluatePresetCondition(condition, context = {}, settings = {}, nodeData = {}) {
     const normalized = String(condition || '').trim().toLowerCase();
     const vars = context.variables || {};
 
     if (normalized === 'business_hours') {
-      const startHour = this._toNumber(
-        nodeData.businessStartHour ?? nodeData.business_start_hour ?? settings.businessStartHour,
-        9
-      );
-      const endHour = this._toNumber(
-        nodeData.businessEndHour ?? nodeData.business_end_hour ?? settings.businessEndHour,
-        19
-      );
-      const timezone = String(
-        nodeData.businessTimezone ?? nodeData.business_timezone ?? settings.businessTimezone ?? settings.timezone ?? ''
-      ).trim();
-      const allowedDaysRaw = nodeData.businessDays ?? nodeData.business_days ?? settings.businessDays;
-      const dayNameMap = {
-        sunday: 0, sun: 0,
-        monday: 1, mon: 1,
-        tuesday: 2, tue: 2, tues: 2,
-        wednesday: 3, wed: 3,
-        thursday: 4, thu: 4, thur: 4, thurs: 4,
-        friday: 5, fri: 5,
-        saturday: 6, sat: 6
-      };
-      const normalizeDay = (day) => {
-        if (typeof day === 'number') return day >= 0 && day <= 6 ? day : -1;
-        const str = String(day || '').trim().toLowerCase();
-        if (str in dayNameMap) return dayNameMap[str];
-        const n = this._toNumber(str, -1);
-        return n >= 0 && n <= 6 ? n : -1;
-      };
-      const allowedDays = Array.isArray(allowedDaysRaw)
-        ? new Set(allowedDaysRaw.map((day) => normalizeDay(day)).filter((day) => day >= 0 && day <= 6))
-        : new Set([1, 2, 3, 4, 5]); // Mon-Fri
-      const now = new Date();
-      const localDate = timezone
-        ? new Date(now.toLocaleString('en-US', { timeZone: timezone }))
-        : now;
-      const day = localDate.getDay();
-      const hour = localDate.getHours();
-      if (!allowedDays.has(day)) return false;
-      return hour >= startHour && hour < endHour;
+      return this._isBusinessHours(settings, nodeData);
     }
 
     if (normalized === 'caller_id_known') {
@@ -155,6 +203,22 @@ class IVRExecutionEngine {
     return { sms: true, email: false, whatsapp: false }; // default sms
   }
 
+  /**
+   * Record a side effect for a simulated call instead of performing it.
+   * Returns false for real calls so callers fall through to the real action.
+   */
+  _recordSandboxEffect(callSid, type, details = {}) {
+    const sandbox = ivrWorkflowEngine.getSandbox(callSid);
+    if (!sandbox) return false;
+    sandbox.sideEffects.push({
+      type,
+      nodeId: ivrWorkflowEngine.getExecutionState(callSid)?.currentNodeId || null,
+      ...details,
+      timestamp: new Date()
+    });
+    return true;
+  }
+
   async _sendWhatsAppEndNotification({
     context = {},
     config = {},
@@ -190,6 +254,10 @@ class IVRExecutionEngine {
       }
     };
 
+    if (this._recordSandboxEffect(context?.callSid, 'whatsapp', { recipient: normalizedRecipient, text: normalizedText, event })) {
+      return { success: true, simulated: true };
+    }
+
     return whatsappNotificationBridge.sendNotification(payload);
   }
 
@@ -211,19 +279,37 @@ class IVRExecutionEngine {
       switch (node.type) {
         // Phone & Interaction Nodes
         case 'greeting': 
-          return await this._handleGreeting(response, node, edges, settings);
+          return await this._handleGreeting(response, node, edges, settings, workflowConfig._id, callSid);
         case 'input':
           return await this._handleInput(response, node, workflowConfig, context);
+        case 'speech_input':
+          return await this._handleSpeechInput(response, node, workflowConfig, context);
+        case 'language_select':
+          return await this._handleLanguageSelect(response, node, workflowConfig, context);
+        case 'menu':
+          return await this._handleMenu(response, node, workflowConfig, context);
+        case 'verify':
+          return await this._handleVerify(response, node, workflowConfig, context);
+        case 'survey':
+          return await this._handleSurvey(response, node, workflowConfig, context);
+        case 'resume':
+          return await this._handleResume(response, node, workflowConfig, context);
+        case 'record_control':
+          return await this._handleRecordControl(response, node, workflowConfig, context);
         case 'transfer':
-          return await this._handleTransfer(response, node, context);
+          return await this._handleTransfer(response, node, context, workflowConfig);
         case 'voicemail':
           return await this._handleVoicemail(response, node, workflowConfig);
         case 'repeat':
           return await this._handleRepeat(response, node, workflowConfig, context, callSid);
         case 'queue':
-          return await this._handleQueue(response, node);
+          return await this._handleQueue(response, node, workflowConfig, context);
         case 'end':
           return await this._handleEnd(response, node, workflowConfig, context);
+        case 'subflow':
+          return await this._handleSubflow(response, node, workflowConfig, context, callSid);
+        case 'split':
+          return await this._handleSplit(response, node, workflowConfig, callSid);
 
         // Logic & Data Nodes
         case 'condition':
@@ -233,6 +319,8 @@ class IVRExecutionEngine {
           return await this._handleSetVariable(response, node, context, workflowConfig, callSid);
         case 'api_call':
           return await this._handleApiCall(response, node, context, workflowConfig, callSid);
+        case 'lookup':
+          return await this._handleLookup(response, node, context, workflowConfig, callSid);
 
         // Communication Nodes
         case 'sms':
@@ -272,17 +360,18 @@ class IVRExecutionEngine {
   // HANDLER METHODS
   // ==========================================
 
-  async _handleGreeting(response, node, edges, settings) {
+  async _handleGreeting(response, node, edges, settings, workflowId = settings.workflowId, callSid = null) {
     const { text, voice, language, audioUrl } = this._getMergedSettings(node, settings);
 
-    if (audioUrl) {
+    // Pre-rendered TTS cannot contain per-caller values, so templated text is spoken live
+    if (audioUrl && !hasTemplate(text)) {
       response.play(audioUrl);
     } else {
-      response.say({ voice, language }, text || 'Hello.');
+      response.say({ voice, language }, this._replaceCurlyVariables(callSid, text) || 'Hello.');
     }
 
     // Auto-transition to next node
-    this._appendNextStep(response, node.id, edges, settings.workflowId);
+    this._appendNextStep(response, node.id, edges, workflowId);
     return response.toString();
   }
 
@@ -336,27 +425,10 @@ class IVRExecutionEngine {
     }
 
     if (attemptCount >= 1) {
-      const lastReason = context.lastInputReasonByNode?.[node.id];
-      const retryRefId = lastReason === 'timeout'
-        ? (data.timeoutAudioNodeId || data.timeout_audio_node_id)
-        : (data.invalidAudioNodeId || data.invalid_audio_node_id);
-      const retryRef = this._resolveAudioReference(nodes, retryRefId);
-      if (retryRef?.audioUrl) {
-        response.play(retryRef.audioUrl);
-      } else if (retryRef?.text) {
-        response.say(
-          { voice: this._normalizeTwilioVoice(retryRef.voice || voice), language: retryRef.language || language },
-          retryRef.text
-        );
-      } else {
-        const retryMessage = data.invalidInputMessage || settings.invalidInputMessage || 'Invalid input. Please try again.';
-        response.say({ voice, language }, retryMessage);
-      }
+      this._appendRetryPrompt(response, node, nodes, settings, context, { voice, language });
     }
 
     const promptText = data.messageText || data.text || data.label || 'Please select an option.';
-    const promptRefId = data.promptAudioNodeId || data.prompt_audio_node_id;
-    const promptRef = this._resolveAudioReference(nodes, promptRefId);
 
     const gather = response.gather({
       numDigits: data.numDigits || 1,
@@ -366,6 +438,432 @@ class IVRExecutionEngine {
       method: 'POST'
     });
 
+    this._appendGatherPrompt(gather, node, nodes, promptText, { voice, language });
+
+    // Loop audio if no input? (Optional enhancement)
+
+    return response.toString();
+  }
+
+  async _handleSpeechInput(response, node, config, context = {}) {
+    const { data } = node;
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const attemptCount = context.nodeAttempts?.[node.id] || 0;
+    const hints = (Array.isArray(data.hints) ? data.hints : String(data.hints || '').split(','))
+      .map((hint) => String(hint || '').trim())
+      .filter(Boolean);
+    const speechTimeout = String(data.speechTimeout ?? data.speech_timeout ?? 'auto').trim() || 'auto';
+    const speechModel = String(data.speechModel || data.speech_model || '').trim();
+
+    if (attemptCount >= 1) {
+      this._appendRetryPrompt(response, node, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      input: 'speech',
+      language,
+      ...(hints.length > 0 ? { hints: hints.join(', ') } : {}),
+      speechTimeout,
+      ...(speechModel && speechModel !== 'default' ? { speechModel } : {}),
+      timeout: data.timeoutSeconds || data.timeout || settings.timeout || 5,
+      // Post empty results too so timeouts can retry or take the timeout branch
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+
+    const promptText = this._replaceCurlyVariables(
+      context.callSid,
+      data.promptText || data.prompt_text || data.text || 'How can we help you today?'
+    );
+    this._appendGatherPrompt(gather, node, nodes, promptText, { voice, language });
+
+    return response.toString();
+  }
+
+  async _handleLanguageSelect(response, node, config, context = {}) {
+    const { data } = node;
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const options = normalizeLanguageOptions(data.options);
+    const attemptCount = context.nodeAttempts?.[node.id] || 0;
+    const knownLanguage = normalizeLocale(context.variables?.[CALL_LANGUAGE_VARIABLE]);
+    const skipIfKnown = this._toBoolean(data.skipIfKnown ?? data.skip_if_known, true);
+
+    // Already chosen on an earlier call (or earlier in this one): don't ask again
+    if (skipIfKnown && knownLanguage && options.some((option) => option.language === knownLanguage)) {
+      const routed = [knownLanguage, 'selected', 'default', 'next']
+        .some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle));
+      if (routed) return response.toString();
+    }
+
+    if (attemptCount >= 1) {
+      this._appendRetryPrompt(response, node, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: data.timeoutSeconds || data.timeout || settings.timeout || 10,
+      // Post silence too so it counts as an attempt instead of ending the call
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+
+    const promptText = data.promptText || data.prompt_text || data.messageText || data.text || '';
+    if (promptText || data.audioUrl || data.promptAudioNodeId || data.prompt_audio_node_id) {
+      this._appendGatherPrompt(gather, node, nodes, this._replaceCurlyVariables(context.callSid, promptText), { voice, language });
+    } else {
+      // Read each option in its own language and voice
+      options.forEach((option) => {
+        gather.say(
+          {
+            voice: this._normalizeTwilioVoice(resolveLanguageVoice(settings, option.language)),
+            language: option.language
+          },
+          option.label || `${getLanguageName(option.language)}, ${option.digit}.`
+        );
+      });
+    }
+
+    return response.toString();
+  }
+
+  async _handleMenu(response, node, config, context = {}) {
+    const { data } = node;
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const attemptCount = context.nodeAttempts?.[node.id] || 0;
+
+    if (attemptCount >= 1) {
+      this._appendRetryPrompt(response, node, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: data.timeoutSeconds || data.timeout || settings.timeout || 10,
+      // Post silence too so it counts as an attempt instead of ending the call
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+
+    const promptText = data.promptText || data.prompt_text || data.messageText || data.text || '';
+    if (promptText || data.audioUrl || data.promptAudioNodeId || data.prompt_audio_node_id) {
+      this._appendGatherPrompt(gather, node, nodes, this._replaceCurlyVariables(context.callSid, promptText), { voice, language });
+    }
+    this.appendMenuOptions(gather, normalizeMenuOptions(data.menuOptions), { voice, language }, context.callSid);
+
+    return response.toString();
+  }
+
+  /**
+   * Ask for an account number, then (on the next visit) its PIN. Numbers
+   * and accounts locked out by earlier failures go straight to "locked";
+   * withheld numbers go to "failed" since their failures can't be counted.
+   */
+  async _handleVerify(response, node, config, context = {}) {
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const verifySettings = normalizeVerifySettings(node.data || {});
+    const pending = context.variables?.[`verify:${node.id}`] || {};
+
+    // Simulated calls neither count failures nor see real lockouts
+    const lockout = ivrWorkflowEngine.getSandbox(context.callSid)
+      ? { locked: false }
+      : await callerVerificationService.getLockout(
+        ivrWorkflowEngine.getVerificationOwner(context.callSid, config),
+        context.callerNumber,
+        { credentialId: pending.credentialId }
+      );
+    if (lockout.unavailable) {
+      // Without the lockout record the caller can't be verified safely
+      if (context.callSid) ivrWorkflowEngine.setVariable(context.callSid, `verify:${node.id}`, null);
+      if (!['failed', 'default'].some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle))) {
+        response.hangup();
+      }
+      return response.toString();
+    }
+    if (lockout.locked) {
+      if (context.callSid) {
+        ivrWorkflowEngine.setVariable(context.callSid, 'verify.locked', true);
+        ivrWorkflowEngine.setVariable(context.callSid, `verify:${node.id}`, null);
+      }
+      response.say({ voice, language }, verifySettings.lockedMessage);
+      if (!['locked', 'failed'].some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle))) {
+        response.hangup();
+      }
+      return response.toString();
+    }
+
+    const askingForPin = pending.stage === 'pin';
+    const lastReason = context.lastInputReasonByNode?.[node.id];
+    if (!askingForPin && pending.attempts > 0 && ['invalid', 'timeout'].includes(lastReason)) {
+      const retryNode = {
+        ...node,
+        data: {
+          invalidInputMessage: 'That account number and PIN did not match. Please try again.',
+          timeoutMessage: 'We did not receive your entry. Please try again.',
+          ...node.data
+        }
+      };
+      this._appendRetryPrompt(response, retryNode, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      finishOnKey: '#',
+      timeout: node.data?.timeoutSeconds || node.data?.timeout || settings.timeout || 10,
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+    const promptText = askingForPin ? verifySettings.pinPromptText : verifySettings.accountPromptText;
+    gather.say({ voice, language }, this._replaceCurlyVariables(context.callSid, promptText));
+
+    return response.toString();
+  }
+
+  /**
+   * Ask the survey's current question, or thank the caller and move on once
+   * the last answer is in. Answers are checked and stored by the engine.
+   */
+  async _handleSurvey(response, node, config, context = {}) {
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const surveySettings = normalizeSurveySettings(node.data || {});
+    const callSid = context.callSid;
+    const pendingKey = `survey:${node.id}`;
+    const pending = context.variables?.[pendingKey] || {};
+
+    if (pending.done) {
+      if (callSid) ivrWorkflowEngine.setVariable(callSid, pendingKey, null);
+      response.say({ voice, language }, this._replaceCurlyVariables(callSid, surveySettings.thankYouText));
+      if (!['completed', 'default'].some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle))) {
+        response.hangup();
+      }
+      return response.toString();
+    }
+
+    const index = Number(pending.index) || 0;
+    const attempts = Number(pending.attempts) || 0;
+    const question = surveySettings.questions[index] || surveySettings.questions[0];
+    const lastReason = context.lastInputReasonByNode?.[node.id];
+    if (index === 0 && attempts === 0 && surveySettings.introText) {
+      response.say({ voice, language }, this._replaceCurlyVariables(callSid, surveySettings.introText));
+    }
+    if (attempts > 0 && ['invalid', 'timeout'].includes(lastReason)) {
+      const retryNode = {
+        ...node,
+        data: {
+          invalidInputMessage: 'Sorry, that is not one of the choices.',
+          timeoutMessage: 'We did not receive your answer.',
+          ...node.data
+        }
+      };
+      this._appendRetryPrompt(response, retryNode, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: node.data?.timeoutSeconds || node.data?.timeout || settings.timeout || 8,
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+    gather.say({ voice, language }, this._replaceCurlyVariables(callSid, question.text));
+
+    return response.toString();
+  }
+
+  /**
+   * Offer a returning caller the choice to carry on from where their last,
+   * unfinished call stopped. First-time callers, and callers with nothing
+   * to resume, go straight through the "new" output.
+   */
+  async _handleResume(response, node, config, context = {}) {
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const resumeSettings = normalizeResumeSettings(node.data || {});
+    const previousCall = context.callSid ? ivrWorkflowEngine.getExecutionState(context.callSid)?.previousCall : null;
+
+    if (!callerHistoryService.canResume(previousCall, resumeSettings, nodes) || previousCall.lastNodeId === node.id) {
+      if (!['new', 'default'].some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle))) {
+        response.hangup();
+      }
+      return response.toString();
+    }
+
+    const attemptCount = context.nodeAttempts?.[node.id] || 0;
+    if (attemptCount >= 1) {
+      const retryNode = {
+        ...node,
+        data: {
+          invalidInputMessage: 'Sorry, that is not one of the choices.',
+          timeoutMessage: 'We did not receive your choice.',
+          ...node.data
+        }
+      };
+      this._appendRetryPrompt(response, retryNode, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: node.data?.timeoutSeconds || node.data?.timeout || settings.timeout || 8,
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+    gather.say({ voice, language }, this._replaceCurlyVariables(context.callSid, resumeSettings.promptText));
+
+    return response.toString();
+  }
+
+  /**
+   * Ask the caller for recording consent, or start, pause or resume the
+   * live recording. Recording only starts or resumes once the caller has
+   * accepted, so `recording.consented` gates every segment.
+   */
+  async _handleRecordControl(response, node, config, context = {}) {
+    const settings = config.settings || {};
+    const nodes = Array.isArray(config.nodes) ? config.nodes : [];
+    const { voice, language } = this._getMergedSettings(node, settings);
+    const recordSettings = normalizeRecordControlSettings(node.data || {});
+    const callSid = context.callSid;
+    const route = (handles) => {
+      if (!handles.some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle))) {
+        response.hangup();
+      }
+      return response.toString();
+    };
+
+    if (recordSettings.action !== 'consent') {
+      if (recordSettings.action !== 'pause' && context.variables?.['recording.consented'] !== true) {
+        return route(['no_consent', 'failure', 'default']);
+      }
+      const result = await this._applyRecordingAction(config, node, recordSettings.action, callSid);
+      return route(result.success ? ['success', 'default'] : ['failure', 'default']);
+    }
+
+    const pendingKey = `record:${node.id}`;
+    const pending = context.variables?.[pendingKey] || {};
+    if (pending.decided) {
+      if (callSid) ivrWorkflowEngine.setVariable(callSid, pendingKey, null);
+      const consented = context.variables?.['recording.consented'] === true;
+      const consentStatus = consented ? 'accepted' : (pending.timedOut ? 'no_response' : 'declined');
+      if (!this._recordSandboxEffect(callSid, 'recording_consent', { status: consentStatus })) {
+        await callRecordingService.recordConsent({ callSid, status: consentStatus, nodeId: node.id, workflowId: config._id });
+      }
+
+      const recordingStatus = callSid ? ivrWorkflowEngine.getExecutionState(callSid)?.variables?.['recording.status'] : null;
+      if (consented && recordSettings.startOnAccept && !recordingStatus) {
+        await this._applyRecordingAction(config, node, 'start', callSid);
+      } else if (!consented && recordingStatus !== 'paused' && await this._callMayBeRecording(callSid, recordingStatus)) {
+        // A recording started before the caller declined, by a node or when
+        // the call was dialled, stops capturing from here
+        await this._applyRecordingAction(config, node, 'pause', callSid);
+      }
+
+      const confirmation = consented ? recordSettings.acceptedText : recordSettings.declinedText;
+      if (confirmation) response.say({ voice, language }, this._replaceCurlyVariables(callSid, confirmation));
+      if (consented) return route(['accepted', 'default']);
+      return route(pending.timedOut ? ['no_response', 'declined', 'default'] : ['declined', 'default']);
+    }
+
+    const attemptCount = context.nodeAttempts?.[node.id] || 0;
+    if (attemptCount >= 1) {
+      const retryNode = {
+        ...node,
+        data: {
+          invalidInputMessage: 'Sorry, that is not one of the choices.',
+          timeoutMessage: 'We did not receive your choice.',
+          ...node.data
+        }
+      };
+      this._appendRetryPrompt(response, retryNode, nodes, settings, context, { voice, language });
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: node.data?.timeoutSeconds || node.data?.timeout || settings.timeout || 8,
+      actionOnEmptyResult: true,
+      action: `/ivr/handle-input?workflowId=${config._id}&currentNodeId=${node.id}`,
+      method: 'POST'
+    });
+    gather.say({ voice, language }, this._replaceCurlyVariables(callSid, recordSettings.promptText));
+
+    return response.toString();
+  }
+
+  /**
+   * Start, pause or resume the call recording (simulated calls only note
+   * it) and keep `recording.status` in step for later nodes.
+   */
+  async _applyRecordingAction(config, node, action, callSid) {
+    const state = callSid ? ivrWorkflowEngine.getExecutionState(callSid) : null;
+    const result = this._recordSandboxEffect(callSid, 'recording', { action })
+      ? { success: true }
+      : await callRecordingService.applyAction({ userId: state?.userId || config.createdBy, callSid, action, nodeId: node.id });
+    if (result.success && callSid) {
+      ivrWorkflowEngine.setVariable(callSid, 'recording.status', action === 'pause' ? 'paused' : 'recording');
+    }
+    return result;
+  }
+
+  // Whether a recording may be running that a declined consent must pause
+  async _callMayBeRecording(callSid, recordingStatus) {
+    if (recordingStatus === 'recording') return true;
+    if (!callSid || ivrWorkflowEngine.getSandbox(callSid)) return false;
+    return callRecordingService.mayBeRecording(callSid);
+  }
+
+  /**
+   * Announce each menu option inside a gather: its recording if it has one,
+   * otherwise its text.
+   */
+  appendMenuOptions(gather, options, { voice, language }, callSid = null) {
+    options.forEach((option) => {
+      if (option.audioUrl) {
+        gather.play(option.audioUrl);
+      } else {
+        gather.say({ voice, language }, this._replaceCurlyVariables(callSid, getMenuOptionText(option)));
+      }
+    });
+  }
+
+  /**
+   * Say or play the invalid/timeout message before re-prompting an input node.
+   */
+  _appendRetryPrompt(response, node, nodes, settings, context, { voice, language }) {
+    const data = node.data || {};
+    const lastReason = context.lastInputReasonByNode?.[node.id];
+    const retryRefId = lastReason === 'timeout'
+      ? (data.timeoutAudioNodeId || data.timeout_audio_node_id)
+      : (data.invalidAudioNodeId || data.invalid_audio_node_id);
+    const retryRef = this._resolveAudioReference(nodes, retryRefId);
+    if (retryRef?.audioUrl) {
+      response.play(retryRef.audioUrl);
+    } else if (retryRef?.text) {
+      response.say(
+        { voice: this._normalizeTwilioVoice(retryRef.voice || voice), language: retryRef.language || language },
+        retryRef.text
+      );
+    } else {
+      const retryMessage = (lastReason === 'timeout' && data.timeoutMessage) ||
+        data.invalidInputMessage || settings.invalidInputMessage || 'Invalid input. Please try again.';
+      response.say({ voice, language }, retryMessage);
+    }
+  }
+
+  _appendGatherPrompt(gather, node, nodes, promptText, { voice, language }) {
+    const data = node.data || {};
+    const promptRef = this._resolveAudioReference(nodes, data.promptAudioNodeId || data.prompt_audio_node_id);
     if (promptRef?.audioUrl) {
       gather.play(promptRef.audioUrl);
     } else if (promptRef?.text) {
@@ -378,37 +876,149 @@ class IVRExecutionEngine {
     } else {
       gather.say({ voice, language }, promptText);
     }
+  }
 
-    // Loop audio if no input? (Optional enhancement)
+  /**
+   * Resolve {{variables}} in the ring group and drop targets that end up
+   * empty or undiallable.
+   */
+  _resolveTransferTargets(node, callSid) {
+    const data = node.data || {};
+    const defaultTimeout = clampLegTimeout(data.timeout, 30);
+    return normalizeRingTargets(data)
+      .map((target) => {
+        const value = this._replaceCurlyVariables(callSid, target.value).trim();
+        // A templated number may resolve to a sip:/client: address
+        const type = hasTemplate(target.value) && target.type === 'number' ? inferTargetType(value) : target.type;
+        return {
+          type,
+          value,
+          timeout: clampLegTimeout(target.timeout, defaultTimeout)
+        };
+      })
+      .filter((target) => {
+        const problem = validateRingTarget(target);
+        if (problem) logger.warn(`Transfer node ${node.id} skipped target: ${problem}`);
+        return !problem;
+      });
+  }
 
-    return response.toString();
+  /**
+   * Dial one leg of a sequential ring group, or every target at once for a
+   * simultaneous one. The action callback reports the outcome back to
+   * /ivr/dial-status so unanswered calls can hunt on or take a handle.
+   */
+  _appendTransferDial(response, node, config, targets, leg = 0) {
+    const data = node.data || {};
+    const strategy = normalizeRingStrategy(data.ringStrategy ?? data.ring_strategy);
+    const legTargets = strategy === 'simultaneous' ? targets : [targets[leg]];
+    const timeout = strategy === 'simultaneous'
+      ? clampLegTimeout(data.timeout, Math.max(...targets.map((target) => target.timeout)))
+      : legTargets[0].timeout;
+
+    const dial = response.dial({
+      callerId: data.callerId || data.caller_id || undefined,
+      timeout,
+      action: `/ivr/dial-status?workflowId=${config._id}&currentNodeId=${node.id}&leg=${leg}`,
+      method: 'POST'
+    });
+    legTargets.forEach((target) => {
+      if (target.type === 'sip') dial.sip(target.value);
+      else if (target.type === 'client') dial.client(target.value.replace(/^client:/i, ''));
+      else dial.number(target.value);
+    });
+    return legTargets;
   }
 
-  async _handleTransfer(response, node, context) {
+  async _handleTransfer(response, node, context, config) {
     const { data } = node;
-    let destination = data.destination || data.transferNumber;
+    const callSid = context?.callSid;
+    const targets = this._resolveTransferTargets(node, callSid);
 
-    // Resolve variable if destination contains one
-    if (destination && destination.includes('{{')) {
-      // Basic variable replacement would go here
-      // destination = this._resolveVariables(destination, context);
+    const announcement = data.announceText || data.announce_text || data.text;
+    if (announcement) {
+      response.say(this._replaceCurlyVariables(callSid, announcement));
     }
 
-    if (data.text) {
-      response.say(data.text);
+    if (targets.length === 0) {
+      logger.warn(`Transfer node ${node.id} has no diallable targets`);
+      if (callSid) ivrWorkflowEngine.setVariable(callSid, 'transfer.status', 'failed');
+      return this._routeTransferOutcome(response, node, config, callSid, 'failed');
     }
 
-    if (!destination) {
-      response.say('We are unable to transfer your call right now.');
+    const dialled = this._appendTransferDial(response, node, config, targets, 0);
+    if (callSid) {
+      await ivrWorkflowEngine.recordTransferAttempt(callSid, dialled.map((target) => target.value).join(', '));
+    }
+    return response.toString();
+  }
+
+  /**
+   * Handle the <Dial action> callback of a transfer node (queue nodes that
+   * rang an agent are handed on). Sequential groups ring the next leg after
+   * busy/no-answer/failed; otherwise the outcome takes its own handle, then
+   * "failed", before the caller is let go.
+   */
+  async handleDialOutcome(node, config, callSid, { leg = 0, dialStatus } = {}) {
+    const response = new VoiceResponse();
+    const outcome = mapDialStatusToHandle(dialStatus);
+    if (String(node.type || '').toLowerCase() === 'queue') {
+      return this._handleAgentDialOutcome(response, node, config, callSid, outcome);
+    }
+    const legIndex = Number.isInteger(Number(leg)) ? Number(leg) : 0;
+
+    if (callSid) {
+      ivrWorkflowEngine.setVariable(callSid, 'transfer.status', outcome);
+      ivrWorkflowEngine.setVariable(callSid, 'transfer.leg', legIndex);
+      if (outcome === 'answered') {
+        // Who picked up is only known when a single target was rung
+        const targets = this._resolveTransferTargets(node, callSid);
+        const sequential = normalizeRingStrategy(node.data?.ringStrategy ?? node.data?.ring_strategy) === 'sequential';
+        const answeredBy = sequential ? targets[legIndex] : (targets.length === 1 ? targets[0] : null);
+        if (answeredBy) ivrWorkflowEngine.setVariable(callSid, 'transfer.agent', answeredBy.value);
+      }
+    }
+
+    if (outcome === 'canceled') {
+      if (callSid) await ivrWorkflowEngine.endExecution(callSid, 'user_hangup');
       response.hangup();
       return response.toString();
     }
 
-    response.dial({
-      callerId: data.callerId || context?.twilioPhoneNumber || undefined,
-      timeout: data.timeout || 30
-    }, destination);
+    if (outcome !== 'answered' && normalizeRingStrategy(node.data?.ringStrategy ?? node.data?.ring_strategy) === 'sequential') {
+      const targets = this._resolveTransferTargets(node, callSid);
+      if (legIndex + 1 < targets.length) {
+        logger.info(`Transfer node ${node.id} leg ${legIndex} ${outcome}; ringing leg ${legIndex + 1}`);
+        const dialled = this._appendTransferDial(response, node, config, targets, legIndex + 1);
+        if (callSid) {
+          await ivrWorkflowEngine.recordTransferAttempt(callSid, dialled.map((target) => target.value).join(', '));
+        }
+        return response.toString();
+      }
+    }
+
+    return this._routeTransferOutcome(response, node, config, callSid, outcome);
+  }
+
+  async _routeTransferOutcome(response, node, config, callSid, outcome) {
+    const edges = config?.edges || [];
+    if (this._appendNextStep(response, node.id, edges, config._id, outcome)) {
+      return response.toString();
+    }
+    if (outcome !== 'answered' && this._appendNextStep(response, node.id, edges, config._id, 'failed')) {
+      return response.toString();
+    }
 
+    if (outcome !== 'answered') {
+      const data = node.data || {};
+      response.say(
+        this._replaceCurlyVariables(callSid, data.failureText || data.failure_text || 'We are unable to transfer your call right now. Please try again later.')
+      );
+    }
+    if (callSid) {
+      await ivrWorkflowEngine.endExecution(callSid, outcome === 'answered' ? 'transfer_complete' : 'normal');
+    }
+    response.hangup();
     return response.toString();
   }
 
@@ -434,24 +1044,80 @@ class IVRExecutionEngine {
 
     const fallbackNodeId = String(data.fallbackNodeId || data.fallback_node_id || '').trim();
     const fallbackQuery = fallbackNodeId ? `&fallbackNodeId=${encodeURIComponent(fallbackNodeId)}` : '';
+    const mailbox = String(data.mailbox || '').trim();
+    const mailboxQuery = mailbox ? `&mailbox=${encodeURIComponent(mailbox)}` : '';
+    const transcribe = Boolean(data.transcribe);
     response.record({
-      action: `/ivr/next-step?workflowId=${config._id}&currentNodeId=${node.id}&status=recorded${fallbackQuery}`,
+      action: `/ivr/next-step?workflowId=${config._id}&currentNodeId=${node.id}&status=recorded${fallbackQuery}${mailboxQuery}${transcribe ? '&transcribe=true' : ''}`,
       maxLength: data.maxLength || 60,
       playBeep: true,
-      transcribe: data.transcribe || false
+      transcribe,
+      ...(transcribe ? { transcribeCallback: '/ivr/voicemail-transcription' } : {})
     });
 
     return response.toString();
   }
 
-  async _handleQueue(response, node) {
+  /**
+   * Put the caller through to the longest-idle available agent with the
+   * node's required skills, or into the Twilio queue when nobody matches.
+   * Simulated calls always queue.
+   */
+  async _handleQueue(response, node, config, context = {}) {
     const { data } = node;
     const queueName = data.queueName || 'General';
+    const callSid = context.callSid;
+    const requiredSkills = normalizeRequiredSkills(data.requiredSkills ?? data.required_skills);
+
+    const sandboxed = this._recordSandboxEffect(callSid, 'agent_routing', { queueName, requiredSkills });
+    const userId = ivrWorkflowEngine.getExecutionState(callSid)?.userId || config.createdBy;
+    const agent = sandboxed || !callSid ? null : await agentService.assignAgent(userId, { callSid, requiredSkills });
+    if (agent) {
+      ivrWorkflowEngine.setVariable(callSid, 'queue.agentId', agent.id);
+      ivrWorkflowEngine.setVariable(callSid, 'queue.agentName', agent.name);
+      const dial = response.dial({
+        timeout: clampLegTimeout(data.agentTimeout ?? data.agent_timeout, 20),
+        action: `/ivr/dial-status?workflowId=${config._id}&currentNodeId=${node.id}`,
+        method: 'POST'
+      });
+      if (agent.endpoint.type === 'client') dial.client(agent.endpoint.value);
+      else dial.number(agent.endpoint.value);
+      return response.toString();
+    }
 
+    this._appendEnqueue(response, data, queueName);
+    return response.toString();
+  }
+
+  _appendEnqueue(response, data, queueName) {
     response.enqueue({
       workflowSid: data.workflowSid // Optional Twilio TaskRouter Workflow SID
     }, queueName);
+  }
+
+  /**
+   * The <Dial action> callback of a queue node that rang an agent. The
+   * agent is freed either way; a call the agent missed waits in the queue.
+   */
+  async _handleAgentDialOutcome(response, node, config, callSid, outcome) {
+    const userId = ivrWorkflowEngine.getExecutionState(callSid)?.userId || config.createdBy;
+    if (callSid) {
+      await agentService.releaseCall(userId, callSid);
+      ivrWorkflowEngine.setVariable(callSid, 'queue.status', outcome);
+    }
+
+    if (outcome === 'canceled') {
+      if (callSid) await ivrWorkflowEngine.endExecution(callSid, 'user_hangup');
+      response.hangup();
+      return response.toString();
+    }
+    if (outcome === 'answered') {
+      return this._routeTransferOutcome(response, node, config, callSid, outcome);
+    }
 
+    const data = node.data || {};
+    logger.info(`Agent for call ${callSid} did not answer (${outcome}); queueing`);
+    this._appendEnqueue(response, data, data.queueName || 'General');
     return response.toString();
   }
 
@@ -483,6 +1149,13 @@ class IVRExecutionEngine {
       response.say({ voice, language }, endMessage);
     }
 
+    if (terminationType === 'return' && context?.callSid) {
+      const returnHandle = String(data.returnHandle || data.return_handle || 'done').trim() || 'done';
+      const returned = await this._returnToParent(response, context.callSid, returnHandle);
+      if (returned) return response.toString();
+      logger.info(`Return node ${node.id} reached outside a subflow; ending call`);
+    }
+
     if (terminationType === 'transfer') {
       const transferNumber = data.transferNumber || data.transfer_number;
       if (transferNumber) {
@@ -545,7 +1218,7 @@ class IVRExecutionEngine {
           actionNotes.push('survey_email_smtp_not_configured');
           logger.warn(`Survey email skipped for ${context?.callSid || 'unknown_call'}: smtp_not_configured`);
         } else {
-          const surveyEmailResult = await emailService.sendEmail({
+          const surveyEmail = {
             to: callerEmail,
             subject: 'Please rate your recent call',
             text: 'Thanks for contacting us. Please rate your experience from 1 to 5 by replying to this email.',
@@ -553,7 +1226,10 @@ class IVRExecutionEngine {
               callSid: context?.callSid,
               event: 'survey_email'
             }
-          });
+          };
+          const surveyEmailResult = this._recordSandboxEffect(context?.callSid, 'email', surveyEmail)
+            ? { success: true }
+            : await emailService.sendEmail(surveyEmail);
           actionNotes.push(surveyEmailResult.success ? 'survey_email' : `survey_email_${surveyEmailResult.reason || 'failed'}`);
           if (!surveyEmailResult.success) {
             logger.warn(`Survey email was not sent for ${context?.callSid || 'unknown_call'}: ${surveyEmailResult.reason || 'unknown'}`);
@@ -586,7 +1262,7 @@ class IVRExecutionEngine {
           actionNotes.push('receipt_email_smtp_not_configured');
           logger.warn(`Receipt email skipped for ${context?.callSid || 'unknown_call'}: smtp_not_configured`);
         } else {
-          const receiptEmailResult = await emailService.sendEmail({
+          const receiptEmail = {
             to: callerEmail,
             subject: 'Your call receipt',
             text: 'Your call has ended successfully. Thank you for choosing our service.',
@@ -594,7 +1270,10 @@ class IVRExecutionEngine {
               callSid: context?.callSid,
               event: 'receipt_email'
             }
-          });
+          };
+          const receiptEmailResult = this._recordSandboxEffect(context?.callSid, 'email', receiptEmail)
+            ? { success: true }
+            : await emailService.sendEmail(receiptEmail);
           actionNotes.push(receiptEmailResult.success ? 'receipt_email' : `receipt_email_${receiptEmailResult.reason || 'failed'}`);
           if (!receiptEmailResult.success) {
             logger.warn(`Receipt email was not sent for ${context?.callSid || 'unknown_call'}: ${receiptEmailResult.reason || 'unknown'}`);
@@ -620,16 +1299,107 @@ class IVRExecutionEngine {
     return response.toString();
   }
 
+  async _handleSubflow(response, node, config, context, callSid) {
+    try {
+      const entry = await ivrWorkflowEngine.enterSubflow(callSid, config, node);
+      response.redirect(`/ivr/next-step?workflowId=${entry.workflowId}&currentNodeId=${entry.nodeId}`);
+      return response.toString();
+    } catch (error) {
+      logger.error(`Subflow node ${node.id} could not start: ${error.message}`);
+      if (callSid) {
+        ivrWorkflowEngine.setVariable(callSid, 'subflow.error', error.message);
+      }
+      if (this._appendNextStep(response, node.id, config.edges, config._id, 'error')) {
+        return response.toString();
+      }
+      if (callSid) {
+        await ivrWorkflowEngine.endExecution(callSid, 'error', error.message);
+      }
+      response.say('An error occurred while processing your request.');
+      response.hangup();
+      return response.toString();
+    }
+  }
+
+  async _handleSplit(response, node, config, callSid) {
+    let arm = null;
+    try {
+      arm = await ivrWorkflowEngine.assignSplitArm(callSid, config._id, node);
+    } catch (error) {
+      logger.error(`Split node ${node.id} could not assign an arm: ${error.message}`);
+    }
+
+    if (arm && this._appendNextStep(response, node.id, config.edges, config._id, arm.handle)) {
+      return response.toString();
+    }
+
+    logger.warn(`Split node ${node.id} has no route for arm "${arm?.handle || 'none'}"; ending call`);
+    if (callSid) {
+      await ivrWorkflowEngine.endExecution(callSid, 'error', `Split node ${node.id} has no usable arm`);
+    }
+    response.say('An error occurred while processing your request.');
+    response.hangup();
+    return response.toString();
+  }
+
+  /**
+   * Continue the parent workflow after a subflow's return node. Tries the
+   * returned handle, then "done", then any unlabelled edge of the subflow node.
+   */
+  async _returnToParent(response, callSid, returnHandle) {
+    const frame = await ivrWorkflowEngine.returnFromSubflow(callSid, returnHandle);
+    if (!frame) return false;
+
+    const parent = await ivrWorkflowEngine.loadRuntimeWorkflow(frame.workflowId, callSid);
+    const outgoing = (parent.edges || []).filter((edge) => edge.source === frame.nodeId);
+    const edge =
+      outgoing.find((candidate) => candidate.sourceHandle === returnHandle) ||
+      outgoing.find((candidate) => candidate.sourceHandle === 'done') ||
+      outgoing.find((candidate) => !candidate.sourceHandle);
+
+    if (!edge) {
+      logger.warn(`Subflow node ${frame.nodeId} has no route for return handle "${returnHandle}"; ending call`);
+      return false;
+    }
+
+    response.redirect(`/ivr/next-step?workflowId=${frame.workflowId}&currentNodeId=${edge.target}`);
+    return true;
+  }
+
+  async _evaluateConditionExpression(expression, context = {}, settings = {}, nodeData = {}) {
+    const timezone = nodeData.businessTimezone ?? nodeData.business_timezone ?? settings.businessTimezone ?? settings.timezone ?? '';
+    const scope = buildExpressionScope({
+      variables: context.variables || {},
+      callerNumber: context.callerNumber,
+      destinationNumber: context.destinationNumber,
+      timezone,
+      extra: {
+        businessHours: await this._isBusinessHours(settings, nodeData)
+      }
+    });
+    return evaluateCondition(expression, scope);
+  }
+
   async _handleCondition(response, node, context, config) {
     const { data } = node;
-    const { variable, operator, value, condition, truePath, true_path, falsePath, false_path } = data;
+    const { variable, operator, value, condition, expression, truePath, true_path, falsePath, false_path } = data;
     const { edges } = config;
     const settings = config.settings || {};
 
     let isMatch = false;
+    const expressionSource = String(expression || '').trim();
     const hasCustomExpression = Boolean(variable && operator);
 
-    if (hasCustomExpression) {
+    if (expressionSource) {
+      try {
+        isMatch = await this._evaluateConditionExpression(expressionSource, context, settings, data);
+      } catch (error) {
+        // Validation rejects bad syntax on save; anything left is a runtime problem, so take the false branch.
+        logger.error(`Condition expression failed at node ${node.id}: ${error.message}`);
+        isMatch = false;
+      }
+      logger.info(`Expression evaluation: [${expressionSource}] => ${isMatch}`);
+    } else if (hasCustomExpression) {
       const actualValue = context.variables ? context.variables[variable] : undefined;
       switch (operator) {
         case 'equals': isMatch = (actualValue == value); break;
@@ -638,11 +1408,19 @@ class IVRExecutionEngine {
         case 'greater_than': isMatch = Number(actualValue) > Number(value); break;
         case 'less_than': isMatch = Number(actualValue) < Number(value); break;
         case 'exists': isMatch = (actualValue !== undefined && actualValue !== null); break;
+        case 'regex':
+          try {
+            isMatch = actualValue !== undefined && actualValue !== null && testSafeRegex(value, actualValue);
+          } catch (error) {
+            logger.error(`Invalid regex on condition node ${node.id}: ${error.message}`);
+            isMatch = false;
+          }
+          break;
         default: isMatch = false;
       }
       logger.info(`Condition Evaluation: [${variable}](${actualValue}) ${operator} [${value}] = ${isMatch}`);
     } else {
-      isMatch = this._evaluatePresetCondition(condition, context, settings, data);
+      isMatch = await this._evaluatePresetCondition(condition, context, settings, data);
       logger.info(`Preset condition evaluation: [${condition}] => ${isMatch}`);
     }
 
@@ -685,45 +1463,95 @@ class IVRExecutionEngine {
     return response.toString();
   }
 
+  /**
+   * Call an external API with {{variables}} substituted into the URL, headers
+   * and body, then map parts of the response into variables. The outcome
+   * takes the first connected handle of: the exact status ("404"), its class
+   * ("4xx"), then "success"/"error". Timeouts and blocked destinations try
+   * "timeout"/"blocked" before "error".
+   */
   async _handleApiCall(response, node, context, config, callSid) {
-    const { data } = node;
-    const { url, method, headers, body, outputVariable } = data;
-
-    // Move to next step immediately via redirect?
-    // API calls are blocking if we want the result.
-    // Since we are in TwiML generation, we can't easily wait for async API calls 
-    // without holding the line silence.
-
-    // APPROACH: Use TwiML <Redirect> to a helper endpoint that executes API 
-    // and THEN redirects back to next step.
-    // OR: Execute here (since we are async) and assume it's fast enough (< 2-3 sec).
+    const data = node.data || {};
+    const outputVariable = String(data.outputVariable || data.output_variable || '').trim();
+    const settings = normalizeApiCallSettings(data);
+    const request = buildApiRequest(data, this._getTemplateVariables(callSid));
+    const setVariable = (key, value) => {
+      if (callSid) ivrWorkflowEngine.setVariable(callSid, key, value);
+    };
 
+    let handles;
     try {
-      logger.info(`Executing API Call: ${method} ${url}`);
-      const result = await axios({
-        method: method || 'GET',
-        url,
-        headers: headers || {},
-        data: body || {}
+      logger.info(`Executing API Call: ${request.method} ${request.url}`);
+      const sandboxed = this._recordSandboxEffect(callSid, 'api_call', {
+        request: { ...request, headers: redactHeaders(request.headers) }
       });
+      const result = sandboxed
+        ? { status: 200, data: {}, attempts: 1 }
+        : await apiCallService.execute(request, {
+          ...settings,
+          allowlist: await apiCallService.getAllowlist(config?.createdBy)
+        });
 
-      // Store result in variable if requested
-      if (outputVariable && callSid) {
-        // Store simplified result (status, data)
-        const safeData = typeof result.data === 'object' ? JSON.stringify(result.data) : String(result.data);
-        ivrWorkflowEngine.setVariable(callSid, `${outputVariable}.status`, result.status);
-        ivrWorkflowEngine.setVariable(callSid, `${outputVariable}.data`, safeData);
+      if (outputVariable) {
+        setVariable(`${outputVariable}.status`, result.status);
+        setVariable(`${outputVariable}.data`, toVariableValue(result.data));
+        setVariable(`${outputVariable}.attempts`, result.attempts);
       }
+      const mapped = extractResponseMappings(result.data, normalizeResponseMappings(data.responseMappings ?? data.response_mappings));
+      Object.entries(mapped).forEach(([key, value]) => setVariable(key, value));
 
-      // Success Path
-      this._appendNextStep(response, node.id, config.edges, config._id, 'success');
-    
+      const ok = result.status >= 200 && result.status < 300;
+      if (!ok) logger.warn(`API call for node ${node.id} returned HTTP ${result.status}`);
+      handles = [String(result.status), `${Math.floor(result.status / 100)}xx`, ok ? 'success' : 'error'];
     } catch (error) {
-      logger.error('API Call Failed:', error.message);
-      // Error Path
-      this._appendNextStep(response, node.id, config.edges, config._id, 'error');
+      const reason = error.code === 'ERR_OUTBOUND_BLOCKED' ? 'blocked' : (isTimeoutError(error) ? 'timeout' : 'error');
+      logger.error(`API Call Failed (${reason}): ${error.message}`);
+      if (outputVariable) {
+        setVariable(`${outputVariable}.status`, 0);
+        setVariable(`${outputVariable}.error`, reason);
+      }
+      handles = reason === 'error' ? ['error'] : [reason, 'error'];
     }
 
+    handles.some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle));
+    return response.toString();
+  }
+
+  /**
+   * Find the caller in the tenant's customer directory and load the matched
+   * columns into variables, then take "found" or "not_found". A failed
+   * query tries "error" before "not_found".
+   */
+  async _handleLookup(response, node, context, config, callSid) {
+    const settings = normalizeLookupSettings(node.data || {});
+    const variables = this._getTemplateVariables(callSid);
+    const phoneNumber = settings.matchBy === 'variable'
+      ? variables[settings.matchVariable]
+      : (context?.callerNumber || variables.callerNumber);
+    const setVariable = (key, value) => {
+      if (callSid) ivrWorkflowEngine.setVariable(callSid, key, value);
+    };
+
+    let handles;
+    try {
+      const match = await customerDirectoryService.findByPhone(config?.createdBy, phoneNumber);
+      setVariable('lookup.found', Boolean(match));
+      setVariable('lookup.phone', match?.phone || '');
+      if (match) {
+        Object.entries(match.fields).forEach(([column, value]) => {
+          if (settings.fields.length && !settings.fields.includes(column)) return;
+          setVariable(settings.variablePrefix ? `${settings.variablePrefix}.${column}` : column, value);
+        });
+      }
+      logger.info(`Directory lookup at node ${node.id}: ${match ? 'found' : 'not found'}`);
+      handles = [match ? 'found' : 'not_found'];
+    } catch (error) {
+      logger.error(`Directory lookup failed at node ${node.id}: ${error.message}`);
+      setVariable('lookup.found', false);
+      handles = ['error', 'not_found'];
+    }
+
+    handles.some((handle) => this._appendNextStep(response, node.id, config.edges, config._id, handle));
     return response.toString();
   }
 
@@ -757,7 +1585,7 @@ class IVRExecutionEngine {
     const settings = config.settings || {};
     const nodes = Array.isArray(config.nodes) ? config.nodes : [];
     const { voice, language } = this._getMergedSettings(node, settings);
-    const textToPlay = data.messageText || data.text || 'Playing audio.';
+    const textToPlay = this._replaceCurlyVariables(context?.callSid, data.messageText || data.text) || 'Playing audio.';
     const fallbackRefId = data.fallbackAudioNodeId;
     const fallbackRef = this._resolveAudioReference(nodes, fallbackRefId);
     const hasUploadAudio = Boolean(data.mode === 'upload' && data.audioUrl);
@@ -851,17 +1679,21 @@ class IVRExecutionEngine {
     return response.toString();
   }
 
-  _replaceCurlyVariables(callSid, text = '', extraVariables = {}) {
-    const base = String(text || '');
-    if (!callSid || !base) return base;
-    const state = ivrWorkflowEngine.getExecutionState(callSid);
-    const variables = {
+  _getTemplateVariables(callSid, extraVariables = {}) {
+    const state = callSid ? ivrWorkflowEngine.getExecutionState(callSid) : null;
+    return {
       callerNumber: state?.callerNumber || '',
       destinationNumber: state?.destinationNumber || '',
-      callSid: state?.callSid || callSid,
+      callSid: state?.callSid || callSid || '',
       ...(state?.variables || {}),
       ...(extraVariables || {})
     };
+  }
+
+  _replaceCurlyVariables(callSid, text = '', extraVariables = {}) {
+    const base = String(text || '');
+    if (!callSid || !base) return base;
+    const variables = this._getTemplateVariables(callSid, extraVariables);
     return base.replace(/\{\{([^}]+)\}\}/g, (_match, rawKey) => {
       const key = String(rawKey || '').trim();
       if (!key) return '';
@@ -887,7 +1719,8 @@ class IVRExecutionEngine {
     const slotSnapshot = await appointmentBookingService.getSlotSnapshot(
       node,
       { _id: config._id, settings },
-      context
+      context,
+      { dryRun: Boolean(ivrWorkflowEngine.getSandbox(callSid)) }
     );
     const promptText = appointmentBookingService.buildSelectionPrompt(
       node,
@@ -1056,7 +1889,7 @@ class IVRExecutionEngine {
         }
       };
 
-      const reservation = await appointmentBookingService.reserveBooking({
+      const reservationRequest = {
         workflow: {
           _id: config._id,
           createdBy: config.createdBy || settings.createdBy || null,
@@ -1078,7 +1911,22 @@ class IVRExecutionEngine {
         sourceNodeId: selectedSlotSourceNodeId,
         metadata: selectedSlot?.metadata || {}
       }
-      });
+      };
+      const reservation = this._recordSandboxEffect(callSid, 'booking', {
+        slot: reservationRequest.slot,
+        customer: bookingContext.variables
+      })
+        ? {
+          success: true,
+          booking: {
+            _id: `simulated-${callSid}`,
+            bookingReference: 'SIMULATED',
+            tokenNumber: 'SIM',
+            slotDate: selectedSlot.slotDate,
+            slotLabel: selectedSlot.slotLabel || selectedSlot.slotKey
+          }
+        }
+        : await appointmentBookingService.reserveBooking(reservationRequest);
 
       if (!reservation.success) {
         ivrWorkflowEngine.setVariable(callSid, 'booking.createStatus', 'failed');
@@ -1180,7 +2028,7 @@ class IVRExecutionEngine {
     };
 
     try {
-      const result = await appointmentBookingService.notifyBooking({
+      const notification = {
         workflow: {
           _id: config._id,
           createdBy: config.createdBy || settings.createdBy || null,
@@ -1190,7 +2038,10 @@ class IVRExecutionEngine {
         booking,
         customerRecipient,
         adminRecipient
-      });
+      };
+      const result = this._recordSandboxEffect(callSid, 'notification', { booking, customerRecipient, adminRecipient })
+        ? { success: true, results: [] }
+        : await appointmentBookingService.notifyBooking(notification);
 
       if (!result.success) {
         logger.warn(
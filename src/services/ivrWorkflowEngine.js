@@ -1,4 +1,5 @@
 ﻿﻿import Workflow from '../models/Workflow.js';
+import mongoose from 'mongoose';
 import ExecutionLog from '../models/ExecutionLog.js';
 import logger from '../utils/logger.js';
 import twilio from 'twilio';
@@ -8,7 +9,39 @@ import leadService from './leadService.js';
 import appointmentBookingService from './appointmentBookingService.js';
 import { emitIVRWorkflowUpdate, emitIVRWorkflowError, emitIVRWorkflowStats } from '../sockets/unifiedSocket.js';
 import { deleteFromCloudinary } from '../utils/cloudinaryUtils.js';
-import { deleteVoiceAudioAssets } from '../utils/voiceAssetCleanup.js';
+import { collectVoiceAudioAssets, deleteVoiceAudioAssets } from '../utils/voiceAssetCleanup.js';
+import {
+    createExecutionStateStore,
+    ExecutionStateConflictError,
+    InMemoryExecutionStateStore
+} from './executionStateStore.js';
+import workflowVersionService from './workflowVersionService.js';
+import { normalizeSpeechIntents, matchSpeechIntent } from '../utils/speechIntents.js';
+import { validateExpression, compileSafeRegex } from '../utils/conditionExpression.js';
+import { normalizeSplitArms, pickSplitArm, isSplitDeterministic } from '../utils/trafficSplit.js';
+import businessHoursService from './businessHoursService.js';
+import { normalizeRingTargets, validateRingTarget } from '../utils/ringGroup.js';
+import { normalizeResponseMappings, getResponseMappingErrors } from './apiCallService.js';
+import callerPreferenceService from './callerPreferenceService.js';
+import callerHistoryService, { normalizeResumeSettings } from './callerHistoryService.js';
+import { normalizeRecordControlSettings } from './callRecordingService.js';
+import { normalizeLookupSettings } from './customerDirectoryService.js';
+import callerVerificationService, { REDACTED_INPUT, normalizeVerifySettings } from './callerVerificationService.js';
+import surveyService, { normalizeSurveySettings, parseSurveyAnswer } from './surveyService.js';
+import workflowHistoryService from './workflowHistoryService.js';
+import { normalizeMenuOptions, normalizeMenuDigit } from '../utils/menuOptions.js';
+import { acceptsHotkeys, normalizeHotkeys, findBackTarget } from '../utils/hotkeys.js';
+import {
+    CALL_LANGUAGE_VARIABLE,
+    getTranslationText,
+    localizeNodeData,
+    localizeWorkflowConfig,
+    normalizeLanguageOptions,
+    normalizeLocale,
+    normalizeTranslations,
+    normalizeWorkflowLanguages,
+    resolveLanguageVoice
+} from '../utils/localization.js';
 
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -21,16 +54,23 @@ class IVRWorkflowEngine extends EventEmitter {
     constructor() {
         super();
 
-        // Execution state tracking
+        // Execution state tracking. The Map is a per-instance cache; the store
+        // is the source of truth so calls survive restarts and can hop instances.
         this.activeExecutions = new Map(); // callSid -> ExecutionState
+        this.stateStore = createExecutionStateStore();
+        this.stateVersions = new Map(); // callSid -> last persisted store version
+        this.pendingStateWrites = new Map(); // callSid -> Promise (serialises writes)
+        this.failedStateWrites = new Map(); // callSid -> last write error not yet reported
+        this.sandboxes = new Map(); // callSid -> simulator sandbox (no logs, no side effects)
 
         // Safety limits
         this.MAX_LOOP_ITERATIONS = 50;
         this.MAX_NODE_EXECUTIONS = 200;
         this.EXECUTION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+        this.MAX_SUBFLOW_DEPTH = Number(process.env.IVR_MAX_SUBFLOW_DEPTH || 5);
 
         // Cleanup interval: every hour
-        setInterval(() => this.cleanupStaleExecutions(), 60 * 60 * 1000);
+        setInterval(() => this.cleanupStaleExecutions(), 60 * 60 * 1000).unref();
     }
 
     _normalizeLeadIntent(rawIntent = '') {
@@ -128,11 +168,43 @@ class IVRWorkflowEngine extends EventEmitter {
         return trimmed;
     }
 
+    /**
+     * Delete audio a draft edit dropped (publicId -> nodeId), skipping any
+     * asset the saved draft or a published version still plays: calls pinned
+     * to a version need it. Assets only old versions use go with the workflow.
+     */
+    async deleteUnreferencedAudio(workflow, candidates) {
+        if (!candidates?.size) return;
+        const toPublicId = (asset) => this.normalizeCloudinaryAssetId(asset.publicId) || this.extractCloudinaryPublicId(asset.url);
+        let referenced;
+        try {
+            const snapshots = await workflowVersionService.listSnapshotGraphs(workflow._id);
+            referenced = new Set(collectVoiceAudioAssets(workflow.nodes, ...snapshots.map((snapshot) => snapshot.nodes)).map(toPublicId));
+        } catch (error) {
+            logger.warn(`⚠️ Kept old audio for workflow ${workflow._id}; published versions could not be checked: ${error.message}`);
+            return;
+        }
+
+        for (const [publicId, nodeId] of candidates) {
+            if (referenced.has(publicId)) {
+                logger.info(`ℹ️ Kept audio for node ${nodeId}: ${publicId} is still used by the draft or a published version`);
+                continue;
+            }
+            try {
+                await deleteFromCloudinary(publicId);
+                logger.info(`🗑️ Deleted old audio for node ${nodeId}: ${publicId}`);
+            } catch (deleteError) {
+                logger.warn(`⚠️ Failed to delete old audio for node ${nodeId}:`, deleteError.message);
+            }
+        }
+    }
+
     normalizeNodeType(type) {
         const t = String(type || '').trim().toLowerCase();
         if (t === 'greeting') return 'greeting';
         if (t === 'audio') return 'audio';
         if (t === 'input') return 'input';
+        if (t === 'speech_input') return 'speech_input';
         if (t === 'conditional') return 'conditional';
         if (t === 'transfer') return 'transfer';
         if (t === 'voicemail') return 'voicemail';
@@ -143,7 +215,11 @@ class IVRWorkflowEngine extends EventEmitter {
             'booking_create',
             'booking_confirm',
             'whatsapp_notify',
-            'handoff'
+            'handoff',
+            'subflow',
+            'split',
+            'language_select',
+            'menu'
         ].includes(t)) return t;
         return t || 'audio';
     }
@@ -153,11 +229,11 @@ class IVRWorkflowEngine extends EventEmitter {
         const commonKeys = [
             'promptKey', 'mode', 'messageText', 'text', 'voice', 'language',
             'audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId', 'afterPlayback', 'maxRetries', 'max_retries',
-            'timeoutSeconds', 'timeout', 'fallbackAudioNodeId'
+            'timeoutSeconds', 'timeout', 'fallbackAudioNodeId', 'translations'
         ];
         const keysByType = {
-            audio: ['promptKey', 'mode', 'messageText', 'text', 'voice', 'language', 'audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId', 'afterPlayback', 'maxRetries', 'max_retries', 'timeoutSeconds', 'timeout', 'fallbackAudioNodeId'],
-            greeting: ['promptKey', 'mode', 'messageText', 'text', 'voice', 'language', 'audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId', 'afterPlayback', 'maxRetries', 'max_retries', 'timeoutSeconds', 'timeout', 'fallbackAudioNodeId'],
+            audio: ['promptKey', 'mode', 'messageText', 'text', 'voice', 'language', 'audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId', 'afterPlayback', 'maxRetries', 'max_retries', 'timeoutSeconds', 'timeout', 'fallbackAudioNodeId', 'translations'],
+            greeting: ['promptKey', 'mode', 'messageText', 'text', 'voice', 'language', 'audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId', 'afterPlayback', 'maxRetries', 'max_retries', 'timeoutSeconds', 'timeout', 'fallbackAudioNodeId', 'translations'],
             input: [
                 ...commonKeys,
                 'digit', 'label', 'action', 'destination', 'numDigits', 'num_digits',
@@ -169,14 +245,26 @@ class IVRWorkflowEngine extends EventEmitter {
                 'timeoutAudioNodeId', 'timeout_audio_node_id',
                 'maxAttempts', 'max_attempts', 'invalidInputMessage'
             ],
+            speech_input: [
+                ...commonKeys,
+                'promptText', 'prompt_text', 'hints',
+                'speechTimeout', 'speech_timeout', 'speechModel', 'speech_model',
+                'confidenceThreshold', 'confidence_threshold', 'intents',
+                'resultVariable', 'result_variable', 'intentVariable', 'intent_variable',
+                'promptAudioNodeId', 'prompt_audio_node_id',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts', 'invalidInputMessage'
+            ],
             conditional: [
                 ...commonKeys,
-                'condition', 'truePath', 'falsePath', 'true_path', 'false_path',
+                'condition', 'expression', 'truePath', 'falsePath', 'true_path', 'false_path',
                 'variable', 'operator', 'value',
                 'businessStartHour', 'business_start_hour',
                 'businessEndHour', 'business_end_hour',
                 'businessTimezone', 'business_timezone',
                 'businessDays', 'business_days',
+                'businessHoursCalendarId',
                 'callerNumberVariable', 'caller_number_variable',
                 'unknownCallerValues', 'unknown_caller_values',
                 'premiumFlagVariable', 'premium_flag_variable',
@@ -184,7 +272,11 @@ class IVRWorkflowEngine extends EventEmitter {
                 'premiumSegmentVariable', 'premium_segment_variable',
                 'premiumTiers', 'premium_tiers'
             ],
-            transfer: [...commonKeys, 'destination', 'department', 'label', 'announceText', 'announce_text', 'timeout', 'transferNumber'],
+            transfer: [
+                ...commonKeys, 'destination', 'department', 'label', 'announceText', 'announce_text', 'timeout', 'transferNumber',
+                'targets', 'ringGroup', 'ring_group', 'ringStrategy', 'ring_strategy', 'callerId', 'caller_id',
+                'failureText', 'failure_text'
+            ],
             voicemail: [
                 ...commonKeys,
                 'mailbox', 'transcribe', 'transcription',
@@ -247,9 +339,90 @@ class IVRWorkflowEngine extends EventEmitter {
                 ...commonKeys,
                 'destination', 'callerId', 'caller_id', 'timeout', 'announcementText', 'announcement_text'
             ],
+            subflow: [
+                ...commonKeys,
+                'targetWorkflowId', 'target_workflow_id',
+                'targetPromptKey', 'target_prompt_key',
+                'inputVariables', 'input_variables',
+                'outputVariables', 'output_variables'
+            ],
+            split: [
+                ...commonKeys,
+                'arms', 'experimentKey', 'experiment_key',
+                'deterministic', 'stickyByCaller', 'sticky_by_caller'
+            ],
+            language_select: [
+                ...commonKeys,
+                'promptText', 'prompt_text', 'options',
+                'rememberChoice', 'remember_choice', 'skipIfKnown', 'skip_if_known',
+                'promptAudioNodeId', 'prompt_audio_node_id',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts', 'invalidInputMessage'
+            ],
+            menu: [
+                ...commonKeys,
+                'promptText', 'prompt_text', 'menuOptions',
+                'promptAudioNodeId', 'prompt_audio_node_id',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts', 'invalidInputMessage', 'timeoutMessage'
+            ],
+            api_call: [
+                ...commonKeys,
+                'label', 'url', 'method', 'headers', 'body',
+                'outputVariable', 'output_variable',
+                'responseMappings', 'response_mappings',
+                'timeoutMs', 'timeout_ms', 'retries', 'retryDelayMs', 'retry_delay_ms'
+            ],
+            verify: [
+                ...commonKeys,
+                'accountPromptText', 'account_prompt_text', 'pinPromptText', 'pin_prompt_text',
+                'lockedMessage', 'locked_message', 'invalidInputMessage', 'timeoutMessage',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts',
+                'lockoutThreshold', 'lockout_threshold', 'lockoutMinutes', 'lockout_minutes'
+            ],
+            survey: [
+                ...commonKeys,
+                'label', 'surveyName', 'survey_name', 'introText', 'intro_text',
+                'thankYouText', 'thank_you_text', 'questions',
+                'invalidInputMessage', 'timeoutMessage',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts', 'agentVariable', 'agent_variable'
+            ],
+            resume: [
+                ...commonKeys,
+                'promptText', 'prompt_text', 'resumeDigit', 'resume_digit', 'restartDigit', 'restart_digit',
+                'maxAgeHours', 'max_age_hours', 'invalidInputMessage', 'timeoutMessage',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts'
+            ],
+            queue: [
+                ...commonKeys,
+                'label', 'queueName', 'queue_name', 'workflowSid', 'workflow_sid',
+                'requiredSkills', 'required_skills', 'agentTimeout', 'agent_timeout'
+            ],
+            record_control: [
+                ...commonKeys,
+                'label', 'action', 'promptText', 'prompt_text', 'acceptDigit', 'accept_digit', 'declineDigit', 'decline_digit',
+                'acceptedText', 'accepted_text', 'declinedText', 'declined_text', 'startOnAccept', 'start_on_accept',
+                'invalidInputMessage', 'timeoutMessage',
+                'invalidAudioNodeId', 'invalid_audio_node_id',
+                'timeoutAudioNodeId', 'timeout_audio_node_id',
+                'maxAttempts', 'max_attempts'
+            ],
+            lookup: [
+                ...commonKeys,
+                'label', 'matchBy', 'match_by', 'matchVariable', 'match_variable',
+                'variablePrefix', 'variable_prefix', 'fields'
+            ],
             end: [
                 ...commonKeys,
-                'reason', 'terminationType',
+                'reason', 'terminationType', 'returnHandle', 'return_handle',
                 'transferNumber', 'transfer_number',
                 'voicemailBox', 'voicemail_box',
                 'maxLength', 'max_length',
@@ -284,7 +457,11 @@ class IVRWorkflowEngine extends EventEmitter {
             'transferTimeout', 'transfer_timeout',
             'maxAttempts', 'max_attempts', 'maxLength', 'max_length',
             'callbackDelay', 'callback_delay', 'maxCallbackAttempts', 'max_callback_attempts',
-            'businessStartHour', 'business_start_hour', 'businessEndHour', 'business_end_hour'
+            'businessStartHour', 'business_start_hour', 'businessEndHour', 'business_end_hour',
+            'confidenceThreshold', 'confidence_threshold',
+            'timeoutMs', 'timeout_ms', 'retries', 'retryDelayMs', 'retry_delay_ms',
+            'lockoutThreshold', 'lockout_threshold', 'lockoutMinutes', 'lockout_minutes',
+            'maxAgeHours', 'max_age_hours', 'agentTimeout', 'agent_timeout'
         ];
         numericKeys.forEach((key) => {
             if (sanitized[key] !== undefined) {
@@ -295,6 +472,46 @@ class IVRWorkflowEngine extends EventEmitter {
             }
         });
 
+        if (nodeType === 'speech_input' && sanitized.intents !== undefined) {
+            sanitized.intents = normalizeSpeechIntents(sanitized.intents);
+        }
+
+        if (nodeType === 'transfer' && (sanitized.targets ?? sanitized.ringGroup ?? sanitized.ring_group) !== undefined) {
+            sanitized.targets = normalizeRingTargets({ targets: sanitized.targets ?? sanitized.ringGroup ?? sanitized.ring_group });
+            delete sanitized.ringGroup;
+            delete sanitized.ring_group;
+        }
+
+        if (nodeType === 'api_call' && (sanitized.responseMappings ?? sanitized.response_mappings) !== undefined) {
+            sanitized.responseMappings = normalizeResponseMappings(sanitized.responseMappings ?? sanitized.response_mappings);
+            delete sanitized.response_mappings;
+        }
+
+        if (nodeType === 'survey' && sanitized.questions !== undefined) {
+            sanitized.questions = normalizeSurveySettings(sanitized).questions;
+        }
+
+        if (nodeType === 'lookup') {
+            Object.assign(sanitized, normalizeLookupSettings(sanitized));
+            ['match_by', 'match_variable', 'variable_prefix'].forEach((key) => delete sanitized[key]);
+        }
+
+        if (sanitized.translations !== undefined) {
+            sanitized.translations = normalizeTranslations(sanitized.translations);
+        }
+
+        if (nodeType === 'language_select' && sanitized.options !== undefined) {
+            sanitized.options = normalizeLanguageOptions(sanitized.options);
+        }
+
+        if (nodeType === 'menu' && sanitized.menuOptions !== undefined) {
+            sanitized.menuOptions = normalizeMenuOptions(sanitized.menuOptions);
+        }
+
+        if (nodeType === 'split' && sanitized.arms !== undefined) {
+            sanitized.arms = normalizeSplitArms(sanitized.arms);
+        }
+
         if (nodeType === 'availability_check' && sanitized.slotDefinitions === undefined) {
             const rawSlots =
                 sanitized.slot_definitions ??
@@ -394,33 +611,49 @@ class IVRWorkflowEngine extends EventEmitter {
      */
     async startExecution(workflowId, callSid, callerNumber, destinationNumber, userId = null) {
         try {
-            const existingState = this.activeExecutions.get(callSid);
+            const existingState = await this.loadExecutionState(callSid);
             if (existingState && String(existingState.workflowId) === String(workflowId)) {
                 logger.info(`Reusing active execution for call ${callSid} and workflow ${workflowId}`);
                 return await ExecutionLog.findById(existingState.executionLogId);
             }
+            if (existingState) {
+                // Same CallSid re-entering a different workflow starts from a clean slate.
+                await this.pendingStateWrites.get(callSid);
+                await this._stateStoreFor(callSid).delete(callSid);
+            }
 
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
 
+            // Pin the call to the version that is live right now; later publishes
+            // only affect new calls. Active workflows saved before publishing
+            // existed are published here; null means an inactive draft.
+            // Simulations choose their own version (usually the draft).
+            const sandbox = this.getSandbox(callSid);
+            const workflowVersion = sandbox ? sandbox.workflowVersion : await workflowVersionService.ensurePublished(workflow);
+
             // Create execution log in database
             const executionLog = new ExecutionLog({
                 callSid,
                 userId: workflow.createdBy || userId,
                 workflowId,
                 workflowName: workflow.promptKey,
+                workflowVersion,
                 callerNumber,
                 destinationNumber,
                 startTime: new Date(),
                 status: 'running'
             });
-            await executionLog.save();
+            if (!sandbox) {
+                await executionLog.save();
+            }
 
             // Create in-memory execution state
             const executionState = {
                 callSid,
                 workflowId,
                 workflowName: workflow.promptKey,
+                workflowVersion,
                 userId: workflow.createdBy || userId || null,
                 executionLogId: executionLog._id,
                 callerNumber,
@@ -434,15 +667,39 @@ class IVRWorkflowEngine extends EventEmitter {
                 },
                 nodeAttempts: {},
                 lastInputReasonByNode: {},
+                callStack: [],
+                subflowVersions: {},
                 loopIterations: 0,
                 nodeExecutionCount: 0,
                 lastNodeTime: Date.now()
             };
 
+            // Callers who picked a language on an earlier call hear it again.
+            if (!sandbox) {
+                const rememberedLanguage = await callerPreferenceService.getLanguage(executionState.userId, callerNumber);
+                if (rememberedLanguage) {
+                    executionState.variables[CALL_LANGUAGE_VARIABLE] = rememberedLanguage;
+                }
+            }
+
+            // An earlier unfinished call on this workflow can be picked up by a resume node.
+            const previousCall = sandbox
+                ? null
+                : await callerHistoryService.findPreviousCall({ userId: executionState.userId, workflowId, callerNumber, callSid });
+            executionState.previousCall = previousCall;
+            Object.assign(executionState.variables, callerHistoryService.toCallerVariables(previousCall));
+
             this.activeExecutions.set(callSid, executionState);
+            this.stateVersions.delete(callSid);
+            await this.flushExecutionState(callSid);
 
             this.emit('execution:started', { callSid, workflowId });
 
+            if (sandbox) {
+                logger.info(`Simulated execution started: ${callSid} for workflow ${workflowId}`);
+                return executionLog;
+            }
+
             // Emit real-time analytics
             emitIVRWorkflowUpdate(callSid, {
                 event: 'execution_started',
@@ -470,21 +727,201 @@ class IVRWorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Get execution state for a call
+     * Get execution state for a call (cached copy, synchronous)
      */
     getExecutionState(callSid) {
         return this.activeExecutions.get(callSid);
     }
 
+    /**
+     * Tenant whose credentials and lockouts a verify node uses: the owner the
+     * call runs for, so subflows check the same accounts as their parent.
+     */
+    getVerificationOwner(callSid, workflow = {}) {
+        return (callSid && this.getExecutionState(callSid)?.userId) || workflow?.createdBy || null;
+    }
+
+    /**
+     * Register a sandboxed execution for the workflow simulator. Its state lives
+     * in a private in-memory store and it never writes execution logs, leads or
+     * analytics; side-effect nodes record what they would have done instead.
+     */
+    openSandbox(callSid, { workflowVersion = null } = {}) {
+        const sandbox = {
+            store: new InMemoryExecutionStateStore(),
+            workflowVersion,
+            sideEffects: [],
+            endReason: null,
+            errorMessage: null,
+            finalState: null
+        };
+        this.sandboxes.set(callSid, sandbox);
+        return sandbox;
+    }
+
+    async closeSandbox(callSid) {
+        await this.pendingStateWrites.get(callSid);
+        this.activeExecutions.delete(callSid);
+        this.stateVersions.delete(callSid);
+        this.failedStateWrites.delete(callSid);
+        this.sandboxes.delete(callSid);
+    }
+
+    getSandbox(callSid) {
+        return callSid ? this.sandboxes.get(callSid) || null : null;
+    }
+
+    _stateStoreFor(callSid) {
+        return this.getSandbox(callSid)?.store || this.stateStore;
+    }
+
+    /**
+     * Refresh the cached execution state from the state store.
+     * Another instance may have advanced the call since we last saw it.
+     */
+    async loadExecutionState(callSid) {
+        if (!callSid) return undefined;
+        const cached = this.activeExecutions.get(callSid);
+        const store = this._stateStoreFor(callSid);
+        if (!store.isDurable) return cached;
+
+        try {
+            await this.pendingStateWrites.get(callSid);
+            const record = await store.get(callSid);
+            if (!record) return this.activeExecutions.get(callSid);
+
+            const cachedVersion = this.stateVersions.get(callSid);
+            if (cached && cachedVersion === record.version) return cached;
+
+            this.activeExecutions.set(callSid, this._hydrateExecutionState(record.state));
+            this.stateVersions.set(callSid, record.version);
+        } catch (error) {
+            logger.error(`Failed to load execution state for ${callSid}; using cached copy:`, error);
+        }
+        return this.activeExecutions.get(callSid);
+    }
+
+    /**
+     * Write the cached execution state through to the state store. Writes for
+     * the same call are chained so versions advance in order.
+     */
+    persistExecutionState(callSid) {
+        if (!callSid) return Promise.resolve();
+        const previous = this.pendingStateWrites.get(callSid) || Promise.resolve();
+        const write = previous
+            .then(() => this._writeExecutionState(callSid))
+            .then(() => {
+                // Each write carries the whole state, so a later success heals an earlier failure
+                this.failedStateWrites.delete(callSid);
+            })
+            .catch((error) => {
+                logger.error(`Failed to persist execution state for ${callSid}:`, error);
+                this.failedStateWrites.set(callSid, error);
+            })
+            .finally(() => {
+                if (this.pendingStateWrites.get(callSid) === write) {
+                    this.pendingStateWrites.delete(callSid);
+                }
+            });
+        this.pendingStateWrites.set(callSid, write);
+        return write;
+    }
+
+    /**
+     * Persist the call's state and wait for every queued write. Throws when
+     * the state could not be saved, so the webhook answering the call fails
+     * instead of continuing on state the next request will not see.
+     */
+    async flushExecutionState(callSid) {
+        if (!callSid) return;
+        await this.persistExecutionState(callSid);
+        const error = this.failedStateWrites.get(callSid);
+        if (!error) return;
+        this.failedStateWrites.delete(callSid);
+        throw new Error(`Execution state for ${callSid} could not be saved: ${error.message}`, { cause: error });
+    }
+
+    async _writeExecutionState(callSid, retryOnConflict = true) {
+        const state = this.activeExecutions.get(callSid);
+        if (!state) return;
+
+        const store = this._stateStoreFor(callSid);
+        const expectedVersion = this.stateVersions.get(callSid) || 0;
+        try {
+            const version = await store.save(callSid, this._serializeExecutionState(state), expectedVersion);
+            this.stateVersions.set(callSid, version);
+        } catch (error) {
+            if (!(error instanceof ExecutionStateConflictError) || !retryOnConflict) throw error;
+
+            // Someone else wrote first: merge their state under ours and retry once.
+            const remote = await store.get(callSid);
+            if (remote) {
+                const merged = this._mergeExecutionStates(this._hydrateExecutionState(remote.state), state);
+                this.activeExecutions.set(callSid, merged);
+                this.stateVersions.set(callSid, remote.version);
+            } else {
+                this.stateVersions.delete(callSid);
+            }
+            logger.warn(`Execution state conflict for ${callSid}; merged remote version ${remote?.version ?? 'none'}`);
+            await this._writeExecutionState(callSid, false);
+        }
+    }
+
+    _serializeExecutionState(state = {}) {
+        return {
+            ...state,
+            workflowId: state.workflowId ? String(state.workflowId) : null,
+            userId: state.userId ? String(state.userId) : null,
+            executionLogId: state.executionLogId ? String(state.executionLogId) : null
+        };
+    }
+
+    _hydrateExecutionState(raw = {}) {
+        return {
+            ...raw,
+            visitedNodes: Array.isArray(raw.visitedNodes) ? raw.visitedNodes : [],
+            variables: raw.variables && typeof raw.variables === 'object' ? raw.variables : {},
+            nodeAttempts: raw.nodeAttempts && typeof raw.nodeAttempts === 'object' ? raw.nodeAttempts : {},
+            lastInputReasonByNode: raw.lastInputReasonByNode && typeof raw.lastInputReasonByNode === 'object'
+                ? raw.lastInputReasonByNode
+                : {},
+            callStack: Array.isArray(raw.callStack) ? raw.callStack : [],
+            subflowVersions: raw.subflowVersions && typeof raw.subflowVersions === 'object' ? raw.subflowVersions : {},
+            loopIterations: Number(raw.loopIterations) || 0,
+            nodeExecutionCount: Number(raw.nodeExecutionCount) || 0,
+            startTime: Number(raw.startTime) || Date.now(),
+            lastNodeTime: Number(raw.lastNodeTime) || Date.now()
+        };
+    }
+
+    _mergeExecutionStates(remote = {}, local = {}) {
+        const remoteVisits = remote.visitedNodes || [];
+        const localVisits = local.visitedNodes || [];
+        return {
+            ...remote,
+            ...local,
+            variables: { ...(remote.variables || {}), ...(local.variables || {}) },
+            nodeAttempts: { ...(remote.nodeAttempts || {}), ...(local.nodeAttempts || {}) },
+            lastInputReasonByNode: { ...(remote.lastInputReasonByNode || {}), ...(local.lastInputReasonByNode || {}) },
+            visitedNodes: localVisits.length >= remoteVisits.length ? localVisits : remoteVisits,
+            nodeExecutionCount: Math.max(remote.nodeExecutionCount || 0, local.nodeExecutionCount || 0),
+            loopIterations: Math.max(remote.loopIterations || 0, local.loopIterations || 0)
+        };
+    }
+
     /**
      * Track node visit and check for safety violations
      */
-    async trackNodeVisit(callSid, nodeId, nodeType, userInput = null) {
+    async trackNodeVisit(callSid, nodeId, nodeType, userInput = null, workflowId = null) {
         const state = this.getExecutionState(callSid);
         if (!state) {
             logger.warn(`âš ï¸ No execution state found for ${callSid}`);
             return { allowed: true };
         }
+        // The digits that led here came from a verify node
+        if (userInput !== null && userInput !== undefined && state.lastInputRedacted) {
+            userInput = REDACTED_INPUT;
+        }
 
         // Check timeout
         const elapsedTime = Date.now() - state.startTime;
@@ -523,21 +960,28 @@ class IVRWorkflowEngine extends EventEmitter {
             }
         }
 
-        // Track visit
+        // Track visit; subflow visits carry the child workflow and nesting depth
+        const depth = Array.isArray(state.callStack) ? state.callStack.length : 0;
+        const visitWorkflowId = workflowId ? String(workflowId) : null;
         state.visitedNodes.push({
             nodeId,
             nodeType,
             timestamp: new Date(),
-            userInput
+            userInput,
+            ...(depth > 0 ? { workflowId: visitWorkflowId, depth } : {})
         });
         state.currentNodeId = nodeId;
         state.lastNodeTime = Date.now();
 
+        if (this.getSandbox(callSid)) {
+            return { allowed: true };
+        }
+
         // Update database log
         try {
             const log = await ExecutionLog.findById(state.executionLogId);
             if (log) {
-                await log.recordNodeVisit(nodeId, nodeType, userInput);
+                await log.recordNodeVisit(nodeId, nodeType, userInput, depth > 0 ? { workflowId: visitWorkflowId, depth } : {});
             }
         } catch (error) {
             logger.error('Failed to update execution log:', error);
@@ -572,14 +1016,17 @@ class IVRWorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Set a variable in execution context
+     * Set a variable in execution context. The cache is updated synchronously;
+     * the returned promise resolves once the change reaches the state store.
      */
     setVariable(callSid, key, value) {
         const state = this.getExecutionState(callSid);
         if (state) {
             state.variables[key] = value;
             this.emit('variable:set', { callSid, key, value });
+            return this.persistExecutionState(callSid);
         }
+        return Promise.resolve();
     }
 
     /**
@@ -618,9 +1065,19 @@ class IVRWorkflowEngine extends EventEmitter {
      * End execution
      */
     async endExecution(callSid, reason = 'normal', errorMessage = null) {
-        const state = this.activeExecutions.get(callSid);
+        const state = await this.loadExecutionState(callSid);
         if (!state) return;
 
+        const sandbox = this.getSandbox(callSid);
+        if (sandbox) {
+            sandbox.endReason = reason;
+            sandbox.errorMessage = errorMessage;
+            sandbox.finalState = state;
+            this.activeExecutions.delete(callSid);
+            logger.info(`Simulated execution ended: ${callSid} (reason: ${reason})`);
+            return;
+        }
+
         try {
             // Update database log
             const log = await ExecutionLog.findById(state.executionLogId);
@@ -631,7 +1088,10 @@ class IVRWorkflowEngine extends EventEmitter {
                 log.reason = reason;
                 log.nodeExecutionCount = state.nodeExecutionCount;
                 log.loopIterations = state.loopIterations;
-                log.variables = state.variables;
+                // Ending inside a subflow: keep the caller's variables rather than the child's scope
+                log.variables = state.callStack?.length
+                    ? { ...(state.callStack[0].variables || {}), ...state.variables }
+                    : state.variables;
                 if (errorMessage) log.errorMessage = errorMessage;
                 await log.save();
             }
@@ -640,6 +1100,10 @@ class IVRWorkflowEngine extends EventEmitter {
 
             // Remove from active executions
             this.activeExecutions.delete(callSid);
+            await this.pendingStateWrites.get(callSid);
+            this.stateVersions.delete(callSid);
+            this.failedStateWrites.delete(callSid);
+            await this._stateStoreFor(callSid).delete(callSid);
 
             this.emit('execution:ended', { callSid, reason });
 
@@ -832,13 +1296,296 @@ class IVRWorkflowEngine extends EventEmitter {
     }
 
 
+    /**
+     * Load the graph a call should execute: the version pinned on its execution
+     * state, else the currently published version (publishing active workflows
+     * that have none), else the draft of an inactive workflow.
+     */
+    async loadRuntimeWorkflow(workflowId, callSid = null) {
+        const workflow = await Workflow.findById(workflowId);
+        if (!workflow) throw new Error('Workflow not found');
+
+        const state = callSid ? this.getExecutionState(callSid) : null;
+        const isPinned = Boolean(state) &&
+            String(state.workflowId) === String(workflow._id) &&
+            Object.prototype.hasOwnProperty.call(state, 'workflowVersion');
+        const subflowVersions = state?.subflowVersions || {};
+        const isPinnedSubflow = !isPinned && Object.prototype.hasOwnProperty.call(subflowVersions, String(workflow._id));
+        let version;
+        if (isPinned) version = state.workflowVersion;
+        else if (isPinnedSubflow) version = subflowVersions[String(workflow._id)];
+        else version = this.getSandbox(callSid) ? workflow.publishedVersion : await workflowVersionService.ensurePublished(workflow);
+        if (!version) return workflow;
+
+        const snapshot = await workflowVersionService.getSnapshot(workflow._id, version);
+        if (!snapshot) {
+            logger.warn(`Workflow ${workflow._id} version ${version} snapshot missing; executing draft graph`);
+            return workflow;
+        }
+
+        return {
+            _id: workflow._id,
+            promptKey: workflow.promptKey,
+            displayName: workflow.displayName,
+            status: workflow.status,
+            isActive: workflow.isActive,
+            createdBy: workflow.createdBy,
+            companyId: workflow.companyId,
+            publishedVersion: workflow.publishedVersion,
+            version: snapshot.version,
+            nodes: snapshot.nodes || [],
+            edges: snapshot.edges || [],
+            config: snapshot.config || {},
+            tags: snapshot.tags || []
+        };
+    }
+
+    /**
+     * Parse a subflow variable mapping into [{ from, to }]. Accepts an array of
+     * names ("callbackNumber"), "from:to" strings or { from, to } objects, a
+     * comma-separated string of the same, or a { from: to } map.
+     */
+    normalizeVariableMapping(raw) {
+        let source = raw;
+        if (typeof source === 'string') {
+            const trimmed = source.trim();
+            if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+                try {
+                    source = JSON.parse(trimmed);
+                } catch {
+                    return [];
+                }
+            } else {
+                source = trimmed.split(',');
+            }
+        }
+
+        const entries = Array.isArray(source)
+            ? source
+            : Object.entries(source && typeof source === 'object' ? source : {}).map(([from, to]) => ({ from, to }));
+
+        return entries
+            .map((entry) => {
+                if (typeof entry === 'string') {
+                    const [from, to] = entry.split(':').map((part) => part.trim());
+                    return { from, to: to || from };
+                }
+                const from = String(entry?.from || entry?.source || '').trim();
+                const to = String(entry?.to || entry?.target || '').trim() || from;
+                return { from, to };
+            })
+            .filter((mapping) => mapping.from && mapping.to);
+    }
+
+    /**
+     * Resolve a subflow node's target workflow (by id or promptKey) within the
+     * same tenant as the calling workflow.
+     */
+    async findSubflowTarget(parentWorkflow, nodeData = {}) {
+        const targetId = String(nodeData.targetWorkflowId || nodeData.target_workflow_id || '').trim();
+        const targetPromptKey = String(nodeData.targetPromptKey || nodeData.target_prompt_key || '').trim();
+        const ownerFilter = parentWorkflow?.createdBy ? { createdBy: parentWorkflow.createdBy } : {};
+
+        if (targetId) {
+            if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+            return Workflow.findOne({ _id: targetId, ...ownerFilter });
+        }
+        if (targetPromptKey) {
+            return Workflow.findOne({ promptKey: targetPromptKey, ...ownerFilter });
+        }
+        return null;
+    }
+
+    /**
+     * Push the calling workflow onto the call stack and switch the call into
+     * the child workflow. Returns { workflowId, nodeId } of the child's start node.
+     */
+    async enterSubflow(callSid, parentWorkflow, node) {
+        const state = await this.loadExecutionState(callSid);
+        if (!state) throw new Error('No active execution for subflow');
+
+        const callStack = Array.isArray(state.callStack) ? state.callStack : [];
+        if (callStack.length >= this.MAX_SUBFLOW_DEPTH) {
+            throw new Error(`Subflow depth limit (${this.MAX_SUBFLOW_DEPTH}) exceeded`);
+        }
+
+        const data = node?.data || {};
+        const target = await this.findSubflowTarget(parentWorkflow, data);
+        if (!target) throw new Error('Subflow target workflow not found');
+
+        // Pin the child like the parent: the simulator's draft runs use child drafts too
+        const sandbox = this.getSandbox(callSid);
+        const childVersion = sandbox && !sandbox.workflowVersion ? null : await workflowVersionService.ensurePublished(target);
+        state.subflowVersions = { ...(state.subflowVersions || {}), [String(target._id)]: childVersion };
+
+        const runtimeChild = await this.loadRuntimeWorkflow(target._id, callSid);
+        const childNodes = Array.isArray(runtimeChild.nodes) ? runtimeChild.nodes : [];
+        const startNode = childNodes.find((child) => child.type === 'greeting' || child.type === 'audio') || childNodes[0];
+        if (!startNode) throw new Error(`Subflow workflow ${target.promptKey || target._id} has no nodes`);
+
+        const parentVariables = state.variables || {};
+        const childVariables = {
+            callerNumber: state.callerNumber,
+            destinationNumber: state.destinationNumber
+        };
+        this.normalizeVariableMapping(data.inputVariables ?? data.input_variables).forEach(({ from, to }) => {
+            if (parentVariables[from] !== undefined) childVariables[to] = parentVariables[from];
+        });
+
+        callStack.push({
+            workflowId: String(parentWorkflow._id),
+            workflowName: parentWorkflow.promptKey || null,
+            nodeId: node.id,
+            childWorkflowId: String(target._id),
+            variables: parentVariables,
+            outputVariables: this.normalizeVariableMapping(data.outputVariables ?? data.output_variables),
+            enteredAt: Date.now()
+        });
+        state.callStack = callStack;
+        state.variables = childVariables;
+        await this.persistExecutionState(callSid);
+
+        logger.info(`Call ${callSid} entered subflow ${target.promptKey || target._id} from node ${node.id} (depth ${callStack.length})`);
+        return { workflowId: String(target._id), nodeId: startNode.id };
+    }
+
+    /**
+     * Pop the current subflow frame, copy its output variables back to the
+     * caller and return { workflowId, nodeId } of the parent's subflow node.
+     * Returns null when the call is not inside a subflow.
+     */
+    async returnFromSubflow(callSid, returnHandle = 'done') {
+        const state = await this.loadExecutionState(callSid);
+        const frame = state?.callStack?.length ? state.callStack.pop() : null;
+        if (!frame) return null;
+
+        const childVariables = state.variables || {};
+        const parentVariables = { ...(frame.variables || {}) };
+        (frame.outputVariables || []).forEach(({ from, to }) => {
+            if (childVariables[from] !== undefined) parentVariables[to] = childVariables[from];
+        });
+        parentVariables['subflow.result'] = returnHandle;
+        state.variables = parentVariables;
+        await this.persistExecutionState(callSid);
+
+        logger.info(`Call ${callSid} returned from subflow to ${frame.workflowId} node ${frame.nodeId} via "${returnHandle}"`);
+        return { workflowId: frame.workflowId, nodeId: frame.nodeId };
+    }
+
+    /**
+     * Choose a traffic-split arm for the call and record it on the execution
+     * log. Deterministic splits hash the caller number with the experiment key
+     * so repeat callers land on the same arm; re-entering the node within a
+     * call reuses the earlier choice. Returns the arm or null when none apply.
+     */
+    async assignSplitArm(callSid, workflowId, node) {
+        const data = node?.data || {};
+        const arms = normalizeSplitArms(data.arms);
+        const experimentKey = String(data.experimentKey || data.experiment_key || '').trim() || node.id;
+        const variableKey = `split.${experimentKey}`;
+        const state = callSid ? await this.loadExecutionState(callSid) : null;
+
+        const previousHandle = state?.variables?.[variableKey];
+        const previous = previousHandle ? arms.find((arm) => arm.handle === previousHandle) : null;
+        if (previous) return previous;
+
+        const deterministic = isSplitDeterministic(data);
+        const callerNumber = String(state?.callerNumber || '').trim();
+        if (deterministic && !callerNumber) {
+            logger.warn(`Split node ${node.id} is deterministic but call ${callSid} has no caller number; picking at random`);
+        }
+        const arm = pickSplitArm(arms, {
+            seed: deterministic && callerNumber ? `${experimentKey}:${callerNumber}` : null
+        });
+        if (!arm || !state) return arm;
+
+        state.variables[variableKey] = arm.handle;
+        state.variables['split.arm'] = arm.handle;
+        await this.persistExecutionState(callSid);
+
+        if (!this.getSandbox(callSid)) {
+            try {
+                await ExecutionLog.updateOne(
+                    { _id: state.executionLogId },
+                    {
+                        $push: {
+                            splitAssignments: {
+                                nodeId: node.id,
+                                workflowId: String(workflowId),
+                                experimentKey,
+                                arm: arm.handle,
+                                label: arm.label,
+                                deterministic: Boolean(deterministic && callerNumber),
+                                assignedAt: new Date()
+                            }
+                        }
+                    }
+                );
+            } catch (error) {
+                logger.error(`Failed to record split assignment for ${callSid}:`, error);
+            }
+        }
+
+        logger.info(`Call ${callSid} assigned to arm "${arm.handle}" of split ${experimentKey}`);
+        return arm;
+    }
+
+    /**
+     * Mark the call's execution log as having attempted a transfer.
+     */
+    async recordTransferAttempt(callSid, destination) {
+        const state = await this.loadExecutionState(callSid);
+        if (!state) return;
+        state.variables['transfer.target'] = destination;
+        if (this.getSandbox(callSid)) return;
+
+        try {
+            await ExecutionLog.updateOne(
+                { _id: state.executionLogId },
+                { $set: { transferAttempted: true, transferDestination: destination } }
+            );
+        } catch (error) {
+            logger.error(`Failed to record transfer attempt for ${callSid}:`, error);
+        }
+    }
+
+    /**
+     * Handle the <Dial action> callback of a transfer node: ring the next leg
+     * of a hunt group or route the outcome to its handle.
+     */
+    async handleDialStatus(workflowId, nodeId, { leg = 0, dialStatus = null } = {}, callSid = null) {
+        if (callSid) {
+            await this.loadExecutionState(callSid);
+        }
+        const workflow = await this.loadRuntimeWorkflow(workflowId, callSid);
+        const node = (workflow.nodes || []).find(n => n.id === nodeId);
+        if (!node) throw new Error(`Node ${nodeId} not found in workflow`);
+
+        logger.info(`Dial status for ${node.type} node ${nodeId} (leg ${leg}): ${dialStatus || 'unknown'}`);
+        const workflowConfig = {
+            nodes: workflow?.nodes || [],
+            edges: workflow?.edges || [],
+            settings: workflow?.config || {},
+            createdBy: workflow?.createdBy || null,
+            _id: workflow._id,
+            workflowId: workflow._id
+        };
+        const twiml = await ivrExecutionEngine.handleDialOutcome(node, workflowConfig, callSid, { leg, dialStatus });
+        if (callSid) {
+            await this.persistExecutionState(callSid);
+        }
+        return twiml;
+    }
+
     /**
      * Generate TwiML for a specific node in a workflow
      */
     async generateTwiML(workflowId, nodeId, userInput = null, callSid = null) {
         try {
-            const workflow = await Workflow.findById(workflowId);
-            if (!workflow) throw new Error('Workflow not found');
+            if (callSid) {
+                await this.loadExecutionState(callSid);
+            }
+            const workflow = await this.loadRuntimeWorkflow(workflowId, callSid);
 
             // Workflow model has nodes/edges directly, not in workflowConfig
             const nodes = workflow.nodes || [];
@@ -846,16 +1593,23 @@ class IVRWorkflowEngine extends EventEmitter {
 
             const node = nodes.find(n => n.id === nodeId);
             if (!node) throw new Error(`Node ${nodeId} not found in workflow`);
+            const settings = workflow?.config || {};
+            const locale = callSid ? normalizeLocale(this.getVariable(callSid, CALL_LANGUAGE_VARIABLE)) : '';
             const nodeForExecution = {
                 ...node,
-                data: { ...(node.data || {}) }
+                data: {
+                    ...localizeNodeData(node.data || {}, locale, {
+                        language: settings.language,
+                        voice: settings.voice || settings.voiceId
+                    })
+                }
             };
 
             let context = { variables: {}, lastNodeId: null };
 
             // Track node visit and safety checks
             if (callSid) {
-                const safety = await this.trackNodeVisit(callSid, nodeId, node.type, userInput);
+                const safety = await this.trackNodeVisit(callSid, nodeId, node.type, userInput, workflow._id);
                 if (!safety.allowed) {
                     const response = new VoiceResponse();
                     response.say({ voice: 'alice' }, safety.message || 'Error occurred.');
@@ -870,6 +1624,7 @@ class IVRWorkflowEngine extends EventEmitter {
                     context.variables = state.variables;
                     context.callSid = callSid;
                     context.callerNumber = state.callerNumber;
+                    context.destinationNumber = state.destinationNumber || '';
                     context.nodeAttempts = state.nodeAttempts || {};
                     context.lastInputReasonByNode = state.lastInputReasonByNode || {};
                     if (state.visitedNodes && state.visitedNodes.length > 1) {
@@ -917,27 +1672,34 @@ class IVRWorkflowEngine extends EventEmitter {
 
             // Delegate to Execution Engine
             logger.info(`Delegating execution for node ${nodeForExecution.type} (${nodeId})`);
-            const workflowConfig = {
+            const workflowConfig = localizeWorkflowConfig({
                 nodes: workflow?.nodes || [],
                 edges: workflow?.edges || [],
-                settings: workflow?.config || {},
+                settings,
                 createdBy: workflow?.createdBy || null,
                 _id: workflow._id,
                 workflowId: workflow._id
-            };
-            return await ivrExecutionEngine.executeNode(nodeForExecution, context, workflowConfig, callSid);
+            }, locale);
+            const twiml = await ivrExecutionEngine.executeNode(nodeForExecution, context, workflowConfig, callSid);
+            if (callSid) {
+                // Flush before Twilio's next webhook, which may land on another instance.
+                await this.flushExecutionState(callSid);
+            }
+            return twiml;
 
         } catch (error) {
             logger.error('Error generating TwiML:', error);
 
             // Emit real-time error analytics
             if (callSid) {
-                emitIVRWorkflowError(callSid, {
-                    event: 'twiml_generation_error',
-                    nodeId,
-                    error: error.message,
-                    timestamp: new Date()
-                });
+                if (!this.getSandbox(callSid)) {
+                    emitIVRWorkflowError(callSid, {
+                        event: 'twiml_generation_error',
+                        nodeId,
+                        error: error.message,
+                        timestamp: new Date()
+                    });
+                }
                 await this.endExecution(callSid, 'error', error.message);
             }
             throw error;
@@ -974,12 +1736,87 @@ class IVRWorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Handle user input for a node
+     * Node a workflow hotkey sends the caller to, or null when the input is
+     * not a hotkey here. The current node's own choices take precedence.
+     */
+    _resolveHotkeyTarget(workflow, currentNode, digit, state) {
+        if (!state || !digit || !acceptsHotkeys(currentNode)) return null;
+        const hotkey = normalizeHotkeys(workflow.config?.hotkeys).find((entry) => entry.digit === digit);
+        if (!hotkey || this._nodeUsesDigit(workflow, currentNode, digit)) return null;
+
+        const nodes = workflow.nodes || [];
+        const firstOfType = (type) => nodes.find((node) => String(node?.type || '').toLowerCase() === type)?.id || null;
+        let target = null;
+        switch (hotkey.action) {
+            case 'repeat':
+                target = currentNode.id;
+                break;
+            case 'back':
+                target = findBackTarget(state.visitedNodes, currentNode.id, {
+                    nodes,
+                    depth: Array.isArray(state.callStack) ? state.callStack.length : 0,
+                    workflowId: workflow._id
+                }) || currentNode.id;
+                break;
+            case 'operator':
+                target = hotkey.nodeId || firstOfType('transfer');
+                break;
+            case 'main_menu':
+                target = hotkey.nodeId || firstOfType('menu');
+                break;
+            default:
+                target = hotkey.nodeId;
+        }
+        return target && nodes.some((node) => node.id === target) ? target : null;
+    }
+
+    _nodeUsesDigit(workflow, node, digit) {
+        const data = node?.data || {};
+        const type = String(node?.type || '').toLowerCase();
+        const ownEdge = (workflow.edges || []).some((edge) =>
+            edge.source === node.id && [edge.sourceHandle, edge.data?.digit].some((value) => normalizeMenuDigit(value) === digit)
+        );
+        if (ownEdge || normalizeMenuDigit(data.digit) === digit) return true;
+        switch (type) {
+            case 'menu':
+                return normalizeMenuOptions(data.menuOptions).some((option) => option.digit === digit);
+            case 'language_select':
+                return normalizeLanguageOptions(data.options).some((option) => option.digit === digit);
+            case 'availability_check': {
+                // Slots are picked by their own digit or by position
+                const slots = appointmentBookingService.getSlotDefinitions(node);
+                const position = Number(digit);
+                return slots.some((slot) => String(slot.digit ?? '') === digit) ||
+                    (Number.isInteger(position) && position >= 1 && position <= slots.length);
+            }
+            case 'slot_offer':
+            case 'booking_confirm':
+                return [data.yesDigits ?? data.yes_digits ?? '1', data.noDigits ?? data.no_digits ?? '2']
+                    .some((digits) => String(digits).split(',').some((value) => normalizeMenuDigit(value) === digit));
+            case 'audio':
+            case 'greeting':
+                // Audio fans out to input nodes that each answer one digit
+                return (workflow.edges || [])
+                    .filter((edge) => edge.source === node.id)
+                    .some((edge) => {
+                        const target = (workflow.nodes || []).find((candidate) => candidate.id === edge.target);
+                        return String(target?.type || '').toLowerCase() === 'input' && normalizeMenuDigit(target.data?.digit) === digit;
+                    });
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Handle user input for a node. `inputMeta.confidence` carries Twilio's
+     * speech recognition confidence for speech_input nodes.
      */
-    async handleUserInput(workflowId, currentNodeId, userInput, callSid = null) {
+    async handleUserInput(workflowId, currentNodeId, userInput, callSid = null, inputMeta = {}) {
         try {
-            const workflow = await Workflow.findById(workflowId);
-            if (!workflow) throw new Error('Workflow not found');
+            if (callSid) {
+                await this.loadExecutionState(callSid);
+            }
+            const workflow = await this.loadRuntimeWorkflow(workflowId, callSid);
 
             const edges = (workflow.edges || []).filter(e => e.source === currentNodeId);
             const currentNode = (workflow.nodes || []).find(n => n.id === currentNodeId);
@@ -988,19 +1825,22 @@ class IVRWorkflowEngine extends EventEmitter {
                 destinationNodeId && (workflow.nodes || []).some((n) => n.id === destinationNodeId)
             );
 
-            // Record user input
+            // Record user input; account numbers and PINs are never stored
             if (callSid) {
                 const state = this.getExecutionState(callSid);
                 if (state) {
+                    const redacted = String(currentNode?.type || '').toLowerCase() === 'verify';
+                    const recordedInput = redacted ? REDACTED_INPUT : userInput;
+                    state.lastInputRedacted = redacted;
                     state.nodeAttempts = state.nodeAttempts || {};
                     state.nodeAttempts[currentNodeId] = (state.nodeAttempts[currentNodeId] || 0) + 1;
                     state.variables = state.variables || {};
-                    state.variables.lastInputValue = userInput;
+                    state.variables.lastInputValue = recordedInput;
                     state.variables.lastInputNodeId = currentNodeId;
-                    state.variables[`inputValues:${currentNodeId}`] = userInput;
-                    const log = await ExecutionLog.findById(state.executionLogId);
+                    state.variables[`inputValues:${currentNodeId}`] = recordedInput;
+                    const log = this.getSandbox(callSid) ? null : await ExecutionLog.findById(state.executionLogId);
                     if (log) {
-                        await log.recordUserInput(currentNodeId, userInput);
+                        await log.recordUserInput(currentNodeId, recordedInput);
                     }
                 }
             }
@@ -1084,51 +1924,317 @@ class IVRWorkflowEngine extends EventEmitter {
                 const outgoingEdges = (workflow.edges || []).filter((edge) => edge.source === inputNodeId);
                 if (outgoingEdges.length === 1) return outgoingEdges[0].target;
 
-                const inputAction = String(inputData.action || '').trim().toLowerCase();
-                const inputDestination = String(inputData.destination || '').trim();
-                if (nodeExists(inputDestination)) return inputDestination;
+                const inputAction = String(inputData.action || '').trim().toLowerCase();
+                const inputDestination = String(inputData.destination || '').trim();
+                if (nodeExists(inputDestination)) return inputDestination;
+
+                const actionRequiresExecution = ['transfer', 'queue', 'voicemail'].includes(inputAction);
+                if (callSid && inputAction && (actionRequiresExecution || inputDestination)) {
+                    const currentState = this.getExecutionState(callSid);
+                    if (currentState) {
+                        currentState.variables = currentState.variables || {};
+                        currentState.variables[`inputAction:${inputNodeId}`] = {
+                            action: inputAction,
+                            destination: inputDestination
+                        };
+                    }
+                    return inputNodeId;
+                }
+
+                return null;
+            };
+            const resolveAudioFanOutTarget = () => {
+                if (!['audio', 'greeting'].includes(nodeType)) return null;
+
+                const directEdge = edges.find((edge) =>
+                    normalizeHandleValue(edge.sourceHandle) === normalizedUserInputLower ||
+                    normalizeHandleValue(edge.data?.digit) === normalizedUserInputLower
+                );
+                if (directEdge) {
+                    const targetNode = (workflow.nodes || []).find((node) => node.id === directEdge.target);
+                    if (String(targetNode?.type || '').toLowerCase() === 'input') {
+                        return resolveInputOptionTarget(targetNode) || targetNode.id;
+                    }
+                    return directEdge.target;
+                }
+
+                for (const edge of edges) {
+                    const targetNode = (workflow.nodes || []).find((node) => node.id === edge.target);
+                    if (String(targetNode?.type || '').toLowerCase() !== 'input') continue;
+                    const targetDigit = normalizeHandleValue(targetNode?.data?.digit);
+                    if (!targetDigit || targetDigit !== normalizedUserInputLower) continue;
+
+                    return resolveInputOptionTarget(targetNode);
+                }
+
+                return null;
+            };
+
+            const hotkeyTarget = this._resolveHotkeyTarget(workflow, currentNode, normalizedUserInput, state);
+            if (hotkeyTarget) {
+                markInputReason('hotkey');
+                // A hotkey is not a wrong answer here, and the node it leads to starts afresh
+                state.nodeAttempts[currentNodeId] = Math.max(0, (state.nodeAttempts[currentNodeId] || 0) - 1);
+                state.nodeAttempts[hotkeyTarget] = 0;
+                logger.info(`Hotkey ${normalizedUserInput} at node ${currentNodeId} leads to ${hotkeyTarget} for call ${callSid}`);
+                return hotkeyTarget;
+            }
+
+            if (nodeType === 'language_select') {
+                const data = currentNode?.data || {};
+                const option = normalizeLanguageOptions(data.options)
+                    .find((entry) => entry.digit === normalizedUserInput);
+                if (option) {
+                    this.setVariable(callSid, CALL_LANGUAGE_VARIABLE, option.language);
+                    const rememberChoice = ![false, 'false'].includes(data.rememberChoice ?? data.remember_choice);
+                    if (rememberChoice && state && !this.getSandbox(callSid)) {
+                        await callerPreferenceService.rememberLanguage(state.userId, state.callerNumber, option.language, workflow._id);
+                    }
+                    markInputReason('matched');
+                    return redirectForHandles([option.language, 'selected', 'default', 'next']) || endNodeId;
+                }
+
+                markInputReason(normalizedUserInput ? 'invalid' : 'timeout');
+                if (attemptCount < maxRetries) return currentNodeId;
+                // Callers who never choose carry on in the workflow's default language
+                return redirectForHandles(['no_match', 'timeout', 'selected', 'default', 'next']) || endNodeId;
+            }
+
+            if (nodeType === 'menu') {
+                // Digits route through the edge whose handle is the digit
+                const target = /^[0-9*#]$/.test(normalizedUserInput) ? redirectForHandles([normalizedUserInput]) : null;
+                if (target) {
+                    markInputReason('matched');
+                    return target;
+                }
+
+                const reason = normalizedUserInput ? 'invalid' : 'timeout';
+                markInputReason(reason);
+                if (attemptCount < maxRetries) return currentNodeId;
+                const exitHandles = reason === 'timeout' ? ['timeout', 'no_match', 'default'] : ['no_match', 'timeout', 'default'];
+                return redirectForHandles(exitHandles) || endNodeId;
+            }
+
+            if (nodeType === 'resume') {
+                const resumeSettings = normalizeResumeSettings(currentNode?.data || {});
+                const previousCall = state?.previousCall || null;
+                const startOver = () => redirectForHandles(['new', 'default']) || endNodeId;
+                if (normalizedUserInput === resumeSettings.resumeDigit &&
+                    callerHistoryService.canResume(previousCall, resumeSettings, workflow.nodes || [])) {
+                    markInputReason('matched');
+                    const checkpoint = (workflow.nodes || []).find((node) => node?.id === previousCall.lastNodeId);
+                    const restored = await callerHistoryService.loadResumableVariables(state.userId, previousCall.executionLogId, {
+                        checkpointType: checkpoint?.type
+                    });
+                    Object.assign(state.variables, restored, { 'caller.resumed': true });
+                    await this.persistExecutionState(callSid);
+                    logger.info(`Call ${callSid} resumed at node ${previousCall.lastNodeId} with ${Object.keys(restored).length} restored variables`);
+                    return previousCall.lastNodeId;
+                }
+                if (normalizedUserInput === resumeSettings.restartDigit) {
+                    markInputReason('matched');
+                    return startOver();
+                }
+
+                markInputReason(normalizedUserInput ? 'invalid' : 'timeout');
+                if (attemptCount < resumeSettings.maxAttempts) return currentNodeId;
+                return startOver();
+            }
+
+            if (nodeType === 'record_control') {
+                const recordSettings = normalizeRecordControlSettings(currentNode?.data || {});
+                const pendingKey = `record:${currentNodeId}`;
+                // The executor tags the call and starts the recording when it sees the decision
+                const decide = (consented, timedOut = false) => {
+                    this.setVariable(callSid, 'recording.consented', consented);
+                    this.setVariable(callSid, pendingKey, { decided: true, timedOut });
+                    return currentNodeId;
+                };
+                if (recordSettings.action !== 'consent') {
+                    return redirectForHandles(['default', 'success']) || endNodeId;
+                }
+                if (normalizedUserInput === recordSettings.acceptDigit || normalizedUserInput === recordSettings.declineDigit) {
+                    markInputReason('matched');
+                    return decide(normalizedUserInput === recordSettings.acceptDigit);
+                }
+
+                markInputReason(normalizedUserInput ? 'invalid' : 'timeout');
+                if (attemptCount < recordSettings.maxAttempts) return currentNodeId;
+                // Callers who never answer are not recorded
+                return decide(false, true);
+            }
+
+            if (nodeType === 'verify') {
+                const verifySettings = normalizeVerifySettings(currentNode?.data || {});
+                const pendingKey = `verify:${currentNodeId}`;
+                const pending = state?.variables?.[pendingKey] || {};
+                const attempts = Number(pending.attempts) || 0;
+                const digits = normalizedUserInput.replace(/\D/g, '');
+                const ownerId = this.getVerificationOwner(callSid, workflow);
+                const failOrRetry = (reason, nextAttempts) => {
+                    markInputReason(reason);
+                    if (nextAttempts < verifySettings.maxAttempts) {
+                        this.setVariable(callSid, pendingKey, { stage: 'account', attempts: nextAttempts });
+                        return currentNodeId;
+                    }
+                    this.setVariable(callSid, pendingKey, null);
+                    return redirectForHandles(['failed', 'default']) || endNodeId;
+                };
 
-                const actionRequiresExecution = ['transfer', 'queue', 'voicemail'].includes(inputAction);
-                if (callSid && inputAction && (actionRequiresExecution || inputDestination)) {
-                    const currentState = this.getExecutionState(callSid);
-                    if (currentState) {
-                        currentState.variables = currentState.variables || {};
-                        currentState.variables[`inputAction:${inputNodeId}`] = {
-                            action: inputAction,
-                            destination: inputDestination
-                        };
+                if (pending.stage !== 'pin') {
+                    if (!digits) return failOrRetry('timeout', attempts + 1);
+                    // Keep the credential id, not the account number, until the PIN arrives
+                    const credentialId = await callerVerificationService.findCredentialId(ownerId, digits);
+                    this.setVariable(callSid, pendingKey, { stage: 'pin', credentialId, attempts });
+                    markInputReason('account');
+                    return currentNodeId;
+                }
+
+                if (!digits) return failOrRetry('timeout', attempts + 1);
+                // The executor refuses withheld numbers before prompting; check again
+                // here so a PIN is never tried without a lockout that can count it
+                if (!this.getSandbox(callSid)) {
+                    const lockout = await callerVerificationService.getLockout(ownerId, state?.callerNumber, { credentialId: pending.credentialId });
+                    if (lockout.locked || lockout.unavailable) {
+                        this.setVariable(callSid, pendingKey, null);
+                        if (lockout.locked) this.setVariable(callSid, 'verify.locked', true);
+                        markInputReason(lockout.locked ? 'locked' : 'invalid');
+                        return redirectForHandles(lockout.locked ? ['locked', 'failed', 'default'] : ['failed', 'default']) || endNodeId;
                     }
-                    return inputNodeId;
+                }
+                const account = await callerVerificationService.checkPin(ownerId, pending.credentialId, digits);
+                this.setVariable(callSid, 'verify.verified', Boolean(account));
+                if (account) {
+                    if (!this.getSandbox(callSid)) {
+                        await callerVerificationService.clearFailures(ownerId, state?.callerNumber, { credentialId: pending.credentialId });
+                    }
+                    this.setVariable(callSid, pendingKey, null);
+                    this.setVariable(callSid, 'verify.accountNumber', account.accountNumber);
+                    this.setVariable(callSid, 'verify.accountLabel', account.label || '');
+                    markInputReason('matched');
+                    return redirectForHandles(['verified', 'default']) || endNodeId;
                 }
 
-                return null;
-            };
-            const resolveAudioFanOutTarget = () => {
-                if (!['audio', 'greeting'].includes(nodeType)) return null;
+                logger.warn(`Verification failed at node ${currentNodeId} (attempt ${attempts + 1})`);
+                const lockout = this.getSandbox(callSid)
+                    ? { locked: false }
+                    : await callerVerificationService.recordFailure(ownerId, state?.callerNumber, verifySettings, { credentialId: pending.credentialId });
+                if (lockout.locked) {
+                    this.setVariable(callSid, pendingKey, null);
+                    this.setVariable(callSid, 'verify.locked', true);
+                    markInputReason('locked');
+                    return redirectForHandles(['locked', 'failed', 'default']) || endNodeId;
+                }
+                // An uncounted failure must not buy the caller another try
+                if (lockout.unavailable) {
+                    this.setVariable(callSid, pendingKey, null);
+                    markInputReason('invalid');
+                    return redirectForHandles(['failed', 'default']) || endNodeId;
+                }
+                return failOrRetry('invalid', attempts + 1);
+            }
 
-                const directEdge = edges.find((edge) =>
-                    normalizeHandleValue(edge.sourceHandle) === normalizedUserInputLower ||
-                    normalizeHandleValue(edge.data?.digit) === normalizedUserInputLower
-                );
-                if (directEdge) {
-                    const targetNode = (workflow.nodes || []).find((node) => node.id === directEdge.target);
-                    if (String(targetNode?.type || '').toLowerCase() === 'input') {
-                        return resolveInputOptionTarget(targetNode) || targetNode.id;
+            if (nodeType === 'survey') {
+                const surveySettings = normalizeSurveySettings(currentNode?.data || {});
+                const pendingKey = `survey:${currentNodeId}`;
+                const pending = state?.variables?.[pendingKey] || {};
+                const index = Number(pending.index) || 0;
+                const attempts = Number(pending.attempts) || 0;
+                const answers = Array.isArray(pending.answers) ? pending.answers : [];
+                const question = surveySettings.questions[index];
+                const saveProgress = (status) => {
+                    if (!state || this.getSandbox(callSid)) return null;
+                    return surveyService.saveProgress({
+                        userId: state.userId || workflow.createdBy,
+                        callSid,
+                        workflowId: state.workflowId || workflow._id,
+                        workflowName: state.workflowName || workflow.promptKey,
+                        nodeId: currentNodeId,
+                        surveyName: surveySettings.surveyName,
+                        callerNumber: state.callerNumber,
+                        agent: state.variables?.[surveySettings.agentVariable] || '',
+                        answers,
+                        status
+                    });
+                };
+
+                const value = question ? parseSurveyAnswer(question, normalizedUserInput) : null;
+                if (question && value === null) {
+                    markInputReason(normalizedUserInput ? 'invalid' : 'timeout');
+                    if (attempts + 1 < surveySettings.maxAttempts) {
+                        this.setVariable(callSid, pendingKey, { index, attempts: attempts + 1, answers });
+                        return currentNodeId;
                     }
-                    return directEdge.target;
+                    // A caller who stops answering leaves the survey incomplete
+                    this.setVariable(callSid, pendingKey, null);
+                    this.setVariable(callSid, 'survey.completed', false);
+                    await saveProgress('incomplete');
+                    return redirectForHandles(['incomplete', 'completed', 'default']) || endNodeId;
                 }
 
-                for (const edge of edges) {
-                    const targetNode = (workflow.nodes || []).find((node) => node.id === edge.target);
-                    if (String(targetNode?.type || '').toLowerCase() !== 'input') continue;
-                    const targetDigit = normalizeHandleValue(targetNode?.data?.digit);
-                    if (!targetDigit || targetDigit !== normalizedUserInputLower) continue;
+                if (question) {
+                    answers.push({
+                        questionId: question.id,
+                        question: question.text,
+                        type: question.type,
+                        scale: question.scale,
+                        value,
+                        answeredAt: new Date()
+                    });
+                    this.setVariable(callSid, `survey.${question.id}`, question.type === 'yes_no' ? value === 1 : value);
+                }
+                markInputReason('matched');
+                const finished = index + 1 >= surveySettings.questions.length;
+                await saveProgress(finished ? 'completed' : 'in_progress');
+                // The node plays its thank-you message before moving on
+                this.setVariable(callSid, pendingKey, { index: index + 1, attempts: 0, answers, done: finished });
+                if (finished) this.setVariable(callSid, 'survey.completed', true);
+                return currentNodeId;
+            }
 
-                    return resolveInputOptionTarget(targetNode);
+            if (nodeType === 'speech_input') {
+                const data = currentNode?.data || {};
+                const transcript = String(userInput ?? '').trim();
+                const resultVariable = String(data.resultVariable || data.result_variable || 'speech.result').trim() || 'speech.result';
+                const intentVariable = String(data.intentVariable || data.intent_variable || 'speech.intent').trim() || 'speech.intent';
+                const rawThreshold = Number(data.confidenceThreshold ?? data.confidence_threshold);
+                const threshold = Number.isFinite(rawThreshold) ? Math.min(Math.max(rawThreshold, 0), 1) : 0.5;
+                const rawConfidence = Number(inputMeta?.confidence);
+                const confidence = inputMeta?.confidence !== undefined && inputMeta?.confidence !== '' && Number.isFinite(rawConfidence)
+                    ? rawConfidence
+                    : null;
+                const retryOr = (handles) => {
+                    if (attemptCount < maxRetries) return currentNodeId;
+                    return redirectForHandles(handles) || endNodeId;
+                };
+
+                this.setVariable(callSid, resultVariable, transcript);
+                this.setVariable(callSid, 'speech.confidence', confidence);
+
+                if (!transcript) {
+                    this.setVariable(callSid, intentVariable, null);
+                    markInputReason('timeout');
+                    return retryOr(['timeout', 'no_match', 'default']);
                 }
 
-                return null;
-            };
+                const match = confidence !== null && confidence < threshold
+                    ? null
+                    : matchSpeechIntent(normalizeSpeechIntents(data.intents), transcript);
+                const target = match ? edgeForHandle(match.handle)?.target : null;
+                if (!target) {
+                    if (match) {
+                        logger.warn(`Speech intent "${match.handle}" at node ${currentNodeId} has no outgoing edge`);
+                    }
+                    this.setVariable(callSid, intentVariable, null);
+                    markInputReason('invalid');
+                    return retryOr(['no_match', 'default']);
+                }
+
+                this.setVariable(callSid, intentVariable, match.handle);
+                this.setVariable(callSid, 'speech.matchedKeyword', match.keyword);
+                markInputReason('matched');
+                return target;
+            }
 
             if (callSid && state && currentNode && ['availability_check', 'slot_offer', 'booking_confirm', 'booking_create', 'whatsapp_notify', 'handoff'].includes(nodeType)) {
                 state.variables = state.variables || {};
@@ -1137,7 +2243,9 @@ class IVRWorkflowEngine extends EventEmitter {
             try {
             if (nodeType === 'availability_check') {
                 const configuredSlots = appointmentBookingService.getSlotDefinitions(currentNode);
-                const slotSnapshot = await appointmentBookingService.getSlotSnapshot(currentNode, workflow, state || {});
+                const slotSnapshot = await appointmentBookingService.getSlotSnapshot(currentNode, workflow, state || {}, {
+                    dryRun: Boolean(this.getSandbox(callSid))
+                });
                 const timezone = appointmentBookingService.getWorkflowTimezone(currentNode, workflow);
                 const companyId = appointmentBookingService.resolveBookingCompanyId({
                     workflow,
@@ -1478,25 +2586,40 @@ class IVRWorkflowEngine extends EventEmitter {
         } catch (error) {
             logger.error('Error handling user input:', error);
             throw error;
+        } finally {
+            if (callSid) {
+                await this.flushExecutionState(callSid);
+            }
         }
     }
 
-    async getNextNodeByHandle(workflowId, currentNodeId, handle) {
-        const workflow = await Workflow.findById(workflowId);
-        if (!workflow) throw new Error('Workflow not found');
-        const edge = workflow.edges.find(e =>
+    async getNextNodeByHandle(workflowId, currentNodeId, handle, callSid = null) {
+        if (callSid) {
+            await this.loadExecutionState(callSid);
+        }
+        const workflow = await this.loadRuntimeWorkflow(workflowId, callSid);
+        const edge = (workflow.edges || []).find(e =>
             e.source === currentNodeId && e.sourceHandle === handle
         );
         return edge ? edge.target : null;
     }
 
+    /**
+     * Flag a draft edit and, when known, who made it
+     */
+    markModified(workflow, userId = null) {
+        workflow.hasUnpublishedChanges = true;
+        if (userId && mongoose.Types.ObjectId.isValid(String(userId))) workflow.lastModifiedBy = userId;
+    }
+
     /**
  * CRUD operations for workflow editing
  */
-    async updateNodeData(workflowId, nodeId, nodeData) {
+    async updateNodeData(workflowId, nodeId, nodeData, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const nodeIndex = workflow.nodes.findIndex(n => n.id === nodeId);
             if (nodeIndex === -1) throw new Error('Node not found');
@@ -1527,7 +2650,9 @@ class IVRWorkflowEngine extends EventEmitter {
             }
 
             workflow.nodes[nodeIndex].data = updatedData;
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'node_update', targetId: nodeId, userId });
 
             return workflow.nodes[nodeIndex];
         } catch (error) {
@@ -1539,13 +2664,46 @@ class IVRWorkflowEngine extends EventEmitter {
     /**
      * Update full workflow configuration
      */
-    async updateWorkflow(workflowId, workflowData) {
+    async updateWorkflow(workflowId, workflowData, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const sanitizedPayload = this.sanitizeWorkflowPayload(workflowData || {});
 
+            // Drafts may be incomplete, but an unparseable condition is always a mistake.
+            const expressionErrors = (sanitizedPayload.nodes || [])
+                .filter((node) => this.normalizeNodeType(node?.type) === 'conditional')
+                .flatMap((node) => this.getConditionExpressionErrors(node));
+            if (expressionErrors.length > 0) {
+                const error = new Error('Workflow contains invalid condition expressions.');
+                error.status = 400;
+                error.validationErrors = expressionErrors;
+                throw error;
+            }
+
+            if (sanitizedPayload.settings && 'languages' in sanitizedPayload.settings) {
+                sanitizedPayload.settings.languages = normalizeWorkflowLanguages(sanitizedPayload.settings.languages);
+            }
+
+            if (sanitizedPayload.settings && 'hotkeys' in sanitizedPayload.settings) {
+                sanitizedPayload.settings.hotkeys = normalizeHotkeys(sanitizedPayload.settings.hotkeys);
+            }
+
+            // Business-hours calendars are referenced by id from settings and condition nodes
+            if (sanitizedPayload.settings && 'businessHoursCalendarId' in sanitizedPayload.settings) {
+                sanitizedPayload.settings.businessHoursCalendarId =
+                    String(sanitizedPayload.settings.businessHoursCalendarId || '').trim() || null;
+            }
+            const calendarIds = new Set([
+                sanitizedPayload.settings?.businessHoursCalendarId,
+                ...(sanitizedPayload.nodes || []).map((node) => node?.data?.businessHoursCalendarId)
+            ].map((id) => String(id || '').trim()).filter(Boolean));
+            for (const calendarId of calendarIds) {
+                await businessHoursService.assertCalendarOwned(calendarId, workflow.createdBy);
+            }
+
             // Get existing nodes to compare text changes
             const existingNodes = workflow.nodes || [];
             const existingNodeMap = new Map(existingNodes.map(n => [n.id, n]));
@@ -1559,7 +2717,11 @@ class IVRWorkflowEngine extends EventEmitter {
                 const incomingNodeIds = new Set(incomingNodes.map((node) => node.id));
                 const incomingAudioIds = new Set(
                     incomingNodes
-                        .map((node) => this.normalizeCloudinaryAssetId(node?.data?.audioPublicId || node?.data?.audioAssetId || node?.audioAssetId))
+                        .flatMap((node) => [
+                            node?.data?.audioPublicId || node?.data?.audioAssetId || node?.audioAssetId,
+                            ...Object.values(node?.data?.translations || {}).map((entry) => entry.audioPublicId || entry.audioAssetId)
+                        ])
+                        .map((id) => this.normalizeCloudinaryAssetId(id))
                         .filter(Boolean)
                 );
 
@@ -1575,6 +2737,15 @@ class IVRWorkflowEngine extends EventEmitter {
                                 audioAssetId: oldAudioAssetId
                             });
                         }
+                        Object.entries(existingNode.data?.translations || {}).forEach(([locale, entry]) => {
+                            if (entry?.audioUrl || entry?.audioAssetId) {
+                                nodesToDeleteAudio.push({
+                                    nodeId: `${existingNode.id}:${locale}`,
+                                    audioUrl: entry.audioUrl,
+                                    audioAssetId: entry.audioPublicId || entry.audioAssetId
+                                });
+                            }
+                        });
                     }
                 }
 
@@ -1607,6 +2778,25 @@ class IVRWorkflowEngine extends EventEmitter {
                                 audioAssetId: null
                             };
                         }
+
+                        // Same for translations whose text changed
+                        const existingTranslations = existingNode.data?.translations || {};
+                        if (node.data?.translations) {
+                            const translations = { ...node.data.translations };
+                            Object.entries(translations).forEach(([locale, entry]) => {
+                                const previous = existingTranslations[locale];
+                                const newTranslationText = getTranslationText(entry);
+                                if (!previous || !entry.audioUrl || !newTranslationText) return;
+                                if (getTranslationText(previous) === newTranslationText) return;
+                                nodesToDeleteAudio.push({
+                                    nodeId: `${node.id}:${locale}`,
+                                    audioUrl: previous.audioUrl,
+                                    audioAssetId: previous.audioPublicId || previous.audioAssetId
+                                });
+                                translations[locale] = { ...entry, audioUrl: null, audioAssetId: null, audioPublicId: null };
+                            });
+                            node.data = { ...node.data, translations };
+                        }
                     }
                     return node;
                 });
@@ -1624,29 +2814,6 @@ class IVRWorkflowEngine extends EventEmitter {
                 }
             }
 
-            // Delete old Cloudinary audio files asynchronously (don't block save)
-            if (nodesToDeleteAudio.length > 0) {
-                const uniqueDeletes = new Map();
-                nodesToDeleteAudio.forEach(({ nodeId, audioUrl, audioAssetId }) => {
-                    const publicId = this.normalizeCloudinaryAssetId(audioAssetId) || this.extractCloudinaryPublicId(audioUrl);
-                    if (!publicId) return;
-                    if (!uniqueDeletes.has(publicId)) {
-                        uniqueDeletes.set(publicId, nodeId);
-                    }
-                });
-
-                logger.info(`🗑️ Deleting ${uniqueDeletes.size} old audio files from Cloudinary`);
-                uniqueDeletes.forEach(async (nodeId, publicId) => {
-                    try {
-                        await deleteFromCloudinary(publicId);
-                        logger.info(`✅ Deleted old audio for node ${nodeId}: ${publicId}`);
-                    } catch (deleteError) {
-                        logger.warn(`⚠️ Failed to delete old audio for node ${nodeId}:`, deleteError.message);
-                        // Don't fail the save if deletion fails
-                    }
-                });
-            }
-
             if (sanitizedPayload.edges) workflow.edges = sanitizedPayload.edges;
             if (sanitizedPayload.settings) {
                 workflow.config = {
@@ -1687,6 +2854,23 @@ class IVRWorkflowEngine extends EventEmitter {
                 return needsAudio;
             });
 
+            // Translated prompts get their own audio, voiced for their locale
+            workflow.nodes.forEach((node) => {
+                if (!['greeting', 'audio'].includes(node.type)) return;
+                Object.entries(node.data?.translations || {}).forEach(([locale, entry]) => {
+                    const voice = entry.voice || resolveLanguageVoice(workflow.config || {}, locale);
+                    if (!getTranslationText(entry) || entry.audioUrl || !voice) return;
+                    nodesNeedingAudio.push({
+                        id: node.id,
+                        type: node.type,
+                        locale,
+                        language: locale,
+                        voice,
+                        data: { messageText: getTranslationText(entry) }
+                    });
+                });
+            });
+
             if (nodesNeedingAudio.length > 0) {
 
                 try {
@@ -1705,7 +2889,21 @@ class IVRWorkflowEngine extends EventEmitter {
                 }
             }
 
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'workflow_update', userId });
+
+            // Old audio goes once nothing plays it any more (don't block save)
+            if (nodesToDeleteAudio.length > 0) {
+                const uniqueDeletes = new Map();
+                nodesToDeleteAudio.forEach(({ nodeId, audioUrl, audioAssetId }) => {
+                    const publicId = this.normalizeCloudinaryAssetId(audioAssetId) || this.extractCloudinaryPublicId(audioUrl);
+                    if (publicId && !uniqueDeletes.has(publicId)) {
+                        uniqueDeletes.set(publicId, nodeId);
+                    }
+                });
+                this.deleteUnreferencedAudio(workflow, uniqueDeletes);
+            }
 
             // Return workflow with TTS job info for tracking
             return {
@@ -1721,10 +2919,11 @@ class IVRWorkflowEngine extends EventEmitter {
 
 
 
-    async addNode(workflowId, node, position) {
+    async addNode(workflowId, node, position, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             // Initialize nodes array if it doesn't exist
             if (!workflow.nodes) {
@@ -1746,7 +2945,9 @@ class IVRWorkflowEngine extends EventEmitter {
                 audioAssetId: null
             };
             workflow.nodes.push(newNode);
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'node_add', targetId: nodeId, userId });
 
             return { workflow, newNode };
         } catch (error) {
@@ -1755,16 +2956,19 @@ class IVRWorkflowEngine extends EventEmitter {
         }
     }
 
-    async moveNode(workflowId, nodeId, position) {
+    async moveNode(workflowId, nodeId, position, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const nodeIndex = workflow.nodes.findIndex(n => n.id === nodeId);
             if (nodeIndex === -1) throw new Error('Node not found');
 
             workflow.nodes[nodeIndex].position = position;
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'node_move', targetId: nodeId, userId });
 
             return workflow;
         } catch (error) {
@@ -1773,10 +2977,11 @@ class IVRWorkflowEngine extends EventEmitter {
         }
     }
 
-    async connectNodes(workflowId, sourceNode, targetNode, sourceHandle, targetHandle, edgeId = null) {
+    async connectNodes(workflowId, sourceNode, targetNode, sourceHandle, targetHandle, edgeId = null, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const candidateEdge = {
                 source: String(sourceNode || ''),
@@ -1798,7 +3003,9 @@ class IVRWorkflowEngine extends EventEmitter {
             };
 
             workflow.edges.push(newEdge);
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'edge_connect', targetId: newEdge.id, userId });
 
             return newEdge;
         } catch (error) {
@@ -1807,10 +3014,11 @@ class IVRWorkflowEngine extends EventEmitter {
         }
     }
 
-    async deleteEdge(workflowId, edgeId) {
+    async deleteEdge(workflowId, edgeId, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const beforeCount = workflow.edges.length;
             workflow.edges = workflow.edges.filter(e => e.id !== edgeId);
@@ -1818,7 +3026,9 @@ class IVRWorkflowEngine extends EventEmitter {
                 throw new Error('Edge not found');
             }
 
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'edge_delete', targetId: edgeId, userId });
             return workflow;
         } catch (error) {
             logger.error('Error deleting edge:', error);
@@ -1826,10 +3036,11 @@ class IVRWorkflowEngine extends EventEmitter {
         }
     }
 
-    async reattachEdge(workflowId, edgeId, updates = {}) {
+    async reattachEdge(workflowId, edgeId, updates = {}, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             const edgeIndex = workflow.edges.findIndex(e => e.id === edgeId);
             if (edgeIndex === -1) throw new Error('Edge not found');
@@ -1851,7 +3062,9 @@ class IVRWorkflowEngine extends EventEmitter {
                 ...nextEdge
             };
 
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'edge_update', targetId: edgeId, userId });
             return workflow.edges[edgeIndex];
         } catch (error) {
             logger.error('Error reattaching edge:', error);
@@ -1859,52 +3072,30 @@ class IVRWorkflowEngine extends EventEmitter {
         }
     }
 
-    async updateEdge(workflowId, edgeId, updates = {}) {
-        return this.reattachEdge(workflowId, edgeId, updates);
+    async updateEdge(workflowId, edgeId, updates = {}, options = {}) {
+        return this.reattachEdge(workflowId, edgeId, updates, options);
     }
 
-    async deleteNode(workflowId, nodeId) {
+    async deleteNode(workflowId, nodeId, { userId = null } = {}) {
         try {
             const workflow = await Workflow.findById(workflowId);
             if (!workflow) throw new Error('Workflow not found');
-
-            // Find the node being deleted to get its audio
-            const nodeToDelete = workflow.nodes.find(n => n.id === nodeId);
-
-            // Delete Cloudinary audio file if exists
-            if (nodeToDelete) {
-                // Check all possible locations for audio asset ID
-                let audioAssetId = this.normalizeCloudinaryAssetId(
-                    nodeToDelete.data?.audioPublicId || nodeToDelete.data?.audioAssetId || nodeToDelete.audioAssetId
-                );
-
-                // If we have an audio URL but no asset ID, extract it from the URL
-                if (!audioAssetId && (nodeToDelete.data?.audioUrl || nodeToDelete.audioUrl)) {
-                    const audioUrl = nodeToDelete.data?.audioUrl || nodeToDelete.audioUrl;
-                    const extractedPublicId = this.extractCloudinaryPublicId(audioUrl);
-                    if (extractedPublicId) {
-                        audioAssetId = extractedPublicId;
-                        logger.info(`🔍 Extracted audioAssetId from URL for node ${nodeId}: ${audioAssetId}`);
-                    }
-                }
-
-                if (audioAssetId) {
-                    try {
-                        await deleteFromCloudinary(audioAssetId);
-                        logger.info(`🗑️ Deleted Cloudinary audio for deleted node ${nodeId}: ${audioAssetId}`);
-                    } catch (deleteError) {
-                        logger.warn(`⚠️ Failed to delete Cloudinary audio for node ${nodeId}:`, deleteError.message);
-                        // Don't fail the delete if Cloudinary deletion fails
-                    }
-                } else {
-                    logger.info(`ℹ️ No audio found to delete for node ${nodeId}`);
-                }
-            }
+            const before = workflowHistoryService.snapshotGraph(workflow);
 
             workflow.nodes = workflow.nodes.filter(n => n.id !== nodeId);
             workflow.edges = workflow.edges.filter(e => e.source !== nodeId && e.target !== nodeId);
 
+            this.markModified(workflow, userId);
             await workflow.save();
+            await workflowHistoryService.record(workflow, before, { action: 'node_delete', targetId: nodeId, userId });
+
+            const nodeToDelete = (before.nodes || []).find((n) => n.id === nodeId);
+            const nodeAudio = new Map();
+            collectVoiceAudioAssets(nodeToDelete).forEach((asset) => {
+                const publicId = this.normalizeCloudinaryAssetId(asset.publicId) || this.extractCloudinaryPublicId(asset.url);
+                if (publicId) nodeAudio.set(publicId, nodeId);
+            });
+            await this.deleteUnreferencedAudio(workflow, nodeAudio);
             logger.info(`✅ Deleted node ${nodeId} from workflow ${workflowId}`);
             return workflow;
         } catch (error) {
@@ -1927,7 +3118,8 @@ class IVRWorkflowEngine extends EventEmitter {
             const nodesWithAudio = workflow.nodes?.filter(n =>
                 n.data?.audioAssetId || n.audioAssetId || n.data?.audioUrl || n.audioUrl
             ) || [];
-            const cloudinaryCleanup = await deleteVoiceAudioAssets([workflow], {
+            const versionGraphs = await workflowVersionService.listSnapshotGraphs(workflow._id);
+            const cloudinaryCleanup = await deleteVoiceAudioAssets([workflow, ...versionGraphs], {
                 type: 'workflow',
                 workflowId: String(workflowId),
                 userId: String(workflow.createdBy || '')
@@ -1935,6 +3127,7 @@ class IVRWorkflowEngine extends EventEmitter {
 
             // Delete the workflow from database
             await Workflow.findByIdAndDelete(workflowId);
+            await workflowVersionService.deleteVersions(workflow._id);
 
             logger.info(`✅ Successfully deleted workflow ${workflowId} and all associated audio`);
             return { success: true, deletedNodes: nodesWithAudio.length, cloudinary: cloudinaryCleanup };
@@ -1946,6 +3139,48 @@ class IVRWorkflowEngine extends EventEmitter {
 
 
 
+    /**
+     * Syntax errors in a conditional node's expression or regex operator.
+     * Checked on save as well as publish so typos never reach a live call.
+     */
+    getConditionExpressionErrors(node) {
+        const data = node?.data || {};
+        const errors = [];
+        const expression = String(data.expression || '').trim();
+
+        if (expression) {
+            const syntaxError = validateExpression(expression);
+            if (syntaxError) {
+                errors.push({
+                    code: 'INVALID_CONDITION_EXPRESSION',
+                    message: `Conditional node ${node.id} expression is invalid: ${syntaxError.message}`,
+                    nodeId: node.id,
+                    position: syntaxError.position
+                });
+            }
+        } else if (String(data.condition || '').trim().toLowerCase() === 'expression') {
+            errors.push({
+                code: 'MISSING_CONDITION_EXPRESSION',
+                message: `Conditional node ${node.id} requires an expression.`,
+                nodeId: node.id
+            });
+        }
+
+        if (!expression && data.operator === 'regex' && data.variable) {
+            try {
+                compileSafeRegex(data.value ?? '');
+            } catch (error) {
+                errors.push({
+                    code: 'INVALID_CONDITION_REGEX',
+                    message: `Conditional node ${node.id} regex is invalid: ${error.message}`,
+                    nodeId: node.id
+                });
+            }
+        }
+
+        return errors;
+    }
+
     /**
      * Validate workflow graph (structural + execution safety)
      */
@@ -2043,7 +3278,7 @@ class IVRWorkflowEngine extends EventEmitter {
 
             const sourceNode = nodes.find((n) => n.id === edge.source);
             const sourceType = (sourceNode?.type || '').toLowerCase();
-            if (['input', 'conditional', 'availability_check', 'slot_offer', 'booking_confirm', 'booking_create', 'whatsapp_notify'].includes(sourceType)) {
+            if (['input', 'speech_input', 'language_select', 'menu', 'conditional', 'subflow', 'split', 'transfer', 'api_call', 'lookup', 'verify', 'survey', 'resume', 'record_control', 'availability_check', 'slot_offer', 'booking_confirm', 'booking_create', 'whatsapp_notify'].includes(sourceType)) {
                 const handle = edge.sourceHandle || '__default__';
                 const handleKey = `${edge.source}:${handle}`;
                 if (sourceHandleTracker.has(handleKey)) {
@@ -2242,7 +3477,228 @@ class IVRWorkflowEngine extends EventEmitter {
                 }
             }
 
+            if (nodeType === 'speech_input') {
+                const promptText = String(data.promptText || data.prompt_text || data.text || '').trim();
+                const promptAudioNodeId = asNodeId(data.promptAudioNodeId || data.prompt_audio_node_id);
+                if (!promptText && !audioNodeIds.has(promptAudioNodeId)) {
+                    errors.push({
+                        code: 'MISSING_PROMPT_TEXT',
+                        message: `Speech input node ${node.id} requires prompt text or a prompt audio node.`,
+                        nodeId: node.id
+                    });
+                }
+
+                const intents = normalizeSpeechIntents(data.intents);
+                if (intents.length === 0) {
+                    errors.push({
+                        code: 'MISSING_SPEECH_INTENTS',
+                        message: `Speech input node ${node.id} needs at least one intent with keywords.`,
+                        nodeId: node.id
+                    });
+                }
+                intents.forEach((intent) => {
+                    if (intent.keywords.length === 0) {
+                        errors.push({
+                            code: 'EMPTY_SPEECH_INTENT',
+                            message: `Speech input node ${node.id} intent "${intent.handle}" has no keywords.`,
+                            nodeId: node.id
+                        });
+                    }
+                    if (!hasOutgoingEdge(node.id, intent.handle)) {
+                        errors.push({
+                            code: 'MISSING_INTENT_ROUTE',
+                            message: `Speech input node ${node.id} intent "${intent.handle}" has no matching outgoing edge.`,
+                            nodeId: node.id
+                        });
+                    }
+                });
+
+                const threshold = data.confidenceThreshold ?? data.confidence_threshold;
+                if (threshold !== undefined && threshold !== null && threshold !== '') {
+                    const parsedThreshold = Number(threshold);
+                    if (!Number.isFinite(parsedThreshold) || parsedThreshold < 0 || parsedThreshold > 1) {
+                        errors.push({
+                            code: 'INVALID_CONFIDENCE_THRESHOLD',
+                            message: `Speech input node ${node.id} confidence threshold must be between 0 and 1.`,
+                            nodeId: node.id
+                        });
+                    }
+                }
+            }
+
+            if (nodeType === 'subflow') {
+                const targetId = String(data.targetWorkflowId || data.target_workflow_id || '').trim();
+                const targetPromptKey = String(data.targetPromptKey || data.target_prompt_key || '').trim();
+                if (!targetId && !targetPromptKey) {
+                    errors.push({
+                        code: 'MISSING_SUBFLOW_TARGET',
+                        message: `Subflow node ${node.id} requires a target workflow id or promptKey.`,
+                        nodeId: node.id
+                    });
+                } else if (
+                    (targetId && workflow._id && targetId === String(workflow._id)) ||
+                    (targetPromptKey && workflow.promptKey && targetPromptKey === workflow.promptKey)
+                ) {
+                    errors.push({
+                        code: 'SUBFLOW_SELF_REFERENCE',
+                        message: `Subflow node ${node.id} cannot call the workflow it belongs to.`,
+                        nodeId: node.id
+                    });
+                }
+                if (!hasOutgoingEdge(node.id)) {
+                    errors.push({
+                        code: 'MISSING_SUBFLOW_RETURN_ROUTE',
+                        message: `Subflow node ${node.id} needs at least one outgoing edge to continue after the subflow returns.`,
+                        nodeId: node.id
+                    });
+                }
+            }
+
+            if (nodeType === 'split') {
+                const arms = normalizeSplitArms(data.arms);
+                if (arms.length < 2) {
+                    errors.push({
+                        code: 'MISSING_SPLIT_ARMS',
+                        message: `Split node ${node.id} needs at least two arms with a handle and weight.`,
+                        nodeId: node.id
+                    });
+                } else if (!arms.some((arm) => arm.weight > 0)) {
+                    errors.push({
+                        code: 'INVALID_SPLIT_WEIGHTS',
+                        message: `Split node ${node.id} needs at least one arm with a positive weight.`,
+                        nodeId: node.id
+                    });
+                }
+                arms.forEach((arm) => {
+                    if (arm.weight > 0 && !hasOutgoingEdge(node.id, arm.handle)) {
+                        errors.push({
+                            code: 'MISSING_SPLIT_ROUTE',
+                            message: `Split node ${node.id} arm "${arm.handle}" has no matching outgoing edge.`,
+                            nodeId: node.id
+                        });
+                    }
+                });
+            }
+
+            if (nodeType === 'language_select') {
+                const options = normalizeLanguageOptions(data.options);
+                if (options.length === 0) {
+                    errors.push({
+                        code: 'MISSING_LANGUAGE_OPTIONS',
+                        message: `Language select node ${node.id} needs at least one digit mapped to a language.`,
+                        nodeId: node.id
+                    });
+                }
+                if (!hasOutgoingEdge(node.id)) {
+                    errors.push({
+                        code: 'MISSING_LANGUAGE_SELECT_ROUTE',
+                        message: `Language select node ${node.id} needs an outgoing edge ("selected" or one per language).`,
+                        nodeId: node.id
+                    });
+                }
+            }
+
+            if (nodeType === 'menu') {
+                const options = normalizeMenuOptions(data.menuOptions);
+                if (options.length === 0) {
+                    errors.push({
+                        code: 'MISSING_MENU_OPTIONS',
+                        message: `Menu node ${node.id} needs at least one option with a keypad digit.`,
+                        nodeId: node.id
+                    });
+                }
+                options.forEach((option) => {
+                    if (!hasOutgoingEdge(node.id, option.digit)) {
+                        errors.push({
+                            code: 'MISSING_DIGIT_ROUTE',
+                            message: `Menu node ${node.id} option "${option.digit}" has no matching outgoing edge.`,
+                            nodeId: node.id
+                        });
+                    }
+                });
+                const promptAudioNodeId = asNodeId(data.promptAudioNodeId || data.prompt_audio_node_id);
+                if (promptAudioNodeId && !audioNodeIds.has(promptAudioNodeId)) {
+                    errors.push({
+                        code: 'INVALID_PROMPT_AUDIO_REF',
+                        message: `Menu node ${node.id} promptAudioNodeId points to non-audio node: ${promptAudioNodeId}.`,
+                        nodeId: node.id
+                    });
+                }
+            }
+
+            if (nodeType === 'api_call') {
+                const url = String(data.url || '').trim();
+                if (!url) {
+                    errors.push({
+                        code: 'MISSING_API_URL',
+                        message: `API call node ${node.id} needs a URL.`,
+                        nodeId: node.id
+                    });
+                } else if (!/^https?:\/\//i.test(url) && !url.startsWith('{{')) {
+                    errors.push({
+                        code: 'INVALID_API_URL',
+                        message: `API call node ${node.id} URL must start with http:// or https://.`,
+                        nodeId: node.id
+                    });
+                }
+                getResponseMappingErrors(data.responseMappings ?? data.response_mappings).forEach((problem) => {
+                    errors.push({
+                        code: 'INVALID_API_RESPONSE_MAPPING',
+                        message: `API call node ${node.id} mapping ${problem}`,
+                        nodeId: node.id
+                    });
+                });
+            }
+
+            if (nodeType === 'verify' && !hasOutgoingEdge(node.id, 'verified')) {
+                errors.push({
+                    code: 'MISSING_VERIFY_ROUTE',
+                    message: `Verify node ${node.id} needs a "verified" outgoing edge.`,
+                    nodeId: node.id
+                });
+            }
+
+            if (nodeType === 'lookup') {
+                const lookup = normalizeLookupSettings(data);
+                if (lookup.matchBy === 'variable' && !lookup.matchVariable) {
+                    errors.push({
+                        code: 'MISSING_LOOKUP_VARIABLE',
+                        message: `Lookup node ${node.id} matches by variable but names no variable.`,
+                        nodeId: node.id
+                    });
+                }
+                if (!hasOutgoingEdge(node.id, 'found') && !hasOutgoingEdge(node.id, 'not_found')) {
+                    errors.push({
+                        code: 'MISSING_LOOKUP_ROUTE',
+                        message: `Lookup node ${node.id} needs a "found" or "not_found" outgoing edge.`,
+                        nodeId: node.id
+                    });
+                }
+            }
+
+            if (nodeType === 'transfer') {
+                const targets = normalizeRingTargets(data);
+                if (targets.length === 0) {
+                    errors.push({
+                        code: 'MISSING_TRANSFER_TARGET',
+                        message: `Transfer node ${node.id} needs a destination or at least one ring group target.`,
+                        nodeId: node.id
+                    });
+                }
+                targets.forEach((target) => {
+                    const problem = validateRingTarget(target);
+                    if (problem) {
+                        errors.push({
+                            code: 'INVALID_TRANSFER_TARGET',
+                            message: `Transfer node ${node.id}: ${problem}.`,
+                            nodeId: node.id
+                        });
+                    }
+                });
+            }
+
             if (nodeType === 'conditional') {
+                errors.push(...this.getConditionExpressionErrors(node));
                 if (!hasOutgoingEdge(node.id, 'true')) {
                     errors.push({
                         code: 'MISSING_TRUE_BRANCH',
@@ -296,12 +296,13 @@ class OutboundCampaignService {
   }
 
   async annotateExecution(callSid, metadata = {}) {
-    const state = ivrWorkflowEngine.getExecutionState(callSid);
+    const state = await ivrWorkflowEngine.loadExecutionState(callSid);
     if (state) {
       state.variables = {
         ...(state.variables || {}),
         ...metadata
       };
+      await ivrWorkflowEngine.persistExecutionState(callSid);
       if (state.executionLogId) {
         await ExecutionLog.findByIdAndUpdate(state.executionLogId, {
           $set: { variables: state.variables }
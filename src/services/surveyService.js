@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import SurveyResponse from '../models/SurveyResponse.js';
+import logger from '../utils/logger.js';
+import { normalizeColumnName } from './customerDirectoryService.js';
+
+const MAX_QUESTIONS = 10;
+const TREND_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+const DEFAULT_QUESTION = {
+  id: 'csat',
+  text: 'How satisfied were you with your call today? Press a number from 1 for very unsatisfied to 5 for very satisfied.',
+  type: 'rating',
+  scale: 5
+};
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+};
+
+const round = (value, places = 2) => {
+  if (!Number.isFinite(value)) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const normalizeQuestionType = (value) => (
+  ['yes_no', 'yesno', 'boolean'].includes(String(value || '').trim().toLowerCase()) ? 'yes_no' : 'rating'
+);
+
+/**
+ * Survey node settings. Each question is a 1..`scale` rating (single key
+ * press, so at most 9) or a yes/no question answered with 1 for yes and 2
+ * for no. Question ids name the `survey.<id>` variables the answers are
+ * stored in. `agentVariable` names the variable holding the agent the
+ * caller spoke to; transfer nodes set `transfer.agent` when answered.
+ */
+export const normalizeSurveySettings = (data = {}) => {
+  const usedIds = new Set();
+  const questions = (Array.isArray(data.questions) ? data.questions : [])
+    .slice(0, MAX_QUESTIONS)
+    .map((question, index) => {
+      const type = normalizeQuestionType(question?.type);
+      let id = normalizeColumnName(question?.id) || `q${index + 1}`;
+      if (usedIds.has(id)) id = `${id}_${index + 1}`;
+      usedIds.add(id);
+      return {
+        id,
+        text: String(question?.text || question?.prompt || '').trim(),
+        type,
+        scale: type === 'rating' ? clampInt(question?.scale, 5, 2, 9) : 2
+      };
+    })
+    .filter((question) => question.text);
+
+  return {
+    surveyName: String(data.surveyName || data.survey_name || data.label || '').trim(),
+    introText: String(data.introText || data.intro_text || '').trim(),
+    thankYouText: String(data.thankYouText || data.thank_you_text || '').trim() || 'Thank you for your feedback.',
+    questions: questions.length > 0 ? questions : [DEFAULT_QUESTION],
+    maxAttempts: clampInt(data.maxAttempts ?? data.max_attempts, 2, 1, 5),
+    agentVariable: String(data.agentVariable || data.agent_variable || '').trim() || 'transfer.agent'
+  };
+};
+
+/**
+ * The stored value for a key press, or null when it does not answer the
+ * question.
+ */
+export const parseSurveyAnswer = (question, input) => {
+  const digit = String(input ?? '').trim();
+  if (!/^[0-9]$/.test(digit)) return null;
+  if (question.type === 'yes_no') {
+    if (digit === '1') return 1;
+    if (digit === '2') return 0;
+    return null;
+  }
+  const score = Number(digit);
+  return score >= 1 && score <= question.scale ? score : null;
+};
+
+// Per-response rating totals, so averages weigh every answer equally
+const ratingTotalsStage = {
+  $addFields: {
+    ratingValues: {
+      $map: {
+        input: { $filter: { input: '$answers', as: 'answer', cond: { $eq: ['$$answer.type', 'rating'] } } },
+        as: 'answer',
+        in: '$$answer.value'
+      }
+    }
+  }
+};
+
+const groupByField = (field, nameField = null) => ([
+  ratingTotalsStage,
+  {
+    $group: {
+      _id: `$${field}`,
+      ...(nameField ? { name: { $last: `$${nameField}` } } : {}),
+      responses: { $sum: 1 },
+      completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+      ratingSum: { $sum: { $sum: '$ratingValues' } },
+      ratingCount: { $sum: { $size: '$ratingValues' } }
+    }
+  },
+  { $sort: { responses: -1 } }
+]);
+
+const formatGroup = (row) => ({
+  responses: row.responses,
+  completed: row.completed,
+  averageRating: row.ratingCount > 0 ? round(row.ratingSum / row.ratingCount) : null,
+  ratings: row.ratingCount
+});
+
+class SurveyService {
+  /**
+   * Save the answers given so far at a survey node. A failed write is
+   * logged and otherwise ignored so it never interrupts the call.
+   */
+  async saveProgress({
+    userId,
+    callSid,
+    workflowId = null,
+    workflowName = '',
+    nodeId,
+    surveyName = '',
+    callerNumber = '',
+    agent = '',
+    answers = [],
+    status = 'in_progress'
+  } = {}) {
+    if (!callSid || !nodeId || !mongoose.Types.ObjectId.isValid(String(userId || ''))) return null;
+    try {
+      return await SurveyResponse.findOneAndUpdate(
+        { callSid, nodeId },
+        {
+          $set: {
+            userId,
+            workflowId: mongoose.Types.ObjectId.isValid(String(workflowId || '')) ? workflowId : null,
+            workflowName,
+            surveyName,
+            callerNumber,
+            agent: String(agent || ''),
+            answers,
+            status,
+            ...(status === 'completed' ? { completedAt: new Date() } : {})
+          }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to save survey response for call ${callSid} at node ${nodeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Survey report for a date range: completion totals, the answer
+   * distribution and average of every question, the average rating per
+   * `interval` (day, week or month) and breakdowns per workflow and agent.
+   */
+  async getReport(userId, { start, end, workflowId = null, interval = 'day', timezone = 'UTC' } = {}) {
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: start, $lte: end } };
+    if (workflowId) {
+      if (!mongoose.Types.ObjectId.isValid(String(workflowId))) throw createError('Invalid workflowId');
+      match.workflowId = new mongoose.Types.ObjectId(String(workflowId));
+    }
+    const trendInterval = TREND_FORMATS[interval] ? interval : 'day';
+
+    const [statusRows, answerRows, trendRows, workflowRows, agentRows] = await Promise.all([
+      SurveyResponse.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      SurveyResponse.aggregate([
+        { $match: match },
+        { $unwind: '$answers' },
+        {
+          $group: {
+            _id: { questionId: '$answers.questionId', type: '$answers.type', value: '$answers.value' },
+            question: { $last: '$answers.question' },
+            scale: { $max: '$answers.scale' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      SurveyResponse.aggregate([
+        { $match: match },
+        { $unwind: '$answers' },
+        { $match: { 'answers.type': 'rating' } },
+        {
+          $group: {
+            _id: { $dateToString: { format: TREND_FORMATS[trendInterval], date: '$answers.answeredAt', timezone } },
+            average: { $avg: '$answers.value' },
+            ratings: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      SurveyResponse.aggregate([{ $match: match }, ...groupByField('workflowId', 'workflowName')]),
+      SurveyResponse.aggregate([{ $match: { ...match, agent: { $nin: ['', null] } } }, ...groupByField('agent')])
+    ]);
+
+    const totals = { responses: 0, completed: 0, incomplete: 0, inProgress: 0 };
+    statusRows.forEach((row) => {
+      totals.responses += row.count;
+      if (row._id === 'completed') totals.completed += row.count;
+      else if (row._id === 'incomplete') totals.incomplete += row.count;
+      else totals.inProgress += row.count;
+    });
+    totals.completionRate = totals.responses > 0 ? round((totals.completed / totals.responses) * 100, 1) : 0;
+
+    const questions = new Map();
+    answerRows.forEach((row) => {
+      const { questionId, type, value } = row._id;
+      const key = `${questionId}:${type}`;
+      if (!questions.has(key)) {
+        questions.set(key, { questionId, question: row.question, type, scale: row.scale, answers: 0, total: 0, distribution: {} });
+      }
+      const entry = questions.get(key);
+      entry.scale = Math.max(entry.scale || 0, row.scale || 0);
+      entry.answers += row.count;
+      entry.total += value * row.count;
+      entry.distribution[value] = (entry.distribution[value] || 0) + row.count;
+    });
+
+    return {
+      range: { start, end, interval: trendInterval },
+      totals,
+      questions: Array.from(questions.values()).map(({ total, distribution, ...entry }) => {
+        if (entry.type === 'yes_no') {
+          const yes = distribution[1] || 0;
+          return { ...entry, yes, no: distribution[0] || 0, yesRate: round((yes / entry.answers) * 100, 1) };
+        }
+        const scores = {};
+        for (let score = 1; score <= entry.scale; score += 1) scores[score] = distribution[score] || 0;
+        // Top-two-box share: 4 and 5 on a five-point scale
+        const satisfied = Object.entries(scores)
+          .filter(([score]) => Number(score) >= entry.scale - 1)
+          .reduce((sum, [, count]) => sum + count, 0);
+        return {
+          ...entry,
+          average: round(total / entry.answers),
+          distribution: scores,
+          satisfiedRate: round((satisfied / entry.answers) * 100, 1)
+        };
+      }),
+      trend: trendRows.map((row) => ({ period: row._id, averageRating: round(row.average), ratings: row.ratings })),
+      byWorkflow: workflowRows.map((row) => ({
+        workflowId: row._id,
+        workflowName: row.name || '',
+        ...formatGroup(row)
+      })),
+      byAgent: agentRows.map((row) => ({ agent: row._id, ...formatGroup(row) }))
+    };
+  }
+}
+
+export default new SurveyService();
@@ -81,13 +81,25 @@ class TelephonyService {
     };
   }
 
-  async startRecording(callSid, twilioContext) {
+  async startRecording(callSid, twilioContext, options = {}) {
     const client = this.createClient(twilioContext);
-    const recording = await client.calls(callSid).recordings.create();
+    const recording = await client.calls(callSid).recordings.create(options);
     logger.info(`Recording started: ${recording.sid}`);
     return recording;
   }
 
+  /**
+   * Pause or resume a live call recording. `recordingSid` may be
+   * 'Twilio.CURRENT' for whichever recording is running on the call.
+   */
+  async updateRecording(callSid, recordingSid, status, twilioContext) {
+    const client = this.createClient(twilioContext);
+    const update = status === 'paused' ? { status, pauseBehavior: 'skip' } : { status };
+    const recording = await client.calls(callSid).recordings(recordingSid).update(update);
+    logger.info(`Recording ${recording.sid} ${status}`);
+    return recording;
+  }
+
   getProviderInfo(twilioContext = {}) {
     return {
       provider: 'twilio',
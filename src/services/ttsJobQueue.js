@@ -19,7 +19,7 @@ class TTSJobQueue {
     this.MAX_JOB_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
     
     // Start cleanup interval
-    setInterval(() => this._cleanupOldJobs(), this.JOB_CLEANUP_INTERVAL);
+    setInterval(() => this._cleanupOldJobs(), this.JOB_CLEANUP_INTERVAL).unref();
   }
 
   setSocketIO(io) {
@@ -94,6 +94,7 @@ class TTSJobQueue {
             
             processedNodes.push({
               nodeId: node.id,
+              locale: node.locale || null,
               audioUrl: audioResult.audioUrl,
               audioAssetId: audioResult.publicId
             });
@@ -200,6 +201,26 @@ class TTSJobQueue {
         if (!workflow.nodes[nodeIndex].data) {
           workflow.nodes[nodeIndex].data = {};
         }
+
+        // Translated prompt: store the audio on its locale only
+        if (nodeUpdate.locale) {
+          const translations = workflow.nodes[nodeIndex].data.translations || {};
+          if (!translations[nodeUpdate.locale]) {
+            logger.warn(`Translation ${nodeUpdate.locale} was removed from node ${nodeUpdate.nodeId}; dropping its audio`);
+            continue;
+          }
+          workflow.nodes[nodeIndex].data.translations = {
+            ...translations,
+            [nodeUpdate.locale]: {
+              ...translations[nodeUpdate.locale],
+              audioUrl: nodeUpdate.audioUrl,
+              audioAssetId: nodeUpdate.audioAssetId
+            }
+          };
+          workflow.markModified(`nodes.${nodeIndex}.data`);
+          updatedCount++;
+          continue;
+        }
         
         workflow.nodes[nodeIndex].data.audioUrl = nodeUpdate.audioUrl;
         workflow.nodes[nodeIndex].data.audioAssetId = nodeUpdate.audioAssetId;
@@ -296,10 +317,17 @@ class TTSJobQueue {
     // Convert processedNodes array to object mapped by nodeId (frontend expects this format)
     const audioUrlsObject = {};
     for (const node of processedNodes) {
-      audioUrlsObject[node.nodeId] = {
-        audioUrl: node.audioUrl,
-        audioAssetId: node.audioAssetId
-      };
+      const entry = audioUrlsObject[node.nodeId] || {};
+      if (node.locale) {
+        entry.translations = {
+          ...(entry.translations || {}),
+          [node.locale]: { audioUrl: node.audioUrl, audioAssetId: node.audioAssetId }
+        };
+      } else {
+        entry.audioUrl = node.audioUrl;
+        entry.audioAssetId = node.audioAssetId;
+      }
+      audioUrlsObject[node.nodeId] = entry;
     }
     
     // Emit to general workflow channel
@@ -512,7 +540,8 @@ class TTSJobQueue {
     // Upload to Cloudinary using VoiceBroadcast pattern
     let uploadResult;
     try {
-      const uniqueKey = `ivr_${workflow.promptKey || workflow._id}_${node.id}_${Date.now()}`;
+      const localeSuffix = node.locale ? `_${node.locale}` : '';
+      const uniqueKey = `ivr_${workflow.promptKey || workflow._id}_${node.id}${localeSuffix}_${Date.now()}`;
       const folder = await resolveCloudinaryAudioFolder(
         {
           userId: String(workflow?.createdBy || ''),
@@ -14,6 +14,18 @@ import Call from '../models/call.js';
 import Message from '../models/message.js';
 import User from '../models/user.js';
 import OptOut from '../models/OptOut.js';
+import CallerPreference from '../models/CallerPreference.js';
+import CustomerDirectoryEntry from '../models/CustomerDirectoryEntry.js';
+import VerificationCredential from '../models/VerificationCredential.js';
+import VerificationLockout from '../models/VerificationLockout.js';
+import Voicemail from '../models/Voicemail.js';
+import SurveyResponse from '../models/SurveyResponse.js';
+import WorkflowTemplate from '../models/WorkflowTemplate.js';
+import Agent from '../models/Agent.js';
+import WorkflowChange from '../models/WorkflowChange.js';
+import BusinessHoursCalendar from '../models/BusinessHoursCalendar.js';
+import ApiCallAllowlist from '../models/ApiCallAllowlist.js';
+import workflowVersionService from './workflowVersionService.js';
 import { deleteAssets, deleteFolderPrefix } from '../utils/cloudinaryDeleteService.js';
 
 const asObjectId = (value) =>
@@ -69,6 +81,11 @@ export const cleanupUserDelete = async ({ userId, companyId, deleteCompanyScope
   const broadcasts = await Broadcast.find({ createdBy: userFilter }).lean();
   const assets = [];
   workflows.forEach((workflow) => assets.push(...collectWorkflowAssets(workflow)));
+  // Published versions can still reference audio the drafts have dropped
+  for (const workflow of workflows) {
+    const versionGraphs = await workflowVersionService.listSnapshotGraphs(workflow._id);
+    versionGraphs.forEach((graph) => assets.push(...collectWorkflowAssets(graph)));
+  }
   broadcasts.forEach((broadcast) => {
     (broadcast.audioAssets || []).forEach((asset) => {
       if (asset?.audioUrl) assets.push({ url: asset.audioUrl, resourceType: 'video' });
@@ -83,6 +100,11 @@ export const cleanupUserDelete = async ({ userId, companyId, deleteCompanyScope
   const outboundCampaigns = await OutboundCampaign.find({ userId: normalizedUserId }).select('_id').lean();
   const outboundCampaignIds = outboundCampaigns.map((item) => item._id);
 
+  await countDelete(WorkflowChange, { workflowId: { $in: workflows.map((workflow) => workflow._id) } }, counts, 'workflowChanges');
+  counts.workflowVersions = 0;
+  for (const workflow of workflows) {
+    counts.workflowVersions += await workflowVersionService.deleteVersions(workflow._id);
+  }
   await countDelete(Workflow, { createdBy: userFilter }, counts, 'workflows');
   await countDelete(WorkflowExecution, { userId: userFilter }, counts, 'workflowExecutions');
   await countDelete(ExecutionLog, { userId: userFilter }, counts, 'executionLogs');
@@ -98,6 +120,16 @@ export const cleanupUserDelete = async ({ userId, companyId, deleteCompanyScope
   await countDelete(Message, { user: userFilter }, counts, 'messages');
   await countDelete(User, { _id: userFilter }, counts, 'localUsers');
   await countDelete(OptOut, { 'metadata.userId': normalizedUserId }, counts, 'optOuts');
+  await countDelete(CallerPreference, { userId: userFilter }, counts, 'callerPreferences');
+  await countDelete(CustomerDirectoryEntry, { userId: userFilter }, counts, 'customerDirectoryEntries');
+  await countDelete(VerificationCredential, { userId: userFilter }, counts, 'verificationCredentials');
+  await countDelete(VerificationLockout, { userId: userFilter }, counts, 'verificationLockouts');
+  await countDelete(Voicemail, { userId: userFilter }, counts, 'voicemails');
+  await countDelete(SurveyResponse, { userId: userFilter }, counts, 'surveyResponses');
+  await countDelete(WorkflowTemplate, { scope: 'tenant', userId: userFilter }, counts, 'workflowTemplates');
+  await countDelete(Agent, { userId: userFilter }, counts, 'agents');
+  await countDelete(BusinessHoursCalendar, { userId: userFilter }, counts, 'businessHoursCalendars');
+  await countDelete(ApiCallAllowlist, { userId: userFilter }, counts, 'apiCallAllowlists');
 
   if (deleteCompanyScope && companyId) {
     const root = buildCompanyRoot({ companyId, companyName, companySlug, cloudinaryFolderRoot });
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import Voicemail from '../models/Voicemail.js';
+import ExecutionLog from '../models/ExecutionLog.js';
+import logger from '../utils/logger.js';
+import { emitVoicemailUpdate } from '../sockets/unifiedSocket.js';
+
+const DEFAULT_MAILBOX = 'general';
+const LIST_FIELDS = '-__v';
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegExp = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isObjectId = (value) => Boolean(value) && mongoose.Types.ObjectId.isValid(String(value));
+
+const toDuration = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const normalizeMailbox = (value) => String(value || '').trim().toLowerCase() || DEFAULT_MAILBOX;
+
+const mapTranscriptionStatus = (status) => {
+  const normalized = String(status || '').trim().toLowerCase();
+  if (normalized === 'completed') return 'completed';
+  if (normalized === 'failed' || normalized === 'absent') return 'failed';
+  return 'pending';
+};
+
+class VoicemailService {
+  /**
+   * Store a finished recording. Callers pass whatever they know about the
+   * call; a missing owner or caller number is filled in from the call's
+   * execution log. Twilio may call back more than once for a recording, so
+   * messages are upserted by `recordingSid` and only the first save is
+   * announced over the socket.
+   */
+  async recordMessage({
+    userId = null,
+    callSid,
+    recordingSid = '',
+    recordingUrl,
+    duration = 0,
+    callerNumber = '',
+    destinationNumber = '',
+    workflowId = null,
+    nodeId = '',
+    mailbox = DEFAULT_MAILBOX,
+    source = 'workflow',
+    transcribe = false
+  } = {}) {
+    if (!callSid || !recordingUrl) return null;
+
+    let owner = userId;
+    let caller = callerNumber;
+    let destination = destinationNumber;
+    let workflow = workflowId;
+    if (!isObjectId(owner) || !caller) {
+      const log = await ExecutionLog.findOne({ callSid })
+        .select('userId callerNumber destinationNumber workflowId')
+        .lean();
+      owner = isObjectId(owner) ? owner : log?.userId;
+      caller = caller || log?.callerNumber || '';
+      destination = destination || log?.destinationNumber || '';
+      workflow = workflow || log?.workflowId || null;
+    }
+    if (!isObjectId(owner)) {
+      logger.warn(`Voicemail for call ${callSid} has no owner; not saved`);
+      return null;
+    }
+
+    const fields = {
+      userId: owner,
+      callSid,
+      recordingUrl,
+      duration: toDuration(duration),
+      callerNumber: caller,
+      destinationNumber: destination,
+      workflowId: isObjectId(workflow) ? workflow : null,
+      nodeId: String(nodeId || ''),
+      mailbox: normalizeMailbox(mailbox),
+      source
+    };
+
+    let voicemail;
+    let created = true;
+    if (recordingSid) {
+      const result = await Voicemail.findOneAndUpdate(
+        { recordingSid },
+        {
+          $set: fields,
+          $setOnInsert: { transcriptionStatus: transcribe ? 'pending' : 'none' }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+      );
+      voicemail = result.value;
+      created = !result.lastErrorObject?.updatedExisting;
+    } else {
+      voicemail = await Voicemail.create({ ...fields, transcriptionStatus: transcribe ? 'pending' : 'none' });
+    }
+
+    if (created) {
+      logger.info(`Voicemail ${voicemail._id} received for call ${callSid} in mailbox ${voicemail.mailbox}`);
+      emitVoicemailUpdate(voicemail.userId, { action: 'received', voicemail: voicemail.toObject() });
+    }
+    return voicemail;
+  }
+
+  /**
+   * Attach Twilio's transcription to the message for a recording. Returns
+   * null when no message has been stored for it.
+   */
+  async updateTranscription(recordingSid, { text = '', status = 'completed', userId = null } = {}) {
+    if (!recordingSid) return null;
+    const filter = { recordingSid };
+    if (isObjectId(userId)) filter.userId = userId;
+
+    const voicemail = await Voicemail.findOneAndUpdate(
+      filter,
+      { $set: { transcriptionText: String(text || '').trim(), transcriptionStatus: mapTranscriptionStatus(status) } },
+      { new: true }
+    );
+    if (!voicemail) {
+      logger.warn(`Transcription for unknown voicemail recording ${recordingSid}`);
+      return null;
+    }
+    emitVoicemailUpdate(voicemail.userId, { action: 'transcribed', voicemail: voicemail.toObject() });
+    return voicemail;
+  }
+
+  /**
+   * Page through a user's voicemails, newest first. Filters: mailbox,
+   * heard, assignedTo ("me" for the requesting user, "none" for
+   * unassigned), workflowId, from/to dates and a search over the caller
+   * number and transcription.
+   */
+  async listVoicemails(userId, query = {}, requesterId = null) {
+    const safeLimit = Math.min(Math.max(Number(query.limit) || 50, 1), 200);
+    const safePage = Math.max(Number(query.page) || 1, 1);
+    const filter = { userId };
+
+    if (query.mailbox) filter.mailbox = normalizeMailbox(query.mailbox);
+    if (query.heard === 'true' || query.heard === true) filter.heard = true;
+    if (query.heard === 'false' || query.heard === false) filter.heard = false;
+
+    const assignedTo = String(query.assignedTo || '').trim();
+    if (assignedTo === 'none') {
+      filter.assignedTo = null;
+    } else if (assignedTo === 'me') {
+      filter.assignedTo = requesterId;
+    } else if (assignedTo) {
+      if (!isObjectId(assignedTo)) throw createError('assignedTo must be a user id, "me" or "none"');
+      filter.assignedTo = assignedTo;
+    }
+
+    if (query.workflowId) {
+      if (!isObjectId(query.workflowId)) throw createError('Invalid workflowId');
+      filter.workflowId = query.workflowId;
+    }
+
+    const from = toDate(query.from);
+    const to = toDate(query.to);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const term = String(query.search || '').trim();
+    if (term) {
+      const digits = term.replace(/\D/g, '');
+      filter.$or = [
+        ...(digits ? [{ callerNumber: { $regex: escapeRegExp(digits) } }] : []),
+        { transcriptionText: { $regex: escapeRegExp(term), $options: 'i' } }
+      ];
+    }
+
+    const [voicemails, total, unheard] = await Promise.all([
+      Voicemail.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select(LIST_FIELDS)
+        .lean(),
+      Voicemail.countDocuments(filter),
+      Voicemail.countDocuments({ userId, heard: false })
+    ]);
+    return { voicemails, total, unheard, page: safePage, limit: safeLimit };
+  }
+
+  async getVoicemail(userId, voicemailId) {
+    if (!isObjectId(voicemailId)) throw createError('Invalid voicemail id');
+    const voicemail = await Voicemail.findOne({ _id: voicemailId, userId }).select(LIST_FIELDS).lean();
+    if (!voicemail) throw createError('Voicemail not found', 404);
+    return voicemail;
+  }
+
+  async markHeard(userId, voicemailId, { heard = true, actorId = null } = {}) {
+    if (!isObjectId(voicemailId)) throw createError('Invalid voicemail id');
+    const update = heard
+      ? { heard: true, heardAt: new Date(), heardBy: isObjectId(actorId) ? actorId : null }
+      : { heard: false, heardAt: null, heardBy: null };
+    const voicemail = await Voicemail.findOneAndUpdate({ _id: voicemailId, userId }, { $set: update }, { new: true })
+      .select(LIST_FIELDS)
+      .lean();
+    if (!voicemail) throw createError('Voicemail not found', 404);
+    emitVoicemailUpdate(userId, { action: 'updated', voicemail });
+    return voicemail;
+  }
+
+  /**
+   * Assign a message to a user, or clear the assignment with a null id.
+   * Users live in the admin backend, so only the id format is checked.
+   */
+  async assign(userId, voicemailId, assigneeId, actorId = null) {
+    if (!isObjectId(voicemailId)) throw createError('Invalid voicemail id');
+    if (assigneeId && !isObjectId(assigneeId)) throw createError('assignedTo must be a valid user id');
+    const update = assigneeId
+      ? { assignedTo: assigneeId, assignedBy: isObjectId(actorId) ? actorId : null, assignedAt: new Date() }
+      : { assignedTo: null, assignedBy: null, assignedAt: null };
+    const voicemail = await Voicemail.findOneAndUpdate({ _id: voicemailId, userId }, { $set: update }, { new: true })
+      .select(LIST_FIELDS)
+      .lean();
+    if (!voicemail) throw createError('Voicemail not found', 404);
+    emitVoicemailUpdate(userId, { action: 'assigned', voicemail });
+    return voicemail;
+  }
+
+  async deleteVoicemail(userId, voicemailId) {
+    if (!isObjectId(voicemailId)) throw createError('Invalid voicemail id');
+    const result = await Voicemail.deleteOne({ _id: voicemailId, userId });
+    if (!result.deletedCount) throw createError('Voicemail not found', 404);
+    emitVoicemailUpdate(userId, { action: 'deleted', voicemailId: String(voicemailId) });
+    return { id: voicemailId };
+  }
+
+  /**
+   * Messages left during a call, for the call details views.
+   */
+  async listForCall(userId, callSid) {
+    if (!callSid) return [];
+    return Voicemail.find({ userId, callSid })
+      .sort({ createdAt: 1 })
+      .select('mailbox source recordingUrl duration transcriptionText transcriptionStatus heard heardAt assignedTo workflowId nodeId createdAt')
+      .lean();
+  }
+}
+
+export default new VoicemailService();
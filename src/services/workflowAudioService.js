@@ -404,6 +404,6 @@ const workflowAudioService = new WorkflowAudioService();
 // Schedule cache cleanup every hour
 setInterval(() => {
   workflowAudioService.cleanExpiredCache();
-}, 3600000);
+}, 3600000).unref();
 
 export default workflowAudioService;
@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Workflow from '../models/Workflow.js';
+import BusinessHoursCalendar from '../models/BusinessHoursCalendar.js';
+import IVRAudioService from './IVRAudioService.js';
+import ivrWorkflowEngine from './ivrWorkflowEngine.js';
+import logger from '../utils/logger.js';
+import { assertOutboundUrl, createGuardedLookup } from '../utils/outboundUrlGuard.js';
+
+export const BUNDLE_FORMAT = 'ivr-workflow-bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+
+const ASSET_REF_PREFIX = 'bundle-asset:';
+const MAX_ASSET_BYTES = Number(process.env.WORKFLOW_BUNDLE_MAX_ASSET_BYTES || 10 * 1024 * 1024);
+const MAX_BUNDLE_ASSETS = 200;
+const ASSET_FETCH_TIMEOUT_MS = 15000;
+const AUDIO_ID_KEYS = ['audioPublicId', 'audio_public_id', 'audioAssetId'];
+// Node data keys whose values may hold another node's id
+const NODE_REFERENCE_KEY = /(NodeId|_node_id|Path|_path)$/;
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null));
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+const sanitizeSegment = (value, fallback) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '_') || fallback;
+
+class WorkflowBundleService {
+  /**
+   * Read an audio file referenced by a node: files served from /uploads/audio
+   * come straight off disk, anything else is downloaded over http(s). The URL
+   * comes from the workflow or the bundle, so downloads go through the
+   * outbound guard and never reach private addresses.
+   */
+  async _readAudio(audioUrl) {
+    if (audioUrl.startsWith('/uploads/audio/')) {
+      const filePath = path.join(IVRAudioService.uploadDir, path.basename(audioUrl));
+      const buffer = await fs.promises.readFile(filePath);
+      if (buffer.length > MAX_ASSET_BYTES) throw new Error(`Audio exceeds ${MAX_ASSET_BYTES} bytes`);
+      return { buffer, contentType: 'audio/mpeg' };
+    }
+
+    if (!/^https?:\/\//i.test(audioUrl)) throw new Error(`Unsupported audio URL ${audioUrl}`);
+    assertOutboundUrl(audioUrl);
+    const response = await axios.get(audioUrl, {
+      responseType: 'arraybuffer',
+      timeout: ASSET_FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_ASSET_BYTES,
+      lookup: createGuardedLookup(),
+      // A redirect could point anywhere, including the internal network
+      maxRedirects: 0
+    });
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: String(response.headers?.['content-type'] || 'audio/mpeg').split(';')[0]
+    };
+  }
+
+  /**
+   * Build a self-contained bundle from a workflow draft. Audio referenced by
+   * nodes becomes an asset entry (embedded as base64 unless embedAudio is
+   * false) and nodes point at it with "bundle-asset:<id>".
+   */
+  async exportWorkflow(workflowId, { userId, embedAudio = true } = {}) {
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId });
+    if (!workflow) throw createError('Workflow not found', 404);
+
+    const nodes = toPlain(workflow.nodes) || [];
+    const edges = toPlain(workflow.edges) || [];
+    const assetsByUrl = new Map();
+    const warnings = [];
+
+    const referenceAsset = (audioUrl, source, language, nodeId) => {
+      if (!assetsByUrl.has(audioUrl)) {
+        if (assetsByUrl.size >= MAX_BUNDLE_ASSETS) {
+          throw createError(`Workflow references more than ${MAX_BUNDLE_ASSETS} audio files`, 422);
+        }
+        assetsByUrl.set(audioUrl, {
+          id: `asset_${assetsByUrl.size + 1}`,
+          sourceUrl: audioUrl,
+          publicId: ivrWorkflowEngine.normalizeCloudinaryAssetId(AUDIO_ID_KEYS.map((key) => source[key]).find(Boolean)) ||
+            ivrWorkflowEngine.extractCloudinaryPublicId(audioUrl) ||
+            null,
+          language,
+          nodeIds: []
+        });
+      }
+
+      const asset = assetsByUrl.get(audioUrl);
+      asset.nodeIds.push(nodeId);
+      const referenced = { ...source, audioUrl: `${ASSET_REF_PREFIX}${asset.id}` };
+      AUDIO_ID_KEYS.forEach((key) => delete referenced[key]);
+      return referenced;
+    };
+
+    for (const node of nodes) {
+      const data = node.data || {};
+      const audioUrl = String(data.audioUrl || '').trim();
+      if (audioUrl) {
+        node.data = referenceAsset(audioUrl, data, data.language || workflow.config?.language || null, node.id);
+      }
+
+      // Translated prompts carry their own recordings
+      const translations = node.data?.translations;
+      if (translations && typeof translations === 'object') {
+        node.data.translations = Object.fromEntries(Object.entries(translations).map(([locale, entry]) => {
+          const translatedUrl = String(entry?.audioUrl || '').trim();
+          return [locale, translatedUrl ? referenceAsset(translatedUrl, entry, locale, node.id) : entry];
+        }));
+      }
+    }
+
+    // Subflow ids are tenant specific; promptKeys travel between tenants.
+    for (const node of nodes) {
+      const targetId = String(node.data?.targetWorkflowId || '').trim();
+      if (node.type !== 'subflow' || !targetId || !mongoose.Types.ObjectId.isValid(targetId)) continue;
+      const target = await Workflow.findOne({ _id: targetId, createdBy: userId }).select('promptKey').lean();
+      if (target) {
+        node.data = { ...node.data, targetPromptKey: target.promptKey };
+        delete node.data.targetWorkflowId;
+      } else {
+        warnings.push(`Subflow node ${node.id} points at a workflow that no longer exists`);
+      }
+    }
+
+    const assets = [];
+    for (const asset of assetsByUrl.values()) {
+      if (!embedAudio) {
+        assets.push({ ...asset, encoding: 'url' });
+        continue;
+      }
+      try {
+        const { buffer, contentType } = await this._readAudio(asset.sourceUrl);
+        assets.push({
+          ...asset,
+          encoding: 'base64',
+          contentType,
+          size: buffer.length,
+          sha256: sha256(buffer),
+          data: buffer.toString('base64')
+        });
+      } catch (error) {
+        logger.warn(`Could not embed audio ${asset.sourceUrl} in bundle for workflow ${workflow._id}: ${error.message}`);
+        warnings.push(`Audio ${asset.id} could not be embedded and is referenced by URL only`);
+        assets.push({ ...asset, encoding: 'url' });
+      }
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      workflow: {
+        promptKey: workflow.promptKey,
+        displayName: workflow.displayName,
+        nodes,
+        edges,
+        config: toPlain(workflow.config) || {},
+        tags: [...(workflow.tags || [])]
+      },
+      assets,
+      warnings
+    };
+  }
+
+  _assertBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') throw createError('Bundle is required');
+    if (bundle.format !== BUNDLE_FORMAT) throw createError(`Unsupported bundle format "${bundle.format}"`);
+    if (Number(bundle.formatVersion) > BUNDLE_FORMAT_VERSION) {
+      throw createError(`Bundle format version ${bundle.formatVersion} is newer than this server supports`);
+    }
+    const { workflow, assets = [] } = bundle;
+    if (!workflow || !Array.isArray(workflow.nodes) || !Array.isArray(workflow.edges)) {
+      throw createError('Bundle workflow must include nodes and edges arrays');
+    }
+    if (!Array.isArray(assets) || assets.length > MAX_BUNDLE_ASSETS) {
+      throw createError(`Bundle assets must be an array of at most ${MAX_BUNDLE_ASSETS} items`);
+    }
+  }
+
+  async _uniquePromptKey(requestedKey, userId) {
+    const base = sanitizeSegment(requestedKey, 'imported_workflow');
+    let candidate = base;
+    for (let attempt = 1; attempt <= 50; attempt += 1) {
+      const exists = await Workflow.exists({ promptKey: candidate, createdBy: userId });
+      if (!exists) return candidate;
+      candidate = `${base}_imported${attempt > 1 ? `_${attempt}` : ''}`;
+    }
+    return `${base}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Give bundle nodes fresh ids wherever they clash with node ids already used
+   * in the tenant's workflows (or repeat inside the bundle), and rewrite edges
+   * and node-to-node references to match.
+   */
+  async _remapNodeIds(nodes, edges, userId) {
+    const existing = await Workflow.find({ createdBy: userId }).select('nodes.id').lean();
+    const takenIds = new Set(existing.flatMap((workflow) => (workflow.nodes || []).map((node) => node?.id)).filter(Boolean));
+    const idMap = new Map();
+
+    const remappedNodes = nodes.map((node) => {
+      const originalId = String(node.id || '').trim();
+      let nextId = originalId;
+      if (!nextId || takenIds.has(nextId)) {
+        do {
+          nextId = `${originalId || 'node'}_${crypto.randomBytes(3).toString('hex')}`;
+        } while (takenIds.has(nextId));
+      }
+      takenIds.add(nextId);
+      if (originalId && nextId !== originalId) idMap.set(originalId, nextId);
+      return { ...node, id: nextId };
+    });
+
+    if (idMap.size === 0) return { nodes: remappedNodes, edges, remappedIds: {} };
+
+    const remap = (value) => (typeof value === 'string' && idMap.has(value) ? idMap.get(value) : value);
+    remappedNodes.forEach((node) => {
+      const data = { ...(node.data || {}) };
+      Object.keys(data).forEach((key) => {
+        if (NODE_REFERENCE_KEY.test(key) || key === 'destination') data[key] = remap(data[key]);
+      });
+      node.data = data;
+    });
+
+    return {
+      nodes: remappedNodes,
+      edges: edges.map((edge) => ({ ...edge, source: remap(edge.source), target: remap(edge.target) })),
+      remappedIds: Object.fromEntries(idMap)
+    };
+  }
+
+  async _rehostAsset(asset, { promptKey, userContext }) {
+    let buffer;
+    if (asset.encoding === 'base64' && typeof asset.data === 'string') {
+      buffer = Buffer.from(asset.data, 'base64');
+    } else if (asset.sourceUrl && /^https:\/\//i.test(asset.sourceUrl)) {
+      ({ buffer } = await this._readAudio(asset.sourceUrl));
+    } else {
+      throw new Error('asset has neither embedded data nor an https source URL');
+    }
+
+    if (buffer.length === 0 || buffer.length > MAX_ASSET_BYTES) {
+      throw new Error(`asset size must be between 1 and ${MAX_ASSET_BYTES} bytes`);
+    }
+    if (asset.sha256 && asset.sha256 !== sha256(buffer)) {
+      throw new Error('asset checksum does not match its contents');
+    }
+
+    const publicId = `workflows/${sanitizeSegment(promptKey, 'workflow')}/imported/${sanitizeSegment(asset.id, 'asset')}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    return IVRAudioService.uploadAudio(buffer, publicId, asset.language || 'en-GB', null, userContext);
+  }
+
+  /**
+   * Create a new draft workflow from a bundle: validate the graph, re-host
+   * audio through IVRAudioService, then save through the normal update path
+   * so sanitisation and TTS generation behave exactly like an editor save.
+   */
+  async importWorkflow(bundle, { userId, userContext = {}, promptKey = null, displayName = null } = {}) {
+    this._assertBundle(bundle);
+    const source = bundle.workflow;
+    const warnings = [];
+
+    const finalPromptKey = await this._uniquePromptKey(promptKey || source.promptKey, userId);
+    const sanitized = ivrWorkflowEngine.sanitizeWorkflowPayload({ nodes: toPlain(source.nodes), edges: toPlain(source.edges) });
+    const { nodes, edges, remappedIds } = await this._remapNodeIds(sanitized.nodes, sanitized.edges, userId);
+
+    const validationErrors = ivrWorkflowEngine.validateWorkflowGraph({ nodes, edges, promptKey: finalPromptKey });
+    if (validationErrors.length > 0) {
+      const error = createError('Bundle workflow failed validation; nothing was imported.', 422);
+      error.validationErrors = validationErrors;
+      throw error;
+    }
+
+    const assetsById = new Map((bundle.assets || []).map((asset) => [String(asset?.id || ''), asset]));
+    const hosted = new Map();
+    const rehostReference = async (audioUrl) => {
+      const assetId = audioUrl.slice(ASSET_REF_PREFIX.length);
+      if (!hosted.has(assetId)) {
+        const asset = assetsById.get(assetId);
+        try {
+          if (!asset) throw new Error('asset missing from bundle');
+          hosted.set(assetId, await this._rehostAsset(asset, { promptKey: finalPromptKey, userContext }));
+        } catch (error) {
+          logger.warn(`Import of audio ${assetId} for ${finalPromptKey} failed: ${error.message}`);
+          warnings.push(`Audio ${assetId} could not be re-hosted (${error.message}); affected nodes will use TTS`);
+          hosted.set(assetId, null);
+        }
+      }
+      return hosted.get(assetId);
+    };
+
+    for (const node of nodes) {
+      const audioUrl = String(node.data?.audioUrl || '');
+      if (audioUrl.startsWith(ASSET_REF_PREFIX)) {
+        const upload = await rehostReference(audioUrl);
+        node.data = { ...node.data, audioUrl: upload?.audioUrl || null };
+        if (upload?.publicId) node.data.audioPublicId = upload.publicId;
+      }
+
+      const translations = node.data?.translations;
+      if (translations && typeof translations === 'object') {
+        for (const [locale, entry] of Object.entries(translations)) {
+          const translatedUrl = String(entry?.audioUrl || '');
+          if (!translatedUrl.startsWith(ASSET_REF_PREFIX)) continue;
+          const upload = await rehostReference(translatedUrl);
+          translations[locale] = { ...entry, audioUrl: upload?.audioUrl || null };
+          if (upload?.publicId) translations[locale].audioPublicId = upload.publicId;
+        }
+      }
+    }
+
+    // Business-hours calendars belong to one account; drop references the importer cannot use.
+    const settings = source.config && typeof source.config === 'object' ? { ...toPlain(source.config) } : {};
+    const ownsCalendar = async (calendarId) => {
+      if (!mongoose.Types.ObjectId.isValid(calendarId)) return false;
+      return Boolean(await BusinessHoursCalendar.exists({ _id: calendarId, userId }));
+    };
+    if (settings.businessHoursCalendarId && !(await ownsCalendar(String(settings.businessHoursCalendarId)))) {
+      warnings.push('Workflow business-hours calendar is not available in this account and was removed');
+      settings.businessHoursCalendarId = null;
+    }
+    for (const node of nodes) {
+      const calendarId = String(node.data?.businessHoursCalendarId || '').trim();
+      if (!calendarId || await ownsCalendar(calendarId)) continue;
+      warnings.push(`Node ${node.id} business-hours calendar is not available in this account and was removed`);
+      delete node.data.businessHoursCalendarId;
+    }
+
+    const workflow = await Workflow.create({
+      promptKey: finalPromptKey,
+      displayName: String(displayName || source.displayName || finalPromptKey).trim(),
+      nodes: [],
+      edges: [],
+      tags: Array.isArray(source.tags) ? source.tags.map((tag) => String(tag)) : [],
+      status: 'draft',
+      isActive: true,
+      createdBy: userId,
+      lastModifiedBy: userId
+    });
+
+    try {
+      const saved = await ivrWorkflowEngine.updateWorkflow(workflow._id, {
+        nodes,
+        edges,
+        settings
+      }, { userId });
+      logger.info(`Imported workflow bundle as ${finalPromptKey} (${nodes.length} nodes, ${hosted.size} audio assets)`);
+      return {
+        workflow: saved,
+        promptKey: finalPromptKey,
+        remappedNodeIds: remappedIds,
+        rehostedAssets: [...hosted.values()].filter(Boolean).length,
+        warnings
+      };
+    } catch (error) {
+      await Workflow.deleteOne({ _id: workflow._id }).catch(() => {});
+      await Promise.allSettled([...hosted.values()]
+        .filter((upload) => upload?.publicId)
+        .map((upload) => IVRAudioService.deleteAudio(upload.publicId)));
+      throw error;
+    }
+  }
+}
+
+export default new WorkflowBundleService();
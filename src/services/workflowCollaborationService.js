@@ -0,0 +1,406 @@
+import mongoose from 'mongoose';
+import Workflow from '../models/Workflow.js';
+import ivrWorkflowEngine from './ivrWorkflowEngine.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Live co-editing of a workflow draft. Each workflow being edited has an
+ * in-process session that orders node/edge operations with a sequence number,
+ * tracks who is present and which node they have selected, and holds short
+ * soft locks on nodes. Only the workflow's owner can join, and only joined
+ * editors can see the session, take locks or send operations.
+ *
+ * Limitation: sessions (sequence numbers, presence and locks) are not shared
+ * between processes. Run a single instance, or route every socket for a
+ * workflow to the same instance (sticky sessions); editors on different
+ * instances don't see each other's locks or sequence, and only the retry on
+ * a concurrent save keeps their writes from clobbering each other.
+ *
+ * Clients send the last sequence number they have seen as `baseSeq`. An
+ * operation based on an older sequence is still applied when none of the
+ * operations it missed touched the same node fields or edges; otherwise it
+ * is rejected with a 409 and the client resyncs.
+ */
+
+const LOCK_TTL_MS = Number(process.env.WORKFLOW_LOCK_TTL_MS || 30000);
+const OPERATION_LOG_LIMIT = Number(process.env.WORKFLOW_OPERATION_LOG_LIMIT || 500);
+
+export const OPERATION_TYPES = [
+  'node_add',
+  'node_move',
+  'node_update',
+  'node_delete',
+  'edge_connect',
+  'edge_update',
+  'edge_delete'
+];
+
+// Operation key that overlaps every other key (full saves through the REST API)
+const WHOLE_GRAPH_KEY = '*';
+
+const createError = (message, status = 400, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+// "node:a" overlaps "node:a:position", but not "node:ab"
+const keysOverlap = (left, right) =>
+  left === WHOLE_GRAPH_KEY ||
+  right === WHOLE_GRAPH_KEY ||
+  left === right ||
+  left.startsWith(`${right}:`) ||
+  right.startsWith(`${left}:`);
+
+const isVersionError = (error) => error?.name === 'VersionError';
+
+class WorkflowCollaborationService {
+  constructor() {
+    this.sessions = new Map(); // workflowId -> session
+  }
+
+  _session(workflowId) {
+    const key = String(workflowId);
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, {
+        seq: 0,
+        log: [], // [{ seq, type, keys, socketId, userId }]
+        presence: new Map(), // socketId -> { socketId, userId, name, nodeId, joinedAt }
+        locks: new Map(), // nodeId -> { nodeId, socketId, userId, name, expiresAt }
+        queue: Promise.resolve()
+      });
+    }
+    return this.sessions.get(key);
+  }
+
+  _pruneLocks(session) {
+    const now = Date.now();
+    session.locks.forEach((lock, nodeId) => {
+      if (lock.expiresAt <= now || !session.presence.has(lock.socketId)) {
+        session.locks.delete(nodeId);
+      }
+    });
+  }
+
+  _serializeLock(lock) {
+    return {
+      nodeId: lock.nodeId,
+      socketId: lock.socketId,
+      userId: lock.userId,
+      name: lock.name,
+      expiresAt: new Date(lock.expiresAt).toISOString()
+    };
+  }
+
+  _record(session, type, keys, actor = {}) {
+    session.seq += 1;
+    session.log.push({
+      seq: session.seq,
+      type,
+      keys,
+      socketId: actor.socketId || null,
+      userId: actor.userId || null
+    });
+    if (session.log.length > OPERATION_LOG_LIMIT) {
+      session.log.splice(0, session.log.length - OPERATION_LOG_LIMIT);
+    }
+    return session.seq;
+  }
+
+  /**
+   * The session of a workflow the socket has joined; never creates one.
+   */
+  _joinedSession(workflowId, socketId) {
+    const session = this.sessions.get(String(workflowId));
+    if (!session || !session.presence.has(socketId)) {
+      throw createError('Join the workflow before editing it', 403, 'NOT_JOINED');
+    }
+    return session;
+  }
+
+  /**
+   * Presence, locks and the current sequence for one workflow. Workflows
+   * nobody has joined have an empty snapshot.
+   */
+  getSnapshot(workflowId) {
+    const session = this.sessions.get(String(workflowId));
+    if (!session) {
+      return { workflowId: String(workflowId), seq: 0, users: [], locks: [] };
+    }
+    this._pruneLocks(session);
+    return {
+      workflowId: String(workflowId),
+      seq: session.seq,
+      users: Array.from(session.presence.values()),
+      locks: Array.from(session.locks.values()).map((lock) => this._serializeLock(lock))
+    };
+  }
+
+  /**
+   * Add an editor to a workflow's session. Only the workflow's owner may
+   * join; the check is made once here, so later calls only need presence.
+   */
+  async join(workflowId, actor = {}) {
+    const normalizedId = String(workflowId || '').trim();
+    if (!mongoose.Types.ObjectId.isValid(normalizedId)) throw createError('Invalid workflowId');
+    if (!actor.userId || !mongoose.Types.ObjectId.isValid(String(actor.userId))) {
+      throw createError('Unauthorized', 401, 'UNAUTHORIZED');
+    }
+    const owned = await Workflow.exists({ _id: normalizedId, createdBy: actor.userId });
+    if (!owned) throw createError('Workflow not found', 404, 'NOT_FOUND');
+
+    const session = this._session(normalizedId);
+    session.presence.set(actor.socketId, {
+      socketId: actor.socketId,
+      userId: actor.userId || null,
+      name: actor.name || null,
+      nodeId: null,
+      joinedAt: new Date().toISOString()
+    });
+    return this.getSnapshot(normalizedId);
+  }
+
+  /**
+   * Remove an editor and release their locks. Returns the released node ids.
+   */
+  leave(workflowId, socketId) {
+    const key = String(workflowId);
+    const session = this.sessions.get(key);
+    if (!session) return [];
+
+    session.presence.delete(socketId);
+    const released = [];
+    session.locks.forEach((lock, nodeId) => {
+      if (lock.socketId === socketId) {
+        session.locks.delete(nodeId);
+        released.push(nodeId);
+      }
+    });
+
+    if (session.presence.size === 0) {
+      this.sessions.delete(key);
+    }
+    return released;
+  }
+
+  /**
+   * Workflow ids the socket is present in, for cleanup on disconnect.
+   */
+  getWorkflowsForSocket(socketId) {
+    return Array.from(this.sessions.entries())
+      .filter(([, session]) => session.presence.has(socketId))
+      .map(([workflowId]) => workflowId);
+  }
+
+  setFocus(workflowId, socketId, nodeId = null) {
+    const entry = this._joinedSession(workflowId, socketId).presence.get(socketId);
+    entry.nodeId = nodeId ? String(nodeId) : null;
+    return entry;
+  }
+
+  /**
+   * Take (or renew) the soft lock on a node. Locks expire after LOCK_TTL_MS
+   * unless renewed, and when their holder leaves.
+   */
+  acquireLock(workflowId, actor, nodeId) {
+    const session = this._joinedSession(workflowId, actor.socketId);
+    const normalizedNodeId = String(nodeId || '').trim();
+    if (!normalizedNodeId) throw createError('nodeId is required');
+
+    this._pruneLocks(session);
+    const current = session.locks.get(normalizedNodeId);
+    if (current && current.socketId !== actor.socketId) {
+      throw createError(`Node ${normalizedNodeId} is being edited by ${current.name || 'another user'}`, 423, 'NODE_LOCKED');
+    }
+
+    const lock = {
+      nodeId: normalizedNodeId,
+      socketId: actor.socketId,
+      userId: actor.userId || null,
+      name: actor.name || null,
+      expiresAt: Date.now() + LOCK_TTL_MS
+    };
+    session.locks.set(normalizedNodeId, lock);
+    return this._serializeLock(lock);
+  }
+
+  releaseLock(workflowId, socketId, nodeId) {
+    const session = this.sessions.get(String(workflowId));
+    const current = session?.locks.get(String(nodeId || ''));
+    if (!current || current.socketId !== socketId) return false;
+    session.locks.delete(current.nodeId);
+    return true;
+  }
+
+  _assertNotLocked(session, actor, nodeIds) {
+    this._pruneLocks(session);
+    nodeIds.filter(Boolean).forEach((nodeId) => {
+      const lock = session.locks.get(String(nodeId));
+      if (lock && lock.socketId !== actor.socketId) {
+        throw createError(`Node ${nodeId} is being edited by ${lock.name || 'another user'}`, 423, 'NODE_LOCKED');
+      }
+    });
+  }
+
+  /**
+   * Reject an operation whose keys overlap anything another editor changed
+   * after `baseSeq`.
+   */
+  _assertMergeable(session, actor, baseSeq, keys) {
+    if (baseSeq === null || baseSeq >= session.seq) return;
+
+    const oldestLogged = session.log.length > 0 ? session.log[0].seq : session.seq + 1;
+    if (baseSeq < oldestLogged - 1) {
+      throw createError('Editor is too far behind; reload the workflow', 409, 'RESYNC_REQUIRED');
+    }
+
+    const conflicting = session.log.find((entry) =>
+      entry.seq > baseSeq &&
+      entry.socketId !== actor.socketId &&
+      entry.keys.some((entryKey) => keys.some((key) => keysOverlap(entryKey, key)))
+    );
+    if (conflicting) {
+      const error = createError(`Conflicts with a ${conflicting.type.replace('_', ' ')} made at seq ${conflicting.seq}`, 409, 'EDIT_CONFLICT');
+      error.conflictSeq = conflicting.seq;
+      throw error;
+    }
+  }
+
+  _operationKeys(op) {
+    switch (op.type) {
+    case 'node_add':
+      return [`node:${op.node?.id || ''}`];
+    case 'node_move':
+      return [`node:${op.nodeId}:position`];
+    case 'node_update':
+      return Object.keys(op.data || {}).map((field) => `node:${op.nodeId}:data.${field}`);
+    case 'node_delete':
+      return [`node:${op.nodeId}`];
+    case 'edge_connect':
+      return [`edge:${op.edgeId || ''}`, `node:${op.sourceNode}:exists`, `node:${op.targetNode}:exists`];
+    case 'edge_update':
+    case 'edge_delete':
+      return [`edge:${op.edgeId}`];
+    default:
+      return [];
+    }
+  }
+
+  _validateOperation(op) {
+    if (!OPERATION_TYPES.includes(op.type)) {
+      throw createError(`Unsupported operation "${op.type}"`);
+    }
+    if (['node_move', 'node_update', 'node_delete'].includes(op.type) && !op.nodeId) {
+      throw createError('nodeId is required');
+    }
+    if (op.type === 'node_add' && (!op.node || typeof op.node !== 'object')) {
+      throw createError('node is required');
+    }
+    if (op.type === 'node_update' && (!op.data || typeof op.data !== 'object' || Array.isArray(op.data))) {
+      throw createError('data must be an object');
+    }
+    if (op.type === 'edge_connect' && (!op.sourceNode || !op.targetNode)) {
+      throw createError('sourceNode and targetNode are required');
+    }
+    if (['edge_update', 'edge_delete'].includes(op.type) && !op.edgeId) {
+      throw createError('edgeId is required');
+    }
+  }
+
+  async _execute(workflowId, op, actor = {}) {
+    const options = { userId: actor.userId || null };
+    switch (op.type) {
+    case 'node_add': {
+      const { newNode } = await ivrWorkflowEngine.addNode(workflowId, op.node, op.position, options);
+      return { node: newNode };
+    }
+    case 'node_move':
+      await ivrWorkflowEngine.moveNode(workflowId, op.nodeId, op.position, options);
+      return { nodeId: op.nodeId, position: op.position };
+    case 'node_update': {
+      const node = await ivrWorkflowEngine.updateNodeData(workflowId, op.nodeId, op.data, options);
+      return { nodeId: op.nodeId, node };
+    }
+    case 'node_delete':
+      await ivrWorkflowEngine.deleteNode(workflowId, op.nodeId, options);
+      return { nodeId: op.nodeId };
+    case 'edge_connect': {
+      const edge = await ivrWorkflowEngine.connectNodes(
+        workflowId, op.sourceNode, op.targetNode, op.sourceHandle, op.targetHandle, op.edgeId, options
+      );
+      return { edge };
+    }
+    case 'edge_update': {
+      const edge = await ivrWorkflowEngine.updateEdge(workflowId, op.edgeId, op.updates || {}, options);
+      return { edge };
+    }
+    case 'edge_delete':
+      await ivrWorkflowEngine.deleteEdge(workflowId, op.edgeId, options);
+      return { edgeId: op.edgeId };
+    default:
+      return {};
+    }
+  }
+
+  /**
+   * Apply one editing operation. Operations on a workflow run one at a time
+   * in arrival order; the result carries the sequence number to broadcast.
+   */
+  applyOperation(workflowId, actor, op = {}) {
+    let session;
+    try {
+      session = this._joinedSession(workflowId, actor.socketId);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const run = async () => {
+      this._validateOperation(op);
+      // The editor may have left while this operation was queued
+      if (!session.presence.has(actor.socketId)) {
+        throw createError('Join the workflow before editing it', 403, 'NOT_JOINED');
+      }
+
+      const hasBaseSeq = op.baseSeq !== undefined && op.baseSeq !== null && Number.isInteger(Number(op.baseSeq));
+      const baseSeq = hasBaseSeq ? Number(op.baseSeq) : null;
+      this._assertMergeable(session, actor, baseSeq, this._operationKeys(op));
+      this._assertNotLocked(session, actor, [op.nodeId]);
+
+      let result;
+      try {
+        result = await this._execute(workflowId, op, actor);
+      } catch (error) {
+        // A REST save or another instance wrote the draft in between; our
+        // operations are field-level, so reloading and applying once more is safe.
+        if (!isVersionError(error)) throw error;
+        logger.warn(`Retrying ${op.type} on workflow ${workflowId} after a concurrent save`);
+        result = await this._execute(workflowId, op, actor);
+      }
+
+      // Keys are recorded after applying so generated ids are included
+      const keys = this._operationKeys({
+        ...op,
+        node: result.node && op.type === 'node_add' ? result.node : op.node,
+        edgeId: result.edge?.id || op.edgeId
+      });
+      const seq = this._record(session, op.type, keys, actor);
+      return { seq, type: op.type, ...result };
+    };
+
+    const pending = session.queue.then(run, run);
+    session.queue = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Record a whole-draft save made outside the live session. Editors holding
+   * an older sequence must resync before their next operation is accepted.
+   */
+  recordExternalSave(workflowId, userId = null) {
+    const session = this.sessions.get(String(workflowId));
+    if (!session) return null;
+    return this._record(session, 'workflow_save', [WHOLE_GRAPH_KEY], { userId });
+  }
+}
+
+export default new WorkflowCollaborationService();
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import Workflow from '../models/Workflow.js';
+import WorkflowChange from '../models/WorkflowChange.js';
+import logger from '../utils/logger.js';
+import { diffWorkflowGraphs, revertWorkflowGraphDiff } from '../utils/workflowDiff.js';
+
+const MAX_SEQ_RETRIES = 3;
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toPlain = (value, fallback) => {
+  const source = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(source ?? fallback));
+};
+
+const toObjectIdOrNull = (value) => {
+  const normalized = String(value || '').trim();
+  return mongoose.Types.ObjectId.isValid(normalized) ? new mongoose.Types.ObjectId(normalized) : null;
+};
+
+class WorkflowHistoryService {
+  /**
+   * Plain copy of the parts of a workflow the history tracks. Take it before
+   * mutating the document and pass it to record() after saving.
+   */
+  snapshotGraph(workflow) {
+    return {
+      nodes: toPlain(workflow?.nodes, []),
+      edges: toPlain(workflow?.edges, []),
+      config: toPlain(workflow?.config, {})
+    };
+  }
+
+  /**
+   * Append a change record for a saved workflow. Edits that changed nothing
+   * are not recorded. Failures are logged, never thrown: a missing history
+   * entry must not fail the edit itself.
+   */
+  async record(workflow, before, { action, targetId = null, userId = null } = {}) {
+    try {
+      const diff = diffWorkflowGraphs(before, this.snapshotGraph(workflow));
+      if (!diff.summary.hasChanges) return null;
+
+      const { summary, ...changes } = diff;
+      for (let attempt = 1; attempt <= MAX_SEQ_RETRIES; attempt += 1) {
+        const latest = await WorkflowChange.findOne({ workflowId: workflow._id }).sort({ seq: -1 }).select('seq').lean();
+        try {
+          return await WorkflowChange.create({
+            workflowId: workflow._id,
+            seq: (latest?.seq || 0) + 1,
+            action,
+            targetId: targetId ? String(targetId) : null,
+            actor: toObjectIdOrNull(userId || workflow.lastModifiedBy),
+            diff: changes,
+            summary
+          });
+        } catch (error) {
+          // Another edit took this seq; read the new latest and try again
+          if (error?.code !== 11000 || attempt === MAX_SEQ_RETRIES) throw error;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to record ${action} for workflow ${workflow?._id}: ${error.message}`);
+    }
+    return null;
+  }
+
+  async listChanges(workflowId, { limit = 50, beforeSeq = null } = {}) {
+    const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const filter = { workflowId };
+    if (Number.isInteger(Number(beforeSeq)) && beforeSeq !== null) {
+      filter.seq = { $lt: Number(beforeSeq) };
+    }
+    return WorkflowChange.find(filter)
+      .sort({ seq: -1 })
+      .limit(safeLimit)
+      .select('seq action targetId actor summary createdAt')
+      .populate('actor', 'name email')
+      .lean();
+  }
+
+  async getChange(workflowId, seq) {
+    const change = await WorkflowChange.findOne({ workflowId, seq: Number(seq) })
+      .populate('actor', 'name email')
+      .lean();
+    if (!change) throw createError(`Change ${seq} not found`, 404);
+    return change;
+  }
+
+  /**
+   * The draft as it stood right after change `seq` (0 = before the first
+   * recorded change), rebuilt by undoing newer changes on the current draft.
+   * Writes that bypass the engine, such as TTS attaching audio, are not
+   * undone.
+   */
+  async _graphAt(workflow, ref, latestSeq) {
+    const normalized = String(ref ?? '').trim().toLowerCase();
+    if (!normalized || normalized === 'draft' || normalized === 'latest') {
+      return { seq: latestSeq, graph: this.snapshotGraph(workflow) };
+    }
+    const seq = Number(normalized);
+    if (!Number.isInteger(seq) || seq < 0 || seq > latestSeq) {
+      throw createError(`Change ${ref} not found`, 404);
+    }
+
+    const newer = await WorkflowChange.find({ workflowId: workflow._id, seq: { $gt: seq } })
+      .sort({ seq: -1 })
+      .select('diff')
+      .lean();
+    const graph = newer.reduce(
+      (current, change) => revertWorkflowGraphDiff(current, change.diff),
+      this.snapshotGraph(workflow)
+    );
+    return { seq, graph };
+  }
+
+  /**
+   * Structured diff between two points in the history: change numbers, 0
+   * for the start of the history, or "draft" for the current state.
+   */
+  async diffChanges(workflowId, from, to = 'draft') {
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) throw createError('Workflow not found', 404);
+
+    const latest = await WorkflowChange.findOne({ workflowId: workflow._id }).sort({ seq: -1 }).select('seq').lean();
+    const latestSeq = latest?.seq || 0;
+    const [before, after] = await Promise.all([
+      this._graphAt(workflow, from, latestSeq),
+      this._graphAt(workflow, to, latestSeq)
+    ]);
+    return {
+      from: before.seq,
+      to: after.seq,
+      diff: diffWorkflowGraphs(before.graph, after.graph)
+    };
+  }
+}
+
+export default new WorkflowHistoryService();
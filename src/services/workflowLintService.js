@@ -0,0 +1,551 @@
+import ivrWorkflowEngine from './ivrWorkflowEngine.js';
+import { normalizeResponseMappings } from './apiCallService.js';
+import { normalizeLookupSettings } from './customerDirectoryService.js';
+import { normalizeRecordControlSettings } from './callRecordingService.js';
+import { collectExpressionVariables } from '../utils/conditionExpression.js';
+import {
+  CALL_LANGUAGE_VARIABLE,
+  getTranslationText,
+  normalizeLanguageOptions,
+  normalizeLocale,
+  normalizeTranslations,
+  normalizeWorkflowLanguages
+} from '../utils/localization.js';
+import { acceptsHotkeys, normalizeHotkeys } from '../utils/hotkeys.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Nodes that stop and wait for the caller (or a dialled party) before the
+// next webhook; a loop through one of them cannot spin without a caller.
+const WAITING_NODE_TYPES = new Set([
+  'input',
+  'speech_input',
+  'language_select',
+  'menu',
+  'verify',
+  'survey',
+  'resume',
+  'slot_offer',
+  'booking_confirm',
+  'voicemail',
+  'transfer'
+]);
+
+// Always present in templates and condition expressions
+const BUILTIN_VARIABLES = new Set([
+  'callerNumber', 'destinationNumber', 'callSid',
+  'now', 'hour', 'minute', 'weekday', 'dayName', 'date', 'time', 'businessHours',
+  'caller.isReturning', 'caller.lastNodeId', 'caller.lastCallAt'
+]);
+
+// Booking stages and the stages a caller must have passed through first
+const BOOKING_PREREQUISITES = {
+  slot_offer: { requires: ['availability_check'], severity: 'error' },
+  booking_confirm: { requires: ['slot_offer'], severity: 'error' },
+  booking_create: { requires: ['slot_offer', 'availability_check'], severity: 'error' },
+  whatsapp_notify: { requires: ['booking_create'], severity: 'warning' }
+};
+
+// Handles that catch silence or an unrecognised answer on input nodes
+const INPUT_FALLBACK_HANDLES = ['timeout', 'no_match', 'default', 'fallback', 'invalid'];
+
+const TEMPLATE_PATTERN = /\{\{([^}]+)\}\}/g;
+
+const nodeTypeOf = (node) => String(node?.type || '').trim().toLowerCase();
+
+// Record control nodes only wait for the caller when they ask for consent
+const isConsentPrompt = (node) => normalizeRecordControlSettings(node.data || {}).action === 'consent';
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(String(value || '').trim());
+
+const collectTemplateVariables = (value, names = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+      const name = match[1].trim();
+      if (name) names.add(name);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectTemplateVariables(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectTemplateVariables(item, names));
+  }
+  return names;
+};
+
+/**
+ * Variables a node may set. Names ending in ".*" cover a whole namespace;
+ * "*" covers any name.
+ */
+const getWrittenVariables = (node) => {
+  const data = node.data || {};
+  const type = nodeTypeOf(node);
+  const written = [];
+  const waitsForDigits = type === 'input' || type === 'speech_input' || type === 'language_select' || type === 'menu' || type === 'verify' || type === 'slot_offer' ||
+    type === 'survey' || type === 'resume' || type === 'booking_confirm' || (type === 'audio' && data.afterPlayback === 'wait') ||
+    (type === 'record_control' && isConsentPrompt(node));
+  if (waitsForDigits) {
+    written.push('lastInputValue', 'lastInputNodeId', `inputValues:${node.id}`);
+  }
+
+  switch (type) {
+    case 'set_variable':
+      if (data.variable) written.push(String(data.variable).trim());
+      break;
+    case 'speech_input':
+      written.push(
+        String(data.resultVariable || data.result_variable || '').trim() || 'speech.result',
+        String(data.intentVariable || data.intent_variable || '').trim() || 'speech.intent',
+        'speech.*'
+      );
+      break;
+    case 'availability_check':
+    case 'slot_offer':
+    case 'booking_confirm':
+    case 'booking_create':
+    case 'whatsapp_notify':
+      written.push('booking.*');
+      break;
+    case 'api_call': {
+      const outputVariable = String(data.outputVariable || data.output_variable || '').trim();
+      if (outputVariable) written.push(`${outputVariable}.*`);
+      normalizeResponseMappings(data.responseMappings ?? data.response_mappings)
+        .forEach(({ variable }) => written.push(variable));
+      break;
+    }
+    case 'verify':
+      written.push('verify.*');
+      break;
+    case 'survey':
+      written.push('survey.*');
+      break;
+    case 'record_control':
+      written.push('recording.*');
+      break;
+    case 'resume':
+      // Variables restored from the earlier call were set by this workflow's own nodes
+      written.push('caller.resumed');
+      break;
+    case 'lookup': {
+      const { variablePrefix, fields } = normalizeLookupSettings(data);
+      written.push('lookup.*');
+      if (fields.length) {
+        fields.forEach((column) => written.push(variablePrefix ? `${variablePrefix}.${column}` : column));
+      } else {
+        // Directory columns are only known at import time
+        written.push(variablePrefix ? `${variablePrefix}.*` : '*');
+      }
+      break;
+    }
+    case 'split':
+      written.push('split.*');
+      break;
+    case 'language_select':
+      written.push(CALL_LANGUAGE_VARIABLE);
+      break;
+    case 'transfer':
+      written.push('transfer.*');
+      break;
+    case 'queue':
+      written.push('queue.*');
+      break;
+    case 'subflow':
+      written.push('subflow.*');
+      ivrWorkflowEngine.normalizeVariableMapping(data.outputVariables ?? data.output_variables)
+        .forEach(({ to }) => written.push(to));
+      break;
+    default:
+      break;
+  }
+  return written.filter(Boolean);
+};
+
+/**
+ * Variables a node reads: {{templates}} anywhere in its data plus the
+ * variables a condition tests.
+ */
+const getReadVariables = (node) => {
+  const data = node.data || {};
+  const names = collectTemplateVariables(data);
+  if (nodeTypeOf(node) === 'conditional') {
+    const expression = String(data.expression || '').trim();
+    if (expression) {
+      collectExpressionVariables(expression).forEach((name) => names.add(name));
+    } else if (data.variable && data.operator && data.operator !== 'exists') {
+      names.add(String(data.variable).trim());
+    }
+  }
+  return Array.from(names);
+};
+
+const writesVariable = (written, name) => written.some((entry) => (
+  entry === name || entry === '*' || (entry.endsWith('.*') && name.startsWith(entry.slice(0, -1)))
+));
+
+class WorkflowLintService {
+  /**
+   * Run the structural validator plus deeper checks for problems that only
+   * show up on live calls. Each issue carries a severity; only errors block
+   * activation and publishing.
+   */
+  lint(workflow) {
+    const nodes = Array.isArray(workflow?.nodes) ? workflow.nodes : [];
+    const edges = Array.isArray(workflow?.edges) ? workflow.edges : [];
+
+    // The structural CYCLE_DETECTED check rejects every loop, including menus
+    // that ask again; the loop analysis below only flags loops that can spin.
+    const issues = ivrWorkflowEngine.validateWorkflowGraph(workflow)
+      .filter((issue) => issue.code !== 'CYCLE_DETECTED')
+      .map((issue) => ({ severity: 'error', ...issue }));
+
+    const structurallyBroken = issues.some((issue) =>
+      ['NO_WORKFLOW', 'NO_NODES', 'INVALID_NODE_ID', 'DUPLICATE_NODE_ID'].includes(issue.code));
+    if (!structurallyBroken) {
+      const graph = this._buildGraph(nodes, edges);
+      const audioFlagged = new Set(issues
+        .filter((issue) => issue.code === 'AUDIO_TEXT_REQUIRED' || issue.code === 'AUDIO_URL_REQUIRED')
+        .map((issue) => issue.nodeId));
+      issues.push(
+        ...this._checkLoops(graph),
+        ...this._checkAudioContent(graph, audioFlagged),
+        ...this._checkInputFallbacks(graph),
+        ...this._checkBookingOrder(graph),
+        ...this._checkRecordingConsent(graph),
+        ...this._checkVariables(graph),
+        ...this._checkTranslations(graph, workflow?.config || workflow?.settings || {}),
+        ...this._checkHotkeys(graph, workflow?.config || workflow?.settings || {})
+      );
+    }
+
+    const bySeverity = (severity) => issues.filter((issue) => issue.severity === severity);
+    const errors = bySeverity('error');
+    return {
+      valid: errors.length === 0,
+      summary: {
+        errors: errors.length,
+        warnings: bySeverity('warning').length,
+        info: bySeverity('info').length
+      },
+      errors,
+      warnings: bySeverity('warning'),
+      info: bySeverity('info'),
+      issues
+    };
+  }
+
+  _buildGraph(nodes, edges) {
+    const nodeById = new Map(nodes.map((node) => [node.id, node]));
+    const adjacency = new Map(nodes.map((node) => [node.id, []]));
+    edges.forEach((edge) => {
+      if (adjacency.has(edge.source) && nodeById.has(edge.target)) {
+        adjacency.get(edge.source).push(edge.target);
+      }
+    });
+    // Live calls start at the first greeting/audio node, as in IVRController.welcome
+    const startNode = nodes.find((node) => ['greeting', 'audio'].includes(nodeTypeOf(node))) || nodes[0];
+    return { nodes, edges, nodeById, adjacency, startId: startNode?.id || null };
+  }
+
+  /**
+   * Can the node be reached from the start without passing through any of
+   * the blocked nodes?
+   */
+  _reachableAvoiding(graph, targetId, blockedIds) {
+    if (!graph.startId || blockedIds.has(graph.startId)) return false;
+    const seen = new Set([graph.startId]);
+    const stack = [graph.startId];
+    while (stack.length) {
+      const current = stack.pop();
+      if (current === targetId) return true;
+      for (const next of graph.adjacency.get(current) || []) {
+        if (seen.has(next) || (blockedIds.has(next) && next !== targetId)) continue;
+        seen.add(next);
+        stack.push(next);
+      }
+    }
+    return false;
+  }
+
+  _isWaitingNode(node) {
+    const type = nodeTypeOf(node);
+    return WAITING_NODE_TYPES.has(type) || (type === 'audio' && node.data?.afterPlayback === 'wait') ||
+      (type === 'record_control' && isConsentPrompt(node));
+  }
+
+  /**
+   * Strongly connected components (Tarjan); every component with more than
+   * one node, or a node linked to itself, is a loop. A loop with no node that
+   * waits for the caller redirects forever until the loop guard kills the call.
+   */
+  _checkLoops(graph) {
+    const indexOf = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let index = 0;
+
+    const strongConnect = (nodeId) => {
+      indexOf.set(nodeId, index);
+      lowLink.set(nodeId, index);
+      index += 1;
+      stack.push(nodeId);
+      onStack.add(nodeId);
+      for (const next of graph.adjacency.get(nodeId) || []) {
+        if (!indexOf.has(next)) {
+          strongConnect(next);
+          lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(next)));
+        } else if (onStack.has(next)) {
+          lowLink.set(nodeId, Math.min(lowLink.get(nodeId), indexOf.get(next)));
+        }
+      }
+      if (lowLink.get(nodeId) === indexOf.get(nodeId)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== nodeId);
+        components.push(component);
+      }
+    };
+    graph.nodes.forEach((node) => {
+      if (!indexOf.has(node.id)) strongConnect(node.id);
+    });
+
+    const issues = [];
+    components.forEach((component) => {
+      const selfLoop = component.length === 1 && (graph.adjacency.get(component[0]) || []).includes(component[0]);
+      if (component.length < 2 && !selfLoop) return;
+      const members = component.map((id) => graph.nodeById.get(id));
+      const ordered = graph.nodes.filter((node) => component.includes(node.id)).map((node) => node.id);
+      if (members.some((node) => this._isWaitingNode(node))) {
+        issues.push({
+          severity: 'info',
+          code: 'LOOP_WITH_INPUT',
+          message: `Nodes ${ordered.join(' -> ')} form a loop that waits for the caller on each pass.`,
+          nodeId: ordered[0]
+        });
+      } else {
+        issues.push({
+          severity: 'error',
+          code: 'INFINITE_LOOP',
+          message: `Nodes ${ordered.join(' -> ')} form a loop with no input node; calls would redirect forever.`,
+          nodeId: ordered[0]
+        });
+      }
+    });
+    return issues;
+  }
+
+  _checkAudioContent(graph, alreadyFlagged = new Set()) {
+    const issues = [];
+    graph.nodes.forEach((node) => {
+      const type = nodeTypeOf(node);
+      if (type !== 'audio' && type !== 'greeting') return;
+      if (alreadyFlagged.has(node.id)) return;
+      const data = node.data || {};
+      const hasText = Boolean(String(data.messageText || data.text || '').trim());
+      if (hasText) return;
+
+      const audioUrl = String(data.audioUrl || '').trim();
+      if (type === 'greeting' && isHttpUrl(audioUrl)) return;
+      if (type === 'audio') {
+        if (data.mode === 'upload' && isHttpUrl(audioUrl)) return;
+        const fallback = graph.nodeById.get(String(data.fallbackAudioNodeId || '').trim());
+        if (data.mode === 'upload' && fallback &&
+          (isHttpUrl(fallback.data?.audioUrl) || String(fallback.data?.messageText || fallback.data?.text || '').trim())) {
+          return;
+        }
+      }
+
+      let detail = 'has neither text nor an audio URL';
+      if (audioUrl && !isHttpUrl(audioUrl)) {
+        detail = `has no text and its audio URL "${audioUrl}" is not an http(s) URL`;
+      } else if (audioUrl && type === 'audio') {
+        detail = 'has no text and its audio URL is only played when mode is "upload"';
+      }
+      issues.push({
+        severity: 'error',
+        code: 'AUDIO_WITHOUT_CONTENT',
+        message: `${type === 'greeting' ? 'Greeting' : 'Audio'} node ${node.id} ${detail}; callers would hear a placeholder.`,
+        nodeId: node.id
+      });
+    });
+    return issues;
+  }
+
+  /**
+   * Every spoken prompt should have text for each language a caller can
+   * pick; untranslated prompts are read in the default language instead.
+   */
+  _checkTranslations(graph, settings = {}) {
+    const baseLanguage = normalizeLocale(settings.language) || 'en-GB';
+    const locales = new Set(normalizeWorkflowLanguages(settings.languages).map((entry) => entry.code));
+    graph.nodes
+      .filter((node) => nodeTypeOf(node) === 'language_select')
+      .forEach((node) => normalizeLanguageOptions(node.data?.options).forEach((option) => locales.add(option.language)));
+    locales.delete(baseLanguage);
+    if (locales.size === 0) return [];
+
+    const issues = [];
+    graph.nodes.forEach((node) => {
+      const type = nodeTypeOf(node);
+      if (type !== 'audio' && type !== 'greeting') return;
+      if (!getTranslationText(node.data)) return;
+      const translations = normalizeTranslations(node.data?.translations);
+      const missing = Array.from(locales).filter((locale) => !getTranslationText(translations[locale]));
+      if (missing.length === 0) return;
+      issues.push({
+        severity: 'warning',
+        code: 'MISSING_TRANSLATION',
+        message: `${type === 'greeting' ? 'Greeting' : 'Audio'} node ${node.id} has no text for ${missing.join(', ')}; those callers will hear ${baseLanguage}.`,
+        nodeId: node.id
+      });
+    });
+    return issues;
+  }
+
+  /**
+   * Hotkeys must lead somewhere. Nodes that use a hotkey's digit for one of
+   * their own choices keep it, which is worth knowing but not wrong.
+   */
+  _checkHotkeys(graph, settings = {}) {
+    const issues = [];
+    const nodeIds = new Set(graph.nodes.map((node) => node.id));
+    const hasType = (type) => graph.nodes.some((node) => nodeTypeOf(node) === type);
+    normalizeHotkeys(settings.hotkeys).forEach((hotkey) => {
+      if (hotkey.nodeId && !nodeIds.has(hotkey.nodeId)) {
+        issues.push({
+          severity: 'error',
+          code: 'HOTKEY_TARGET_MISSING',
+          message: `Hotkey ${hotkey.digit} leads to node ${hotkey.nodeId}, which does not exist.`,
+          nodeId: null
+        });
+        return;
+      }
+      const fallbackType = { operator: 'transfer', main_menu: 'menu' }[hotkey.action];
+      if (!hotkey.nodeId && fallbackType && !hasType(fallbackType)) {
+        issues.push({
+          severity: 'warning',
+          code: 'HOTKEY_UNRESOLVED',
+          message: `Hotkey ${hotkey.digit} (${hotkey.action}) has no target node and the workflow has no ${fallbackType} node, so it does nothing.`,
+          nodeId: null
+        });
+        return;
+      }
+      graph.nodes
+        .filter((node) => acceptsHotkeys(node) && ivrWorkflowEngine._nodeUsesDigit(graph, node, hotkey.digit))
+        .forEach((node) => issues.push({
+          severity: 'info',
+          code: 'HOTKEY_SHADOWED',
+          message: `Node ${node.id} uses ${hotkey.digit} for one of its own choices, so the ${hotkey.action} hotkey does not work there.`,
+          nodeId: node.id
+        }));
+    });
+    return issues;
+  }
+
+  _checkInputFallbacks(graph) {
+    const issues = [];
+    graph.nodes.forEach((node) => {
+      const type = nodeTypeOf(node);
+      if (type !== 'input' && type !== 'speech_input') return;
+      const handles = new Set(
+        graph.edges
+          .filter((edge) => edge.source === node.id)
+          .map((edge) => String(edge.sourceHandle || '').trim().toLowerCase())
+      );
+      if (INPUT_FALLBACK_HANDLES.some((handle) => handles.has(handle))) return;
+      issues.push({
+        severity: 'warning',
+        code: 'INPUT_WITHOUT_FALLBACK',
+        message: `Input node ${node.id} has no "timeout" or "no_match" route; after the last retry the call jumps to the first end node.`,
+        nodeId: node.id
+      });
+    });
+    return issues;
+  }
+
+  _checkBookingOrder(graph) {
+    const issues = [];
+    graph.nodes.forEach((node) => {
+      const rule = BOOKING_PREREQUISITES[nodeTypeOf(node)];
+      if (!rule) return;
+      const prerequisites = new Set(
+        graph.nodes.filter((candidate) => rule.requires.includes(nodeTypeOf(candidate))).map((candidate) => candidate.id)
+      );
+      if (!this._reachableAvoiding(graph, node.id, prerequisites)) return;
+      issues.push({
+        severity: rule.severity,
+        code: 'BOOKING_OUT_OF_ORDER',
+        message: prerequisites.size === 0
+          ? `${nodeTypeOf(node)} node ${node.id} needs a ${rule.requires.join(' or ')} node before it.`
+          : `${nodeTypeOf(node)} node ${node.id} can be reached without passing a ${rule.requires.join(' or ')} node.`,
+        nodeId: node.id
+      });
+    });
+    return issues;
+  }
+
+  /**
+   * Recording only starts or resumes after the caller accepted, so a start
+   * or resume node that can be reached without a consent prompt always
+   * takes its no_consent route.
+   */
+  _checkRecordingConsent(graph) {
+    const consentIds = new Set(
+      graph.nodes.filter((node) => nodeTypeOf(node) === 'record_control' && isConsentPrompt(node)).map((node) => node.id)
+    );
+    return graph.nodes
+      .filter((node) => nodeTypeOf(node) === 'record_control' &&
+        ['start', 'resume'].includes(normalizeRecordControlSettings(node.data || {}).action))
+      .filter((node) => this._reachableAvoiding(graph, node.id, consentIds))
+      .map((node) => ({
+        severity: 'warning',
+        code: 'RECORDING_WITHOUT_CONSENT',
+        message: `Record control node ${node.id} can be reached without asking the caller for recording consent.`,
+        nodeId: node.id
+      }));
+  }
+
+  /**
+   * Flag variables that are read but never set anywhere (warning), and ones
+   * that some paths reach before they are set (info). Subflows may receive
+   * variables from their parent, so neither blocks activation.
+   */
+  _checkVariables(graph) {
+    const issues = [];
+    const writes = new Map(graph.nodes.map((node) => [node.id, getWrittenVariables(node)]));
+    graph.nodes.forEach((node) => {
+      getReadVariables(node).forEach((name) => {
+        if (BUILTIN_VARIABLES.has(name)) return;
+        const writers = new Set(
+          graph.nodes
+            .filter((candidate) => candidate.id !== node.id && writesVariable(writes.get(candidate.id), name))
+            .map((candidate) => candidate.id)
+        );
+        if (writers.size === 0) {
+          issues.push({
+            severity: 'warning',
+            code: 'UNDEFINED_VARIABLE',
+            message: `Node ${node.id} reads "${name}" but no node sets it.`,
+            nodeId: node.id,
+            variable: name
+          });
+        } else if (this._reachableAvoiding(graph, node.id, writers)) {
+          issues.push({
+            severity: 'info',
+            code: 'POSSIBLY_UNDEFINED_VARIABLE',
+            message: `Node ${node.id} reads "${name}", which is not set on every path that reaches it.`,
+            nodeId: node.id,
+            variable: name
+          });
+        }
+      });
+    });
+    return issues;
+  }
+}
+
+export default new WorkflowLintService();
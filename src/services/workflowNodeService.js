@@ -6,6 +6,15 @@
 
 import { NODE_CONFIGS, VALIDATION_RULES } from '../config/workflowNodeConfig.js';
 import logger from '../utils/logger.js';
+import { normalizeSpeechIntents } from '../utils/speechIntents.js';
+import { normalizeSplitArms } from '../utils/trafficSplit.js';
+import { normalizeRingTargets, validateRingTarget } from '../utils/ringGroup.js';
+import { getResponseMappingErrors } from './apiCallService.js';
+import { normalizeLookupSettings } from './customerDirectoryService.js';
+import { RECORD_CONTROL_ACTIONS } from './callRecordingService.js';
+import { validateExpression } from '../utils/conditionExpression.js';
+import { normalizeLanguageOptions } from '../utils/localization.js';
+import { normalizeMenuOptions } from '../utils/menuOptions.js';
 import Workflow from '../models/Workflow.js';
 import WorkflowExecution from '../models/WorkflowExecution.js';
 import WorkflowExecutionEngine from './ivrExecutionEngine.js';
@@ -148,11 +157,18 @@ class WorkflowNodeService {
    */
   validateNodeSpecific(nodeType, nodeData, errors, warnings) {
     switch (nodeType) {
-      case 'transfer':
-        if (nodeData.destination && !VALIDATION_RULES.phoneNumber.pattern.test(nodeData.destination)) {
-          errors.push('Destination must be a valid phone number');
+      case 'transfer': {
+        // Destinations may be numbers, sip:/client: addresses or {{variables}}
+        const targets = normalizeRingTargets(nodeData);
+        if (targets.length === 0) {
+          errors.push('Transfer needs a destination or at least one ring group target');
+        }
+        for (const target of targets) {
+          const problem = validateRingTarget(target);
+          if (problem) errors.push(`Invalid transfer target: ${problem}`);
         }
         break;
+      }
 
       case 'voicemail':
         if (nodeData.emailNotifications) {
@@ -171,9 +187,110 @@ class WorkflowNodeService {
         break;
 
       case 'api_call':
-        if (nodeData.url && !VALIDATION_RULES.url.pattern.test(nodeData.url)) {
+        // A leading {{variable}} is allowed as the base URL
+        if (nodeData.url && !VALIDATION_RULES.url.pattern.test(nodeData.url) && !String(nodeData.url).startsWith('{{')) {
           errors.push('API URL must be a valid HTTP/HTTPS URL');
         }
+        errors.push(...getResponseMappingErrors(nodeData.responseMappings ?? nodeData.response_mappings)
+          .map((problem) => `Invalid response mapping ${problem}`));
+        break;
+
+      case 'lookup': {
+        const lookup = normalizeLookupSettings(nodeData);
+        if (lookup.matchBy === 'variable' && !lookup.matchVariable) {
+          errors.push('Lookup by variable requires the variable holding the phone number');
+        }
+        if (lookup.variablePrefix && !/^[A-Za-z_][\w.]*$/.test(lookup.variablePrefix)) {
+          errors.push('Variable prefix may only contain letters, digits, underscores and dots');
+        }
+        break;
+      }
+
+      case 'survey': {
+        const questions = Array.isArray(nodeData.questions) ? nodeData.questions : [];
+        if (questions.length > 10) {
+          errors.push('A survey can ask at most 10 questions');
+        }
+        questions.forEach((question, index) => {
+          if (!String(question?.text || question?.prompt || '').trim()) {
+            errors.push(`Survey question ${index + 1} needs text`);
+          }
+          const scale = Number(question?.scale ?? 5);
+          if (question?.type !== 'yes_no' && (!Number.isInteger(scale) || scale < 2 || scale > 9)) {
+            errors.push(`Survey question ${index + 1} rating scale must be between 2 and 9`);
+          }
+        });
+        break;
+      }
+
+      case 'resume': {
+        const resumeDigit = String(nodeData.resumeDigit ?? '1').trim();
+        const restartDigit = String(nodeData.restartDigit ?? '2').trim();
+        if (![resumeDigit, restartDigit].every((digit) => /^[0-9*#]$/.test(digit))) {
+          errors.push('Continue and start over choices must each be a single key');
+        } else if (resumeDigit === restartDigit) {
+          errors.push('Continue and start over must use different keys');
+        }
+        break;
+      }
+
+      case 'record_control': {
+        const action = String(nodeData.action ?? 'consent').trim().toLowerCase();
+        const acceptDigit = String(nodeData.acceptDigit ?? '1').trim();
+        const declineDigit = String(nodeData.declineDigit ?? '2').trim();
+        if (!RECORD_CONTROL_ACTIONS.includes(action)) {
+          errors.push(`Record control action must be one of: ${RECORD_CONTROL_ACTIONS.join(', ')}`);
+        } else if (action === 'consent') {
+          if (![acceptDigit, declineDigit].every((digit) => /^[0-9*#]$/.test(digit))) {
+            errors.push('Accept and decline choices must each be a single key');
+          } else if (acceptDigit === declineDigit) {
+            errors.push('Accept and decline must use different keys');
+          }
+        }
+        break;
+      }
+
+      case 'conditional':
+        if (nodeData.expression) {
+          const syntaxError = validateExpression(nodeData.expression);
+          if (syntaxError) {
+            errors.push(`Invalid condition expression: ${syntaxError.message}`);
+          }
+        }
+        break;
+
+      case 'subflow':
+        if (!nodeData.targetWorkflowId && !nodeData.targetPromptKey) {
+          errors.push('Subflow requires a target workflow id or promptKey');
+        }
+        break;
+
+      case 'split': {
+        const arms = normalizeSplitArms(nodeData.arms);
+        if (arms.length < 2) {
+          errors.push('Split requires at least two arms with a handle and weight');
+        } else if (!arms.some((arm) => arm.weight > 0)) {
+          errors.push('Split requires at least one arm with a positive weight');
+        }
+        break;
+      }
+
+      case 'language_select':
+        if (normalizeLanguageOptions(nodeData.options).length === 0) {
+          errors.push('Language select needs at least one digit mapped to a language code');
+        }
+        break;
+
+      case 'menu':
+        if (normalizeMenuOptions(nodeData.menuOptions).length === 0) {
+          errors.push('Menu needs at least one option with a keypad digit');
+        }
+        break;
+
+      case 'speech_input':
+        if (normalizeSpeechIntents(nodeData.intents).length === 0) {
+          warnings.push('Speech input has no intents yet; every answer will take the no_match branch');
+        }
         break;
     }
   }
@@ -0,0 +1,345 @@
+import crypto from 'crypto';
+import Workflow from '../models/Workflow.js';
+import logger from '../utils/logger.js';
+import ivrWorkflowEngine from './ivrWorkflowEngine.js';
+import workflowVersionService from './workflowVersionService.js';
+import { diffObjects } from '../utils/workflowDiff.js';
+
+const MAX_SIMULATION_STEPS = Number(process.env.WORKFLOW_SIMULATION_MAX_STEPS || 100);
+const MAX_SCRIPT_EVENTS = 100;
+const EVENT_TYPES = ['dtmf', 'speech', 'timeout', 'hangup', 'dial'];
+const DIAL_STATUSES = ['completed', 'answered', 'busy', 'no-answer', 'failed', 'canceled'];
+const SIMULATED_RECORDING_URL = 'https://simulator.invalid/recording.wav';
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const cloneValue = (value) => JSON.parse(JSON.stringify(value ?? {}));
+
+const decodeXml = (value = '') => String(value)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Minimal TwiML reader: returns the top-level verbs of a <Response> with their
+ * attributes, text and nested verbs (e.g. <Say> inside <Gather>).
+ */
+export const parseTwiml = (xml = '') => {
+  const root = { name: 'Document', attrs: {}, text: '', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z][\w:-]*)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tagPattern.exec(String(xml || ''))) !== null) {
+    const [, closing, name, rawAttrs, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+    if (text !== undefined) {
+      parent.text += decodeXml(text);
+      continue;
+    }
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+    const attrs = {};
+    String(rawAttrs || '').replace(/([\w:-]+)\s*=\s*"([^"]*)"/g, (_match, key, value) => {
+      attrs[key] = decodeXml(value);
+      return '';
+    });
+    const element = { name, attrs, text: '', children: [] };
+    parent.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+  const response = root.children.find((child) => child.name === 'Response');
+  return response ? response.children : [];
+};
+
+const normalizeEvent = (event, index) => {
+  const raw = typeof event === 'string' ? { type: event } : (event || {});
+  const type = String(raw.type || '').trim().toLowerCase();
+  if (!EVENT_TYPES.includes(type)) {
+    throw createError(`Event ${index + 1}: type must be one of ${EVENT_TYPES.join(', ')}`);
+  }
+  if (type === 'dtmf') {
+    const digits = String(raw.digits ?? raw.value ?? '').trim();
+    if (!/^[0-9*#wW]+$/.test(digits)) {
+      throw createError(`Event ${index + 1}: dtmf events need digits (0-9, * or #)`);
+    }
+    return { type, digits };
+  }
+  if (type === 'speech') {
+    const text = String(raw.text ?? raw.value ?? '').trim();
+    if (!text) throw createError(`Event ${index + 1}: speech events need text`);
+    const confidence = raw.confidence === undefined ? 1 : Number(raw.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+      throw createError(`Event ${index + 1}: speech confidence must be between 0 and 1`);
+    }
+    return { type, text, confidence };
+  }
+  if (type === 'dial') {
+    // Outcome of a transfer leg, reported like Twilio's DialCallStatus
+    const status = String(raw.status ?? raw.value ?? '').trim().toLowerCase().replace('_', '-');
+    if (!DIAL_STATUSES.includes(status)) {
+      throw createError(`Event ${index + 1}: dial status must be one of ${DIAL_STATUSES.join(', ')}`);
+    }
+    return { type, status };
+  }
+  return { type };
+};
+
+class WorkflowSimulatorService {
+  /**
+   * Pick the graph a simulation runs: "draft" (default), "published" or a
+   * version number. Returns the version to pin, null meaning the draft.
+   */
+  async _resolveVersion(workflow, version = 'draft') {
+    const normalized = String(version ?? 'draft').trim().toLowerCase();
+    if (!normalized || normalized === 'draft') return null;
+    if (normalized === 'published') {
+      if (!workflow.publishedVersion) throw createError('Workflow has no published version', 404);
+      return workflow.publishedVersion;
+    }
+    const snapshot = await workflowVersionService.getSnapshot(workflow._id, Number(normalized));
+    if (!snapshot) throw createError(`Version ${version} not found`, 404);
+    return snapshot.version;
+  }
+
+  _currentState(callSid, sandbox) {
+    return ivrWorkflowEngine.getExecutionState(callSid) || sandbox.finalState || null;
+  }
+
+  /**
+   * Mirror what the /ivr webhooks do for one Twilio request.
+   */
+  async _dispatch(workflowId, callSid, request) {
+    if (request.kind === 'start') {
+      return ivrWorkflowEngine.generateTwiML(workflowId, request.nodeId, null, callSid);
+    }
+
+    const url = new URL(request.url, 'http://simulator.local');
+    const query = Object.fromEntries(url.searchParams.entries());
+    const targetWorkflowId = query.workflowId || workflowId;
+    const { currentNodeId } = query;
+    // Redirects may point into a subflow the call has entered, never anywhere else
+    const subflowVersions = ivrWorkflowEngine.getExecutionState(callSid)?.subflowVersions || {};
+    const isKnownWorkflow = String(targetWorkflowId) === String(workflowId) ||
+      Object.prototype.hasOwnProperty.call(subflowVersions, String(targetWorkflowId));
+    if (!isKnownWorkflow || !currentNodeId) {
+      throw createError(`Simulator cannot follow ${url.pathname}${url.search}`, 422);
+    }
+
+    if (url.pathname === '/ivr/handle-input') {
+      const params = request.params || {};
+      const userInput = params.Digits ?? params.SpeechResult ?? '';
+      const nextNodeId = await ivrWorkflowEngine.handleUserInput(targetWorkflowId, currentNodeId, userInput, callSid, {
+        confidence: params.SpeechResult !== undefined ? params.Confidence : undefined
+      });
+      return ivrWorkflowEngine.generateTwiML(targetWorkflowId, nextNodeId || currentNodeId, nextNodeId ? userInput : null, callSid);
+    }
+
+    if (url.pathname === '/ivr/next-step') {
+      if (query.status) {
+        const nextNodeId =
+          await ivrWorkflowEngine.getNextNodeByHandle(targetWorkflowId, currentNodeId, query.status, callSid) ||
+          query.fallbackNodeId ||
+          null;
+        return nextNodeId ? ivrWorkflowEngine.generateTwiML(targetWorkflowId, nextNodeId, null, callSid) : null;
+      }
+      return ivrWorkflowEngine.generateTwiML(targetWorkflowId, currentNodeId, null, callSid);
+    }
+
+    if (url.pathname === '/ivr/dial-status') {
+      return ivrWorkflowEngine.handleDialStatus(targetWorkflowId, currentNodeId, {
+        leg: Number(query.leg) || 0,
+        dialStatus: request.params?.DialCallStatus
+      }, callSid);
+    }
+
+    throw createError(`Simulator cannot follow ${url.pathname}`, 422);
+  }
+
+  /**
+   * Walk the verbs of one TwiML document the way Twilio would and work out the
+   * next webhook request, consuming script events at Gather/Record.
+   */
+  _nextRequest(verbs, events, sideEffects) {
+    let timedOut = null;
+    for (const verb of verbs) {
+      switch (verb.name) {
+        case 'Sms':
+        case 'Message':
+          sideEffects.push({ type: 'sms', to: verb.attrs.to || null, body: verb.text.trim(), simulated: true });
+          break;
+        case 'Redirect':
+          return { request: { kind: 'webhook', url: verb.text.trim() }, event: timedOut };
+        case 'Gather': {
+          const event = events.shift();
+          if (!event) return { status: 'awaiting_input' };
+          if (event.type === 'hangup') return { status: 'caller_hangup', event };
+          if (event.type === 'timeout') {
+            if (verb.attrs.actionOnEmptyResult === 'true') {
+              return { request: { kind: 'webhook', url: verb.attrs.action, params: {} }, event };
+            }
+            timedOut = event; // Twilio falls through to the next verb
+            break;
+          }
+          const params = event.type === 'dtmf'
+            ? { Digits: event.digits }
+            : { SpeechResult: event.text, Confidence: String(event.confidence) };
+          return { request: { kind: 'webhook', url: verb.attrs.action, params }, event };
+        }
+        case 'Record': {
+          const event = events.shift();
+          if (!event) return { status: 'awaiting_input' };
+          if (event.type === 'hangup') return { status: 'caller_hangup', event };
+          return {
+            request: {
+              kind: 'webhook',
+              url: verb.attrs.action,
+              params: { RecordingUrl: SIMULATED_RECORDING_URL, RecordingDuration: '5' }
+            },
+            event
+          };
+        }
+        case 'Dial':
+          sideEffects.push({
+            type: 'transfer',
+            to: verb.text.trim() || verb.children.map((child) => child.text.trim()).filter(Boolean),
+            callerId: verb.attrs.callerId || null,
+            simulated: true
+          });
+          // A scripted dial event drives the <Dial action> callback; otherwise the call stays connected
+          if (verb.attrs.action && events[0]?.type === 'dial') {
+            const event = events.shift();
+            return {
+              request: { kind: 'webhook', url: verb.attrs.action, params: { DialCallStatus: event.status } },
+              event
+            };
+          }
+          return { status: 'transferred' };
+        case 'Enqueue':
+          return { status: 'queued' };
+        case 'Hangup':
+        case 'Reject':
+          return { status: 'completed' };
+        default:
+          break;
+      }
+    }
+    return { status: 'completed' };
+  }
+
+  /**
+   * Run a scripted call against a sandboxed execution. Nothing is logged or
+   * sent; side effects are captured in the result instead.
+   */
+  async simulate(workflowId, { callerNumber, destinationNumber = '', events = [], version = 'draft', userId = null } = {}) {
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) throw createError('Workflow not found', 404);
+    if (!String(callerNumber || '').trim()) throw createError('callerNumber is required');
+    if (!Array.isArray(events) || events.length > MAX_SCRIPT_EVENTS) {
+      throw createError(`events must be an array of at most ${MAX_SCRIPT_EVENTS} items`);
+    }
+
+    const script = events.map(normalizeEvent);
+    const workflowVersion = await this._resolveVersion(workflow, version);
+    const callSid = `SIM${crypto.randomBytes(16).toString('hex')}`;
+    const sandbox = ivrWorkflowEngine.openSandbox(callSid, { workflowVersion });
+
+    const documents = [];
+    const variableChanges = [];
+    let status = 'completed';
+    let errorMessage = null;
+    let started = false;
+
+    try {
+      await ivrWorkflowEngine.startExecution(workflow._id, callSid, callerNumber, destinationNumber, userId);
+      started = true;
+      const runtimeWorkflow = await ivrWorkflowEngine.loadRuntimeWorkflow(workflow._id, callSid);
+      const nodes = Array.isArray(runtimeWorkflow.nodes) ? runtimeWorkflow.nodes : [];
+      const startNode = nodes.find((node) => node.type === 'greeting' || node.type === 'audio') || nodes[0];
+      if (!startNode) throw createError('Workflow has no nodes', 422);
+
+      let request = { kind: 'start', nodeId: startNode.id };
+      let trigger = { type: 'call_start' };
+      while (request) {
+        if (documents.length >= MAX_SIMULATION_STEPS) {
+          status = 'step_limit';
+          break;
+        }
+
+        const variablesBefore = cloneValue(this._currentState(callSid, sandbox)?.variables);
+        const twiml = await this._dispatch(workflow._id, callSid, request);
+        const state = this._currentState(callSid, sandbox);
+        const step = documents.length + 1;
+
+        Object.entries(diffObjects(variablesBefore, cloneValue(state?.variables))).forEach(([key, change]) => {
+          variableChanges.push({ step, nodeId: state?.currentNodeId || null, key, ...change });
+        });
+
+        if (!twiml) {
+          status = 'completed';
+          break;
+        }
+        documents.push({
+          step,
+          trigger,
+          request: request.kind === 'start' ? null : { url: request.url, params: request.params || {} },
+          nodeId: state?.currentNodeId || null,
+          twiml
+        });
+
+        const next = this._nextRequest(parseTwiml(twiml), script, sandbox.sideEffects);
+        request = next.request || null;
+        trigger = next.event || { type: 'redirect' };
+        if (!request) status = next.status;
+      }
+
+      // Twilio's status callback would close a call that ended without an end node.
+      const callEnded = !['awaiting_input', 'step_limit'].includes(status);
+      if (callEnded && ivrWorkflowEngine.getExecutionState(callSid)) {
+        await ivrWorkflowEngine.endExecution(callSid, 'completed');
+      }
+    } catch (error) {
+      if (!started) {
+        await ivrWorkflowEngine.closeSandbox(callSid);
+        throw error;
+      }
+      logger.warn(`Workflow simulation ${callSid} stopped with an error: ${error.message}`);
+      status = 'error';
+      errorMessage = error.message;
+    } finally {
+      sandbox.finalState = sandbox.finalState || ivrWorkflowEngine.getExecutionState(callSid) || null;
+      await ivrWorkflowEngine.closeSandbox(callSid);
+    }
+
+    const finalState = sandbox.finalState || {};
+    return {
+      callSid,
+      workflowId: String(workflow._id),
+      workflowVersion: workflowVersion || 'draft',
+      callerNumber,
+      status,
+      endReason: sandbox.endReason,
+      error: errorMessage || sandbox.errorMessage || null,
+      twiml: documents,
+      path: (finalState.visitedNodes || []).map((visit) => ({
+        nodeId: visit.nodeId,
+        nodeType: visit.nodeType,
+        userInput: visit.userInput ?? null,
+        ...(visit.depth ? { workflowId: visit.workflowId, depth: visit.depth } : {})
+      })),
+      variableChanges,
+      variables: finalState.variables || {},
+      sideEffects: sandbox.sideEffects,
+      unusedEvents: script
+    };
+  }
+}
+
+export default new WorkflowSimulatorService();
@@ -0,0 +1,372 @@
+import mongoose from 'mongoose';
+import Workflow from '../models/Workflow.js';
+import WorkflowTemplate from '../models/WorkflowTemplate.js';
+import workflowBundleService, { BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION } from './workflowBundleService.js';
+import { SYSTEM_WORKFLOW_TEMPLATES } from '../config/workflowTemplates.js';
+import logger from '../utils/logger.js';
+
+const PARAMETER_TYPES = ['text', 'phone', 'number', 'slots'];
+const PARAMETER_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_PARAMETERS = 20;
+const PLACEHOLDER_PATTERN = /\[\[\s*([a-z][a-z0-9_]*)\s*\]\]/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\[\[\s*([a-z][a-z0-9_]*)\s*\]\]$/;
+const PHONE_PATTERN = /^\+?[1-9]\d{6,14}$/;
+// Recordings belong to the source workflow and are deleted with it
+const AUDIO_KEYS = ['audioUrl', 'audioPublicId', 'audio_public_id', 'audioAssetId'];
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null));
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * Replace [[key]] placeholders anywhere in a value. A string that is
+ * exactly one placeholder becomes the raw parameter value, so slot lists
+ * and numbers keep their type; unknown placeholders are left alone.
+ */
+export const fillPlaceholders = (value, values) => {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+    if (whole && hasOwn(values, whole[1])) return toPlain(values[whole[1]]);
+    return value.replace(PLACEHOLDER_PATTERN, (match, key) => (hasOwn(values, key) ? String(values[key]) : match));
+  }
+  if (Array.isArray(value)) return value.map((entry) => fillPlaceholders(entry, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fillPlaceholders(entry, values)]));
+  }
+  return value;
+};
+
+const collectPlaceholders = (value, found = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) found.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach((entry) => collectPlaceholders(entry, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((entry) => collectPlaceholders(entry, found));
+  }
+  return found;
+};
+
+const normalizeParameters = (parameters = []) => {
+  if (!Array.isArray(parameters)) throw createError('parameters must be an array');
+  if (parameters.length > MAX_PARAMETERS) throw createError(`A template can declare at most ${MAX_PARAMETERS} parameters`);
+  const seen = new Set();
+  return parameters.map((parameter) => {
+    const key = String(parameter?.key || '').trim();
+    if (!PARAMETER_KEY_PATTERN.test(key)) {
+      throw createError(`Parameter key "${key}" must start with a letter and use lowercase letters, digits and underscores`);
+    }
+    if (seen.has(key)) throw createError(`Parameter "${key}" is declared twice`);
+    seen.add(key);
+    const type = String(parameter?.type || 'text').trim().toLowerCase();
+    if (!PARAMETER_TYPES.includes(type)) throw createError(`Parameter "${key}" type must be one of ${PARAMETER_TYPES.join(', ')}`);
+    return {
+      key,
+      label: String(parameter?.label || key).trim(),
+      type,
+      required: parameter?.required === true || parameter?.required === 'true',
+      default: isBlank(parameter?.default) ? null : parameter.default,
+      description: String(parameter?.description || '').trim(),
+      // Only used while saving: the literal to turn into the placeholder
+      value: parameter?.value
+    };
+  });
+};
+
+/**
+ * Check and convert one parameter value. Phone numbers come back in +digits
+ * form; slot lists may be sent as JSON text.
+ */
+const coerceParameterValue = (parameter, raw) => {
+  const name = parameter.label || parameter.key;
+  switch (parameter.type) {
+    case 'phone': {
+      const phone = String(raw).replace(/[\s().-]/g, '');
+      if (!PHONE_PATTERN.test(phone)) throw createError(`"${name}" must be a phone number in international format`);
+      return phone.startsWith('+') ? phone : `+${phone}`;
+    }
+    case 'number': {
+      const number = Number(raw);
+      if (!Number.isFinite(number)) throw createError(`"${name}" must be a number`);
+      return number;
+    }
+    case 'slots': {
+      let slots = raw;
+      if (typeof slots === 'string') {
+        try {
+          slots = JSON.parse(slots);
+        } catch {
+          throw createError(`"${name}" must be a list of slots`);
+        }
+      }
+      const valid = Array.isArray(slots) && slots.length > 0 &&
+        slots.every((slot) => slot && typeof slot === 'object' && !isBlank(slot.label ?? slot.key));
+      if (!valid) throw createError(`"${name}" must be a list of slots, each with a key or label`);
+      return slots;
+    }
+    default:
+      return String(raw).trim();
+  }
+};
+
+const stripAudio = (node) => {
+  const data = { ...(node.data || {}) };
+  let stripped = AUDIO_KEYS.some((key) => !isBlank(data[key]));
+  AUDIO_KEYS.forEach((key) => delete data[key]);
+  if (data.translations && typeof data.translations === 'object') {
+    data.translations = Object.fromEntries(Object.entries(data.translations).map(([locale, entry]) => {
+      if (!entry || typeof entry !== 'object') return [locale, entry];
+      const copy = { ...entry };
+      if (AUDIO_KEYS.some((key) => !isBlank(copy[key]))) stripped = true;
+      AUDIO_KEYS.forEach((key) => delete copy[key]);
+      return [locale, copy];
+    }));
+  }
+  return { node: { ...node, data }, stripped };
+};
+
+// Keys naming other things (node, workflow and calendar ids, edge handles,
+// node types); parameter values are never substituted into them
+const IDENTIFIER_KEY = /(^ids?$|Ids?$|_ids?$|^type$|Type$|_type$|^handle$|Handle$|_handle$)/;
+
+/**
+ * Replace a literal with its placeholder in the text of node data or
+ * workflow config. Identifier fields are skipped at every depth.
+ */
+const replaceLiteral = (value, literal, placeholder) => {
+  let count = 0;
+  const walk = (entry, key = null) => {
+    if (key && IDENTIFIER_KEY.test(key)) return entry;
+    if (typeof entry === 'string') {
+      if (!entry.includes(literal)) return entry;
+      count += entry.split(literal).length - 1;
+      return entry.split(literal).join(placeholder);
+    }
+    if (Array.isArray(entry)) return entry.map((child) => walk(child));
+    if (entry && typeof entry === 'object') {
+      return Object.fromEntries(Object.entries(entry).map(([childKey, child]) => [childKey, walk(child, childKey)]));
+    }
+    return entry;
+  };
+  return { value: walk(value), count };
+};
+
+// Only node data holds prompt text; ids, types and positions stay as they are
+const replaceLiteralInNodes = (nodes, literal, placeholder) => {
+  let count = 0;
+  const value = nodes.map((node) => {
+    if (!node?.data) return node;
+    const result = replaceLiteral(node.data, literal, placeholder);
+    count += result.count;
+    return { ...node, data: result.value };
+  });
+  return { value, count };
+};
+
+const toSummary = (template) => ({
+  id: template._id,
+  key: template.key || null,
+  scope: template.scope,
+  name: template.name,
+  description: template.description,
+  category: template.category,
+  parameters: template.parameters || [],
+  nodeCount: (template.workflow?.nodes || []).length,
+  tags: template.workflow?.tags || [],
+  sourceWorkflowId: template.sourceWorkflowId || null,
+  updatedAt: template.updatedAt
+});
+
+class WorkflowTemplateService {
+  constructor() {
+    this.systemTemplatesReady = null;
+  }
+
+  /**
+   * Copy the built-in templates into the database once per process,
+   * refreshing stored copies whose version is older than the shipped one.
+   */
+  ensureSystemTemplates() {
+    if (!this.systemTemplatesReady) {
+      this.systemTemplatesReady = this._syncSystemTemplates().catch((error) => {
+        this.systemTemplatesReady = null;
+        throw error;
+      });
+    }
+    return this.systemTemplatesReady;
+  }
+
+  async _syncSystemTemplates() {
+    const stored = await WorkflowTemplate.find({ scope: 'system' }).select('key version').lean();
+    const versions = new Map(stored.map((template) => [template.key, Number(template.version) || 0]));
+    const operations = SYSTEM_WORKFLOW_TEMPLATES
+      .filter((template) => (versions.get(template.key) ?? -1) < template.version)
+      .map((template) => ({
+        updateOne: {
+          filter: { scope: 'system', key: template.key },
+          update: { $set: { ...toPlain(template), scope: 'system', userId: null } },
+          upsert: true
+        }
+      }));
+    if (operations.length > 0) {
+      await WorkflowTemplate.bulkWrite(operations, { ordered: false });
+      logger.info(`Stored ${operations.length} system workflow template(s)`);
+    }
+  }
+
+  _visibleTo(userId) {
+    return { $or: [{ scope: 'system' }, { scope: 'tenant', userId }] };
+  }
+
+  async listTemplates(userId, { category = '', scope = '' } = {}) {
+    await this.ensureSystemTemplates();
+    const filter = this._visibleTo(userId);
+    if (category) filter.category = String(category).trim();
+    if (scope === 'system' || scope === 'tenant') filter.scope = scope;
+    const templates = await WorkflowTemplate.find(filter)
+      .select('-workflow.edges -workflow.config')
+      .sort({ scope: 1, name: 1 })
+      .lean();
+    return templates.map(toSummary);
+  }
+
+  async getTemplate(userId, templateId) {
+    if (!mongoose.Types.ObjectId.isValid(String(templateId || ''))) throw createError('Template not found', 404);
+    await this.ensureSystemTemplates();
+    const template = await WorkflowTemplate.findOne({ _id: templateId, ...this._visibleTo(userId) }).lean();
+    if (!template) throw createError('Template not found', 404);
+    return template;
+  }
+
+  /**
+   * Save one of the tenant's workflows as a template. A parameter with a
+   * `value` has every occurrence of that text in the workflow replaced by
+   * its placeholder; a `slots` parameter takes over the slot lists of
+   * availability check nodes. Recorded audio is not kept.
+   */
+  async createFromWorkflow(userId, { workflowId, name, description = '', category = 'general', parameters = [] } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(String(workflowId || ''))) throw createError('Workflow not found', 404);
+    const templateName = String(name || '').trim();
+    if (!templateName) throw createError('Template name is required');
+
+    const workflow = await Workflow.findOne({ _id: workflowId, createdBy: userId }).lean();
+    if (!workflow) throw createError('Workflow not found', 404);
+
+    const warnings = [];
+    let strippedAudio = 0;
+    let nodes = toPlain(workflow.nodes || []).map((node) => {
+      const result = stripAudio(node);
+      if (result.stripped) strippedAudio += 1;
+      return result.node;
+    });
+    if (strippedAudio > 0) {
+      warnings.push(`Recorded audio was left out of ${strippedAudio} node(s); they will use text-to-speech`);
+    }
+    let config = toPlain(workflow.config) || {};
+
+    const declared = normalizeParameters(parameters);
+    for (const parameter of declared) {
+      const placeholder = `[[${parameter.key}]]`;
+      if (parameter.type === 'slots') {
+        let replaced = 0;
+        nodes = nodes.map((node) => {
+          if (node.type !== 'availability_check' || !Array.isArray(node.data?.slotDefinitions)) return node;
+          replaced += 1;
+          if (parameter.default === null) parameter.default = node.data.slotDefinitions;
+          return { ...node, data: { ...node.data, slotDefinitions: placeholder } };
+        });
+        if (replaced === 0) warnings.push(`Parameter "${parameter.key}" found no availability check slots to replace`);
+      } else if (!isBlank(parameter.value)) {
+        const literal = String(parameter.value);
+        const nodeResult = replaceLiteralInNodes(nodes, literal, placeholder);
+        const configResult = replaceLiteral(config, literal, placeholder);
+        nodes = nodeResult.value;
+        config = configResult.value;
+        if (nodeResult.count + configResult.count === 0) {
+          warnings.push(`Value for parameter "${parameter.key}" does not appear in the workflow`);
+        }
+      }
+      delete parameter.value;
+    }
+
+    const undeclared = [...collectPlaceholders({ nodes, config })].filter((key) => !declared.some((parameter) => parameter.key === key));
+    if (undeclared.length > 0) {
+      throw createError(`Workflow uses placeholders with no matching parameter: ${undeclared.join(', ')}`);
+    }
+
+    const template = await WorkflowTemplate.create({
+      scope: 'tenant',
+      userId,
+      name: templateName,
+      description: String(description || '').trim(),
+      category: String(category || '').trim() || 'general',
+      parameters: declared,
+      workflow: {
+        nodes,
+        edges: toPlain(workflow.edges || []),
+        config,
+        tags: [...(workflow.tags || [])]
+      },
+      sourceWorkflowId: workflow._id
+    });
+    logger.info(`Saved workflow ${workflow.promptKey} as template ${template._id}`);
+    return { template: toSummary(template.toObject()), warnings };
+  }
+
+  async deleteTemplate(userId, templateId) {
+    const template = await this.getTemplate(userId, templateId);
+    if (template.scope === 'system') throw createError('System templates cannot be deleted', 403);
+    await WorkflowTemplate.deleteOne({ _id: template._id, userId });
+    return { id: template._id };
+  }
+
+  /**
+   * Fill in a template's parameters and create a draft workflow from it.
+   * Creation goes through the bundle import, so node ids are made unique,
+   * the graph is validated and nothing is saved when validation fails.
+   */
+  async instantiate(userId, templateId, { parameters = {}, promptKey = null, displayName = null } = {}, { userContext = {} } = {}) {
+    const template = await this.getTemplate(userId, templateId);
+    const provided = parameters && typeof parameters === 'object' ? parameters : {};
+
+    const values = {};
+    const missing = [];
+    for (const parameter of template.parameters || []) {
+      const raw = isBlank(provided[parameter.key]) ? parameter.default : provided[parameter.key];
+      if (isBlank(raw)) {
+        if (parameter.required) missing.push(parameter.label || parameter.key);
+        values[parameter.key] = '';
+        continue;
+      }
+      values[parameter.key] = coerceParameterValue(parameter, raw);
+    }
+    if (missing.length > 0) throw createError(`Missing template parameters: ${missing.join(', ')}`);
+
+    const filled = fillPlaceholders(toPlain(template.workflow), values);
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      workflow: {
+        promptKey: template.key || template.name,
+        displayName: template.name,
+        nodes: filled.nodes || [],
+        edges: filled.edges || [],
+        config: filled.config || {},
+        tags: filled.tags || []
+      },
+      assets: []
+    };
+
+    const result = await workflowBundleService.importWorkflow(bundle, { userId, userContext, promptKey, displayName });
+    logger.info(`Instantiated template ${template._id} as workflow ${result.workflow._id}`);
+    return { ...result, templateId: template._id };
+  }
+}
+
+export default new WorkflowTemplateService();
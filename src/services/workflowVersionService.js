@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Workflow from '../models/Workflow.js';
+import WorkflowVersion from '../models/WorkflowVersion.js';
+import workflowHistoryService from './workflowHistoryService.js';
+import workflowLintService from './workflowLintService.js';
+import logger from '../utils/logger.js';
+import { diffWorkflowGraphs } from '../utils/workflowDiff.js';
+
+const MAX_SNAPSHOT_CACHE_SIZE = Number(process.env.WORKFLOW_SNAPSHOT_CACHE_SIZE || 200);
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toPlainArray = (value) => JSON.parse(JSON.stringify(Array.isArray(value) ? value : []));
+const toPlainObject = (value) => {
+  const source = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(source && typeof source === 'object' ? source : {}));
+};
+
+const lintErrors = (workflow) => workflowLintService.lint(workflow).errors;
+
+const assertValid = (validationErrors) => {
+  if (!validationErrors?.length) return;
+  const error = createError('Workflow validation failed. Fix configuration issues before publishing.', 400);
+  error.validationErrors = validationErrors;
+  throw error;
+};
+
+class WorkflowVersionService {
+  constructor() {
+    // Published snapshots never change, so they can be cached indefinitely.
+    this.snapshotCache = new Map(); // `${workflowId}:${version}` -> snapshot
+  }
+
+  _cacheKey(workflowId, version) {
+    return `${String(workflowId)}:${Number(version)}`;
+  }
+
+  _remember(snapshot) {
+    if (!snapshot) return snapshot;
+    if (this.snapshotCache.size >= MAX_SNAPSHOT_CACHE_SIZE) {
+      const oldestKey = this.snapshotCache.keys().next().value;
+      if (oldestKey) this.snapshotCache.delete(oldestKey);
+    }
+    this.snapshotCache.set(this._cacheKey(snapshot.workflowId, snapshot.version), snapshot);
+    return snapshot;
+  }
+
+  _draftGraph(workflow) {
+    return {
+      nodes: toPlainArray(workflow.nodes),
+      edges: toPlainArray(workflow.edges),
+      config: toPlainObject(workflow.config)
+    };
+  }
+
+  async _nextVersionNumber(workflowId) {
+    const latest = await WorkflowVersion.findOne({ workflowId }).sort({ version: -1 }).select('version').lean();
+    return (latest?.version || 0) + 1;
+  }
+
+  /**
+   * Fetch one published snapshot (lean), using the in-process cache.
+   */
+  async getSnapshot(workflowId, version) {
+    const normalizedVersion = Number(version);
+    if (!workflowId || !Number.isInteger(normalizedVersion) || normalizedVersion < 1) return null;
+
+    const cached = this.snapshotCache.get(this._cacheKey(workflowId, normalizedVersion));
+    if (cached) return cached;
+
+    const snapshot = await WorkflowVersion.findOne({ workflowId, version: normalizedVersion }).lean();
+    return this._remember(snapshot);
+  }
+
+  /**
+   * Snapshot the current draft as a new immutable version and make it live.
+   */
+  async publish(workflowId, { userId = null, note = '', rolledBackFrom = null, validate = null } = {}) {
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) throw createError('Workflow not found', 404);
+
+    if (typeof validate === 'function') assertValid(validate(workflow));
+
+    const graph = this._draftGraph(workflow);
+    const version = await this._nextVersionNumber(workflow._id);
+
+    let snapshot;
+    try {
+      snapshot = await WorkflowVersion.create({
+        workflowId: workflow._id,
+        version,
+        promptKey: workflow.promptKey,
+        displayName: workflow.displayName,
+        nodes: graph.nodes,
+        edges: graph.edges,
+        config: graph.config,
+        tags: [...(workflow.tags || [])],
+        note: String(note || '').trim(),
+        rolledBackFrom,
+        publishedBy: mongoose.Types.ObjectId.isValid(String(userId || '')) ? userId : undefined,
+        publishedAt: new Date()
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        throw createError('Another publish of this workflow is in progress. Please retry.', 409);
+      }
+      throw error;
+    }
+
+    workflow.version = version;
+    workflow.publishedVersion = version;
+    workflow.publishedAt = snapshot.publishedAt;
+    workflow.hasUnpublishedChanges = false;
+    if (userId && mongoose.Types.ObjectId.isValid(String(userId))) {
+      workflow.lastModifiedBy = userId;
+    }
+    await workflow.save();
+
+    logger.info(`Published workflow ${workflow._id} as version ${version}${rolledBackFrom ? ` (rollback of v${rolledBackFrom})` : ''}`);
+    return this._remember(snapshot.toObject());
+  }
+
+  /**
+   * Version live calls should run for a workflow: its published one, or a
+   * fresh publish of the draft for active workflows that predate publishing.
+   * Drafts that are not active stay unpublished (null); drafts that fail lint
+   * are refused like a manual publish would be.
+   */
+  async ensurePublished(workflow, { note = 'Published on first call' } = {}) {
+    if (!workflow) return null;
+    if (workflow.publishedVersion) return workflow.publishedVersion;
+    if (workflow.status !== 'active') return null;
+    try {
+      const snapshot = await this.publish(workflow._id, { note, validate: lintErrors });
+      return snapshot.version;
+    } catch (error) {
+      // Another call published it first
+      if (error.status !== 409) throw error;
+      const current = await Workflow.findById(workflow._id).select('publishedVersion').lean();
+      return current?.publishedVersion || null;
+    }
+  }
+
+  /**
+   * Restore an old version into the draft and publish it as a new version.
+   * History stays append-only; nothing is rewritten, and the restore is
+   * recorded as a draft change like any other edit. Unpublished draft edits
+   * are only overwritten when the caller passes discardDraft, and the
+   * restored graph must still pass lint.
+   */
+  async rollback(workflowId, targetVersion, { userId = null, note = '', discardDraft = false } = {}) {
+    const target = await this.getSnapshot(workflowId, targetVersion);
+    if (!target) throw createError(`Version ${targetVersion} not found`, 404);
+
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) throw createError('Workflow not found', 404);
+    if (workflow.hasUnpublishedChanges !== false && !discardDraft) {
+      const error = createError('The draft has unpublished changes that a rollback would discard. Publish them first or confirm with discardDraft.', 409);
+      error.code = 'UNPUBLISHED_CHANGES';
+      throw error;
+    }
+
+    const before = workflowHistoryService.snapshotGraph(workflow);
+    workflow.nodes = toPlainArray(target.nodes);
+    workflow.edges = toPlainArray(target.edges);
+    workflow.config = toPlainObject(target.config);
+    workflow.tags = [...(target.tags || [])];
+    workflow.markModified('config');
+    assertValid(lintErrors(workflow));
+    await workflow.save();
+    await workflowHistoryService.record(workflow, before, { action: 'rollback', targetId: String(target.version), userId });
+
+    return this.publish(workflowId, {
+      userId,
+      note: note || `Rollback to version ${target.version}`,
+      rolledBackFrom: target.version
+    });
+  }
+
+  /**
+   * Nodes and config of every published version, for checks that must cover
+   * graphs live calls may still be running.
+   */
+  async listSnapshotGraphs(workflowId) {
+    return WorkflowVersion.find({ workflowId }).select('version nodes config').lean();
+  }
+
+  /**
+   * Drop every published version of a deleted workflow.
+   */
+  async deleteVersions(workflowId) {
+    const result = await WorkflowVersion.deleteMany({ workflowId });
+    for (const key of this.snapshotCache.keys()) {
+      if (key.startsWith(`${String(workflowId)}:`)) this.snapshotCache.delete(key);
+    }
+    return result.deletedCount || 0;
+  }
+
+  async listVersions(workflowId, { limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    return WorkflowVersion.find({ workflowId })
+      .sort({ version: -1 })
+      .limit(safeLimit)
+      .select('version note rolledBackFrom publishedBy publishedAt nodes edges')
+      .lean()
+      .then((versions) => versions.map(({ nodes, edges, ...rest }) => ({
+        ...rest,
+        nodeCount: Array.isArray(nodes) ? nodes.length : 0,
+        edgeCount: Array.isArray(edges) ? edges.length : 0
+      })));
+  }
+
+  /**
+   * Resolve a diff side: a version number, or "draft" for the working copy.
+   */
+  async _resolveGraph(workflow, ref) {
+    const normalized = String(ref ?? '').trim().toLowerCase();
+    if (!normalized || normalized === 'draft') return this._draftGraph(workflow);
+    if (normalized === 'published') {
+      if (!workflow.publishedVersion) throw createError('Workflow has no published version', 404);
+      return this.getSnapshot(workflow._id, workflow.publishedVersion);
+    }
+    const snapshot = await this.getSnapshot(workflow._id, Number(normalized));
+    if (!snapshot) throw createError(`Version ${ref} not found`, 404);
+    return snapshot;
+  }
+
+  async diffVersions(workflowId, from, to = 'draft') {
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) throw createError('Workflow not found', 404);
+
+    const [before, after] = await Promise.all([
+      this._resolveGraph(workflow, from),
+      this._resolveGraph(workflow, to)
+    ]);
+    return {
+      from: String(from ?? 'draft'),
+      to: String(to ?? 'draft'),
+      diff: diffWorkflowGraphs(before, after)
+    };
+  }
+}
+
+export default new WorkflowVersionService();
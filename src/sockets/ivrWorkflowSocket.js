@@ -1,167 +1,205 @@
 import logger from '../utils/logger.js';
-import IVRWorkflowEngine from '../services/ivrWorkflowEngine.js';
 import Workflow from '../models/Workflow.js';
+import workflowCollaborationService from '../services/workflowCollaborationService.js';
+
+export const workflowRoom = (workflowId) => `workflow:${workflowId}`;
 
 export function setupIVRWorkflowHandlers(io) {
 
   io.on('connection', (socket) => {
 
+    const actor = {
+      socketId: socket.id,
+      userId: socket.data?.userId ? String(socket.data.userId) : null,
+      name: socket.user?.name || socket.user?.email || null
+    };
+
+    const emitPresence = (workflowId) => {
+      io.to(workflowRoom(workflowId)).emit('workflow_presence', workflowCollaborationService.getSnapshot(workflowId));
+    };
+
+    const leaveWorkflow = (workflowId) => {
+      const releasedNodeIds = workflowCollaborationService.leave(workflowId, socket.id);
+      socket.leave(workflowRoom(workflowId));
+      socket.to(workflowRoom(workflowId)).emit('workflow_user_left', {
+        userId: socket.id,
+        user: actor,
+        timestamp: new Date()
+      });
+      releasedNodeIds.forEach((nodeId) => {
+        socket.to(workflowRoom(workflowId)).emit('workflow_node_unlocked', { workflowId, nodeId, timestamp: new Date() });
+      });
+      emitPresence(workflowId);
+    };
+
+    const reject = (error, context = {}, ack) => {
+      const payload = {
+        ...context,
+        error: error.message,
+        code: error.code || null,
+        ...(error.conflictSeq ? { conflictSeq: error.conflictSeq } : {})
+      };
+      socket.emit('workflow_error', payload);
+      if (typeof ack === 'function') ack({ success: false, ...payload });
+    };
+
+    /**
+     * Apply an editing operation through the collaboration session and
+     * broadcast it to every editor, stamped with its sequence number.
+     */
+    const applyAndBroadcast = async (workflowId, op, eventName, buildPayload, ack) => {
+      try {
+        const result = await workflowCollaborationService.applyOperation(workflowId, actor, op);
+        const payload = {
+          workflowId,
+          seq: result.seq,
+          ...buildPayload(result),
+          timestamp: new Date()
+        };
+        io.to(workflowRoom(workflowId)).emit(eventName, payload);
+        if (typeof ack === 'function') ack({ success: true, data: payload });
+        return result;
+      } catch (error) {
+        reject(error, { workflowId, operation: op.type }, ack);
+        return null;
+      }
+    };
+
     // Join workflow editing room
-    socket.on('join_workflow', (workflowId) => {
-      socket.join(`workflow:${workflowId}`);
+    socket.on('join_workflow', async (workflowId, ack) => {
+      let session;
+      try {
+        session = await workflowCollaborationService.join(workflowId, actor);
+      } catch (error) {
+        reject(error, { workflowId }, ack);
+        return;
+      }
+      socket.join(workflowRoom(workflowId));
       logger.info(`Socket ${socket.id} joined workflow:${workflowId}`);
 
+      // The joiner gets the sequence to base its operations on
+      socket.emit('workflow_session', session);
+      if (typeof ack === 'function') ack({ success: true, data: session });
+
       // Notify other users
-      socket.to(`workflow:${workflowId}`).emit('workflow_user_joined', {
+      socket.to(workflowRoom(workflowId)).emit('workflow_user_joined', {
         userId: socket.id,
+        user: actor,
         timestamp: new Date()
       });
+      emitPresence(workflowId);
     });
 
     // Leave workflow editing room
     socket.on('leave_workflow', (workflowId) => {
-      socket.leave(`workflow:${workflowId}`);
-      socket.to(`workflow:${workflowId}`).emit('workflow_user_left', {
-        userId: socket.id,
-        timestamp: new Date()
-      });
+      leaveWorkflow(workflowId);
     });
 
-    // Real-time workflow editing
-    socket.on('workflow_node_add', async (data) => {
-      const { workflowId, node, position } = data;
+    socket.on('disconnect', () => {
+      workflowCollaborationService.getWorkflowsForSocket(socket.id).forEach(leaveWorkflow);
+    });
 
+    // Presence: which node this editor has selected
+    socket.on('workflow_node_focus', (data = {}) => {
+      const { workflowId, nodeId = null } = data;
       try {
-        const result = await IVRWorkflowEngine.addNode(workflowId, node, position);
-
-        io.to(`workflow:${workflowId}`).emit('workflow_node_added', {
-          workflowId,
-          node: result.newNode,
-          addedBy: socket.id,
-          timestamp: new Date()
-        });
-
-        logger.info(`Node added to workflow ${workflowId} by ${socket.id}`);
+        workflowCollaborationService.setFocus(workflowId, socket.id, nodeId);
+        emitPresence(workflowId);
       } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
+        reject(error, { workflowId });
       }
     });
 
-    socket.on('workflow_node_update', async (data) => {
-      const { workflowId, nodeId, data: nodeData } = data;
+    // Soft locks: renew while the node's editor panel is open
+    socket.on('workflow_node_lock', (data = {}, ack) => {
+      const { workflowId, nodeId } = data;
       try {
-        // Update in DB (optional if you want to wait for save)
-        const updatedNode = await IVRWorkflowEngine.updateNodeData(workflowId, nodeId, nodeData);
-
-        io.to(`workflow:${workflowId}`).emit('workflow_node_updated', {
-          workflowId,
-          nodeId,
-          data: updatedNode.data,
-          audioUrl: updatedNode.audioUrl,
-          audioAssetId: updatedNode.audioAssetId,
-          updatedBy: socket.id,
-          timestamp: new Date()
-        });
+        const lock = workflowCollaborationService.acquireLock(workflowId, actor, nodeId);
+        socket.to(workflowRoom(workflowId)).emit('workflow_node_locked', { workflowId, ...lock, timestamp: new Date() });
+        if (typeof ack === 'function') ack({ success: true, data: lock });
       } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
+        reject(error, { workflowId, nodeId }, ack);
       }
     });
 
-    socket.on('workflow_node_move', async (data) => {
-      const { workflowId, nodeId, position } = data;
-
-      try {
-        await IVRWorkflowEngine.moveNode(workflowId, nodeId, position);
-
-        io.to(`workflow:${workflowId}`).emit('workflow_node_moved', {
-          workflowId,
-          nodeId,
-          position,
-          movedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
+    socket.on('workflow_node_unlock', (data = {}) => {
+      const { workflowId, nodeId } = data;
+      if (workflowCollaborationService.releaseLock(workflowId, socket.id, nodeId)) {
+        socket.to(workflowRoom(workflowId)).emit('workflow_node_unlocked', { workflowId, nodeId, timestamp: new Date() });
       }
     });
 
-    socket.on('workflow_edge_connect', async (data) => {
-      const { workflowId, sourceNode, targetNode, sourceHandle, targetHandle, edgeId } = data;
+    // Real-time workflow editing. Each payload may carry `baseSeq`, the last
+    // sequence number the client has applied.
+    socket.on('workflow_node_add', async (data = {}, ack) => {
+      const { workflowId, node, position, baseSeq } = data;
+      const result = await applyAndBroadcast(workflowId, { type: 'node_add', node, position, baseSeq }, 'workflow_node_added', (applied) => ({
+        node: applied.node,
+        addedBy: socket.id
+      }), ack);
+      if (result) logger.info(`Node added to workflow ${workflowId} by ${socket.id}`);
+    });
 
-      try {
-        const edge = await IVRWorkflowEngine.connectNodes(
-          workflowId, sourceNode, targetNode, sourceHandle, targetHandle, edgeId
-        );
+    socket.on('workflow_node_update', async (data = {}, ack) => {
+      const { workflowId, nodeId, data: nodeData, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'node_update', nodeId, data: nodeData, baseSeq }, 'workflow_node_updated', (applied) => ({
+        nodeId,
+        data: applied.node.data,
+        audioUrl: applied.node.audioUrl,
+        audioAssetId: applied.node.audioAssetId,
+        updatedBy: socket.id
+      }), ack);
+    });
 
-        io.to(`workflow:${workflowId}`).emit('workflow_edge_connected', {
-          workflowId,
-          edge,
-          connectedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
-      }
+    socket.on('workflow_node_move', async (data = {}, ack) => {
+      const { workflowId, nodeId, position, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'node_move', nodeId, position, baseSeq }, 'workflow_node_moved', () => ({
+        nodeId,
+        position,
+        movedBy: socket.id
+      }), ack);
     });
 
-    socket.on('workflow_edge_delete', async (data) => {
-      const { workflowId, edgeId } = data;
-      try {
-        await IVRWorkflowEngine.deleteEdge(workflowId, edgeId);
-        io.to(`workflow:${workflowId}`).emit('workflow_edge_deleted', {
-          workflowId,
-          edgeId,
-          deletedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
-      }
+    socket.on('workflow_edge_connect', async (data = {}, ack) => {
+      const { workflowId, sourceNode, targetNode, sourceHandle, targetHandle, edgeId, baseSeq } = data;
+      await applyAndBroadcast(workflowId, {
+        type: 'edge_connect', sourceNode, targetNode, sourceHandle, targetHandle, edgeId, baseSeq
+      }, 'workflow_edge_connected', (applied) => ({
+        edge: applied.edge,
+        connectedBy: socket.id
+      }), ack);
     });
 
-    socket.on('workflow_edge_reattach', async (data) => {
-      const { workflowId, edgeId, updates } = data;
-      try {
-        const edge = await IVRWorkflowEngine.reattachEdge(workflowId, edgeId, updates);
-        io.to(`workflow:${workflowId}`).emit('workflow_edge_reattached', {
-          workflowId,
-          edge,
-          updatedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
-      }
+    socket.on('workflow_edge_delete', async (data = {}, ack) => {
+      const { workflowId, edgeId, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'edge_delete', edgeId, baseSeq }, 'workflow_edge_deleted', () => ({
+        edgeId,
+        deletedBy: socket.id
+      }), ack);
     });
 
-    socket.on('workflow_edge_update', async (data) => {
-      const { workflowId, edgeId, updates } = data;
-      try {
-        const edge = await IVRWorkflowEngine.updateEdge(workflowId, edgeId, updates);
-        io.to(`workflow:${workflowId}`).emit('workflow_edge_updated', {
-          workflowId,
-          edge,
-          updatedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
-      }
+    socket.on('workflow_edge_reattach', async (data = {}, ack) => {
+      const { workflowId, edgeId, updates, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'edge_update', edgeId, updates, baseSeq }, 'workflow_edge_reattached', (applied) => ({
+        edge: applied.edge,
+        updatedBy: socket.id
+      }), ack);
     });
 
-    socket.on('workflow_node_delete', async (data) => {
-      const { workflowId, nodeId } = data;
-      try {
-        await IVRWorkflowEngine.deleteNode(workflowId, nodeId);
-        io.to(`workflow:${workflowId}`).emit('workflow_node_deleted', {
-          workflowId,
-          nodeId,
-          deletedBy: socket.id,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        socket.emit('workflow_error', { error: error.message });
-      }
+    socket.on('workflow_edge_update', async (data = {}, ack) => {
+      const { workflowId, edgeId, updates, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'edge_update', edgeId, updates, baseSeq }, 'workflow_edge_updated', (applied) => ({
+        edge: applied.edge,
+        updatedBy: socket.id
+      }), ack);
+    });
+
+    socket.on('workflow_node_delete', async (data = {}, ack) => {
+      const { workflowId, nodeId, baseSeq } = data;
+      await applyAndBroadcast(workflowId, { type: 'node_delete', nodeId, baseSeq }, 'workflow_node_deleted', () => ({
+        nodeId,
+        deletedBy: socket.id
+      }), ack);
     });
 
     // Live workflow testing
@@ -19,6 +19,7 @@ import {
   mapRoutingRuleResponse
 } from '../services/inboundSnapshotService.js';
 import ivrCascadeDeleteService from '../services/ivrCascadeDeleteService.js';
+import { normalizeRequiredSkills } from '../services/agentService.js';
 
 let io;
 let initialized = false;
@@ -141,6 +142,8 @@ const validateAndPersistRoutingRule = async (incomingRule = {}, userId) => {
     ivrPromptKey: String(incomingRule.ivrPromptKey || '').trim(),
     enabled: typeof incomingRule.enabled === 'boolean' ? incomingRule.enabled : true
   };
+  if (incomingRule.queueName !== undefined) payload.queueName = String(incomingRule.queueName || '').trim();
+  if (incomingRule.requiredSkills !== undefined) payload.requiredSkills = normalizeRequiredSkills(incomingRule.requiredSkills);
 
   if (!payload.name || !payload.condition) {
     throw new Error('name and condition are required');
@@ -1156,6 +1159,11 @@ export function emitOutboundTemplateUpdate(userId, payload) {
   io.emit('outbound_template_update', eventPayload);
 }
 
+export function emitVoicemailUpdate(userId, payload) {
+  if (!io || !userId) return;
+  io.to(getUserRoom(userId)).emit('voicemail_update', { timestamp: new Date(), ...payload });
+}
+
 export function emitHealthUpdate(health) {
   if (!io) return;
   io.emit('health_update', health);
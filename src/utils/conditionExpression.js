@@ -0,0 +1,881 @@
+/**
+ * Small boolean expression language used by conditional nodes and inbound
+ * routing rules. Expressions are tokenised and parsed into an AST and then
+ * walked by an interpreter; nothing is ever passed to eval/Function and only
+ * the whitelisted functions below can be called.
+ *
+ *   callerNumber starts_with '+91' and hour >= 9 and hour < 18
+ *   not (customerTier in ['gold', 'vip']) or len(trim(booking.notes)) > 0
+ *   matches(callerNumber, '^\\+1(212|646)') && weekday in [1, 2, 3, 4, 5]
+ *
+ * Identifiers resolve against execution variables first (dotted names are
+ * looked up as flat keys, then as nested paths) and then against built-ins:
+ * callerNumber, destinationNumber, now, hour, minute, weekday (0 = Sunday),
+ * dayName, date (YYYY-MM-DD) and time (HH:MM), all in the scope's timezone.
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 40;
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT_LENGTH = 1000;
+const MAX_PARSE_CACHE_SIZE = 500;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FORBIDDEN_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor']);
+const WORD_OPERATORS = new Set(['and', 'or', 'not', 'in', 'matches', 'contains', 'starts_with', 'ends_with']);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=', 'matches', 'contains', 'starts_with', 'ends_with']);
+
+const parseCache = new Map();
+const regexCache = new Map();
+const formatterCache = new Map();
+
+const createExpressionError = (message, position = null) => {
+  const error = new Error(position === null ? message : `${message} (at position ${position + 1})`);
+  error.status = 400;
+  error.code = 'INVALID_EXPRESSION';
+  error.position = position;
+  return error;
+};
+
+/* =========================
+   VALUE HELPERS
+========================== */
+
+const isNumeric = (value) => (
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value))
+);
+
+const hasOwn = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Execution variables are mostly strings, so "false", "0" and "no" count as false.
+export const toTruthy = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    return !['', 'false', '0', 'no', 'n', 'null', 'undefined'].includes(normalized);
+  }
+  if (Array.isArray(value)) return value.length > 0;
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  return value !== undefined && value !== null;
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value === 'string' && value.trim()) {
+    const parsed = new Date(value.trim());
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+  }
+  return null;
+};
+
+const looseEquals = (left, right) => {
+  const leftMissing = left === undefined || left === null;
+  const rightMissing = right === undefined || right === null;
+  if (leftMissing || rightMissing) return leftMissing && rightMissing;
+  if (left instanceof Date || right instanceof Date) {
+    const a = toDate(left);
+    const b = toDate(right);
+    return Boolean(a && b) && a.getTime() === b.getTime();
+  }
+  if (isNumeric(left) && isNumeric(right)) return Number(left) === Number(right);
+  return toText(left) === toText(right);
+};
+
+const compareValues = (left, right) => {
+  if (left instanceof Date || right instanceof Date) {
+    const a = toDate(left);
+    const b = toDate(right);
+    if (!a || !b) return NaN;
+    return a.getTime() - b.getTime();
+  }
+  if (isNumeric(left) && isNumeric(right)) return Number(left) - Number(right);
+  if (left === undefined || left === null || right === undefined || right === null) return NaN;
+  const a = toText(left);
+  const b = toText(right);
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map((item) => item.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Find a repeated group that can backtrack catastrophically: one holding a
+ * quantifier, e.g. (a+)+ or (\d*){2,}, or an alternation, e.g. (a|aa)+.
+ * Returns 'quantifier', 'alternation' or null.
+ */
+const findUnsafeRepetition = (source) => {
+  const groups = [];
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      for (i += 1; i < source.length && source[i] !== ']'; i += 1) {
+        if (source[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ quantifier: false, alternation: false });
+      if (source[i + 1] === '?') i += 1;
+    } else if (char === ')') {
+      const group = groups.pop() || { quantifier: false, alternation: false };
+      if (/[+*{]/.test(source[i + 1] || '')) {
+        if (group.quantifier) return 'quantifier';
+        if (group.alternation) return 'alternation';
+      }
+      const parent = groups[groups.length - 1];
+      if (parent) {
+        parent.quantifier = parent.quantifier || group.quantifier;
+        parent.alternation = parent.alternation || group.alternation;
+      }
+    } else if (groups.length && /[+*}]/.test(char)) {
+      groups[groups.length - 1].quantifier = true;
+    } else if (groups.length && char === '|') {
+      groups[groups.length - 1].alternation = true;
+    }
+  }
+  return null;
+};
+
+/**
+ * Compile a user-supplied regex with guards against patterns that are
+ * likely to backtrack catastrophically. Throws an expression error.
+ */
+export const compileSafeRegex = (pattern, flags = '') => {
+  const source = toText(pattern);
+  const normalizedFlags = toText(flags);
+  const cacheKey = `${normalizedFlags}/${source}`;
+  if (regexCache.has(cacheKey)) return regexCache.get(cacheKey);
+
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw createExpressionError(`Regex pattern exceeds ${MAX_REGEX_LENGTH} characters`);
+  }
+  if (!/^[imsu]*$/.test(normalizedFlags)) {
+    throw createExpressionError(`Unsupported regex flags "${normalizedFlags}"`);
+  }
+  const unsafeRepetition = findUnsafeRepetition(source);
+  if (unsafeRepetition === 'quantifier') {
+    throw createExpressionError(`Regex pattern "${source}" uses nested quantifiers, which are not allowed`);
+  }
+  if (unsafeRepetition === 'alternation') {
+    throw createExpressionError(`Regex pattern "${source}" repeats a group with alternatives, which is not allowed`);
+  }
+
+  let compiled;
+  try {
+    compiled = new RegExp(source, normalizedFlags);
+  } catch (error) {
+    throw createExpressionError(`Invalid regex pattern "${source}": ${error.message}`);
+  }
+
+  if (regexCache.size >= MAX_PARSE_CACHE_SIZE) {
+    regexCache.delete(regexCache.keys().next().value);
+  }
+  regexCache.set(cacheKey, compiled);
+  return compiled;
+};
+
+export const testSafeRegex = (pattern, value, flags = '') => (
+  compileSafeRegex(pattern, flags).test(toText(value).slice(0, MAX_REGEX_INPUT_LENGTH))
+);
+
+/* =========================
+   TIME HELPERS
+========================== */
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+const getLocalParts = (date, timezone = '') => {
+  if (timezone) {
+    try {
+      const parts = Object.fromEntries(
+        getFormatter(timezone).formatToParts(date).map((part) => [part.type, part.value])
+      );
+      return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: DAY_NAMES.indexOf(String(parts.weekday || '').slice(0, 3).toLowerCase())
+      };
+    } catch {
+      // Unknown timezone: fall back to server time below.
+    }
+  }
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    weekday: date.getDay()
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseClockMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(toText(value).trim());
+  if (!match) return NaN;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59) return NaN;
+  return hours * 60 + minutes;
+};
+
+/* =========================
+   FUNCTIONS
+========================== */
+
+const partsFor = (ctx, value) => {
+  const date = value === undefined ? ctx.now : toDate(value);
+  return date ? getLocalParts(date, ctx.timezone) : null;
+};
+
+const FUNCTIONS = {
+  lower: { args: [1, 1], fn: (ctx, value) => toText(value).toLowerCase() },
+  upper: { args: [1, 1], fn: (ctx, value) => toText(value).toUpperCase() },
+  trim: { args: [1, 1], fn: (ctx, value) => toText(value).trim() },
+  len: { args: [1, 1], fn: (ctx, value) => (Array.isArray(value) ? value.length : toText(value).length) },
+  string: { args: [1, 1], fn: (ctx, value) => toText(value) },
+  number: {
+    args: [1, 1],
+    fn: (ctx, value) => {
+      const parsed = Number(typeof value === 'string' ? value.trim() : value);
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+  },
+  abs: { args: [1, 1], fn: (ctx, value) => Math.abs(Number(value)) },
+  floor: { args: [1, 1], fn: (ctx, value) => Math.floor(Number(value)) },
+  ceil: { args: [1, 1], fn: (ctx, value) => Math.ceil(Number(value)) },
+  round: {
+    args: [1, 2],
+    fn: (ctx, value, digits = 0) => {
+      const factor = 10 ** Math.min(Math.max(Number(digits) || 0, 0), 10);
+      return Math.round(Number(value) * factor) / factor;
+    }
+  },
+  min: { args: [1, 20], fn: (ctx, ...values) => Math.min(...values.map(Number)) },
+  max: { args: [1, 20], fn: (ctx, ...values) => Math.max(...values.map(Number)) },
+  contains: {
+    args: [2, 2],
+    fn: (ctx, haystack, needle) => (Array.isArray(haystack)
+      ? haystack.some((item) => looseEquals(item, needle))
+      : toText(haystack).includes(toText(needle)))
+  },
+  starts_with: { args: [2, 2], fn: (ctx, value, prefix) => toText(value).startsWith(toText(prefix)) },
+  ends_with: { args: [2, 2], fn: (ctx, value, suffix) => toText(value).endsWith(toText(suffix)) },
+  matches: { args: [2, 3], fn: (ctx, value, pattern, flags = '') => testSafeRegex(pattern, value, flags) },
+  exists: { args: [1, 1], fn: (ctx, value) => value !== undefined && value !== null },
+  empty: {
+    args: [1, 1],
+    fn: (ctx, value) => (Array.isArray(value) ? value.length === 0 : toText(value).trim() === '')
+  },
+  var: { args: [1, 1], fn: (ctx, name) => lookupVariable(ctx, toText(name)) },
+  now: { args: [0, 0], fn: (ctx) => ctx.now },
+  date: { args: [1, 1], fn: (ctx, value) => toDate(value) },
+  today: {
+    args: [0, 0],
+    fn: (ctx) => {
+      const parts = getLocalParts(ctx.now, ctx.timezone);
+      return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    }
+  },
+  hour: { args: [0, 1], fn: (ctx, value) => partsFor(ctx, value)?.hour ?? null },
+  minute: { args: [0, 1], fn: (ctx, value) => partsFor(ctx, value)?.minute ?? null },
+  weekday: { args: [0, 1], fn: (ctx, value) => partsFor(ctx, value)?.weekday ?? null },
+  is_weekend: {
+    args: [0, 1],
+    fn: (ctx, value) => {
+      const weekday = partsFor(ctx, value)?.weekday;
+      return weekday === 0 || weekday === 6;
+    }
+  },
+  days_between: {
+    args: [2, 2],
+    fn: (ctx, from, to) => {
+      const start = toDate(from);
+      const end = toDate(to);
+      if (!start || !end) return null;
+      return Math.floor((end.getTime() - start.getTime()) / 86400000);
+    }
+  },
+  // time_between('09:00', '17:30') is true for 09:00 <= now < 17:30; wraps past midnight.
+  time_between: {
+    args: [2, 3],
+    fn: (ctx, start, end, at) => {
+      const parts = partsFor(ctx, at);
+      const startMinutes = parseClockMinutes(start);
+      const endMinutes = parseClockMinutes(end);
+      if (!parts || Number.isNaN(startMinutes) || Number.isNaN(endMinutes)) return false;
+      const current = parts.hour * 60 + parts.minute;
+      if (startMinutes <= endMinutes) return current >= startMinutes && current < endMinutes;
+      return current >= startMinutes || current < endMinutes;
+    }
+  }
+};
+
+export const EXPRESSION_FUNCTIONS = Object.freeze(Object.keys(FUNCTIONS));
+
+/* =========================
+   TOKENIZER
+========================== */
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = index;
+      let value = '';
+      index += 1;
+      while (index < source.length && source[index] !== char) {
+        if (source[index] === '\\' && index + 1 < source.length) {
+          const escaped = source[index + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          index += 2;
+        } else {
+          value += source[index];
+          index += 1;
+        }
+      }
+      if (index >= source.length) throw createExpressionError('Unterminated string', start);
+      index += 1;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const numberMatch = /^\d+(\.\d+)?/.exec(source.slice(index));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: index });
+      index += numberMatch[0].length;
+      continue;
+    }
+
+    const identifierMatch = /^[A-Za-z_$][\w$]*(\.[\w$]+)*/.exec(source.slice(index));
+    if (identifierMatch) {
+      const word = identifierMatch[0];
+      const lowered = word.toLowerCase();
+      if (WORD_OPERATORS.has(lowered)) {
+        tokens.push({ type: 'operator', value: lowered, position: index });
+      } else if (['true', 'false', 'null'].includes(lowered)) {
+        tokens.push({ type: 'literal', value: lowered === 'null' ? null : lowered === 'true', position: index });
+      } else {
+        const blocked = word.split('.').find((segment) => FORBIDDEN_SEGMENTS.has(segment));
+        if (blocked) throw createExpressionError(`Access to "${blocked}" is not allowed`, index);
+        tokens.push({ type: 'identifier', value: word, position: index });
+      }
+      index += word.length;
+      continue;
+    }
+
+    const twoChars = source.slice(index, index + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(twoChars)) {
+      const value = { '&&': 'and', '||': 'or' }[twoChars] || twoChars;
+      tokens.push({ type: 'operator', value, position: index });
+      index += 2;
+      continue;
+    }
+
+    if ('<>!+-*/%='.includes(char)) {
+      const value = { '!': 'not', '=': '==' }[char] || char;
+      tokens.push({ type: 'operator', value, position: index });
+      index += 1;
+      continue;
+    }
+
+    if ('()[],'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    throw createExpressionError(`Unexpected character "${char}"`, index);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+};
+
+/* =========================
+   PARSER
+========================== */
+
+/**
+ * Recursive-descent parser. Precedence (loosest first):
+ *   or → and → not → comparison / in / matches → + - → * / % → unary minus → primary
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    this.index += 1;
+    return token;
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  isPunctuation(value) {
+    const token = this.peek();
+    return token.type === 'punctuation' && token.value === value;
+  }
+
+  expectPunctuation(value) {
+    const token = this.next();
+    if (token.type !== 'punctuation' || token.value !== value) {
+      throw createExpressionError(`Expected "${value}" but found ${this.describe(token)}`, token.position);
+    }
+    return token;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of expression';
+    if (token.type === 'string') return `'${token.value}'`;
+    return `"${token.value}"`;
+  }
+
+  enter(position) {
+    this.depth += 1;
+    if (this.depth > MAX_NESTING_DEPTH) {
+      throw createExpressionError(`Expression is nested more than ${MAX_NESTING_DEPTH} levels deep`, position);
+    }
+  }
+
+  parse() {
+    if (this.peek().type === 'eof') throw createExpressionError('Expression is empty', 0);
+    const ast = this.parseOr();
+    const trailing = this.peek();
+    if (trailing.type !== 'eof') {
+      throw createExpressionError(`Unexpected ${this.describe(trailing)}`, trailing.position);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isOperator('or')) {
+      this.next();
+      left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isOperator('and')) {
+      this.next();
+      left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isOperator('not')) {
+      const token = this.next();
+      this.enter(token.position);
+      const argument = this.parseNot();
+      this.depth -= 1;
+      return { type: 'unary', op: 'not', argument };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    // "x not in [...]"
+    if (token.type === 'operator' && token.value === 'not' && this.tokens[this.index + 1]?.value === 'in') {
+      this.index += 2;
+      return { type: 'unary', op: 'not', argument: { type: 'in', left, right: this.parseAdditive() } };
+    }
+    if (token.type === 'operator' && token.value === 'in') {
+      this.next();
+      return { type: 'in', left, right: this.parseAdditive() };
+    }
+    if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+      this.next();
+      const right = this.parseAdditive();
+      if (token.value === 'matches' && right.type === 'literal') {
+        this.checkRegex(right.value, '', right.position ?? token.position);
+      }
+      return { type: 'binary', op: token.value, left, right };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-')) {
+      const { value } = this.next();
+      left = { type: 'binary', op: value, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+      const { value } = this.next();
+      left = { type: 'binary', op: value, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-')) {
+      const token = this.next();
+      this.enter(token.position);
+      const argument = this.parseUnary();
+      this.depth -= 1;
+      return { type: 'unary', op: '-', argument };
+    }
+    return this.parsePrimary();
+  }
+
+  parseList(closing) {
+    const items = [];
+    if (this.isPunctuation(closing)) {
+      this.next();
+      return items;
+    }
+    for (;;) {
+      items.push(this.parseOr());
+      const token = this.next();
+      if (token.type === 'punctuation' && token.value === closing) return items;
+      if (token.type !== 'punctuation' || token.value !== ',') {
+        throw createExpressionError(`Expected "," or "${closing}" but found ${this.describe(token)}`, token.position);
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+
+    if (token.type === 'punctuation' && token.value === '(') {
+      this.enter(token.position);
+      const expression = this.parseOr();
+      this.expectPunctuation(')');
+      this.depth -= 1;
+      return expression;
+    }
+
+    if (token.type === 'punctuation' && token.value === '[') {
+      this.enter(token.position);
+      const items = this.parseList(']');
+      this.depth -= 1;
+      return { type: 'list', items };
+    }
+
+    // Word operators double as functions: contains(a, b), matches(a, 'x').
+    const isCallableOperator = token.type === 'operator' && hasOwn(FUNCTIONS, token.value) && this.isPunctuation('(');
+    if (token.type === 'identifier' || isCallableOperator) {
+      if (!this.isPunctuation('(')) return { type: 'identifier', name: token.value };
+
+      const name = token.value;
+      const definition = hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+      if (!definition) throw createExpressionError(`Unknown function "${name}"`, token.position);
+
+      this.next();
+      this.enter(token.position);
+      const args = this.parseList(')');
+      this.depth -= 1;
+
+      const [minArgs, maxArgs] = definition.args;
+      if (args.length < minArgs || args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? `${minArgs}` : `${minArgs}-${maxArgs}`;
+        throw createExpressionError(`${name}() expects ${expected} argument(s) but got ${args.length}`, token.position);
+      }
+      if (name === 'matches' && args[1].type === 'literal' && (!args[2] || args[2].type === 'literal')) {
+        this.checkRegex(args[1].value, args[2]?.value ?? '', token.position);
+      }
+      return { type: 'call', name, args };
+    }
+
+    throw createExpressionError(`Unexpected ${this.describe(token)}`, token.position);
+  }
+
+  checkRegex(pattern, flags, position) {
+    try {
+      compileSafeRegex(pattern, flags);
+    } catch (error) {
+      throw createExpressionError(error.message.replace(/ \(at position \d+\)$/, ''), position);
+    }
+  }
+}
+
+/**
+ * Parse an expression into an AST. Throws an Error with `status = 400`,
+ * `code = 'INVALID_EXPRESSION'` and the zero-based `position` on bad syntax.
+ */
+export const parseExpression = (source) => {
+  const text = String(source ?? '').trim();
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw createExpressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  if (parseCache.has(text)) return parseCache.get(text);
+
+  const ast = new Parser(text).parse();
+  if (parseCache.size >= MAX_PARSE_CACHE_SIZE) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  parseCache.set(text, ast);
+  return ast;
+};
+
+/**
+ * Returns null when the expression parses, otherwise { message, position }.
+ */
+export const validateExpression = (source) => {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return { message: error.message, position: error.position ?? null };
+  }
+};
+
+/* =========================
+   EVALUATOR
+========================== */
+
+const readPath = (source, name) => {
+  if (!source || typeof source !== 'object') return undefined;
+  if (hasOwn(source, name)) return source[name];
+
+  let current = source;
+  for (const segment of name.split('.')) {
+    if (FORBIDDEN_SEGMENTS.has(segment) || !current || typeof current !== 'object' || !hasOwn(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+function lookupVariable(ctx, name) {
+  if (!name || name.split('.').some((segment) => FORBIDDEN_SEGMENTS.has(segment))) return undefined;
+  const fromVariables = readPath(ctx.variables, name);
+  if (fromVariables !== undefined) return fromVariables;
+  return readPath(ctx.builtins, name);
+}
+
+const applyArithmetic = (op, left, right) => {
+  if (op === '+' && !(isNumeric(left) && isNumeric(right))) return `${toText(left)}${toText(right)}`;
+  const a = Number(left);
+  const b = Number(right);
+  switch (op) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    case '%': return b === 0 ? null : a % b;
+    default: return null;
+  }
+};
+
+const evaluateNode = (node, ctx) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return lookupVariable(ctx, node.name);
+    case 'list':
+      return node.items.map((item) => evaluateNode(item, ctx));
+    case 'call':
+      if (!hasOwn(FUNCTIONS, node.name)) throw createExpressionError(`Unknown function "${node.name}"`);
+      return FUNCTIONS[node.name].fn(ctx, ...node.args.map((arg) => evaluateNode(arg, ctx)));
+    case 'unary': {
+      const value = evaluateNode(node.argument, ctx);
+      if (node.op === 'not') return !toTruthy(value);
+      const number = Number(value);
+      return Number.isFinite(number) ? -number : null;
+    }
+    case 'logical': {
+      const left = toTruthy(evaluateNode(node.left, ctx));
+      if (node.op === 'and') return left && toTruthy(evaluateNode(node.right, ctx));
+      return left || toTruthy(evaluateNode(node.right, ctx));
+    }
+    case 'in': {
+      const needle = evaluateNode(node.left, ctx);
+      return toList(evaluateNode(node.right, ctx)).some((item) => looseEquals(item, needle));
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, ctx);
+      const right = evaluateNode(node.right, ctx);
+      switch (node.op) {
+        case '==': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case '<': return compareValues(left, right) < 0;
+        case '<=': return compareValues(left, right) <= 0;
+        case '>': return compareValues(left, right) > 0;
+        case '>=': return compareValues(left, right) >= 0;
+        case 'matches': return testSafeRegex(right, left);
+        case 'contains': return FUNCTIONS.contains.fn(ctx, left, right);
+        case 'starts_with': return toText(left).startsWith(toText(right));
+        case 'ends_with': return toText(left).endsWith(toText(right));
+        default: return applyArithmetic(node.op, left, right);
+      }
+    }
+    default:
+      throw createExpressionError(`Unsupported expression node "${node.type}"`);
+  }
+};
+
+/**
+ * Build the evaluation scope for a call.
+ * @param {Object} options
+ * @param {Object} [options.variables] - Execution variables (flat or nested)
+ * @param {string} [options.callerNumber]
+ * @param {string} [options.destinationNumber]
+ * @param {string} [options.timezone] - IANA zone used for time-of-day values
+ * @param {Date} [options.now]
+ * @param {Object} [options.extra] - Additional built-ins (e.g. routing flags)
+ */
+export const buildExpressionScope = ({
+  variables = {},
+  callerNumber = '',
+  destinationNumber = '',
+  timezone = '',
+  now = new Date(),
+  extra = {}
+} = {}) => {
+  const normalizedTimezone = String(timezone || '').trim();
+  const parts = getLocalParts(now, normalizedTimezone);
+  return {
+    variables: variables && typeof variables === 'object' ? variables : {},
+    timezone: normalizedTimezone,
+    now,
+    builtins: {
+      callerNumber: String(callerNumber || variables?.callerNumber || ''),
+      destinationNumber: String(destinationNumber || variables?.destinationNumber || ''),
+      now,
+      hour: parts.hour,
+      minute: parts.minute,
+      weekday: parts.weekday,
+      dayName: DAY_NAMES[parts.weekday] || '',
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+      ...extra
+    }
+  };
+};
+
+/**
+ * Evaluate an expression (source string or parsed AST) against a scope from
+ * buildExpressionScope(). Returns the raw value.
+ */
+export const evaluateExpression = (expression, scope = buildExpressionScope()) => {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  return evaluateNode(ast, scope);
+};
+
+export const evaluateCondition = (expression, scope) => toTruthy(evaluateExpression(expression, scope));
+
+/**
+ * Names of the variables an expression reads, for static analysis. Reads
+ * guarded by exists()/empty() are skipped since they expect a missing value;
+ * var('name') with a literal name counts as a read. Returns [] on bad syntax.
+ */
+export const collectExpressionVariables = (expression) => {
+  let ast;
+  try {
+    ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  } catch {
+    return [];
+  }
+  const names = new Set();
+  const visit = (node) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'identifier':
+        names.add(node.name);
+        break;
+      case 'call':
+        if (['exists', 'empty'].includes(node.name)) break;
+        if (node.name === 'var' && node.args[0]?.type === 'literal') {
+          names.add(String(node.args[0].value));
+          break;
+        }
+        node.args.forEach(visit);
+        break;
+      case 'list':
+        node.items.forEach(visit);
+        break;
+      case 'unary':
+        visit(node.argument);
+        break;
+      default:
+        visit(node.left);
+        visit(node.right);
+    }
+  };
+  visit(ast);
+  return Array.from(names);
+};
+
+export default {
+  parseExpression,
+  validateExpression,
+  evaluateExpression,
+  evaluateCondition,
+  collectExpressionVariables,
+  buildExpressionScope,
+  compileSafeRegex,
+  testSafeRegex,
+  toTruthy,
+  EXPRESSION_FUNCTIONS
+};
@@ -0,0 +1,121 @@
+/**
+ * Workflow hotkeys: keypad digits that work at every node waiting for a key
+ * press (config.hotkeys). Each sends the caller to `nodeId` or runs a
+ * built-in action:
+ *   back      - the previous node that asked the caller something
+ *   repeat    - the current node again
+ *   operator  - `nodeId`, or the workflow's first transfer node
+ *   main_menu - `nodeId`, or the workflow's first menu node
+ * A node's own choices win: a hotkey is ignored where the node already uses
+ * its digit. "#" is left out because gathers use it to finish entries.
+ */
+
+import { normalizeMenuDigit } from './menuOptions.js';
+
+export const HOTKEY_ACTIONS = ['goto', 'back', 'repeat', 'operator', 'main_menu'];
+
+// Nodes whose gathers honour hotkeys. Verify and survey are left out so
+// account numbers, PINs and ratings are never taken for a hotkey.
+export const HOTKEY_NODE_TYPES = new Set([
+  'input',
+  'menu',
+  'audio',
+  'greeting',
+  'language_select',
+  'availability_check',
+  'slot_offer',
+  'booking_confirm'
+]);
+
+const HOTKEY_DIGIT_PATTERN = /^[0-9*]$/;
+
+/**
+ * Whether a node's gather honours hotkeys. Audio and greeting nodes only
+ * gather when they wait after playback.
+ */
+export const acceptsHotkeys = (node) => {
+  const type = String(node?.type || '').trim().toLowerCase();
+  if (!HOTKEY_NODE_TYPES.has(type)) return false;
+  return !['audio', 'greeting'].includes(type) || node?.data?.afterPlayback === 'wait';
+};
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const normalizeAction = (value) => {
+  const action = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (action === 'mainmenu' || action === 'menu') return 'main_menu';
+  return action;
+};
+
+/**
+ * Normalise hotkeys into [{ digit, action, nodeId }]. Accepts an array of
+ * objects or a { digit: action-or-node-id } map. Entries with an unusable
+ * digit, an unknown action or a `goto` without a node are dropped;
+ * duplicate digits keep the first entry.
+ */
+export const normalizeHotkeys = (raw) => {
+  const source = parseMaybeJson(raw);
+  let entries = [];
+  if (Array.isArray(source)) {
+    entries = source;
+  } else if (source && typeof source === 'object') {
+    entries = Object.entries(source).map(([digit, value]) => (
+      HOTKEY_ACTIONS.includes(normalizeAction(value)) ? { digit, action: value } : { digit, action: 'goto', nodeId: value }
+    ));
+  }
+
+  const seenDigits = new Set();
+  return entries
+    .map((entry) => {
+      const nodeId = String(entry?.nodeId ?? entry?.node_id ?? entry?.target ?? '').trim();
+      const action = normalizeAction(entry?.action) || (nodeId ? 'goto' : '');
+      return {
+        digit: normalizeMenuDigit(entry?.digit ?? entry?.key),
+        action,
+        nodeId: nodeId || null
+      };
+    })
+    .filter((hotkey) => {
+      if (!HOTKEY_DIGIT_PATTERN.test(hotkey.digit) || seenDigits.has(hotkey.digit)) return false;
+      if (!HOTKEY_ACTIONS.includes(hotkey.action) || (hotkey.action === 'goto' && !hotkey.nodeId)) return false;
+      seenDigits.add(hotkey.digit);
+      return true;
+    });
+};
+
+/**
+ * Where "back" goes from `currentNodeId`. The visits are replayed as a
+ * stack of the nodes in `nodes` that honour hotkeys: revisiting a node pops
+ * everything above it, so pressing back repeatedly walks further back
+ * instead of bouncing between two nodes. Only visits at the caller's
+ * current subflow depth count. Null when there is nowhere to go back to.
+ */
+export const findBackTarget = (visitedNodes = [], currentNodeId, { nodes = [], depth = 0, workflowId = null } = {}) => {
+  const eligibleIds = new Set(nodes.filter(acceptsHotkeys).map((node) => node.id));
+  const stack = [];
+  visitedNodes
+    .filter((visit) => (Number(visit?.depth) || 0) === depth && (depth === 0 || String(visit?.workflowId) === String(workflowId)))
+    .filter((visit) => eligibleIds.has(visit?.nodeId))
+    .forEach((visit) => {
+      const index = stack.indexOf(visit.nodeId);
+      if (index >= 0) stack.length = index + 1;
+      else stack.push(visit.nodeId);
+    });
+  if (stack[stack.length - 1] === currentNodeId) stack.pop();
+  return stack[stack.length - 1] || null;
+};
+
+export default {
+  HOTKEY_ACTIONS,
+  HOTKEY_NODE_TYPES,
+  acceptsHotkeys,
+  normalizeHotkeys,
+  findBackTarget
+};
@@ -0,0 +1,101 @@
+/**
+ * Small JSONPath subset for pulling values out of API responses:
+ *   $.data.customer.name   data.items[0].id   $['first name']   $.items[*].sku   items[-1]
+ * No filters, recursion or script expressions.
+ */
+
+const createPathError = (path, reason) => {
+  const error = new Error(`Invalid JSON path "${path}": ${reason}`);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a path into segments: strings for keys, numbers for indexes and
+ * '*' for wildcards. Throws a 400 error for malformed paths.
+ */
+export const parseJsonPath = (rawPath) => {
+  const path = String(rawPath ?? '').trim();
+  if (!path) throw createPathError(path, 'path is empty');
+
+  let i = 0;
+  if (path[0] === '$') i = 1;
+  const segments = [];
+  const readKey = () => {
+    const start = i;
+    while (i < path.length && /[\w$-]/.test(path[i])) i += 1;
+    if (start === i) throw createPathError(path, `expected a key at position ${start}`);
+    return path.slice(start, i);
+  };
+
+  if (i === 0 && path[0] !== '[') {
+    segments.push(readKey());
+  }
+  while (i < path.length) {
+    const char = path[i];
+    if (char === '.') {
+      i += 1;
+      if (path[i] === '*') {
+        segments.push('*');
+        i += 1;
+      } else {
+        segments.push(readKey());
+      }
+    } else if (char === '[') {
+      const close = path.indexOf(']', i);
+      if (close === -1) throw createPathError(path, 'unclosed [');
+      const inner = path.slice(i + 1, close).trim();
+      if (inner === '*') {
+        segments.push('*');
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push(Number(inner));
+      } else if (/^'[^']*'$|^"[^"]*"$/.test(inner)) {
+        segments.push(inner.slice(1, -1));
+      } else {
+        throw createPathError(path, `unsupported selector [${inner}]`);
+      }
+      i = close + 1;
+    } else {
+      throw createPathError(path, `unexpected "${char}" at position ${i}`);
+    }
+  }
+  return segments;
+};
+
+const step = (value, segment) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof segment === 'number') {
+    if (!Array.isArray(value)) return undefined;
+    return value[segment < 0 ? value.length + segment : segment];
+  }
+  if (typeof value !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+};
+
+/**
+ * Read a value by path. Wildcards fan out and return an array of matches;
+ * a plain path returns the single value or undefined.
+ */
+export const evaluateJsonPath = (data, path) => {
+  const segments = Array.isArray(path) ? path : parseJsonPath(path);
+  let current = [data];
+  let fannedOut = false;
+  for (const segment of segments) {
+    if (segment === '*') {
+      fannedOut = true;
+      current = current.flatMap((value) => {
+        if (Array.isArray(value)) return value;
+        if (value && typeof value === 'object') return Object.values(value);
+        return [];
+      });
+    } else {
+      current = current.map((value) => step(value, segment)).filter((value) => value !== undefined);
+    }
+  }
+  return fannedOut ? current : current[0];
+};
+
+export default {
+  parseJsonPath,
+  evaluateJsonPath
+};
@@ -0,0 +1,231 @@
+/**
+ * Per-locale node content. A node keeps its base text in the workflow's
+ * default language and may carry translations keyed by locale:
+ *   data.translations = { 'ta-IN': { messageText, voice, audioUrl, ... } }
+ * The caller's locale lives in the `call.language` execution variable.
+ */
+
+export const CALL_LANGUAGE_VARIABLE = 'call.language';
+
+// Fields a translation may override on a node
+export const TRANSLATABLE_KEYS = [
+  'messageText', 'text', 'message', 'promptText', 'offerText',
+  'announceText', 'announcementText', 'failureText', 'invalidInputMessage',
+  'voice', 'audioUrl', 'audioAssetId', 'audioPublicId'
+];
+
+const AUDIO_KEYS = ['audioUrl', 'audioAssetId', 'audioPublicId'];
+
+// Edge TTS voices used when a workflow does not name one for a locale
+export const DEFAULT_VOICES = {
+  'en-GB': 'en-GB-SoniaNeural',
+  'en-US': 'en-US-JennyNeural',
+  'en-IN': 'en-IN-NeerjaNeural',
+  'ta-IN': 'ta-IN-PallaviNeural',
+  'hi-IN': 'hi-IN-SwaraNeural'
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const DIGIT_PATTERN = /^[0-9*#]$/;
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!/^[[{]/.test(trimmed)) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Canonicalise a locale code ("ta_in" -> "ta-IN"). Returns '' when the value
+ * is not a locale.
+ */
+export const normalizeLocale = (value) => {
+  const raw = String(value ?? '').trim().replace(/_/g, '-');
+  if (!raw || !LOCALE_PATTERN.test(raw)) return '';
+  const [language, ...rest] = raw.split('-');
+  return [
+    language.toLowerCase(),
+    ...rest.map((part) => (part.length === 2 ? part.toUpperCase() : part))
+  ].join('-');
+};
+
+/**
+ * Normalise node translations into { locale: { key: value } }, keeping only
+ * TRANSLATABLE_KEYS. Accepts the object form or a JSON string of it.
+ */
+export const normalizeTranslations = (raw) => {
+  const source = parseMaybeJson(raw);
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return {};
+
+  const translations = {};
+  Object.entries(source).forEach(([rawLocale, entry]) => {
+    const locale = normalizeLocale(rawLocale);
+    if (!locale || !entry || typeof entry !== 'object') return;
+    const cleaned = {};
+    TRANSLATABLE_KEYS.forEach((key) => {
+      const value = entry[key];
+      if (typeof value === 'string' && value.trim()) cleaned[key] = value.trim();
+    });
+    if (Object.keys(cleaned).length > 0) translations[locale] = cleaned;
+  });
+  return translations;
+};
+
+export const getTranslationText = (entry = {}) =>
+  String(entry?.messageText || entry?.text || entry?.message || '').trim();
+
+/**
+ * Normalise a workflow's supported languages into [{ code, voiceId }].
+ * Accepts locale strings or { code, voiceId } objects.
+ */
+export const normalizeWorkflowLanguages = (raw) => {
+  const source = parseMaybeJson(raw);
+  const list = Array.isArray(source) ? source : String(source || '').split(',');
+  const seen = new Set();
+  return list
+    .map((entry) => {
+      const code = normalizeLocale(typeof entry === 'object' && entry ? entry.code || entry.language : entry);
+      const voiceId = typeof entry === 'object' && entry ? String(entry.voiceId || entry.voice || '').trim() : '';
+      return { code, voiceId: voiceId || null };
+    })
+    .filter((entry) => {
+      if (!entry.code || seen.has(entry.code)) return false;
+      seen.add(entry.code);
+      return true;
+    });
+};
+
+/**
+ * Normalise language_select options into [{ digit, language, label }].
+ * Accepts an array of objects, a { digit: locale } map or "1:en-GB, 2:ta-IN".
+ * Options with an invalid digit or locale are dropped; duplicate digits keep
+ * the first entry.
+ */
+export const normalizeLanguageOptions = (raw) => {
+  const source = parseMaybeJson(raw);
+  let entries;
+  if (Array.isArray(source)) {
+    entries = source;
+  } else if (source && typeof source === 'object') {
+    entries = Object.entries(source).map(([digit, language]) => ({ digit, language }));
+  } else {
+    entries = String(source || '').split(',').map((part) => {
+      const [digit, language] = part.split(':').map((piece) => piece.trim());
+      return { digit, language };
+    });
+  }
+
+  const seenDigits = new Set();
+  return entries
+    .map((entry) => ({
+      digit: String(entry?.digit ?? '').trim(),
+      language: normalizeLocale(entry?.language || entry?.locale),
+      label: String(entry?.label || entry?.prompt || '').trim()
+    }))
+    .filter((option) => {
+      if (!DIGIT_PATTERN.test(option.digit) || !option.language || seenDigits.has(option.digit)) return false;
+      seenDigits.add(option.digit);
+      return true;
+    });
+};
+
+/**
+ * A locale's language name in that language ("ta-IN" -> "தமிழ் (இந்தியா)"),
+ * falling back to the code itself.
+ */
+export const getLanguageName = (locale = '') => {
+  const code = normalizeLocale(locale);
+  if (!code) return String(locale || '');
+  try {
+    return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+/**
+ * The TTS voice for a locale: the workflow's language entry, then the
+ * workflow default when the locale matches it, then DEFAULT_VOICES.
+ */
+export const resolveLanguageVoice = (settings = {}, locale = '') => {
+  const code = normalizeLocale(locale);
+  if (!code) return null;
+  const configured = normalizeWorkflowLanguages(settings.languages).find((entry) => entry.code === code);
+  if (configured?.voiceId) return configured.voiceId;
+  if (normalizeLocale(settings.language) === code && settings.voiceId) return settings.voiceId;
+  return DEFAULT_VOICES[code] || null;
+};
+
+/**
+ * Node data as heard by a caller in `locale`. A translation replaces the
+ * base fields it names; base audio is dropped because it was recorded in the
+ * base language. Untranslated nodes are pinned to the base language and
+ * voice so they are not read out by the locale's voice.
+ */
+export const localizeNodeData = (data = {}, locale = '', base = {}) => {
+  const source = data || {};
+  const translation = locale ? normalizeTranslations(source.translations)[locale] : null;
+  if (!translation) {
+    if (!locale) return source;
+    return {
+      ...source,
+      language: source.language || base.language || undefined,
+      voice: source.voice || base.voice || undefined
+    };
+  }
+
+  const localized = { ...source, ...translation, language: locale };
+  if (!translation.audioUrl) {
+    AUDIO_KEYS.forEach((key) => { localized[key] = null; });
+  }
+  if (!translation.voice) delete localized.voice;
+  const text = getTranslationText(translation);
+  if (text) {
+    localized.messageText = translation.messageText || text;
+    localized.text = translation.text || text;
+  }
+  return localized;
+};
+
+/**
+ * Localise every node and the voice settings of a runtime workflow config.
+ */
+export const localizeWorkflowConfig = (workflowConfig = {}, locale = '') => {
+  const code = normalizeLocale(locale);
+  if (!code) return workflowConfig;
+  const settings = workflowConfig.settings || {};
+  const base = { language: settings.language, voice: settings.voice || settings.voiceId };
+  const voice = resolveLanguageVoice(settings, code) || settings.voiceId;
+  return {
+    ...workflowConfig,
+    nodes: (workflowConfig.nodes || []).map((node) => ({
+      ...node,
+      data: localizeNodeData(node.data, code, base)
+    })),
+    settings: {
+      ...settings,
+      language: code,
+      voiceId: voice,
+      ...(settings.voice ? { voice } : {})
+    }
+  };
+};
+
+export default {
+  CALL_LANGUAGE_VARIABLE,
+  TRANSLATABLE_KEYS,
+  DEFAULT_VOICES,
+  normalizeLocale,
+  normalizeTranslations,
+  getTranslationText,
+  normalizeWorkflowLanguages,
+  normalizeLanguageOptions,
+  getLanguageName,
+  resolveLanguageVoice,
+  localizeNodeData,
+  localizeWorkflowConfig
+};
@@ -0,0 +1,93 @@
+/**
+ * Menu node options: one keypad digit each, announced by `text` (or a
+ * recorded `audioUrl`) and routed through the edge whose handle is the digit.
+ */
+
+const DIGIT_PATTERN = /^[0-9*#]$/;
+const AUDIO_KEYS = ['audioUrl', 'audioAssetId', 'audioPublicId'];
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!/^[[{]/.test(trimmed)) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+};
+
+export const normalizeMenuDigit = (value) => {
+  const digit = String(value ?? '').trim().toLowerCase();
+  if (['star', 'asterisk'].includes(digit)) return '*';
+  if (['hash', 'pound'].includes(digit)) return '#';
+  return digit;
+};
+
+/**
+ * Normalise menu options into [{ digit, label, text, audioUrl, ... }].
+ * Accepts an array of objects, a { digit: text } map or "1:Sales, 2:Support".
+ * Options without a keypad digit are dropped; duplicate digits keep the
+ * first entry.
+ */
+export const normalizeMenuOptions = (raw) => {
+  const source = parseMaybeJson(raw);
+  let entries;
+  if (Array.isArray(source)) {
+    entries = source;
+  } else if (source && typeof source === 'object') {
+    entries = Object.entries(source).map(([digit, text]) => ({ digit, text }));
+  } else {
+    entries = String(source || '').split(',').map((part) => {
+      const [digit, ...rest] = part.split(':');
+      return { digit, label: rest.join(':') };
+    });
+  }
+
+  const seenDigits = new Set();
+  return entries
+    .map((entry) => {
+      const option = {
+        digit: normalizeMenuDigit(entry?.digit ?? entry?.key),
+        label: String(entry?.label || '').trim(),
+        text: String(entry?.text || entry?.messageText || '').trim()
+      };
+      AUDIO_KEYS.forEach((key) => {
+        const value = String(entry?.[key] || '').trim();
+        if (value) option[key] = value;
+      });
+      return option;
+    })
+    .filter((option) => {
+      if (!DIGIT_PATTERN.test(option.digit) || seenDigits.has(option.digit)) return false;
+      seenDigits.add(option.digit);
+      return true;
+    });
+};
+
+/**
+ * The option for a pressed digit. Works on raw option lists too, returning
+ * the caller's own entry so extra fields survive.
+ */
+export const findMenuOption = (options, digits) => {
+  const pressed = normalizeMenuDigit(digits);
+  if (!pressed) return null;
+  const list = Array.isArray(options) ? options : normalizeMenuOptions(options);
+  return list.find((option) => normalizeMenuDigit(option?.digit ?? option?.key) === pressed) || null;
+};
+
+/**
+ * What the caller hears for an option when it has no recording.
+ */
+export const getMenuOptionText = (option = {}) => {
+  if (option.text) return option.text;
+  if (option.label) return `For ${option.label}, press ${option.digit}.`;
+  return `Press ${option.digit}.`;
+};
+
+export default {
+  normalizeMenuDigit,
+  normalizeMenuOptions,
+  findMenuOption,
+  getMenuOptionText
+};
@@ -0,0 +1,231 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * SSRF protection for requests the IVR makes on a workflow author's behalf.
+ * Private and other non-routable addresses are refused unless the tenant
+ * allowlist names the host or its network; loopback and link-local
+ * addresses are refused even then.
+ */
+
+const BLOCKED_IPV4_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16', // includes cloud metadata (169.254.169.254)
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4'
+];
+
+// Never reachable, allowlisted or not: the server itself and link-local
+// addresses, which include cloud metadata endpoints
+const NEVER_ALLOWED_IPV4_RANGES = ['0.0.0.0/8', '127.0.0.0/8', '169.254.0.0/16'];
+// Allowlisted ranges may not be wider than this
+const MIN_ALLOWLIST_PREFIX = 16;
+
+export const createBlockedError = (message) => {
+  const error = new Error(message);
+  error.code = 'ERR_OUTBOUND_BLOCKED';
+  error.status = 403;
+  return error;
+};
+
+const HOSTNAME_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+const isIpv4Cidr = (value) => {
+  const [range, bits, extra] = String(value).split('/');
+  return extra === undefined && net.isIPv4(range) && /^\d{1,2}$/.test(bits || '') && Number(bits) <= 32;
+};
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => ((acc << 8) + Number(octet)) >>> 0, 0);
+
+const inIpv4Cidr = (ip, cidr) => {
+  if (!isIpv4Cidr(cidr)) return false;
+  const [range, bitsRaw] = cidr.split('/');
+  const bits = Number(bitsRaw);
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+};
+
+const expandIpv6 = (ip) => {
+  let text = ip.toLowerCase();
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const n = ipv4ToInt(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : new Array(8 - headParts.length - tailParts.length).fill('0');
+  return [...headParts, ...fill, ...tailParts].map((part) => parseInt(part, 16) || 0);
+};
+
+// IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible and NAT64 (64:ff9b::/96)
+// addresses reach IPv4 hosts, so judge them by the embedded IPv4 address.
+const embeddedIpv4 = (ip) => {
+  if (!net.isIPv6(ip)) return null;
+  const parts = expandIpv6(ip);
+  const zeroPrefix = parts.slice(0, 5).every((part) => part === 0);
+  const mapped = zeroPrefix && (parts[5] === 0xffff || (parts[5] === 0 && (parts[6] !== 0 || parts[7] > 1)));
+  const nat64 = parts[0] === 0x64 && parts[1] === 0xff9b && parts.slice(2, 6).every((part) => part === 0);
+  if (!mapped && !nat64) return null;
+  return [parts[6] >> 8, parts[6] & 0xff, parts[7] >> 8, parts[7] & 0xff].join('.');
+};
+
+const unwrapMappedIpv4 = (ip) => embeddedIpv4(ip) || ip;
+
+export const isPrivateAddress = (rawIp) => {
+  const ip = unwrapMappedIpv4(String(rawIp || '').trim().replace(/^\[|\]$/g, ''));
+  if (net.isIPv4(ip)) {
+    return BLOCKED_IPV4_RANGES.some((cidr) => inIpv4Cidr(ip, cidr));
+  }
+  if (net.isIPv6(ip)) {
+    const parts = expandIpv6(ip);
+    const [first] = parts;
+    if (parts.every((part, index) => part === 0 || (index === 7 && part === 1))) return true; // :: and ::1
+    // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+    return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+  }
+  return true; // not an IP at all: refuse rather than guess
+};
+
+const isLocalHostname = (hostname) => hostname === 'localhost' || hostname.endsWith('.localhost');
+
+/**
+ * Addresses no allowlist entry opens: loopback, unspecified and link-local.
+ */
+export const isNeverAllowedAddress = (rawIp) => {
+  const ip = unwrapMappedIpv4(String(rawIp || '').trim().replace(/^\[|\]$/g, ''));
+  if (net.isIPv4(ip)) return NEVER_ALLOWED_IPV4_RANGES.some((cidr) => inIpv4Cidr(ip, cidr));
+  if (net.isIPv6(ip)) {
+    const parts = expandIpv6(ip);
+    if (parts.every((part, index) => part === 0 || (index === 7 && part === 1))) return true; // :: and ::1
+    return (parts[0] & 0xffc0) === 0xfe80;
+  }
+  return false;
+};
+
+/**
+ * Why an allowlist entry would open too much, or null when it is fine.
+ * Loopback and link-local addresses stay blocked, ranges may be at most a
+ * /16 and wildcards must name at least a two-label domain.
+ */
+export const findUnsafeAllowlistEntry = (entry) => {
+  const value = String(entry || '').trim().toLowerCase();
+  if (isIpv4Cidr(value)) {
+    const [range, bits] = value.split('/');
+    if (Number(bits) < MIN_ALLOWLIST_PREFIX) return `ranges wider than /${MIN_ALLOWLIST_PREFIX} can't be allowlisted`;
+    const overlaps = NEVER_ALLOWED_IPV4_RANGES.some((blocked) => (
+      inIpv4Cidr(range, blocked) || inIpv4Cidr(blocked.split('/')[0], value)
+    ));
+    return overlaps ? 'loopback and link-local addresses can\'t be allowlisted' : null;
+  }
+  if (net.isIP(value)) {
+    return isNeverAllowedAddress(value) ? 'loopback and link-local addresses can\'t be allowlisted' : null;
+  }
+  if (isLocalHostname(value.replace(/^\*\./, ''))) return 'localhost can\'t be allowlisted';
+  if (value.startsWith('*.') && !value.slice(2).includes('.')) {
+    return 'wildcards must name at least two domain labels, e.g. *.corp.example.com';
+  }
+  return null;
+};
+
+/**
+ * Normalise allowlist entries: hostnames, "*.example.com" wildcards, IP
+ * literals and IPv4 CIDR ranges. Anything else is dropped.
+ */
+export const normalizeAllowlist = (entries = []) => {
+  const list = Array.isArray(entries) ? entries : String(entries || '').split(/[\s,]+/);
+  const seen = new Set();
+  return list
+    .map((entry) => String(entry || '').trim().toLowerCase())
+    .filter((entry) => {
+      if (!entry || seen.has(entry)) return false;
+      const valid = net.isIP(entry) || isIpv4Cidr(entry) || HOSTNAME_PATTERN.test(entry);
+      if (valid) seen.add(entry);
+      return valid;
+    });
+};
+
+const hostMatches = (hostname, entry) => {
+  if (entry.startsWith('*.')) {
+    const suffix = entry.slice(1);
+    return hostname.endsWith(suffix) && hostname.length > suffix.length;
+  }
+  return hostname === entry;
+};
+
+const addressMatches = (address, entry) => {
+  const ip = unwrapMappedIpv4(address);
+  if (entry.includes('/')) return net.isIPv4(ip) && inIpv4Cidr(ip, entry);
+  return net.isIP(entry) && ip.toLowerCase() === entry;
+};
+
+export const isAllowlisted = (hostname, address, allowlist = []) => {
+  const host = String(hostname || '').toLowerCase();
+  if (isLocalHostname(host) || (address && isNeverAllowedAddress(address))) return false;
+  return allowlist.some((entry) => hostMatches(host, entry) || (address && addressMatches(address, entry)));
+};
+
+/**
+ * Check the parts of a URL that can be judged without DNS. Returns the
+ * parsed URL or throws an ERR_OUTBOUND_BLOCKED error.
+ */
+export const assertOutboundUrl = (rawUrl, allowlist = []) => {
+  let url;
+  try {
+    url = new URL(String(rawUrl || ''));
+  } catch {
+    throw createBlockedError(`"${rawUrl}" is not a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createBlockedError(`Only http and https URLs are allowed, got ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw createBlockedError('URLs with embedded credentials are not allowed; use headers instead');
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isLocalHostname(hostname)) {
+    throw createBlockedError(`Requests to ${hostname} are blocked`);
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !isAllowlisted(hostname, hostname, allowlist)) {
+    throw createBlockedError(`Requests to private address ${hostname} are blocked`);
+  }
+  return url;
+};
+
+/**
+ * dns.lookup replacement for axios/http: every address a hostname resolves
+ * to is checked at connect time, so DNS rebinding cannot slip past the URL
+ * check.
+ */
+export const createGuardedLookup = (allowlist = []) => (hostname, options, callback) => {
+  const opts = typeof options === 'function' ? {} : { ...(typeof options === 'number' ? { family: options } : options) };
+  const cb = typeof options === 'function' ? options : callback;
+  dns.lookup(hostname, { ...opts, all: true }, (error, addresses) => {
+    if (error) return cb(error);
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address) && !isAllowlisted(hostname, entry.address, allowlist));
+    if (blocked) {
+      return cb(createBlockedError(`${hostname} resolves to private address ${blocked.address}`));
+    }
+    if (opts.all) return cb(null, addresses);
+    return cb(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export default {
+  isPrivateAddress,
+  normalizeAllowlist,
+  isAllowlisted,
+  isNeverAllowedAddress,
+  findUnsafeAllowlistEntry,
+  assertOutboundUrl,
+  createGuardedLookup,
+  createBlockedError
+};
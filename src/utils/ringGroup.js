@@ -0,0 +1,113 @@
+export const RING_STRATEGIES = ['sequential', 'simultaneous'];
+export const TARGET_TYPES = ['number', 'sip', 'client'];
+
+const MIN_LEG_TIMEOUT = 5;
+const MAX_LEG_TIMEOUT = 600; // Twilio's <Dial timeout> ceiling
+const E164_PATTERN = /^\+?[1-9]\d{1,14}$/;
+const TEMPLATE_PATTERN = /\{\{[^}]+\}\}/;
+
+export const hasTemplate = (value) => TEMPLATE_PATTERN.test(String(value || ''));
+
+// sip:/client: prefixes pick the noun; everything else dials as a number.
+export const inferTargetType = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (text.startsWith('sip:')) return 'sip';
+  if (text.startsWith('client:')) return 'client';
+  return 'number';
+};
+
+export const clampLegTimeout = (value, fallback = 30) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(MAX_LEG_TIMEOUT, Math.max(MIN_LEG_TIMEOUT, Math.round(n)));
+};
+
+/**
+ * Normalise a transfer node's ring group into [{ type, value, timeout }].
+ * Accepts an array of { type, value|target|destination, timeout } or plain
+ * strings, or a comma-separated string. Falls back to the legacy single
+ * `destination`/`transferNumber` when no targets are configured.
+ */
+export const normalizeRingTargets = (data = {}) => {
+  let source = data.targets ?? data.ringGroup ?? data.ring_group;
+  if (typeof source === 'string') {
+    const trimmed = source.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        source = JSON.parse(trimmed);
+      } catch {
+        source = [];
+      }
+    } else {
+      source = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(source) || source.length === 0) {
+    const legacy = String(data.destination || data.transferNumber || data.transfer_number || '').trim();
+    source = legacy ? [legacy] : [];
+  }
+
+  return source
+    .map((entry) => {
+      const raw = typeof entry === 'object' && entry !== null
+        ? (entry.value ?? entry.target ?? entry.destination ?? '')
+        : entry;
+      const value = String(raw || '').trim();
+      const requestedType = String(entry?.type || '').trim().toLowerCase();
+      const timeout = Number(entry?.timeout);
+      return {
+        type: TARGET_TYPES.includes(requestedType) ? requestedType : inferTargetType(value),
+        value,
+        ...(Number.isFinite(timeout) && timeout > 0 ? { timeout } : {})
+      };
+    })
+    .filter((target) => target.value);
+};
+
+export const normalizeRingStrategy = (value) => {
+  const strategy = String(value || '').trim().toLowerCase();
+  if (['simultaneous', 'parallel', 'all'].includes(strategy)) return 'simultaneous';
+  return 'sequential';
+};
+
+/**
+ * Return an error message for a target that can never be dialled, or null.
+ * Targets containing {{variables}} are only checked once resolved at runtime.
+ */
+export const validateRingTarget = (target = {}) => {
+  const value = String(target.value || '').trim();
+  if (!value) return 'target is empty';
+  if (hasTemplate(value)) return null;
+  if (target.type === 'sip') {
+    return /^sip:[^@\s]+@[^\s]+$/i.test(value) ? null : `"${value}" is not a SIP URI (sip:user@host)`;
+  }
+  if (target.type === 'client') {
+    const identity = value.replace(/^client:/i, '');
+    return /^[\w.@-]{1,256}$/.test(identity) ? null : `"${value}" is not a valid client identity`;
+  }
+  return E164_PATTERN.test(value.replace(/[\s()-]/g, '')) ? null : `"${value}" is not a valid phone number`;
+};
+
+/**
+ * Map Twilio's DialCallStatus onto a transfer node's outgoing handle.
+ */
+export const mapDialStatusToHandle = (dialStatus) => {
+  const status = String(dialStatus || '').trim().toLowerCase();
+  if (status === 'completed' || status === 'answered') return 'answered';
+  if (status === 'busy') return 'busy';
+  if (status === 'no-answer' || status === 'no_answer') return 'no_answer';
+  if (status === 'canceled') return 'canceled';
+  return 'failed';
+};
+
+export default {
+  RING_STRATEGIES,
+  TARGET_TYPES,
+  hasTemplate,
+  inferTargetType,
+  clampLegTimeout,
+  normalizeRingTargets,
+  normalizeRingStrategy,
+  validateRingTarget,
+  mapDialStatusToHandle
+};
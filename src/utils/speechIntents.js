@@ -0,0 +1,79 @@
+const RESERVED_SPEECH_HANDLES = new Set(['no_match', 'timeout']);
+
+const toKeywordList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',');
+  return [];
+};
+
+// Lowercase, drop punctuation and collapse whitespace so "Sales!" matches "sales".
+export const normalizeSpeechText = (value = '') => String(value ?? '')
+  .toLowerCase()
+  .normalize('NFKC')
+  .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Normalise a speech node's intent config into [{ handle, keywords }].
+ * Accepts an array of { handle, keywords, synonyms } (keywords/synonyms as
+ * arrays or comma-separated strings) or a { handle: keywords } map.
+ */
+export const normalizeSpeechIntents = (rawIntents) => {
+  let source = rawIntents;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch {
+      return [];
+    }
+  }
+
+  const entries = Array.isArray(source)
+    ? source
+    : Object.entries(source && typeof source === 'object' ? source : {})
+      .map(([handle, keywords]) => ({ handle, keywords }));
+
+  const seenHandles = new Set();
+  return entries
+    .map((entry) => {
+      const handle = String(entry?.handle || entry?.intent || '').trim();
+      const keywords = [...toKeywordList(entry?.keywords), ...toKeywordList(entry?.synonyms)]
+        .map((keyword) => normalizeSpeechText(keyword))
+        .filter(Boolean);
+      return { handle, keywords: Array.from(new Set(keywords)) };
+    })
+    .filter((intent) => {
+      if (!intent.handle || RESERVED_SPEECH_HANDLES.has(intent.handle) || seenHandles.has(intent.handle)) {
+        return false;
+      }
+      seenHandles.add(intent.handle);
+      return true;
+    });
+};
+
+/**
+ * Find the intent whose keyword appears (as whole words) in the transcript.
+ * The longest matching keyword wins so "cancel booking" beats "booking".
+ */
+export const matchSpeechIntent = (intents = [], transcript = '') => {
+  const text = ` ${normalizeSpeechText(transcript)} `;
+  if (!text.trim()) return null;
+
+  let best = null;
+  intents.forEach((intent) => {
+    intent.keywords.forEach((keyword) => {
+      if (!text.includes(` ${keyword} `)) return;
+      if (!best || keyword.length > best.keyword.length) {
+        best = { handle: intent.handle, keyword };
+      }
+    });
+  });
+  return best;
+};
+
+export default {
+  normalizeSpeechText,
+  normalizeSpeechIntents,
+  matchSpeechIntent
+};
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+
+const HANDLE_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const parseArmString = (value) => String(value || '')
+  .split(',')
+  .map((part) => part.trim())
+  .filter(Boolean)
+  .map((part) => {
+    const [handle, weight] = part.split(':').map((piece) => piece.trim());
+    return { handle, weight };
+  });
+
+/**
+ * Normalise a split node's arm config into [{ handle, weight, label }].
+ * Accepts an array of { handle, weight, label }, a { handle: weight } map or a
+ * "a:70, b:30" string. Arms without a usable handle or with a negative weight
+ * are dropped; duplicate handles keep the first entry.
+ */
+export const normalizeSplitArms = (rawArms) => {
+  let source = rawArms;
+  if (typeof source === 'string') {
+    const trimmed = source.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        source = JSON.parse(trimmed);
+      } catch {
+        return [];
+      }
+    } else {
+      source = parseArmString(trimmed);
+    }
+  }
+
+  const entries = Array.isArray(source)
+    ? source
+    : Object.entries(source && typeof source === 'object' ? source : {})
+      .map(([handle, weight]) => ({ handle, weight }));
+
+  const seenHandles = new Set();
+  return entries
+    .map((entry) => {
+      const handle = String(entry?.handle || entry?.arm || '').trim();
+      const weight = Number(entry?.weight ?? entry?.percent ?? entry?.percentage);
+      return {
+        handle,
+        weight: Number.isFinite(weight) ? weight : NaN,
+        label: String(entry?.label || '').trim() || handle
+      };
+    })
+    .filter((arm) => {
+      if (!arm.handle || !HANDLE_PATTERN.test(arm.handle) || seenHandles.has(arm.handle)) {
+        return false;
+      }
+      if (!Number.isFinite(arm.weight) || arm.weight < 0) {
+        return false;
+      }
+      seenHandles.add(arm.handle);
+      return true;
+    });
+};
+
+/**
+ * Whether a split keeps repeat callers on one arm. On unless the node turns
+ * it off, matching the node config default.
+ */
+export const isSplitDeterministic = (data = {}) => {
+  const value = data.deterministic ?? data.stickyByCaller ?? data.sticky_by_caller;
+  return value !== false && value !== 'false';
+};
+
+/**
+ * Map a seed string onto [0, 1). The same seed always lands in the same
+ * bucket, which keeps a caller on one arm for the lifetime of an experiment.
+ */
+export const hashToUnitInterval = (seed = '') => {
+  const digest = crypto.createHash('sha256').update(String(seed)).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Pick an arm by weight. Weights are relative, so 70/30 and 7/3 behave the
+ * same. With a seed the choice is deterministic; without one it is random.
+ * Returns null when no arm has a positive weight.
+ */
+export const pickSplitArm = (arms = [], { seed = null } = {}) => {
+  const eligible = arms.filter((arm) => arm.weight > 0);
+  const totalWeight = eligible.reduce((sum, arm) => sum + arm.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  const point = (seed === null || seed === undefined ? Math.random() : hashToUnitInterval(seed)) * totalWeight;
+  let cumulative = 0;
+  for (const arm of eligible) {
+    cumulative += arm.weight;
+    if (point < cumulative) return arm;
+  }
+  return eligible[eligible.length - 1];
+};
+
+export default {
+  normalizeSplitArms,
+  isSplitDeterministic,
+  hashToUnitInterval,
+  pickSplitArm
+};
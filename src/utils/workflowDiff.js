@@ -0,0 +1,173 @@
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Key-order independent serialisation so { a, b } and { b, a } compare equal.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  return JSON.stringify(value ?? null);
+};
+
+export const isSameValue = (left, right) => stableStringify(left) === stableStringify(right);
+
+const toPlain = (value) => {
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+export const diffObjects = (before = {}, after = {}) => {
+  const left = isPlainObject(toPlain(before)) ? toPlain(before) : {};
+  const right = isPlainObject(toPlain(after)) ? toPlain(after) : {};
+  const changes = {};
+  new Set([...Object.keys(left), ...Object.keys(right)]).forEach((key) => {
+    if (!isSameValue(left[key], right[key])) {
+      changes[key] = { before: left[key] ?? null, after: right[key] ?? null };
+    }
+  });
+  return changes;
+};
+
+const edgeKey = (edge = {}) => String(edge.id || `${edge.source}|${edge.target}|${edge.sourceHandle || ''}|${edge.targetHandle || ''}`);
+
+const indexBy = (items = [], keyFn) => {
+  const map = new Map();
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    if (item && typeof item === 'object') map.set(keyFn(item), item);
+  });
+  return map;
+};
+
+/**
+ * Structured diff between two workflow graphs ({ nodes, edges, config }).
+ * Nodes are matched by id, edges by id (or endpoints when id is missing).
+ */
+export const diffWorkflowGraphs = (before = {}, after = {}) => {
+  const beforeNodes = indexBy(before.nodes, (node) => String(node.id));
+  const afterNodes = indexBy(after.nodes, (node) => String(node.id));
+  const beforeEdges = indexBy(before.edges, edgeKey);
+  const afterEdges = indexBy(after.edges, edgeKey);
+
+  const nodes = { added: [], removed: [], changed: [] };
+  afterNodes.forEach((node, id) => {
+    if (!beforeNodes.has(id)) nodes.added.push(node);
+  });
+  beforeNodes.forEach((node, id) => {
+    const next = afterNodes.get(id);
+    if (!next) {
+      nodes.removed.push(node);
+      return;
+    }
+    const data = diffObjects(node.data, next.data);
+    const typeChanged = String(node.type || '') !== String(next.type || '');
+    const positionChanged = !isSameValue(node.position, next.position);
+    if (typeChanged || positionChanged || Object.keys(data).length > 0) {
+      nodes.changed.push({
+        id,
+        ...(typeChanged ? { type: { before: node.type, after: next.type } } : {}),
+        ...(positionChanged ? { position: { before: node.position ?? null, after: next.position ?? null } } : {}),
+        data
+      });
+    }
+  });
+
+  const edges = { added: [], removed: [], changed: [] };
+  afterEdges.forEach((edge, key) => {
+    if (!beforeEdges.has(key)) edges.added.push(edge);
+  });
+  beforeEdges.forEach((edge, key) => {
+    const next = afterEdges.get(key);
+    if (!next) {
+      edges.removed.push(edge);
+      return;
+    }
+    const fields = diffObjects(edge, next);
+    if (Object.keys(fields).length > 0) {
+      edges.changed.push({ id: key, fields });
+    }
+  });
+
+  const config = diffObjects(before.config, after.config);
+
+  return {
+    nodes,
+    edges,
+    config,
+    summary: {
+      nodesAdded: nodes.added.length,
+      nodesRemoved: nodes.removed.length,
+      nodesChanged: nodes.changed.length,
+      edgesAdded: edges.added.length,
+      edgesRemoved: edges.removed.length,
+      edgesChanged: edges.changed.length,
+      configChanged: Object.keys(config).length,
+      hasChanges:
+        nodes.added.length + nodes.removed.length + nodes.changed.length +
+        edges.added.length + edges.removed.length + edges.changed.length +
+        Object.keys(config).length > 0
+    }
+  };
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+// Restore the "before" side of a diffObjects() result. A null "before" means
+// the key was absent (diffObjects does not distinguish the two).
+const revertFields = (target = {}, changes = {}) => {
+  const next = { ...(isPlainObject(target) ? target : {}) };
+  Object.entries(changes || {}).forEach(([key, change]) => {
+    if (change?.before === null || change?.before === undefined) {
+      delete next[key];
+    } else {
+      next[key] = clone(change.before);
+    }
+  });
+  return next;
+};
+
+/**
+ * Undo a diffWorkflowGraphs(before, after) result on the "after" graph,
+ * giving back the "before" graph. Fields the diff does not mention are left
+ * as they are.
+ */
+export const revertWorkflowGraphDiff = (graph = {}, diff = {}) => {
+  const removedNodeIds = new Set((diff.nodes?.added || []).map((node) => String(node.id)));
+  const changedNodes = new Map((diff.nodes?.changed || []).map((change) => [String(change.id), change]));
+  const nodes = (Array.isArray(graph.nodes) ? graph.nodes : [])
+    .filter((node) => !removedNodeIds.has(String(node?.id)))
+    .map((node) => {
+      const change = changedNodes.get(String(node?.id));
+      if (!change) return node;
+      const reverted = { ...node, data: revertFields(node.data, change.data) };
+      if (change.type) reverted.type = change.type.before;
+      if (change.position) reverted.position = clone(change.position.before);
+      return reverted;
+    });
+  nodes.push(...clone(diff.nodes?.removed || []));
+
+  const removedEdgeKeys = new Set((diff.edges?.added || []).map(edgeKey));
+  const changedEdges = new Map((diff.edges?.changed || []).map((change) => [String(change.id), change]));
+  const edges = (Array.isArray(graph.edges) ? graph.edges : [])
+    .filter((edge) => !removedEdgeKeys.has(edgeKey(edge)))
+    .map((edge) => {
+      const change = changedEdges.get(edgeKey(edge));
+      return change ? revertFields(edge, change.fields) : edge;
+    });
+  edges.push(...clone(diff.edges?.removed || []));
+
+  return {
+    ...graph,
+    nodes,
+    edges,
+    config: revertFields(graph.config, diff.config)
+  };
+};
+
+export default diffWorkflowGraphs;
@@ -0,0 +1,105 @@
+import {
+  evaluateCalendar,
+  normalizeCalendarPayload,
+  parseCalendarInstant
+} from '../../src/services/businessHoursService.js';
+
+const calendar = normalizeCalendarPayload({
+  name: 'Support',
+  timezone: 'America/New_York',
+  weeklySchedule: {
+    monday: [{ start: '13:00', end: '17:00' }, { start: '09:00', end: '12:00' }],
+    tuesday: [{ start: '09:00', end: '17:00' }],
+    saturday: [{ start: '10:00', end: '24:00' }]
+  },
+  holidays: [{ date: '2024-07-04', name: 'Independence Day' }, { date: '2024-12-24', name: 'Christmas Eve' }],
+  overrides: [
+    { date: '2024-03-12', ranges: [{ start: '12:00', end: '14:00' }], note: 'Training' },
+    { date: '2024-07-04', ranges: [{ start: '10:00', end: '12:00' }] },
+    { date: '2024-03-19', closed: true }
+  ]
+});
+
+const at = (localDateTime) => parseCalendarInstant(localDateTime, calendar.timezone);
+
+describe('evaluateCalendar', () => {
+  test('opens within the weekly schedule of the calendar timezone', () => {
+    const result = evaluateCalendar(calendar, at('2024-03-11T09:30'));
+    expect(result).toMatchObject({
+      open: true,
+      reason: 'open',
+      weekday: 'monday',
+      localDate: '2024-03-11',
+      localTime: '09:30',
+      range: { start: '09:00', end: '12:00' }
+    });
+  });
+
+  test('closes between ranges and on days without hours', () => {
+    expect(evaluateCalendar(calendar, at('2024-03-11T12:30'))).toMatchObject({ open: false, reason: 'outside_hours' });
+    expect(evaluateCalendar(calendar, at('2024-03-10T10:00'))).toMatchObject({ open: false, reason: 'closed_day', weekday: 'sunday' });
+  });
+
+  test('treats range ends as exclusive and 24:00 as end of day', () => {
+    expect(evaluateCalendar(calendar, at('2024-03-12T17:00')).open).toBe(false);
+    expect(evaluateCalendar(calendar, at('2024-03-16T23:59')).open).toBe(true);
+  });
+
+  test('lets holidays close a scheduled day', () => {
+    expect(evaluateCalendar(calendar, at('2024-12-17T10:00')).open).toBe(true);
+    expect(evaluateCalendar(calendar, at('2024-12-24T10:00'))).toMatchObject({
+      open: false,
+      reason: 'holiday',
+      holiday: 'Christmas Eve'
+    });
+  });
+
+  test('lets overrides win over holidays and the weekly schedule', () => {
+    expect(evaluateCalendar(calendar, at('2024-07-04T11:00'))).toMatchObject({ open: true, reason: 'override' });
+    expect(evaluateCalendar(calendar, at('2024-03-12T10:00'))).toMatchObject({ open: false, reason: 'override' });
+    expect(evaluateCalendar(calendar, at('2024-03-12T12:30'))).toMatchObject({ open: true, reason: 'override', note: 'Training' });
+    expect(evaluateCalendar(calendar, at('2024-03-19T10:00'))).toMatchObject({ open: false, reason: 'override' });
+  });
+
+  test('judges an absolute instant by the calendar wall clock', () => {
+    // 14:30 UTC is 10:30 in New York once daylight saving starts on 2024-03-10
+    expect(evaluateCalendar(calendar, new Date('2024-03-11T14:30:00Z'))).toMatchObject({ open: true, localTime: '10:30' });
+    // 13:30 UTC is 08:30 the week before, when New York is UTC-5
+    expect(evaluateCalendar(calendar, new Date('2024-03-04T13:30:00Z'))).toMatchObject({ open: false, localTime: '08:30' });
+  });
+});
+
+describe('parseCalendarInstant', () => {
+  test('reads bare local times in the calendar timezone across DST', () => {
+    expect(parseCalendarInstant('2024-03-09T09:00', 'America/New_York').toISOString()).toBe('2024-03-09T14:00:00.000Z');
+    expect(parseCalendarInstant('2024-03-11T09:00', 'America/New_York').toISOString()).toBe('2024-03-11T13:00:00.000Z');
+  });
+
+  test('keeps explicit offsets and rejects junk', () => {
+    expect(parseCalendarInstant('2024-03-11T09:00:00Z', 'America/New_York').toISOString()).toBe('2024-03-11T09:00:00.000Z');
+    expect(parseCalendarInstant('not a date', 'America/New_York')).toBeNull();
+  });
+});
+
+describe('normalizeCalendarPayload', () => {
+  test('sorts ranges and fills missing weekdays', () => {
+    expect(calendar.weeklySchedule.monday.map((range) => range.start)).toEqual(['09:00', '13:00']);
+    expect(calendar.weeklySchedule.sunday).toEqual([]);
+    expect(calendar.overrides[2]).toEqual({ date: '2024-03-19', ranges: [], note: '' });
+  });
+
+  test.each([
+    [{ name: 'x', timezone: 'Mars/Olympus' }, /Unknown timezone/],
+    [{ name: 'x', weeklySchedule: { monday: [{ start: '18:00', end: '09:00' }] } }, /must end after it starts/],
+    [{ name: 'x', weeklySchedule: { monday: [{ start: '09:00', end: '12:00' }, { start: '11:00', end: '13:00' }] } }, /overlapping/],
+    [{ name: 'x', holidays: [{ date: '2024-02-30' }] }, /YYYY-MM-DD/],
+    [{ name: 'x', holidays: [{ date: '2024-01-01' }, { date: '2024-01-01' }] }, /more than once/],
+    [{ timezone: 'UTC' }, /name is required/]
+  ])('rejects %j', (payload, message) => {
+    expect(() => normalizeCalendarPayload(payload)).toThrow(message);
+  });
+
+  test('only returns the fields present in a partial update', () => {
+    expect(normalizeCalendarPayload({ timezone: 'Europe/London' }, { partial: true })).toEqual({ timezone: 'Europe/London' });
+  });
+});
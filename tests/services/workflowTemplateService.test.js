@@ -0,0 +1,51 @@
+import { fillPlaceholders } from '../../src/services/workflowTemplateService.js';
+
+describe('fillPlaceholders', () => {
+  const values = {
+    company: 'Acme Dental',
+    operator_phone: '+14155550100',
+    max_retries: 3,
+    slots: [{ key: 'am', label: 'Morning' }, { key: 'pm', label: 'Afternoon' }]
+  };
+
+  test('substitutes placeholders inside text', () => {
+    expect(fillPlaceholders('Thanks for calling [[company]]. Hold for [[ operator_phone ]].', values))
+      .toBe('Thanks for calling Acme Dental. Hold for +14155550100.');
+  });
+
+  test('keeps the raw value when a string is exactly one placeholder', () => {
+    expect(fillPlaceholders('[[max_retries]]', values)).toBe(3);
+    const slots = fillPlaceholders('[[slots]]', values);
+    expect(slots).toEqual(values.slots);
+    expect(slots).not.toBe(values.slots);
+  });
+
+  test('walks arrays and nested objects', () => {
+    const workflow = {
+      nodes: [
+        { id: 'greet', type: 'greeting', data: { messageText: 'Welcome to [[company]]' } },
+        { id: 'transfer', type: 'transfer', data: { destination: '[[operator_phone]]', retries: '[[max_retries]]' } }
+      ],
+      config: { enabled: true, timeout: 5 }
+    };
+    expect(fillPlaceholders(workflow, values)).toEqual({
+      nodes: [
+        { id: 'greet', type: 'greeting', data: { messageText: 'Welcome to Acme Dental' } },
+        { id: 'transfer', type: 'transfer', data: { destination: '+14155550100', retries: 3 } }
+      ],
+      config: { enabled: true, timeout: 5 }
+    });
+  });
+
+  test('leaves unknown placeholders and inherited keys alone', () => {
+    expect(fillPlaceholders('Ask for [[manager]]', values)).toBe('Ask for [[manager]]');
+    expect(fillPlaceholders('[[constructor]]', values)).toBe('[[constructor]]');
+    expect(fillPlaceholders('[[Company]]', values)).toBe('[[Company]]');
+  });
+
+  test('does not mutate its input', () => {
+    const source = { data: { text: 'Hi from [[company]]' } };
+    fillPlaceholders(source, values);
+    expect(source).toEqual({ data: { text: 'Hi from [[company]]' } });
+  });
+});
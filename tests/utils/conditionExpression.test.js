@@ -0,0 +1,155 @@
+import {
+  buildExpressionScope,
+  collectExpressionVariables,
+  compileSafeRegex,
+  evaluateCondition,
+  evaluateExpression,
+  toTruthy,
+  validateExpression
+} from '../../src/utils/conditionExpression.js';
+
+// Monday 2024-03-04 10:30 in Asia/Kolkata
+const MONDAY_MORNING = new Date('2024-03-04T05:00:00Z');
+
+const scopeFor = (variables = {}, options = {}) => buildExpressionScope({
+  variables,
+  callerNumber: '+919876543210',
+  timezone: 'Asia/Kolkata',
+  now: MONDAY_MORNING,
+  ...options
+});
+
+describe('validateExpression', () => {
+  test('accepts well-formed expressions', () => {
+    expect(validateExpression("callerNumber starts_with '+91' and hour >= 9")).toBeNull();
+    expect(validateExpression("not (tier in ['gold', 'vip']) || len(trim(notes)) > 0")).toBeNull();
+  });
+
+  test('reports the position of a syntax error', () => {
+    const problem = validateExpression('hour >= ');
+    expect(problem).toEqual({ message: expect.any(String), position: expect.any(Number) });
+  });
+
+  test('rejects unknown functions and unsafe regex literals', () => {
+    expect(validateExpression('eval(1)')).not.toBeNull();
+    expect(validateExpression("matches(callerNumber, '(a+)+')")).not.toBeNull();
+  });
+
+  test.each(['toString(1)', 'valueOf()', "hasOwnProperty('x')"])('rejects the inherited name %s as an unknown function', (source) => {
+    expect(validateExpression(source)).toEqual({ message: expect.stringMatching(/Unknown function/), position: 0 });
+    expect(() => evaluateExpression(source, scopeFor())).toThrow(expect.objectContaining({ code: 'INVALID_EXPRESSION' }));
+  });
+
+  test('rejects expressions over the length limit', () => {
+    expect(validateExpression(`x == '${'a'.repeat(2001)}'`)).not.toBeNull();
+  });
+});
+
+describe('evaluateCondition', () => {
+  test('uses built-ins in the scope timezone', () => {
+    const scope = scopeFor();
+    expect(evaluateExpression('hour', scope)).toBe(10);
+    expect(evaluateExpression('minute', scope)).toBe(30);
+    expect(evaluateExpression('weekday', scope)).toBe(1);
+    expect(evaluateExpression('dayName', scope)).toBe('mon');
+    expect(evaluateExpression('date', scope)).toBe('2024-03-04');
+    expect(evaluateCondition("callerNumber starts_with '+91' and hour >= 9 and hour < 18", scope)).toBe(true);
+  });
+
+  test('reads flat keys before nested paths', () => {
+    const scope = scopeFor({ 'booking.id': 'flat', booking: { id: 'nested', notes: '  ' } });
+    expect(evaluateExpression('booking.id', scope)).toBe('flat');
+    expect(evaluateCondition('empty(booking.notes)', scope)).toBe(true);
+  });
+
+  test('compares numeric strings as numbers and lists loosely', () => {
+    const scope = scopeFor({ attempts: '10', tier: 'gold' });
+    expect(evaluateCondition('attempts > 9', scope)).toBe(true);
+    expect(evaluateCondition("tier in ['gold', 'vip']", scope)).toBe(true);
+    expect(evaluateCondition('attempts in [1, 10]', scope)).toBe(true);
+  });
+
+  test('treats string falsy values as false', () => {
+    const scope = scopeFor({ optedIn: 'false', verified: 'yes' });
+    expect(evaluateCondition('optedIn', scope)).toBe(false);
+    expect(evaluateCondition('verified and not optedIn', scope)).toBe(true);
+  });
+
+  test('treats missing variables as absent rather than throwing', () => {
+    const scope = scopeFor();
+    expect(evaluateCondition('missing == 1', scope)).toBe(false);
+    expect(evaluateCondition('exists(missing)', scope)).toBe(false);
+  });
+
+  test('never reads prototype properties', () => {
+    expect(validateExpression('account.constructor')).toEqual(expect.objectContaining({ message: expect.stringMatching(/not allowed/) }));
+    expect(validateExpression('account.__proto__')).not.toBeNull();
+    const scope = scopeFor({ account: {} });
+    expect(evaluateExpression("var('account.constructor')", scope)).toBeUndefined();
+    expect(evaluateExpression("var('toString')", scope)).toBeUndefined();
+  });
+
+  test('handles time_between ranges that wrap past midnight', () => {
+    expect(evaluateCondition("time_between('09:00', '17:30')", scopeFor())).toBe(true);
+    expect(evaluateCondition("time_between('22:00', '06:00')", scopeFor())).toBe(false);
+    const lateNight = scopeFor({}, { now: new Date('2024-03-04T19:30:00Z') });
+    expect(evaluateCondition("time_between('22:00', '06:00')", lateNight)).toBe(true);
+  });
+
+  test('returns null instead of dividing by zero', () => {
+    expect(evaluateExpression('10 / 0', scopeFor())).toBeNull();
+  });
+});
+
+describe('compileSafeRegex', () => {
+  test('compiles ordinary patterns', () => {
+    expect(compileSafeRegex('^\\+1(212|646)').test('+12125550100')).toBe(true);
+    expect(compileSafeRegex('yes', 'i').test('YES')).toBe(true);
+  });
+
+  test('refuses nested quantifiers, bad flags and long patterns', () => {
+    expect(() => compileSafeRegex('(a+)+$')).toThrow(/nested quantifiers/);
+    expect(() => compileSafeRegex('(\\d*){2,}')).toThrow(/nested quantifiers/);
+    expect(() => compileSafeRegex('a', 'g')).toThrow(/Unsupported regex flags/);
+    expect(() => compileSafeRegex('a'.repeat(201))).toThrow(/exceeds/);
+  });
+
+  test('refuses repeated groups with alternatives', () => {
+    expect(() => compileSafeRegex('^(a|aa)+b')).toThrow(/repeats a group with alternatives/);
+    expect(() => compileSafeRegex('^(?:x|xy)*$')).toThrow(/alternatives/);
+    expect(() => compileSafeRegex('((a|aa))+')).toThrow(/alternatives/);
+    expect(() => compileSafeRegex('((a+))+')).toThrow(/nested quantifiers/);
+    expect(validateExpression("x matches '^(a|aa)+b'")).toEqual(expect.objectContaining({ message: expect.stringMatching(/alternatives/) }));
+  });
+
+  test('still allows alternation that is not repeated and quantifiers in classes', () => {
+    expect(compileSafeRegex('^\\+1(212|646)\\d{7}$').test('+12125550100')).toBe(true);
+    expect(compileSafeRegex('^(yes|no)?$').test('')).toBe(true);
+    expect(compileSafeRegex('^([a|b])+$').test('a|b')).toBe(true);
+    expect(compileSafeRegex('^\\(\\d+\\)+$').test('(1)')).toBe(true);
+  });
+
+  test('reports invalid patterns as expression errors', () => {
+    expect(() => compileSafeRegex('(')).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_EXPRESSION' }));
+  });
+});
+
+describe('toTruthy', () => {
+  test.each([
+    ['false', false], ['0', false], [' No ', false], ['', false], [0, false], [[], false], [null, false],
+    ['true', true], ['1', true], ['anything', true], [2, true], [['a'], true]
+  ])('%p is %p', (value, expected) => {
+    expect(toTruthy(value)).toBe(expected);
+  });
+});
+
+describe('collectExpressionVariables', () => {
+  test('lists read variables but not guarded ones', () => {
+    const names = collectExpressionVariables("tier == 'gold' and exists(promo) and var('account.id') != ''");
+    expect(names.sort()).toEqual(['account.id', 'tier']);
+  });
+
+  test('returns nothing for bad syntax', () => {
+    expect(collectExpressionVariables('tier ==')).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+import { acceptsHotkeys, findBackTarget, normalizeHotkeys } from '../../src/utils/hotkeys.js';
+
+describe('normalizeHotkeys', () => {
+  test('normalises an array of entries', () => {
+    expect(normalizeHotkeys([
+      { digit: 'star', action: 'Main Menu' },
+      { key: 0, action: 'operator' },
+      { digit: '9', node_id: 'billing' },
+      { digit: '8', action: 'back' }
+    ])).toEqual([
+      { digit: '*', action: 'main_menu', nodeId: null },
+      { digit: '0', action: 'operator', nodeId: null },
+      { digit: '9', action: 'goto', nodeId: 'billing' },
+      { digit: '8', action: 'back', nodeId: null }
+    ]);
+  });
+
+  test('reads a digit map, including one sent as JSON', () => {
+    const expected = [
+      { digit: '0', action: 'operator', nodeId: null },
+      { digit: '7', action: 'repeat', nodeId: null },
+      { digit: '9', action: 'goto', nodeId: 'billing' }
+    ];
+    expect(normalizeHotkeys({ 0: 'operator', 7: 'repeat', 9: 'billing' })).toEqual(expected);
+    expect(normalizeHotkeys('{"0":"operator","7":"repeat","9":"billing"}')).toEqual(expected);
+  });
+
+  test('drops unusable digits, unknown actions, targetless gotos and repeats', () => {
+    expect(normalizeHotkeys([
+      { digit: '#', action: 'back' },
+      { digit: '12', action: 'back' },
+      { digit: '1', action: 'dance' },
+      { digit: '2', action: 'goto' },
+      { digit: '3', action: 'repeat' },
+      { digit: '3', action: 'back' }
+    ])).toEqual([{ digit: '3', action: 'repeat', nodeId: null }]);
+  });
+
+  test('returns nothing for missing or malformed config', () => {
+    expect(normalizeHotkeys(undefined)).toEqual([]);
+    expect(normalizeHotkeys('not json')).toEqual([]);
+  });
+});
+
+describe('acceptsHotkeys', () => {
+  test.each([
+    [{ type: 'menu' }, true],
+    [{ type: 'Input' }, true],
+    [{ type: 'audio', data: { afterPlayback: 'wait' } }, true],
+    [{ type: 'audio', data: { afterPlayback: 'next' } }, false],
+    [{ type: 'greeting' }, false],
+    [{ type: 'verify' }, false],
+    [{ type: 'survey' }, false],
+    [null, false]
+  ])('%j -> %p', (node, expected) => {
+    expect(acceptsHotkeys(node)).toBe(expected);
+  });
+});
+
+describe('findBackTarget', () => {
+  const nodes = [
+    { id: 'menu', type: 'menu' },
+    { id: 'say', type: 'audio', data: { afterPlayback: 'next' } },
+    { id: 'account', type: 'input' },
+    { id: 'pin', type: 'verify' },
+    { id: 'dates', type: 'slot_offer' }
+  ];
+  const visits = (...ids) => ids.map((nodeId) => ({ nodeId, depth: 0 }));
+
+  test('goes to the previous node that asked the caller something', () => {
+    expect(findBackTarget(visits('menu', 'say', 'account', 'pin', 'dates'), 'dates', { nodes })).toBe('account');
+  });
+
+  test('walks further back on repeated presses instead of bouncing', () => {
+    // menu -> account -> dates, back to account, back again
+    const history = visits('menu', 'account', 'dates', 'account');
+    expect(findBackTarget(history, 'account', { nodes })).toBe('menu');
+  });
+
+  test('returns null at the first node', () => {
+    expect(findBackTarget(visits('menu'), 'menu', { nodes })).toBeNull();
+    expect(findBackTarget([], 'menu', { nodes })).toBeNull();
+  });
+
+  test('only counts visits at the current subflow depth and workflow', () => {
+    const history = [
+      { nodeId: 'menu', depth: 0 },
+      { nodeId: 'account', depth: 1, workflowId: 'child' },
+      { nodeId: 'dates', depth: 1, workflowId: 'other' },
+      { nodeId: 'dates', depth: 1, workflowId: 'child' }
+    ];
+    expect(findBackTarget(history, 'dates', { nodes, depth: 1, workflowId: 'child' })).toBe('account');
+    expect(findBackTarget(history, 'menu', { nodes })).toBeNull();
+  });
+});